@@ -16,7 +16,12 @@ app.use(cors({
   credentials: true,
 }));
 
-app.use(bodyParser.json());
+// Keep the raw body so payment callbacks can be stored verbatim
+app.use(bodyParser.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString('utf8');
+  }
+}));
 app.use(bodyParser.urlencoded({ extended: true }));
 
 const userRoutes = require('./routes/userRoutes');
@@ -28,10 +33,15 @@ const earningRoutes = require('./routes/earningRoutes');
 const referralRoutes = require('./routes/referralRoutes');
 const adminRoutes = require('./routes/adminRoutes');
 const mpesaRoutes = require('./routes/mpesaRoutes');
+const paymentRoutes = require('./routes/paymentRoutes');
 const transactionRoutes = require('./routes/transactionRoutes');
+const kycRoutes = require('./routes/kycRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const transferRoutes = require('./routes/transferRoutes');
 
 const { verifyToken } = require('./middleware/authMiddleware');
-const { verifyAdminRole } = require('./middleware/adminMiddleware');
+const { verifyAdminRole, requirePermission } = require('./middleware/adminMiddleware');
+const { PERMISSIONS } = require('./utils/permissions');
 
 // Basic route for testing
 app.get('/', (req, res) => {
@@ -49,12 +59,16 @@ app.use('/api/mining-engines', miningEngineRoutes);
 app.use('/api/purchases', purchaseRoutes);
 app.use('/api/earnings', earningRoutes);
 app.use('/api/mpesa', mpesaRoutes);
+app.use('/api/payments', paymentRoutes);
 app.use('/api/referrals', referralRoutes);
 
 // Protected routes
 app.use('/api/deposits', verifyToken, depositRoutes);
 app.use('/api/withdrawals', verifyToken, withdrawalRoutes);
 app.use('/api/transactions', verifyToken, transactionRoutes);
+app.use('/api/kyc', verifyToken, kycRoutes);
+app.use('/api/notifications', verifyToken, notificationRoutes);
+app.use('/api/transfers', verifyToken, transferRoutes);
 
 // Admin routes with admin role verification
 app.use('/api/admin', verifyToken, verifyAdminRole, adminRoutes);
@@ -67,7 +81,7 @@ app.get('/ref/:referral_code', (req, res) => {
 });
 
 // Enhanced manual earnings processing endpoint for admin testing
-app.post('/api/admin/trigger-earnings', verifyToken, verifyAdminRole, async (req, res) => {
+app.post('/api/admin/trigger-earnings', verifyToken, verifyAdminRole, requirePermission(PERMISSIONS.EARNINGS_MANAGE), async (req, res) => {
   try {
     const { intervalType, force = false, dryRun = false } = req.body;
     const { triggerManualProcessing } = require('./utils/cronJobs');
@@ -99,7 +113,7 @@ app.post('/api/admin/trigger-earnings', verifyToken, verifyAdminRole, async (req
 });
 
 // Enhanced system status endpoint for monitoring
-app.get('/api/admin/system-status', verifyToken, verifyAdminRole, async (req, res) => {
+app.get('/api/admin/system-status', verifyToken, verifyAdminRole, requirePermission(PERMISSIONS.DASHBOARD_VIEW), async (req, res) => {
   try {
     const { getJobStatus } = require('./utils/cronJobs');
     const status = getJobStatus();
@@ -113,6 +127,10 @@ app.get('/api/admin/system-status', verifyToken, verifyAdminRole, async (req, re
       status.database_status = 'error';
       status.database_error = dbError.message;
     }
+
+    // Cached M-Pesa OAuth token (expiry, last refresh, last error)
+    const { getTokenHealth } = require('./utils/mpesaTokenManager');
+    status.mpesa_token = getTokenHealth();
     
     res.json({
       success: true,
@@ -130,7 +148,7 @@ app.get('/api/admin/system-status', verifyToken, verifyAdminRole, async (req, re
 });
 
 // Debug endpoint to check purchase maturity schedules
-app.get('/api/admin/debug/purchase/:purchaseId/schedule', verifyToken, verifyAdminRole, async (req, res) => {
+app.get('/api/admin/debug/purchase/:purchaseId/schedule', verifyToken, verifyAdminRole, requirePermission(PERMISSIONS.PURCHASES_VIEW), async (req, res) => {
   try {
     const { purchaseId } = req.params;
     const { getPurchaseMaturitySchedule } = require('./utils/miningEarningsProcessor');
@@ -0,0 +1,191 @@
+const pool = require('./db');
+const ledger = require('./utils/ledger');
+const money = require('./utils/money');
+
+console.log('=== Ledger Backfill ===\n');
+
+/**
+ * Post ledger entries for history that predates the ledger, then book whatever
+ * is left unexplained per user as an opening balance so the ledger agrees with
+ * users.balance. Every entry is keyed by its source record, so the script is
+ * safe to re-run. Nothing here changes users.balance.
+ */
+
+async function backfillStoredProcedureCredits() {
+  console.log('💰 Recording deposits, earnings and referral commissions...');
+  const totals = { deposits: 0, earnings: 0, commissions: 0 };
+
+  for (;;) {
+    const result = await ledger.syncStoredProcedureCredits();
+    if (!result) {
+      throw new Error('Ledger sync failed, see the error above');
+    }
+    totals.deposits += result.deposits;
+    totals.earnings += result.earnings;
+    totals.commissions += result.commissions;
+
+    if (result.deposits + result.earnings + result.commissions === 0) {
+      break;
+    }
+  }
+
+  console.log(`   ✅ ${totals.deposits} deposits, ${totals.earnings} earnings, ${totals.commissions} commissions\n`);
+}
+
+async function backfillPurchases() {
+  console.log('⛏️  Recording engine purchases...');
+  const [purchases] = await pool.query(`
+    SELECT p.id, p.user_id, p.amount_invested
+    FROM purchases p
+    LEFT JOIN ledger_entries le
+      ON le.entry_type = 'purchase' AND le.reference_type = 'purchase' AND le.reference_id = p.id
+    WHERE le.id IS NULL
+    ORDER BY p.id
+  `);
+
+  for (const purchase of purchases) {
+    await ledger.recordPurchase(pool, {
+      userId: purchase.user_id,
+      purchaseId: purchase.id,
+      amount: parseFloat(purchase.amount_invested),
+      applyToBalance: false
+    });
+  }
+
+  console.log(`   ✅ ${purchases.length} purchases\n`);
+}
+
+async function backfillWithdrawals() {
+  console.log('🏧 Recording withdrawals...');
+  const [withdrawals] = await pool.query(`
+    SELECT w.id, w.user_id, w.amount, w.status, w.approved_by, bh.status as hold_status
+    FROM withdrawals w
+    LEFT JOIN balance_holds bh ON bh.reference_type = 'withdrawal' AND bh.reference_id = w.id
+    ORDER BY w.id
+  `);
+
+  for (const withdrawal of withdrawals) {
+    const amount = parseFloat(withdrawal.amount);
+
+    // Held withdrawals only reach the ledger when their hold is settled
+    if (withdrawal.hold_status && withdrawal.hold_status !== 'settled') {
+      continue;
+    }
+
+    await ledger.recordWithdrawal(pool, {
+      userId: withdrawal.user_id,
+      withdrawalId: withdrawal.id,
+      amount,
+      applyToBalance: false
+    });
+
+    if (['rejected', 'cancelled'].includes(withdrawal.status)) {
+      await ledger.recordWithdrawalReversal(pool, {
+        userId: withdrawal.user_id,
+        withdrawalId: withdrawal.id,
+        amount,
+        reason: `Withdrawal #${withdrawal.id} ${withdrawal.status}`,
+        createdBy: withdrawal.approved_by,
+        applyToBalance: false
+      });
+    } else if (withdrawal.status === 'completed') {
+      await ledger.recordWithdrawalPayout(pool, { userId: withdrawal.user_id, withdrawalId: withdrawal.id, amount });
+    }
+  }
+
+  console.log(`   ✅ ${withdrawals.length} withdrawals\n`);
+}
+
+async function backfillAdjustments() {
+  console.log('🛠️  Recording admin balance adjustments...');
+  const [adjustments] = await pool.query(`
+    SELECT id, admin_id, target_id, details
+    FROM admin_logs
+    WHERE action = 'balance_adjustment' AND target_type = 'user'
+    ORDER BY id
+  `);
+
+  for (const adjustment of adjustments) {
+    const details = typeof adjustment.details === 'string' ? JSON.parse(adjustment.details) : adjustment.details;
+    const amount = parseFloat(details && details.amount);
+    if (!amount) {
+      continue;
+    }
+
+    await ledger.recordAdjustment(pool, {
+      userId: parseInt(adjustment.target_id),
+      amount,
+      adminId: adjustment.admin_id,
+      adminLogId: adjustment.id,
+      reason: details.reason,
+      applyToBalance: false
+    });
+  }
+
+  console.log(`   ✅ ${adjustments.length} adjustments\n`);
+}
+
+/**
+ * Whatever history could not explain (deleted withdrawals, edits made directly
+ * in the database) becomes one opening balance entry per user
+ */
+async function bookOpeningBalances() {
+  console.log('📒 Booking opening balances...');
+  const [users] = await pool.query(`
+    SELECT u.id, u.balance, COALESCE(SUM(lp.amount), 0) as ledger_balance
+    FROM users u
+    LEFT JOIN ledger_accounts la ON la.user_id = u.id
+    LEFT JOIN ledger_postings lp ON lp.account_id = la.id
+    GROUP BY u.id, u.balance
+  `);
+
+  let booked = 0;
+  for (const user of users) {
+    const difference = money.subtract(user.balance, user.ledger_balance);
+    if (difference === 0) {
+      continue;
+    }
+
+    const entryId = await ledger.postUserEntry(pool, {
+      userId: user.id,
+      amount: difference,
+      account: ledger.SYSTEM_ACCOUNTS.OPENING_BALANCES,
+      entryType: ledger.ENTRY_TYPES.OPENING_BALANCE,
+      reference: { type: 'user', id: user.id },
+      description: 'Balance not explained by history when the ledger was introduced',
+      applyToBalance: false
+    });
+
+    if (entryId) {
+      booked++;
+      console.log(`   User ${user.id}: ${difference > 0 ? '+' : ''}${difference}`);
+    } else {
+      console.log(`   ⚠️  User ${user.id} already has an opening balance but is off by ${difference}`);
+    }
+  }
+
+  console.log(`   ✅ ${booked} opening balances booked\n`);
+}
+
+async function backfillLedger() {
+  await backfillStoredProcedureCredits();
+  await backfillPurchases();
+  await backfillWithdrawals();
+  await backfillAdjustments();
+  await bookOpeningBalances();
+  console.log('🎉 Ledger backfill complete\n');
+}
+
+// Run the backfill if this script is executed directly
+if (require.main === module) {
+  backfillLedger()
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('❌ Ledger backfill failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  backfillLedger
+};
@@ -1,4 +1,12 @@
 const pool = require('../db');
+const loginThrottle = require('../utils/loginThrottle');
+const { ADMIN_ROLES, isValidAdminRole, getPermissions } = require('../utils/permissions');
+const { createImpersonationToken } = require('../utils/impersonation');
+const notificationService = require('../utils/notificationService');
+const ledger = require('../utils/ledger');
+const balanceHolds = require('../utils/balanceHolds');
+const money = require('../utils/money');
+const depositResolver = require('../utils/depositResolver');
 
 const getAdminStats = async (req, res) => {
   try {
@@ -115,8 +123,8 @@ const getUserDetails = async (req, res) => {
     
     // Get user details
     const [userRows] = await pool.query(`
-      SELECT id, email, full_name, phone, role, balance, total_earnings, 
-             referral_code, referred_by, status, email_verified, last_login, 
+      SELECT id, email, full_name, phone, role, balance, held_balance, total_earnings, 
+             referral_code, referred_by, status, email_verified, kyc_tier, last_login, 
              created_at, updated_at 
       FROM users 
       WHERE id = ?
@@ -180,13 +188,17 @@ const getUserDetails = async (req, res) => {
       ORDER BY u.created_at DESC
     `, [userId]);
     
+    // Lockout state and recent failed login attempts
+    const loginSecurity = await loginThrottle.getLoginSecurity(user.id, user.phone);
+    
     res.json({
       user,
       deposits,
       withdrawals,
       purchases,
       referrer,
-      referrals
+      referrals,
+      login_security: loginSecurity
     });
   } catch (error) {
     console.error('Error fetching user details:', error);
@@ -258,34 +270,228 @@ const updateUserStatus = async (req, res) => {
   }
 };
 
-const adjustUserBalance = async (req, res) => {
+// Clear a temporary login or two-factor lockout on a user's account
+const unlockUserLogin = async (req, res) => {
   try {
     const { userId } = req.params;
-    const { amount, type, reason } = req.body;
+    const { reason } = req.body;
     const adminId = req.user.id;
     
-    if (!amount || !type || !['add', 'subtract'].includes(type)) {
-      return res.status(400).json({ message: 'Valid amount and type (add/subtract) are required' });
+    const [userRows] = await pool.query('SELECT id, phone FROM users WHERE id = ?', [userId]);
+    if (userRows.length === 0) {
+      return res.status(404).json({ message: 'User not found' });
     }
     
-    const adjustmentAmount = type === 'add' ? Math.abs(amount) : -Math.abs(amount);
+    const cleared = await loginThrottle.unlockPhone(userRows[0].phone, adminId)
+      + await loginThrottle.unlockSecondFactor(userRows[0].id, adminId);
+    if (cleared === 0) {
+      return res.status(400).json({ message: 'User account is not locked' });
+    }
     
     await pool.query(`
+      INSERT INTO admin_logs (admin_id, action, target_type, target_id, details, created_at)
+      VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+    `, [adminId, 'user_login_unlock', 'user', userId, JSON.stringify({ reason: reason || null })]);
+    
+    res.json({ message: 'User account unlocked successfully' });
+  } catch (error) {
+    console.error('Error unlocking user login:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+// Mint a short-lived, read-only token to view the app as this user
+const impersonateUser = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { reason } = req.body;
+    const adminId = req.user.id;
+    
+    if (!reason) {
+      return res.status(400).json({ message: 'A reason is required to view as a user' });
+    }
+    
+    const [userRows] = await pool.query(
+      'SELECT id, email, full_name, phone, role, status FROM users WHERE id = ?',
+      [userId]
+    );
+    if (userRows.length === 0) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    const user = userRows[0];
+    
+    if (user.role === 'admin') {
+      return res.status(403).json({ message: 'Admin accounts cannot be impersonated' });
+    }
+    
+    if (user.status !== 'active') {
+      return res.status(400).json({ message: 'Only active accounts can be viewed as the user' });
+    }
+    
+    const { token, expires_at } = createImpersonationToken(adminId, req.user.session_id, user.id);
+    
+    await pool.query(`
+      INSERT INTO admin_logs (admin_id, action, target_type, target_id, details, created_at)
+      VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+    `, [adminId, 'impersonation_start', 'user', user.id, JSON.stringify({ reason, expires_at })]);
+    
+    res.json({
+      message: 'Read-only impersonation token issued',
+      token,
+      token_expires_at: expires_at,
+      read_only: true,
+      user: {
+        id: user.id,
+        email: user.email,
+        full_name: user.full_name,
+        phone: user.phone
+      }
+    });
+  } catch (error) {
+    console.error('Error starting impersonation:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+const getUserLedger = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { page = 1, limit = 50 } = req.query;
+    const offset = (page - 1) * limit;
+    
+    const verification = await ledger.verifyUserBalance(userId);
+    if (!verification) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    const { postings, total } = await ledger.getUserLedger(userId, { limit, offset });
+    
+    res.json({
+      balance: verification,
+      postings,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching user ledger:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+// === ROLE MANAGEMENT ===
+const getAdminRoles = async (req, res) => {
+  const roles = Object.entries(ADMIN_ROLES).map(([key, role]) => ({
+    key,
+    name: role.name,
+    permissions: role.permissions
+  }));
+  res.json({ roles });
+};
+
+const getAdminUsers = async (req, res) => {
+  try {
+    const [admins] = await pool.query(`
+      SELECT id, email, full_name, phone, role, admin_role, status, last_login, created_at 
+      FROM users 
+      WHERE role = 'admin' 
+      ORDER BY created_at ASC
+    `);
+    
+    res.json({
+      admins: admins.map(admin => ({ ...admin, permissions: getPermissions(admin) }))
+    });
+  } catch (error) {
+    console.error('Error fetching admin users:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+// Grant an admin role to a user, change it, or pass admin_role: null to revoke admin access
+const updateUserAdminRole = async (req, res) => {
+  const { userId } = req.params;
+  const { admin_role, reason } = req.body;
+  const adminId = req.user.id;
+  
+  if (admin_role === undefined || (admin_role !== null && !isValidAdminRole(admin_role))) {
+    return res.status(400).json({ 
+      message: `admin_role must be one of: ${Object.keys(ADMIN_ROLES).join(', ')}, or null to revoke admin access` 
+    });
+  }
+  
+  if (Number(userId) === adminId) {
+    return res.status(400).json({ message: 'You cannot change your own admin role' });
+  }
+  
+  const connection = await pool.getConnection();
+  
+  try {
+    await connection.beginTransaction();
+    
+    const [userRows] = await connection.query(
+      'SELECT id, role, admin_role, status FROM users WHERE id = ? FOR UPDATE',
+      [userId]
+    );
+    
+    if (userRows.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    const user = userRows[0];
+    
+    if (admin_role !== null && user.status !== 'active') {
+      await connection.rollback();
+      return res.status(400).json({ message: 'Only active users can be given an admin role' });
+    }
+    
+    // Never leave the system without a super admin
+    if (user.role === 'admin' && user.admin_role === 'super_admin' && admin_role !== 'super_admin') {
+      const [superAdmins] = await connection.query(
+        "SELECT COUNT(*) as count FROM users WHERE role = 'admin' AND admin_role = 'super_admin' AND status = 'active' AND id != ? FOR UPDATE",
+        [userId]
+      );
+      if (superAdmins[0].count === 0) {
+        await connection.rollback();
+        return res.status(400).json({ message: 'Cannot remove the last super admin' });
+      }
+    }
+    
+    const newRole = admin_role === null ? 'user' : 'admin';
+    
+    await connection.query(`
       UPDATE users 
-      SET balance = balance + ?, updated_at = CURRENT_TIMESTAMP 
+      SET role = ?, admin_role = ?, updated_at = CURRENT_TIMESTAMP 
       WHERE id = ?
-    `, [adjustmentAmount, userId]);
+    `, [newRole, admin_role, userId]);
     
-    // Log admin action
-    await pool.query(`
+    await connection.query(`
       INSERT INTO admin_logs (admin_id, action, target_type, target_id, details, created_at)
       VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
-    `, [adminId, 'balance_adjustment', 'user', userId, JSON.stringify({ amount: adjustmentAmount, reason })]);
+    `, [adminId, 'admin_role_update', 'user', userId, JSON.stringify({
+      previous_role: user.role,
+      previous_admin_role: user.admin_role,
+      role: newRole,
+      admin_role,
+      reason: reason || null
+    })]);
+    
+    await connection.commit();
     
-    res.json({ message: 'User balance adjusted successfully' });
+    res.json({
+      message: admin_role === null ? 'Admin access revoked' : 'Admin role updated successfully',
+      user: { id: user.id, role: newRole, admin_role, permissions: getPermissions({ role: newRole, admin_role }) }
+    });
   } catch (error) {
-    console.error('Error adjusting user balance:', error);
+    await connection.rollback();
+    console.error('Error updating admin role:', error);
     res.status(500).json({ message: 'Internal server error' });
+  } finally {
+    connection.release();
   }
 };
 
@@ -296,7 +502,8 @@ const getAllDeposits = async (req, res) => {
     const offset = (page - 1) * limit;
     
     let query = `
-      SELECT d.id, d.amount, d.method, d.status, d.transaction_id, 
+      SELECT d.id, d.amount, d.method, d.provider, d.status, d.transaction_id, 
+             d.status_checked_at, d.status_check_count, d.status_check_result,
              d.created_at, u.email, u.full_name
       FROM deposits d
       JOIN users u ON d.user_id = u.id
@@ -374,6 +581,48 @@ const updateDepositStatus = async (req, res) => {
   }
 };
 
+// Ask the payment provider for a pending deposit's status and settle it if final
+const requeryDeposit = async (req, res) => {
+  try {
+    const { depositId } = req.params;
+    const adminId = req.user.id;
+
+    const [depositRows] = await pool.query('SELECT * FROM deposits WHERE id = ?', [depositId]);
+    if (depositRows.length === 0) {
+      return res.status(404).json({ message: 'Deposit not found' });
+    }
+
+    const deposit = depositRows[0];
+    if (deposit.status !== 'pending') {
+      return res.status(400).json({ message: `Deposit is already ${deposit.status}` });
+    }
+
+    const result = await depositResolver.requeryDeposit(deposit);
+
+    await pool.query(`
+      INSERT INTO admin_logs (admin_id, action, target_type, target_id, details, created_at)
+      VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+    `, [adminId, 'deposit_requery', 'deposit', deposit.id, JSON.stringify({
+      transaction_id: deposit.transaction_id,
+      provider: deposit.provider,
+      result_status: result.status,
+      result_description: result.description
+    })]);
+
+    res.json({
+      message: result.status === 'pending'
+        ? 'Deposit is still pending with the provider'
+        : `Deposit ${result.status}`,
+      deposit_id: deposit.id,
+      status: result.status,
+      provider_result: result.description
+    });
+  } catch (error) {
+    console.error('Error re-querying deposit:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
 const deleteDeposit = async (req, res) => {
   try {
     const { depositId } = req.params;
@@ -468,85 +717,139 @@ const getAllWithdrawals = async (req, res) => {
 };
 
 const updateWithdrawalStatus = async (req, res) => {
+  const { withdrawalId } = req.params;
+  const { status, admin_notes } = req.body;
+  const adminId = req.user.id;
+  
+  if (!['pending', 'approved', 'rejected', 'completed'].includes(status)) {
+    return res.status(400).json({ message: 'Invalid status' });
+  }
+  
+  const connection = await pool.getConnection();
+  
   try {
-    const { withdrawalId } = req.params;
-    const { status, admin_notes } = req.body;
-    const adminId = req.user.id;
-    
-    if (!['pending', 'approved', 'rejected', 'completed'].includes(status)) {
-      return res.status(400).json({ message: 'Invalid status' });
-    }
+    await connection.beginTransaction();
     
     // Get withdrawal details
-    const [withdrawalRows] = await pool.query(`
-      SELECT w.*, u.email, u.balance 
-      FROM withdrawals w 
-      JOIN users u ON w.user_id = u.id 
-      WHERE w.id = ?
-    `, [withdrawalId]);
+    const [withdrawalRows] = await connection.query('SELECT * FROM withdrawals WHERE id = ? FOR UPDATE', [withdrawalId]);
     
     if (withdrawalRows.length === 0) {
+      await connection.rollback();
       return res.status(404).json({ message: 'Withdrawal not found' });
     }
     
     const withdrawal = withdrawalRows[0];
     
-    // If rejecting, restore user balance
-    if (status === 'rejected' && withdrawal.status === 'pending') {
-      await pool.query(`
-        UPDATE users 
-        SET balance = balance + ?
-        WHERE id = ?
-      `, [withdrawal.amount, withdrawal.user_id]);
+    if (withdrawal.status === 'rejected' && status !== 'rejected') {
+      await connection.rollback();
+      return res.status(400).json({ message: 'A rejected withdrawal cannot be reopened' });
+    }
+
+    // The payout has been settled and its debit posted; nothing here would reverse it
+    if (withdrawal.status === 'completed' && status !== 'completed') {
+      await connection.rollback();
+      return res.status(400).json({ message: 'A completed withdrawal cannot be changed' });
+    }
+
+    // If rejecting, return the reserved amount to the available balance -
+    // including a failed payout, whose hold is kept until an admin resolves it
+    if (status === 'rejected' && withdrawal.status === 'approved') {
+      await balanceHolds.releaseHold(connection, { type: 'withdrawal', id: withdrawal.id }, `Withdrawal #${withdrawal.id} rejected`);
+    } else if (status === 'rejected' && withdrawal.status !== 'rejected') {
+      await balanceHolds.releaseWithdrawal(connection, {
+        withdrawal,
+        reason: `Withdrawal #${withdrawal.id} rejected`,
+        createdBy: adminId
+      });
+    }
+    
+    // Funds leave the platform once a withdrawal is completed
+    if (status === 'completed' && withdrawal.status !== 'completed') {
+      await balanceHolds.settleWithdrawal(connection, { withdrawal, createdBy: adminId });
     }
     
     // Update withdrawal status
-    await pool.query(`
+    await connection.query(`
       UPDATE withdrawals 
       SET status = ?, admin_notes = ?, approved_by = ?, approved_at = CURRENT_TIMESTAMP 
       WHERE id = ?
     `, [status, admin_notes, adminId, withdrawalId]);
     
     // Log admin action
-    await pool.query(`
+    await connection.query(`
       INSERT INTO admin_logs (admin_id, action, target_type, target_id, details, created_at)
       VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
     `, [adminId, 'withdrawal_status_update', 'withdrawal', withdrawalId, JSON.stringify({ status, admin_notes, previous_status: withdrawal.status })]);
     
+    await connection.commit();
+    
+    if (status !== withdrawal.status && status !== 'pending') {
+      await notificationService.notifyWithdrawalStatus(withdrawal, status, admin_notes);
+    }
+    
     res.json({ message: 'Withdrawal status updated successfully' });
   } catch (error) {
+    await connection.rollback();
     console.error('Error updating withdrawal status:', error);
     res.status(500).json({ message: 'Internal server error' });
+  } finally {
+    connection.release();
   }
 };
 
 const processWithdrawal = async (req, res) => {
+  const { withdrawalId } = req.params;
+  const { transaction_reference, admin_notes } = req.body;
+  const adminId = req.user.id;
+  
+  const connection = await pool.getConnection();
+  
   try {
-    const { withdrawalId } = req.params;
-    const { transaction_reference, admin_notes } = req.body;
-    const adminId = req.user.id;
+    await connection.beginTransaction();
+    
+    // Status change and settlement commit together, so a completed withdrawal never keeps its hold
+    const [withdrawalRows] = await connection.query('SELECT * FROM withdrawals WHERE id = ? FOR UPDATE', [withdrawalId]);
+    if (withdrawalRows.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({ message: 'Withdrawal not found' });
+    }
+    
+    if (withdrawalRows[0].status !== 'approved') {
+      await connection.rollback();
+      return res.status(400).json({ message: 'Only approved withdrawals can be processed' });
+    }
     
     // Update withdrawal as completed with transaction reference
-    await pool.query(`
+    await connection.query(`
       UPDATE withdrawals 
       SET status = 'completed', 
           transaction_reference = ?, 
           admin_notes = ?, 
           processed_by = ?, 
           processed_at = CURRENT_TIMESTAMP 
-      WHERE id = ? AND status = 'approved'
+      WHERE id = ?
     `, [transaction_reference, admin_notes, adminId, withdrawalId]);
     
     // Log admin action
-    await pool.query(`
+    await connection.query(`
       INSERT INTO admin_logs (admin_id, action, target_type, target_id, details, created_at)
       VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
     `, [adminId, 'withdrawal_processed', 'withdrawal', withdrawalId, JSON.stringify({ transaction_reference, admin_notes })]);
     
+    await balanceHolds.settleWithdrawal(connection, { withdrawal: withdrawalRows[0], createdBy: adminId });
+    
+    await connection.commit();
+    
+    const [processedRows] = await pool.query('SELECT * FROM withdrawals WHERE id = ?', [withdrawalId]);
+    await notificationService.notifyWithdrawalStatus(processedRows[0], 'completed');
+    
     res.json({ message: 'Withdrawal processed successfully' });
   } catch (error) {
+    await connection.rollback();
     console.error('Error processing withdrawal:', error);
     res.status(500).json({ message: 'Internal server error' });
+  } finally {
+    connection.release();
   }
 };
 
@@ -820,7 +1123,7 @@ const getAdminActivities = async (req, res) => {
         if (activity.action === 'user_status_update') {
           details = `Account ${activityDetails.status}`;
         } else if (activity.action === 'balance_adjustment') {
-          details = `Balance ${activityDetails.amount > 0 ? 'increased' : 'decreased'} by KES ${Math.abs(activityDetails.amount)}`;
+          details = `Balance ${activityDetails.amount > 0 ? 'increased' : 'decreased'} by ${money.format(Math.abs(activityDetails.amount), activityDetails.currency)}`;
         } else if (activity.action === 'deposit_status_update') {
           details = `Status changed to ${activityDetails.status}`;
         } else if (activity.action === 'withdrawal_processed') {
@@ -856,11 +1159,19 @@ module.exports = {
   getAllUsers,
   getUserDetails,
   updateUserStatus,
-  adjustUserBalance,
+  unlockUserLogin,
+  impersonateUser,
+  getUserLedger,
+  
+  // Role Management
+  getAdminRoles,
+  getAdminUsers,
+  updateUserAdminRole,
   
   // Deposit Management
   getAllDeposits,
   updateDepositStatus,
+  requeryDeposit,
   deleteDeposit,
   
   // Withdrawal Management
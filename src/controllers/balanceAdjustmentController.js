@@ -0,0 +1,279 @@
+const pool = require('../db');
+const money = require('../utils/money');
+const balanceAdjustments = require('../utils/balanceAdjustments');
+
+// Create an adjustment; small ones apply at once, larger ones wait for a second admin
+const adjustUserBalance = async (req, res) => {
+  const { userId } = req.params;
+  const { amount, type, reason_code, reason, reference } = req.body;
+  const adminId = req.user.id;
+
+  if (!amount || !type || !['add', 'subtract'].includes(type)) {
+    return res.status(400).json({ message: 'Valid amount and type (add/subtract) are required' });
+  }
+  if (isNaN(Number(amount)) || Number(amount) <= 0) {
+    return res.status(400).json({ message: 'Amount must be a positive number' });
+  }
+  if (!balanceAdjustments.isValidReasonCode(reason_code)) {
+    return res.status(400).json({
+      message: `Invalid reason code. Valid codes: ${Object.keys(balanceAdjustments.REASON_CODES).join(', ')}`
+    });
+  }
+  if (!reason || !String(reason).trim()) {
+    return res.status(400).json({ message: 'A reason explaining the adjustment is required' });
+  }
+
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const [userRows] = await connection.query('SELECT id, currency FROM users WHERE id = ?', [userId]);
+    if (userRows.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    // Adjustments are entered in the user's wallet currency
+    const currency = userRows[0].currency;
+    const absoluteAmount = money.round(amount, currency);
+    const adjustmentAmount = type === 'add' ? absoluteAmount : -absoluteAmount;
+    const needsApproval = await balanceAdjustments.requiresApproval(adjustmentAmount, currency);
+
+    const [result] = await connection.query(`
+      INSERT INTO balance_adjustment_requests
+        (user_id, amount, currency, reason_code, reason, reference, status, requested_by, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, 'pending', ?, CURRENT_TIMESTAMP)
+    `, [
+      userRows[0].id,
+      adjustmentAmount,
+      currency,
+      reason_code,
+      String(reason).trim(),
+      reference ? String(reference).trim() : null,
+      adminId
+    ]);
+
+    const [requestRows] = await connection.query('SELECT * FROM balance_adjustment_requests WHERE id = ?', [result.insertId]);
+    const request = requestRows[0];
+
+    if (needsApproval) {
+      await connection.query(`
+        INSERT INTO admin_logs (admin_id, action, target_type, target_id, details, created_at)
+        VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+      `, [adminId, 'balance_adjustment_requested', 'user', request.user_id, JSON.stringify({
+        request_id: request.id,
+        amount: adjustmentAmount,
+        currency,
+        reason_code
+      })]);
+
+      await connection.commit();
+
+      return res.status(202).json({
+        message: 'Adjustment is above the approval threshold and is waiting for a second admin to approve it',
+        adjustment: request
+      });
+    }
+
+    const failure = await balanceAdjustments.applyAdjustment(connection, request, adminId);
+    if (failure) {
+      await connection.rollback();
+      return res.status(400).json({ message: failure.message });
+    }
+
+    await connection.commit();
+
+    res.json({
+      message: 'User balance adjusted successfully',
+      adjustment: { ...request, status: 'applied' }
+    });
+  } catch (error) {
+    await connection.rollback();
+    console.error('Error adjusting user balance:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  } finally {
+    connection.release();
+  }
+};
+
+const ADJUSTMENT_SELECT = `
+  SELECT bar.*, u.full_name as user_name, u.email as user_email, u.phone as user_phone,
+         requester.full_name as requested_by_name, reviewer.full_name as reviewed_by_name
+  FROM balance_adjustment_requests bar
+  JOIN users u ON bar.user_id = u.id
+  LEFT JOIN users requester ON bar.requested_by = requester.id
+  LEFT JOIN users reviewer ON bar.reviewed_by = reviewer.id
+`;
+
+// Approval queue (pending by default)
+const getBalanceAdjustments = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status = 'pending' } = req.query;
+    const offset = (page - 1) * limit;
+
+    let whereClause = 'WHERE 1=1';
+    const params = [];
+
+    if (status !== 'all') {
+      whereClause += ' AND bar.status = ?';
+      params.push(status);
+    }
+
+    const [adjustments] = await pool.query(`
+      ${ADJUSTMENT_SELECT}
+      ${whereClause}
+      ORDER BY bar.created_at DESC
+      LIMIT ? OFFSET ?
+    `, [...params, parseInt(limit), parseInt(offset)]);
+
+    const [countResult] = await pool.query(
+      `SELECT COUNT(*) as total FROM balance_adjustment_requests bar ${whereClause}`,
+      params
+    );
+    const total = countResult[0].total;
+
+    res.json({
+      adjustments,
+      reason_codes: balanceAdjustments.REASON_CODES,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching balance adjustments:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+// Every adjustment made or requested for one user
+const getUserBalanceAdjustments = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const [adjustments] = await pool.query(`
+      ${ADJUSTMENT_SELECT}
+      WHERE bar.user_id = ?
+      ORDER BY bar.created_at DESC
+    `, [userId]);
+
+    res.json({ adjustments, reason_codes: balanceAdjustments.REASON_CODES });
+  } catch (error) {
+    console.error('Error fetching user balance adjustments:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+/**
+ * Lock a pending request for review. Returns { request } or { status, message }.
+ */
+const lockPendingRequest = async (connection, requestId, adminId) => {
+  const [rows] = await connection.query('SELECT * FROM balance_adjustment_requests WHERE id = ? FOR UPDATE', [requestId]);
+  if (rows.length === 0) {
+    return { status: 404, message: 'Adjustment request not found' };
+  }
+  if (rows[0].status !== 'pending') {
+    return { status: 400, message: `Adjustment request is already ${rows[0].status}` };
+  }
+  if (rows[0].requested_by === adminId) {
+    return { status: 403, message: 'An adjustment must be reviewed by a different admin than the one who requested it' };
+  }
+  return { request: rows[0] };
+};
+
+const approveBalanceAdjustment = async (req, res) => {
+  const { requestId } = req.params;
+  const { note } = req.body;
+  const adminId = req.user.id;
+
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const locked = await lockPendingRequest(connection, requestId, adminId);
+    if (!locked.request) {
+      await connection.rollback();
+      return res.status(locked.status).json({ message: locked.message });
+    }
+
+    const failure = await balanceAdjustments.applyAdjustment(connection, locked.request, adminId);
+    if (failure) {
+      await connection.rollback();
+      return res.status(400).json({ message: failure.message });
+    }
+
+    if (note && String(note).trim()) {
+      await connection.query('UPDATE balance_adjustment_requests SET review_note = ? WHERE id = ?', [String(note).trim(), requestId]);
+    }
+
+    await connection.commit();
+
+    res.json({ message: 'Adjustment approved and applied' });
+  } catch (error) {
+    await connection.rollback();
+    console.error('Error approving balance adjustment:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  } finally {
+    connection.release();
+  }
+};
+
+const rejectBalanceAdjustment = async (req, res) => {
+  const { requestId } = req.params;
+  const { note } = req.body;
+  const adminId = req.user.id;
+
+  if (!note || !String(note).trim()) {
+    return res.status(400).json({ message: 'A note explaining the rejection is required' });
+  }
+
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const locked = await lockPendingRequest(connection, requestId, adminId);
+    if (!locked.request) {
+      await connection.rollback();
+      return res.status(locked.status).json({ message: locked.message });
+    }
+
+    await connection.query(`
+      UPDATE balance_adjustment_requests
+      SET status = 'rejected', reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP, review_note = ?
+      WHERE id = ?
+    `, [adminId, String(note).trim(), requestId]);
+
+    await connection.query(`
+      INSERT INTO admin_logs (admin_id, action, target_type, target_id, details, created_at)
+      VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+    `, [adminId, 'balance_adjustment_rejected', 'user', locked.request.user_id, JSON.stringify({
+      request_id: locked.request.id,
+      amount: locked.request.amount,
+      currency: locked.request.currency,
+      note: String(note).trim()
+    })]);
+
+    await connection.commit();
+
+    res.json({ message: 'Adjustment rejected' });
+  } catch (error) {
+    await connection.rollback();
+    console.error('Error rejecting balance adjustment:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  } finally {
+    connection.release();
+  }
+};
+
+module.exports = {
+  adjustUserBalance,
+  getBalanceAdjustments,
+  getUserBalanceAdjustments,
+  approveBalanceAdjustment,
+  rejectBalanceAdjustment
+};
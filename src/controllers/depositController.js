@@ -1,5 +1,9 @@
 const pool = require('../db');
-const mpesa = require('../utils/mpesa');
+const paymentProviders = require('../utils/paymentProviders');
+const paymentCallbacks = require('../utils/paymentCallbacks');
+const money = require('../utils/money');
+const fx = require('../utils/fx');
+const { formatPhoneForMpesa } = require('../utils/phoneUtils');
 
 const initiateDeposit = async (req, res) => {
   const userId = req.user.id;
@@ -9,46 +13,53 @@ const initiateDeposit = async (req, res) => {
     return res.status(400).json({ message: 'Amount and phone number are required' });
   }
   
+  if (isNaN(Number(amount)) || Number(amount) <= 0) {
+    return res.status(400).json({ message: 'Amount must be a positive number' });
+  }
+  
   try {
+    // Deposits are recorded in the wallet currency; M-Pesa collects the base currency
+    // equivalent in whole shillings, rounded up, and the wallet is credited what is charged
+    const currency = await fx.getUserCurrency(userId);
+    const chargeAmount = Math.ceil(await fx.toBase(money.round(amount, currency), currency));
+    const depositAmount = currency === fx.BASE_CURRENCY ? chargeAmount : await fx.fromBase(chargeAmount, currency);
+
     // Validate minimum deposit amount
-    const minDeposit = 5; // Minimum deposit: 5 KES
-    if (amount < minDeposit) {
+    const minDeposit = await fx.fromBase(5, currency); // Minimum deposit: 5 KES
+    if (money.compare(depositAmount, minDeposit) < 0) {
       return res.status(400).json({ 
-        message: `Minimum deposit amount is KES ${minDeposit}` 
+        message: `Minimum deposit amount is ${money.format(minDeposit, currency)}` 
       });
     }
 
-    // First, initiate STK Push to get the CheckoutRequestID
+    // First, start the collection to get the provider's reference (the CheckoutRequestID)
     const accountReference = `Deposit_${userId}_${Date.now()}`;
     const transactionDesc = 'CryptoMinePro Deposit';
 
-    console.log('Initiating STK Push:', {
+    console.log('Initiating deposit collection:', {
       phoneNumber,
-      amount,
-      accountReference,
-      transactionDesc,
-      mpesaCallbackUrl: process.env.MPESA_STK_CALLBACK_URL
+      amount: chargeAmount,
+      currency,
+      depositAmount,
+      accountReference
     });
 
-    const stkResponse = await mpesa.stkPush(phoneNumber, amount, accountReference, transactionDesc);
-    console.log('STK Push response:', stkResponse);
-
-    // Check if STK Push was successful
-    if (!stkResponse.CheckoutRequestID) {
-      return res.status(500).json({ 
-        message: 'Failed to initiate STK Push', 
-        error: 'No CheckoutRequestID received from M-Pesa'
-      });
-    }
+    const collection = await paymentProviders.initiateCollection({
+      phone: phoneNumber,
+      amount: chargeAmount,
+      reference: accountReference,
+      description: transactionDesc
+    });
+    const stkResponse = collection.raw;
 
-    // Now create deposit record using the CheckoutRequestID as transaction_id
-    const transactionId = stkResponse.CheckoutRequestID;
+    // Now create deposit record using the provider reference as transaction_id
+    const transactionId = collection.reference;
     
     console.log('Creating deposit record with transaction ID:', transactionId);
     
     const [rows] = await pool.query('CALL sp_deposit(?, ?, ?, ?)', [
       userId,
-      amount,
+      depositAmount,
       'mpesa',
       transactionId
     ]);
@@ -59,13 +70,24 @@ const initiateDeposit = async (req, res) => {
       return res.status(500).json({ message: 'Failed to create deposit record' });
     }
 
+    // What was charged, to cross-check the provider's callback against
+    await pool.query(
+      'UPDATE deposits SET provider = ?, charge_amount = ?, charge_phone = ? WHERE id = ?',
+      [collection.provider, chargeAmount, formatPhoneForMpesa(phoneNumber), transaction.id]
+    );
+
     console.log('Deposit record created successfully:', transaction);
 
     res.status(200).json({ 
       message: 'STK Push initiated and deposit record created', 
       stkResponse, 
       transaction_id: transactionId,
+      provider: collection.provider,
       deposit_id: transaction.id,
+      amount: depositAmount,
+      currency,
+      charged_amount: chargeAmount,
+      charged_currency: fx.BASE_CURRENCY,
       note: "Please check your phone for the STK push prompt and complete the payment."
     });
     
@@ -88,89 +110,32 @@ const initiateDeposit = async (req, res) => {
 const mpesaDepositCallback = async (req, res) => {
   console.log('=== M-PESA DEPOSIT CALLBACK RECEIVED ===');
   console.log('Full callback data:', JSON.stringify(req.body, null, 2));
-  console.log('Headers:', JSON.stringify(req.headers, null, 2));
   
   try {
-    const callbackData = req.body;
+    const event = paymentProviders.parseCallback('daraja', req.body);
     
     // Validate callback data structure
-    if (!callbackData || !callbackData.Body || !callbackData.Body.stkCallback) {
-      console.error('❌ Invalid callback data structure:', callbackData);
+    if (!event || event.kind !== 'collection') {
+      console.error('❌ Invalid callback data structure:', req.body);
+      await paymentCallbacks.recordOutcome(req, { status: 'ignored', outcome: 'Not an STK Push callback' });
       return res.status(200).json({ 
         ResultCode: 1, 
         ResultDesc: 'Invalid callback data structure' 
       });
     }
     
-    const stkCallback = callbackData.Body.stkCallback;
-    const transactionId = stkCallback.CheckoutRequestID;
-    const resultCode = stkCallback.ResultCode;
-    const resultDesc = stkCallback.ResultDesc;
-    
-    console.log('📋 Processing callback:', {
-      transactionId,
-      resultCode,
-      resultDesc,
-      status: resultCode === 0 ? 'SUCCESS' : 'FAILED'
-    });
-    
-    // Determine transaction status
-    const status = resultCode === 0 ? 'completed' : 'failed';
-    
-    // Extract additional details if transaction was successful
-    let mpesaReceipt = null;
-    let phoneNumber = null;
-    let amount = null;
-    let transactionDate = null;
-    
-    if (resultCode === 0 && stkCallback.CallbackMetadata && stkCallback.CallbackMetadata.Item) {
-      stkCallback.CallbackMetadata.Item.forEach(item => {
-        switch (item.Name) {
-          case 'MpesaReceiptNumber':
-            mpesaReceipt = item.Value;
-            break;
-          case 'PhoneNumber':
-            phoneNumber = item.Value;
-            break;
-          case 'Amount':
-            amount = item.Value;
-            break;
-          case 'TransactionDate':
-            transactionDate = item.Value;
-            break;
-        }
-      });
-      
-      console.log('💰 Payment details extracted:', {
-        mpesaReceipt,
-        phoneNumber,
-        amount,
-        transactionDate
-      });
-    } else {
-      console.log('❌ Transaction failed. Reason:', resultDesc);
-    }
-
-    // Update deposit status using stored procedure
-    console.log('🔄 Updating deposit status in database...');
-    
     try {
-      const [updateResult] = await pool.query('CALL sp_update_deposit_status(?, ?)', [
-        transactionId,
-        status
-      ]);
-      
-      console.log('✅ Deposit status update result:', updateResult);
-      
-      if (status === 'completed') {
-        console.log(`🎉 SUCCESS: Deposit ${transactionId} completed and user balance updated!`);
-        console.log(`Amount: KES ${amount}, Receipt: ${mpesaReceipt}`);
-      } else {
-        console.log(`⚠️ FAILED: Deposit ${transactionId} marked as failed`);
-      }
-      
+      const outcome = await paymentCallbacks.processEvent(event);
+      await paymentCallbacks.recordOutcome(req, outcome);
     } catch (dbError) {
       console.error('❌ Database error updating deposit status:', dbError);
+      await paymentCallbacks.recordOutcome(req, {
+        status: 'failed',
+        kind: event.kind,
+        reference: event.reference,
+        outcome: 'Database error updating deposit status',
+        error: dbError.message
+      });
       // Still acknowledge to M-Pesa to prevent retries
       return res.status(200).json({ 
         ResultCode: 0, 
@@ -178,8 +143,6 @@ const mpesaDepositCallback = async (req, res) => {
       });
     }
     
-    // Send successful acknowledgment to M-Pesa
-    console.log('📤 Sending acknowledgment to M-Pesa');
     res.status(200).json({ 
       ResultCode: 0, 
       ResultDesc: 'Accepted and processed successfully' 
@@ -199,4 +162,4 @@ const mpesaDepositCallback = async (req, res) => {
 module.exports = {
   initiateDeposit,
   mpesaDepositCallback
-};
\ No newline at end of file
+};
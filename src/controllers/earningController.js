@@ -1,4 +1,5 @@
 const pool = require('../db');
+const ledger = require('../utils/ledger');
 const { triggerManualEarning, getUserEarningsSummary } = require('../utils/miningEarningsProcessor');
 
 /**
@@ -38,14 +39,18 @@ const logEarning = async (req, res) => {
       return res.status(400).json({ message: 'Purchase is not active' });
     }
 
-    // Log the earning using stored procedure
-    const [result] = await pool.query('CALL sp_log_earning(?, ?, ?)', [
-      purchase_id,
-      earning_amount,
-      earningTime
-    ]);
+    // Log the earning using stored procedure; its ledger entries commit with it
+    const logEntry = await ledger.withTransaction(pool, async (connection) => {
+      const [result] = await connection.query('CALL sp_log_earning(?, ?, ?)', [
+        purchase_id,
+        earning_amount,
+        earningTime
+      ]);
 
-    const logEntry = result[0][0];
+      await ledger.recordLoggedEarning(connection, purchase_id, earningTime);
+      await ledger.recordNewReferralCommissions(connection, purchase[0].user_id);
+      return result[0][0];
+    });
 
     // Log admin action if user is admin
     if (req.user && req.user.role === 'admin') {
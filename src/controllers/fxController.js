@@ -0,0 +1,97 @@
+const pool = require('../db');
+const fx = require('../utils/fx');
+const money = require('../utils/money');
+
+// Wallet currencies users can choose at registration (public)
+const getCurrencies = async (req, res) => {
+  try {
+    const currencies = await fx.getAvailableCurrencies();
+    res.json({ base_currency: fx.BASE_CURRENCY, currencies });
+  } catch (error) {
+    console.error('Error fetching currencies:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+const getFxRates = async (req, res) => {
+  try {
+    const [rates] = await pool.query(`
+      SELECT fr.currency, fr.rate, fr.updated_by, u.full_name as updated_by_name, fr.created_at, fr.updated_at,
+             (SELECT COUNT(*) FROM users WHERE currency = fr.currency) as users
+      FROM fx_rates fr
+      LEFT JOIN users u ON fr.updated_by = u.id
+      ORDER BY fr.currency
+    `);
+
+    const configured = new Set(rates.map(rate => rate.currency));
+    const missing = Object.keys(money.CURRENCIES)
+      .filter(currency => currency !== fx.BASE_CURRENCY && !configured.has(currency));
+
+    res.json({
+      base_currency: fx.BASE_CURRENCY,
+      rates,
+      currencies_without_rate: missing
+    });
+  } catch (error) {
+    console.error('Error fetching FX rates:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+// Create or update the rate for one currency
+const setFxRate = async (req, res) => {
+  const adminId = req.user.id;
+  const currency = String(req.params.currency || '').toUpperCase();
+  const { rate } = req.body;
+
+  if (currency === fx.BASE_CURRENCY) {
+    return res.status(400).json({ message: `${fx.BASE_CURRENCY} is the base currency and always has a rate of 1` });
+  }
+  if (!money.isSupportedCurrency(currency)) {
+    return res.status(400).json({
+      message: `Unsupported currency. Supported: ${Object.keys(money.CURRENCIES).join(', ')}`
+    });
+  }
+  if (rate === undefined || rate === null || isNaN(Number(rate)) || Number(rate) <= 0) {
+    return res.status(400).json({ message: 'Rate must be a positive number' });
+  }
+
+  try {
+    const newRate = money.fromPrecise(money.toPrecise(rate));
+    const previousRate = await fx.getRate(currency);
+
+    await pool.query(`
+      INSERT INTO fx_rates (currency, rate, updated_by)
+      VALUES (?, ?, ?)
+      ON DUPLICATE KEY UPDATE rate = VALUES(rate), updated_by = VALUES(updated_by)
+    `, [currency, newRate, adminId]);
+
+    await pool.query(`
+      INSERT INTO admin_logs (admin_id, action, target_type, target_id, details, created_at)
+      VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+    `, [adminId, 'fx_rate_update', 'fx_rate', null, JSON.stringify({
+      currency,
+      previous_rate: previousRate,
+      rate: newRate
+    })]);
+
+    res.json({
+      message: `Exchange rate for ${currency} updated`,
+      rate: {
+        currency,
+        rate: newRate,
+        previous_rate: previousRate,
+        example: `${money.format(1000, fx.BASE_CURRENCY)} = ${money.format(money.multiply(1000, newRate), currency)}`
+      }
+    });
+  } catch (error) {
+    console.error('Error updating FX rate:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  getCurrencies,
+  getFxRates,
+  setFxRate
+};
@@ -0,0 +1,362 @@
+const pool = require('../db');
+const kycService = require('../utils/kycService');
+const { getStorage } = require('../utils/documentStorage');
+
+const ID_NUMBER_PATTERN = /^[A-Z0-9]{5,20}$/;
+
+// === USER ENDPOINTS ===
+
+// Current KYC tier, limits and the latest submission
+const getKycStatus = async (req, res) => {
+  const userId = req.user.id;
+
+  try {
+    const [userRows] = await pool.query('SELECT kyc_tier, kyc_verified_at FROM users WHERE id = ?', [userId]);
+    const tier = Number(userRows[0].kyc_tier);
+
+    const [submissions] = await pool.query(`
+      SELECT id, requested_tier, status, approved_tier, rejection_reason, created_at, reviewed_at
+      FROM kyc_submissions
+      WHERE user_id = ?
+      ORDER BY created_at DESC
+      LIMIT 1
+    `, [userId]);
+
+    res.json({
+      kyc: {
+        tier,
+        verified_at: userRows[0].kyc_verified_at,
+        withdrawal_limits: await kycService.getTierLimits(tier),
+        latest_submission: submissions[0] || null,
+        tiers: kycService.KYC_TIERS
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching KYC status:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+// Submit identity details and documents (multipart/form-data)
+const submitKyc = async (req, res) => {
+  const userId = req.user.id;
+  const { full_name, date_of_birth } = req.body;
+  const idNumber = String(req.body.id_number || '').replace(/\s/g, '').toUpperCase();
+  const requestedTier = parseInt(req.body.tier || 1);
+  const files = req.files || {};
+
+  if (!idNumber || !full_name) {
+    return res.status(400).json({ message: 'ID number and full name are required' });
+  }
+
+  if (!ID_NUMBER_PATTERN.test(idNumber)) {
+    return res.status(400).json({ message: 'Invalid ID number' });
+  }
+
+  if (!kycService.KYC_TIERS[requestedTier]) {
+    return res.status(400).json({ message: `Tier must be one of: ${Object.keys(kycService.KYC_TIERS).join(', ')}` });
+  }
+
+  if (date_of_birth && isNaN(new Date(date_of_birth).getTime())) {
+    return res.status(400).json({ message: 'Invalid date of birth' });
+  }
+
+  const missing = kycService.KYC_TIERS[requestedTier].required_documents.filter(type => !files[type]);
+  if (missing.length > 0) {
+    return res.status(400).json({ message: `Missing required documents: ${missing.join(', ')}` });
+  }
+
+  const storage = getStorage();
+  const savedKeys = [];
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const [userRows] = await connection.query('SELECT kyc_tier FROM users WHERE id = ? FOR UPDATE', [userId]);
+    if (requestedTier <= Number(userRows[0].kyc_tier)) {
+      await connection.rollback();
+      return res.status(400).json({ message: 'You are already verified at this tier' });
+    }
+
+    const [pending] = await connection.query(
+      "SELECT id FROM kyc_submissions WHERE user_id = ? AND status = 'pending'",
+      [userId]
+    );
+    if (pending.length > 0) {
+      await connection.rollback();
+      return res.status(400).json({ message: 'You already have a verification request under review' });
+    }
+
+    // One ID number can only back one account
+    const [idInUse] = await connection.query(
+      "SELECT id FROM kyc_submissions WHERE id_number = ? AND user_id != ? AND status IN ('pending', 'approved')",
+      [idNumber, userId]
+    );
+    if (idInUse.length > 0) {
+      await connection.rollback();
+      return res.status(400).json({ message: 'This ID number is already linked to another account' });
+    }
+
+    const [result] = await connection.query(`
+      INSERT INTO kyc_submissions (user_id, requested_tier, id_number, full_name, date_of_birth, status, created_at)
+      VALUES (?, ?, ?, ?, ?, 'pending', CURRENT_TIMESTAMP)
+    `, [userId, requestedTier, idNumber, full_name.trim(), date_of_birth || null]);
+
+    const submissionId = result.insertId;
+
+    for (const [documentType, [file]] of Object.entries(files)) {
+      const storageKey = await storage.save(file.buffer, {
+        folder: `kyc-${userId}`,
+        extension: kycService.ALLOWED_MIME_TYPES[file.mimetype]
+      });
+      savedKeys.push(storageKey);
+
+      await connection.query(`
+        INSERT INTO kyc_documents (submission_id, user_id, document_type, storage_key, original_name, mime_type, size_bytes, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+      `, [submissionId, userId, documentType, storageKey, file.originalname.substring(0, 255), file.mimetype, file.size]);
+    }
+
+    await connection.commit();
+
+    res.status(201).json({
+      message: 'Verification request submitted. We will review your documents shortly.',
+      submission: { id: submissionId, requested_tier: requestedTier, status: 'pending' }
+    });
+  } catch (error) {
+    await connection.rollback();
+    // Don't leave orphaned files behind
+    await Promise.all(savedKeys.map(key => storage.remove(key).catch(() => {})));
+    console.error('Error submitting KYC:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  } finally {
+    connection.release();
+  }
+};
+
+// === ADMIN ENDPOINTS ===
+
+const getKycSubmissions = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status = 'pending' } = req.query;
+    const offset = (page - 1) * limit;
+
+    let query = `
+      SELECT k.id, k.user_id, k.requested_tier, k.id_number, k.full_name, k.status, k.approved_tier,
+             k.created_at, k.reviewed_at, u.phone, u.email, u.kyc_tier,
+             (SELECT COUNT(*) FROM kyc_documents d WHERE d.submission_id = k.id) as document_count
+      FROM kyc_submissions k
+      JOIN users u ON k.user_id = u.id
+    `;
+    const params = [];
+
+    if (status !== 'all') {
+      query += ' WHERE k.status = ?';
+      params.push(status);
+    }
+
+    query += ' ORDER BY k.created_at ASC LIMIT ? OFFSET ?';
+    params.push(parseInt(limit), parseInt(offset));
+
+    const [submissions] = await pool.query(query, params);
+
+    const [countResult] = await pool.query(
+      `SELECT COUNT(*) as total FROM kyc_submissions${status !== 'all' ? ' WHERE status = ?' : ''}`,
+      status !== 'all' ? [status] : []
+    );
+    const total = countResult[0].total;
+
+    res.json({
+      submissions,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching KYC submissions:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+const getKycSubmission = async (req, res) => {
+  try {
+    const { submissionId } = req.params;
+
+    const [rows] = await pool.query(`
+      SELECT k.*, u.phone, u.email, u.full_name as account_name, u.kyc_tier, u.created_at as user_created_at,
+             reviewer.full_name as reviewed_by_name
+      FROM kyc_submissions k
+      JOIN users u ON k.user_id = u.id
+      LEFT JOIN users reviewer ON k.reviewed_by = reviewer.id
+      WHERE k.id = ?
+    `, [submissionId]);
+
+    if (rows.length === 0) {
+      return res.status(404).json({ message: 'KYC submission not found' });
+    }
+
+    const [documents] = await pool.query(`
+      SELECT id, document_type, original_name, mime_type, size_bytes, created_at
+      FROM kyc_documents
+      WHERE submission_id = ?
+    `, [submissionId]);
+
+    res.json({ submission: rows[0], documents });
+  } catch (error) {
+    console.error('Error fetching KYC submission:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+// Stream a stored document to the reviewer
+const getKycDocument = async (req, res) => {
+  try {
+    const { documentId } = req.params;
+
+    const [rows] = await pool.query(
+      'SELECT id, user_id, document_type, storage_key, mime_type FROM kyc_documents WHERE id = ?',
+      [documentId]
+    );
+
+    if (rows.length === 0) {
+      return res.status(404).json({ message: 'Document not found' });
+    }
+
+    const document = rows[0];
+    const content = await getStorage().read(document.storage_key);
+
+    res.set({
+      'Content-Type': document.mime_type,
+      'Content-Disposition': `inline; filename="kyc-${document.user_id}-${document.document_type}"`,
+      'Cache-Control': 'no-store'
+    });
+    res.send(content);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return res.status(404).json({ message: 'Document file is missing from storage' });
+    }
+    console.error('Error fetching KYC document:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+const approveKycSubmission = async (req, res) => {
+  const { submissionId } = req.params;
+  const adminId = req.user.id;
+
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const [rows] = await connection.query(
+      'SELECT id, user_id, requested_tier, status FROM kyc_submissions WHERE id = ? FOR UPDATE',
+      [submissionId]
+    );
+
+    if (rows.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({ message: 'KYC submission not found' });
+    }
+
+    const submission = rows[0];
+
+    if (submission.status !== 'pending') {
+      await connection.rollback();
+      return res.status(400).json({ message: 'Only pending submissions can be approved' });
+    }
+
+    // Reviewers may grant a lower tier than requested (e.g. selfie unusable)
+    const approvedTier = req.body.tier !== undefined ? parseInt(req.body.tier) : submission.requested_tier;
+    if (!kycService.KYC_TIERS[approvedTier] || approvedTier > submission.requested_tier) {
+      await connection.rollback();
+      return res.status(400).json({ message: `Tier must be between 1 and ${submission.requested_tier}` });
+    }
+
+    await connection.query(`
+      UPDATE kyc_submissions
+      SET status = 'approved', approved_tier = ?, reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [approvedTier, adminId, submissionId]);
+
+    await connection.query(`
+      UPDATE users
+      SET kyc_tier = GREATEST(kyc_tier, ?), kyc_verified_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [approvedTier, submission.user_id]);
+
+    await connection.query(`
+      INSERT INTO admin_logs (admin_id, action, target_type, target_id, details, created_at)
+      VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+    `, [adminId, 'kyc_approve', 'user', submission.user_id, JSON.stringify({
+      submission_id: submission.id,
+      requested_tier: submission.requested_tier,
+      approved_tier: approvedTier
+    })]);
+
+    await connection.commit();
+
+    res.json({ message: 'KYC submission approved', approved_tier: approvedTier });
+  } catch (error) {
+    await connection.rollback();
+    console.error('Error approving KYC submission:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  } finally {
+    connection.release();
+  }
+};
+
+const rejectKycSubmission = async (req, res) => {
+  const { submissionId } = req.params;
+  const { reason } = req.body;
+  const adminId = req.user.id;
+
+  if (!reason) {
+    return res.status(400).json({ message: 'Rejection reason is required' });
+  }
+
+  try {
+    const [rows] = await pool.query('SELECT id, user_id, status FROM kyc_submissions WHERE id = ?', [submissionId]);
+
+    if (rows.length === 0) {
+      return res.status(404).json({ message: 'KYC submission not found' });
+    }
+
+    if (rows[0].status !== 'pending') {
+      return res.status(400).json({ message: 'Only pending submissions can be rejected' });
+    }
+
+    await pool.query(`
+      UPDATE kyc_submissions
+      SET status = 'rejected', rejection_reason = ?, reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND status = 'pending'
+    `, [String(reason).substring(0, 255), adminId, submissionId]);
+
+    await pool.query(`
+      INSERT INTO admin_logs (admin_id, action, target_type, target_id, details, created_at)
+      VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+    `, [adminId, 'kyc_reject', 'user', rows[0].user_id, JSON.stringify({ submission_id: rows[0].id, reason })]);
+
+    res.json({ message: 'KYC submission rejected' });
+  } catch (error) {
+    console.error('Error rejecting KYC submission:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  // User
+  getKycStatus,
+  submitKyc,
+
+  // Admin
+  getKycSubmissions,
+  getKycSubmission,
+  getKycDocument,
+  approveKycSubmission,
+  rejectKycSubmission
+};
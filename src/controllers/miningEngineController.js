@@ -1,4 +1,37 @@
 const pool = require('../db');
+const money = require('../utils/money');
+const fx = require('../utils/fx');
+
+/**
+ * Rate for a ?currency= display currency. Engine prices are stored in the base
+ * currency; returns { error } if the currency can't be shown.
+ */
+const getDisplayRate = async (currency) => {
+  if (!currency) {
+    return { currency: null, rate: null };
+  }
+  const normalized = String(currency).toUpperCase();
+  const rate = money.isSupportedCurrency(normalized) ? await fx.getRate(normalized) : null;
+  if (rate === null) {
+    return { error: `Currency ${currency} is not available` };
+  }
+  return { currency: normalized, rate };
+};
+
+// Engine prices and limits converted to a display currency
+const localPricing = (engine, currency, rate) => {
+  const convert = (amount) => (amount === null || amount === undefined)
+    ? null
+    : money.round(money.multiply(amount, rate), currency);
+
+  return {
+    currency,
+    rate,
+    price: convert(engine.price),
+    min_investment: convert(engine.min_investment),
+    max_investment: convert(engine.max_investment)
+  };
+};
 
 /**
  * Get all mining engines with enhanced filtering and statistics
@@ -10,9 +43,15 @@ const getMiningEngines = async (req, res) => {
       earning_interval,
       sort_by = 'created_at',
       sort_order = 'DESC',
-      include_stats = 'false'
+      include_stats = 'false',
+      currency
     } = req.query;
 
+    const display = await getDisplayRate(currency);
+    if (display.error) {
+      return res.status(400).json({ message: display.error });
+    }
+
     // Build base query conditions
     let whereConditions = [];
     let queryParams = [];
@@ -65,6 +104,7 @@ const getMiningEngines = async (req, res) => {
 
       return {
         ...engine,
+        ...(display.currency ? { local_pricing: localPricing(engine, display.currency, display.rate) } : {}),
         calculated_metrics: {
           annual_rate_percentage: parseFloat(annualRate),
           total_potential_return: parseFloat(totalPotentialReturn),
@@ -102,7 +142,12 @@ const getMiningEngines = async (req, res) => {
 const getMiningEngineById = async (req, res) => {
   try {
     const { engineId } = req.params;
-    const { include_stats = 'true' } = req.query;
+    const { include_stats = 'true', currency } = req.query;
+
+    const display = await getDisplayRate(currency);
+    if (display.error) {
+      return res.status(400).json({ message: display.error });
+    }
 
     // Get engine details
     const [engines] = await pool.query(`
@@ -185,6 +230,10 @@ const getMiningEngineById = async (req, res) => {
       }
     };
 
+    if (display.currency) {
+      response.local_pricing = localPricing(engine, display.currency, display.rate);
+    }
+
     if (earningsStats) {
       response.earnings_statistics = earningsStats;
     }
@@ -0,0 +1,144 @@
+const pool = require('../db');
+const notificationService = require('../utils/notificationService');
+
+const getNotifications = async (req, res) => {
+  const userId = req.user.id;
+  const { page = 1, limit = 20, unread_only } = req.query;
+  const offset = (page - 1) * limit;
+
+  try {
+    let whereClause = 'WHERE user_id = ?';
+    const params = [userId];
+
+    if (unread_only === 'true') {
+      whereClause += ' AND read_at IS NULL';
+    }
+
+    const [notifications] = await pool.query(`
+      SELECT id, type, title, message, data, read_at, created_at
+      FROM notifications
+      ${whereClause}
+      ORDER BY created_at DESC, id DESC
+      LIMIT ? OFFSET ?
+    `, [...params, parseInt(limit), parseInt(offset)]);
+
+    const [countResult] = await pool.query(
+      `SELECT COUNT(*) as total FROM notifications ${whereClause}`,
+      params
+    );
+    const total = countResult[0].total;
+
+    res.json({
+      notifications: notifications.map(notification => ({
+        ...notification,
+        data: typeof notification.data === 'string' ? JSON.parse(notification.data) : notification.data,
+        is_read: notification.read_at !== null
+      })),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching notifications:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+const getUnreadCount = async (req, res) => {
+  try {
+    const [rows] = await pool.query(
+      'SELECT COUNT(*) as unread FROM notifications WHERE user_id = ? AND read_at IS NULL',
+      [req.user.id]
+    );
+    res.json({ unread_count: rows[0].unread });
+  } catch (error) {
+    console.error('Error fetching unread notification count:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+const markAsRead = async (req, res) => {
+  const { notificationId } = req.params;
+
+  try {
+    const [result] = await pool.query(`
+      UPDATE notifications SET read_at = COALESCE(read_at, CURRENT_TIMESTAMP)
+      WHERE id = ? AND user_id = ?
+    `, [notificationId, req.user.id]);
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    res.json({ message: 'Notification marked as read' });
+  } catch (error) {
+    console.error('Error marking notification as read:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+const markAllAsRead = async (req, res) => {
+  try {
+    const [result] = await pool.query(
+      'UPDATE notifications SET read_at = CURRENT_TIMESTAMP WHERE user_id = ? AND read_at IS NULL',
+      [req.user.id]
+    );
+    res.json({ message: 'All notifications marked as read', updated: result.affectedRows });
+  } catch (error) {
+    console.error('Error marking notifications as read:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+const getPreferences = async (req, res) => {
+  try {
+    const preferences = await notificationService.getPreferences(req.user.id);
+    res.json({
+      preferences,
+      types: Object.fromEntries(
+        Object.entries(notificationService.NOTIFICATION_TYPES).map(([type, config]) => [type, config.label])
+      )
+    });
+  } catch (error) {
+    console.error('Error fetching notification preferences:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+// Body: { preferences: { deposit_completed: true, earnings_credited: false, ... } }
+const updatePreferences = async (req, res) => {
+  const { preferences } = req.body;
+
+  if (!preferences || typeof preferences !== 'object') {
+    return res.status(400).json({ message: 'Preferences object is required' });
+  }
+
+  const unknown = Object.keys(preferences).filter(type => !notificationService.NOTIFICATION_TYPES[type]);
+  if (unknown.length > 0) {
+    return res.status(400).json({ message: `Unknown notification types: ${unknown.join(', ')}` });
+  }
+
+  if (Object.values(preferences).some(value => typeof value !== 'boolean')) {
+    return res.status(400).json({ message: 'Preference values must be true or false' });
+  }
+
+  try {
+    const updated = await notificationService.updatePreferences(req.user.id, preferences);
+    res.json({ message: 'Notification preferences updated', preferences: updated });
+  } catch (error) {
+    console.error('Error updating notification preferences:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  getNotifications,
+  getUnreadCount,
+  markAsRead,
+  markAllAsRead,
+  getPreferences,
+  updatePreferences
+};
@@ -0,0 +1,133 @@
+const pool = require('../db');
+const paymentCallbacks = require('../utils/paymentCallbacks');
+
+const LIST_COLUMNS = `
+  pc.id, pc.provider, pc.endpoint, pc.source_ip, pc.kind, pc.reference, pc.status, pc.outcome,
+  pc.deposit_id, pc.withdrawal_id, pc.replayable, pc.replay_count, pc.last_replayed_at,
+  pc.received_at, pc.processed_at
+`;
+
+// Stored callbacks, newest first; bodies and headers only on the detail view
+const getCallbacks = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, provider, status, kind, reference, deposit_id, withdrawal_id, from, to } = req.query;
+    const offset = (page - 1) * limit;
+
+    let whereClause = 'WHERE 1=1';
+    const params = [];
+    const filters = { provider, status, kind, reference, deposit_id, withdrawal_id };
+
+    for (const [column, value] of Object.entries(filters)) {
+      if (value) {
+        whereClause += ` AND pc.${column} = ?`;
+        params.push(value);
+      }
+    }
+    if (from) {
+      whereClause += ' AND pc.received_at >= ?';
+      params.push(from);
+    }
+    if (to) {
+      whereClause += ' AND pc.received_at < ?';
+      params.push(to);
+    }
+
+    const [callbacks] = await pool.query(`
+      SELECT ${LIST_COLUMNS}
+      FROM payment_callbacks pc
+      ${whereClause}
+      ORDER BY pc.received_at DESC, pc.id DESC
+      LIMIT ? OFFSET ?
+    `, [...params, parseInt(limit), parseInt(offset)]);
+
+    const [countResult] = await pool.query(
+      `SELECT COUNT(*) as total FROM payment_callbacks pc ${whereClause}`,
+      params
+    );
+    const total = countResult[0].total;
+
+    res.json({
+      callbacks,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching payment callbacks:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+const getCallback = async (req, res) => {
+  try {
+    const { callbackId } = req.params;
+
+    const [rows] = await pool.query(`
+      SELECT pc.*, u.full_name as last_replayed_by_name
+      FROM payment_callbacks pc
+      LEFT JOIN users u ON pc.last_replayed_by = u.id
+      WHERE pc.id = ?
+    `, [callbackId]);
+
+    if (rows.length === 0) {
+      return res.status(404).json({ message: 'Callback not found' });
+    }
+
+    const callback = rows[0];
+    let body = null;
+    try {
+      body = JSON.parse(callback.raw_body);
+    } catch (error) {
+      // Not JSON; raw_body still has it verbatim
+    }
+
+    res.json({
+      callback: {
+        ...callback,
+        headers: typeof callback.headers === 'string' ? JSON.parse(callback.headers) : callback.headers,
+        body
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching payment callback:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+// Run a stored callback through processing again, e.g. after a bug fix
+const replayCallback = async (req, res) => {
+  try {
+    const { callbackId } = req.params;
+    const adminId = req.user.id;
+
+    const result = await paymentCallbacks.replayCallback(callbackId, adminId);
+    if (!result) {
+      return res.status(404).json({ message: 'Callback not found' });
+    }
+    if (result.message) {
+      return res.status(400).json({ message: result.message });
+    }
+
+    await pool.query(`
+      INSERT INTO admin_logs (admin_id, action, target_type, target_id, details, created_at)
+      VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+    `, [adminId, 'payment_callback_replay', 'payment_callback', callbackId, JSON.stringify(result)]);
+
+    res.json({
+      message: 'Callback replayed',
+      result
+    });
+  } catch (error) {
+    console.error('Error replaying payment callback:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  getCallbacks,
+  getCallback,
+  replayCallback
+};
@@ -0,0 +1,40 @@
+const paymentProviders = require('../utils/paymentProviders');
+const paymentCallbacks = require('../utils/paymentCallbacks');
+
+// Callback from any payment provider: collections update deposits, payouts update withdrawals
+const providerCallback = async (req, res) => {
+  const { provider } = req.params;
+
+  if (!paymentProviders.isValidProvider(provider)) {
+    return res.status(404).json({ message: 'Unknown payment provider' });
+  }
+
+  try {
+    const event = paymentProviders.parseCallback(provider, req.body);
+    if (!event) {
+      console.error(`Invalid ${provider} callback:`, JSON.stringify(req.body));
+      await paymentCallbacks.recordOutcome(req, { status: 'ignored', outcome: 'Body is not a recognised callback' });
+      return res.status(200).json(paymentProviders.acknowledgement(provider, false));
+    }
+
+    console.log(`${provider} ${event.kind} callback:`, {
+      reference: event.reference,
+      status: event.status,
+      description: event.description
+    });
+
+    const outcome = await paymentCallbacks.processEvent(event);
+    await paymentCallbacks.recordOutcome(req, outcome);
+
+    res.status(200).json(paymentProviders.acknowledgement(provider, true));
+  } catch (error) {
+    console.error(`Error processing ${provider} callback:`, error);
+    await paymentCallbacks.recordOutcome(req, { status: 'failed', outcome: 'Error processing callback', error: error.message });
+    // Acknowledge anyway so the provider does not retry indefinitely
+    res.status(200).json(paymentProviders.acknowledgement(provider, false));
+  }
+};
+
+module.exports = {
+  providerCallback
+};
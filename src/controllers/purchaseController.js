@@ -1,4 +1,7 @@
 const pool = require('../db');
+const ledger = require('../utils/ledger');
+const money = require('../utils/money');
+const fx = require('../utils/fx');
 
 /**
  * Enhanced purchase controller with proper timing logic for hourly/daily engines
@@ -23,11 +26,18 @@ const safeToFixed = (value, decimals = 2, defaultValue = 0) => {
 const purchaseEngine = async (req, res) => {
   const userId = req.user.id;
   const { engine_id, amount } = req.body;
+  // Retries are answered by the idempotency middleware; the key is also
+  // stored on the purchase, where it is unique per user
+  const idempotencyKey = req.get('Idempotency-Key') || null;
   
   if (!engine_id || !amount) {
     return res.status(400).json({ message: 'Engine ID and amount are required' });
   }
 
+  if (isNaN(Number(amount)) || Number(amount) <= 0) {
+    return res.status(400).json({ message: 'Amount must be a positive number' });
+  }
+
   const connection = await pool.getConnection();
   
   try {
@@ -49,29 +59,41 @@ const purchaseEngine = async (req, res) => {
     
     const engine = engineRows[0];
     
-    // Validation checks
-    const minInvestment = engine.min_investment || engine.price;
-    const maxInvestment = engine.max_investment || 5000000;
+    const [userRows] = await connection.query('SELECT balance, held_balance, currency FROM users WHERE id = ? FOR UPDATE', [userId]);
+    if (userRows.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({ message: 'User not found' });
+    }
+    const currency = userRows[0].currency;
+    const investment = money.round(amount, currency);
+
+    // Engine limits are priced in the base currency; the investment is in the wallet currency
+    const minInvestment = await fx.fromBase(engine.min_investment || engine.price, currency, connection);
+    const maxInvestment = await fx.fromBase(engine.max_investment || 5000000, currency, connection);
     
-    if (amount < minInvestment) {
+    if (money.compare(investment, minInvestment) < 0) {
       await connection.rollback();
       return res.status(400).json({ 
-        message: `Minimum investment for this engine is KES ${minInvestment}` 
+        message: `Minimum investment for this engine is ${money.format(minInvestment, currency)}` 
       });
     }
     
-    if (amount > maxInvestment) {
+    if (money.compare(investment, maxInvestment) > 0) {
       await connection.rollback();
       return res.status(400).json({ 
-        message: `Maximum investment for this engine is KES ${maxInvestment}` 
+        message: `Maximum investment for this engine is ${money.format(maxInvestment, currency)}` 
       });
     }
     
-    // Check user balance
-    const [userRows] = await connection.query('SELECT balance FROM users WHERE id = ?', [userId]);
-    if (userRows.length === 0 || userRows[0].balance < amount) {
+    // Check user balance; funds held for pending withdrawals cannot be invested
+    const availableBalance = money.subtract(userRows[0].balance, userRows[0].held_balance);
+    if (money.compare(availableBalance, investment) < 0) {
       await connection.rollback();
-      return res.status(400).json({ message: 'Insufficient balance' });
+      return res.status(400).json({ 
+        message: 'Insufficient balance',
+        available_balance: availableBalance,
+        held_balance: userRows[0].held_balance
+      });
     }
     
     // Calculate earnings based on interval type with exact timing
@@ -80,11 +102,11 @@ const purchaseEngine = async (req, res) => {
     
     // Unified earnings calculation: earnings = ROI * Investment (daily_earning_rate / 100 * amount)
     // This represents the daily earning amount regardless of interval
-    dailyEarning = parseFloat((amount * (engine.daily_earning_rate / 100)).toFixed(8));
+    dailyEarning = money.percentOf(investment, engine.daily_earning_rate);
 
     // Period earning is what user gets per earning interval
     if (engine.earning_interval === 'hourly') {
-      periodEarning = parseFloat((dailyEarning / 24).toFixed(8)); // Hourly portion of daily earning
+      periodEarning = money.divide(dailyEarning, 24); // Hourly portion of daily earning
       totalDuration = engine.duration_hours || 24;
       // End date = purchase time + total duration in hours
       endDate = new Date(purchaseTime);
@@ -97,30 +119,31 @@ const purchaseEngine = async (req, res) => {
       endDate.setDate(endDate.getDate() + totalDuration);
     }
     
-    // Update user balance
-    await connection.query(
-      'UPDATE users SET balance = balance - ? WHERE id = ?',
-      [amount, userId]
-    );
-    
     // Create purchase record with exact timing
     const [purchaseResult] = await connection.query(`
       INSERT INTO purchases (
         user_id, engine_id, amount_invested, daily_earning, 
-        total_earned, start_date, end_date, status, created_at
-      ) VALUES (?, ?, ?, ?, 0, ?, ?, 'active', ?)
+        total_earned, start_date, end_date, status, idempotency_key, created_at
+      ) VALUES (?, ?, ?, ?, 0, ?, ?, 'active', ?, ?)
     `, [
       userId, 
       engine_id, 
-      amount, 
+      investment, 
       dailyEarning,
       purchaseTime, // start_date is the exact purchase time
       endDate,      // end_date is purchase_time + duration
+      idempotencyKey,
       purchaseTime  // created_at is also the exact purchase time
     ]);
     
     const purchaseId = purchaseResult.insertId;
     
+    // Debit the user's balance through the ledger
+    await ledger.recordPurchase(connection, { userId, purchaseId, amount: investment });
+
+    // The database pays referral commissions on the purchase
+    await ledger.recordNewReferralCommissions(connection, userId);
+    
     // Get the created purchase with engine details
     const [purchaseDetails] = await connection.query(`
       SELECT 
@@ -169,6 +192,12 @@ const purchaseEngine = async (req, res) => {
     if (error.errno === 1644) {
       return res.status(400).json({ message: error.sqlMessage || 'Purchase failed' });
     }
+    if (error.code === 'ER_DUP_ENTRY' && idempotencyKey) {
+      return res.status(409).json({
+        message: 'A purchase was already made with this Idempotency-Key',
+        code: 'IDEMPOTENCY_KEY_IN_USE'
+      });
+    }
     
     res.status(500).json({ message: 'Internal server error' });
   } finally {
@@ -379,7 +408,8 @@ const getPurchaseDetails = async (req, res) => {
         e.duration_hours,
         e.image_url as engine_image,
         u.full_name,
-        u.email
+        u.email,
+        u.currency
       FROM purchases p
       JOIN mining_engines e ON p.engine_id = e.id
       JOIN users u ON p.user_id = u.id
@@ -457,7 +487,7 @@ const getPurchaseDetails = async (req, res) => {
       earning_history: earningLogs.map(log => ({
         ...log,
         formatted_datetime: new Date(log.earning_datetime).toLocaleString(),
-        formatted_amount: `KES ${safeToFixed(log.earning_amount, 2)}`
+        formatted_amount: money.format(log.earning_amount, purchase.currency)
       }))
     });
     
@@ -0,0 +1,194 @@
+const pool = require('../db');
+const balanceReconciliation = require('../utils/balanceReconciliation');
+
+const getDiscrepancies = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status = 'open' } = req.query;
+    const offset = (page - 1) * limit;
+
+    let whereClause = 'WHERE 1=1';
+    const params = [];
+
+    if (status !== 'all') {
+      whereClause += ' AND bd.status = ?';
+      params.push(status);
+    }
+
+    const [discrepancies] = await pool.query(`
+      SELECT bd.id, bd.user_id, u.email, u.full_name, u.phone,
+             bd.expected_balance, bd.actual_balance, bd.ledger_balance, bd.difference,
+             bd.status, bd.first_run_id, bd.last_run_id, bd.resolved_by, bd.resolved_at,
+             bd.resolution_note, bd.created_at, bd.updated_at
+      FROM balance_discrepancies bd
+      JOIN users u ON bd.user_id = u.id
+      ${whereClause}
+      ORDER BY ABS(bd.difference) DESC, bd.created_at DESC
+      LIMIT ? OFFSET ?
+    `, [...params, parseInt(limit), parseInt(offset)]);
+
+    const [countResult] = await pool.query(
+      `SELECT COUNT(*) as total FROM balance_discrepancies bd ${whereClause}`,
+      params
+    );
+    const total = countResult[0].total;
+
+    const [lastRun] = await pool.query('SELECT * FROM reconciliation_runs ORDER BY id DESC LIMIT 1');
+
+    res.json({
+      discrepancies,
+      last_run: lastRun[0] || null,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching balance discrepancies:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+const getReconciliationRuns = async (req, res) => {
+  try {
+    const { limit = 30 } = req.query;
+    const [runs] = await pool.query(
+      'SELECT * FROM reconciliation_runs ORDER BY id DESC LIMIT ?',
+      [parseInt(limit)]
+    );
+    res.json({ runs });
+  } catch (error) {
+    console.error('Error fetching reconciliation runs:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+const runReconciliation = async (req, res) => {
+  try {
+    const [running] = await pool.query(`
+      SELECT id FROM reconciliation_runs
+      WHERE status = 'running' AND started_at > DATE_SUB(NOW(), INTERVAL 1 HOUR)
+    `);
+    if (running.length > 0) {
+      return res.status(409).json({ message: 'A reconciliation run is already in progress' });
+    }
+
+    const summary = await balanceReconciliation.runReconciliation(req.user.id);
+    res.json({ message: 'Reconciliation completed', ...summary });
+  } catch (error) {
+    console.error('Error running reconciliation:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+const getDiscrepancy = async (req, res) => {
+  try {
+    const { discrepancyId } = req.params;
+
+    const [rows] = await pool.query(`
+      SELECT bd.*, u.email, u.full_name, u.phone
+      FROM balance_discrepancies bd
+      JOIN users u ON bd.user_id = u.id
+      WHERE bd.id = ?
+    `, [discrepancyId]);
+
+    if (rows.length === 0) {
+      return res.status(404).json({ message: 'Discrepancy not found' });
+    }
+
+    const discrepancy = rows[0];
+    const [current] = await balanceReconciliation.computeBalances(pool, discrepancy.user_id);
+
+    res.json({
+      discrepancy: {
+        ...discrepancy,
+        breakdown: typeof discrepancy.breakdown === 'string' ? JSON.parse(discrepancy.breakdown) : discrepancy.breakdown
+      },
+      current
+    });
+  } catch (error) {
+    console.error('Error fetching balance discrepancy:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+const correctDiscrepancy = async (req, res) => {
+  const { discrepancyId } = req.params;
+  const { note } = req.body;
+
+  if (!note || !note.trim()) {
+    return res.status(400).json({ message: 'A note explaining the correction is required' });
+  }
+
+  try {
+    const result = await balanceReconciliation.correctDiscrepancy(discrepancyId, req.user.id, note.trim());
+
+    if (!result.found) {
+      return res.status(404).json({ message: 'Discrepancy not found' });
+    }
+    if (!result.open) {
+      return res.status(400).json({ message: 'Only open discrepancies can be corrected' });
+    }
+
+    res.json({
+      message: 'Balance corrected',
+      user_id: result.before.user_id,
+      balance_before: result.before.actual_balance,
+      balance_after: result.before.expected_balance,
+      correction: result.correction
+    });
+  } catch (error) {
+    console.error('Error correcting balance discrepancy:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+const dismissDiscrepancy = async (req, res) => {
+  const { discrepancyId } = req.params;
+  const { note } = req.body;
+  const adminId = req.user.id;
+
+  if (!note || !note.trim()) {
+    return res.status(400).json({ message: 'A note explaining the dismissal is required' });
+  }
+
+  try {
+    const [rows] = await pool.query('SELECT id, user_id, status, difference FROM balance_discrepancies WHERE id = ?', [discrepancyId]);
+    if (rows.length === 0) {
+      return res.status(404).json({ message: 'Discrepancy not found' });
+    }
+    if (rows[0].status !== 'open') {
+      return res.status(400).json({ message: 'Only open discrepancies can be dismissed' });
+    }
+
+    await pool.query(`
+      UPDATE balance_discrepancies
+      SET status = 'dismissed', resolved_by = ?, resolved_at = CURRENT_TIMESTAMP, resolution_note = ?
+      WHERE id = ?
+    `, [adminId, note.trim(), discrepancyId]);
+
+    await pool.query(`
+      INSERT INTO admin_logs (admin_id, action, target_type, target_id, details, created_at)
+      VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+    `, [adminId, 'reconciliation_dismissed', 'user', rows[0].user_id, JSON.stringify({
+      discrepancy_id: rows[0].id,
+      difference: rows[0].difference,
+      note: note.trim()
+    })]);
+
+    res.json({ message: 'Discrepancy dismissed' });
+  } catch (error) {
+    console.error('Error dismissing balance discrepancy:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  getDiscrepancies,
+  getReconciliationRuns,
+  runReconciliation,
+  getDiscrepancy,
+  correctDiscrepancy,
+  dismissDiscrepancy
+};
@@ -1,4 +1,5 @@
 const pool = require('../db');
+const money = require('../utils/money');
 
 const getReferralCommissions = async (req, res) => {
   const userId = req.user.id;
@@ -186,7 +187,7 @@ const generateReferralLink = async (req, res) => {
         share_message: `Join ${full_name} on CryptoMinePro and start earning through cryptocurrency mining! Use my referral link: ${shortReferralLink}`,
         stats: {
           total_referrals: stats.total_referrals,
-          total_commissions: parseFloat(stats.total_commissions)
+          total_commissions: money.round(stats.total_commissions)
         }
       }
     });
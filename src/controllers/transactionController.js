@@ -1,4 +1,8 @@
 const pool = require('../db');
+const money = require('../utils/money');
+const fx = require('../utils/fx');
+const transactionHistory = require('../utils/transactionHistory');
+const statementService = require('../utils/statementService');
 
 // Get recent transaction activities for dashboard live feed
 const getRecentActivities = async (req, res) => {
@@ -12,6 +16,7 @@ const getRecentActivities = async (req, res) => {
     const [deposits] = await pool.query(`
       SELECT 
         u.full_name,
+        u.currency,
         d.amount,
         d.created_at,
         'deposit' as activity_type,
@@ -27,6 +32,7 @@ const getRecentActivities = async (req, res) => {
     const [withdrawals] = await pool.query(`
       SELECT 
         u.full_name,
+        u.currency,
         w.amount,
         w.created_at,
         'withdrawal' as activity_type,
@@ -42,6 +48,7 @@ const getRecentActivities = async (req, res) => {
     const [earnings] = await pool.query(`
       SELECT 
         u.full_name,
+        u.currency,
         el.earning_amount as amount,
       el.earning_date as created_at,
       'mining_reward' as activity_type,
@@ -56,6 +63,7 @@ const getRecentActivities = async (req, res) => {
     const [purchases] = await pool.query(`
       SELECT 
         u.full_name,
+        u.currency,
         p.amount_invested as amount,
         p.created_at,
         'purchase' as activity_type,
@@ -106,7 +114,7 @@ const getRecentActivities = async (req, res) => {
         name: `${firstName} ${item.full_name ? item.full_name.split(' ').slice(1).join(' ').charAt(0) + '.' : ''}`,
         avatar,
         action,
-        amount: `+KES ${parseFloat(item.amount).toLocaleString('en-KE', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`,
+        amount: `+${money.format(item.amount, item.currency)}`,
         time: timeAgo,
         crypto,
         color
@@ -160,91 +168,8 @@ const getUserTransactions = async (req, res) => {
     const startDate = new Date();
     startDate.setDate(startDate.getDate() - parseInt(period));
     
-    const transactions = [];
-    
-    // Get deposits
-    if (!type || type === 'deposit') {
-      const [deposits] = await pool.query(`
-        SELECT 
-          'deposit' as type,
-          id,
-          amount,
-          status,
-          method,
-          COALESCE(transaction_id, CONCAT('DP', id)) as transaction_id,
-          created_at,
-          'Deposit' as description
-        FROM deposits 
-        WHERE user_id = ? AND created_at >= ?
-        ORDER BY created_at DESC
-      `, [userId, startDate]);
-      
-      transactions.push(...deposits);
-    }
-    
-    // Get withdrawals
-    if (!type || type === 'withdrawal') {
-      const [withdrawals] = await pool.query(`
-        SELECT 
-          'withdrawal' as type,
-          id,
-          amount,
-          status,
-          method,
-          CONCAT('WD', id) as transaction_id,
-          created_at,
-          'Withdrawal' as description
-        FROM withdrawals 
-        WHERE user_id = ? AND created_at >= ?
-        ORDER BY created_at DESC
-      `, [userId, startDate]);
-      
-      transactions.push(...withdrawals);
-    }
-    
-    // Get purchases
-    if (!type || type === 'purchase') {
-      const [purchases] = await pool.query(`
-        SELECT 
-          'purchase' as type,
-          p.id,
-          p.amount_invested as amount,
-          p.status,
-          'investment' as method,
-          CONCAT('PU', p.id) as transaction_id,
-          p.created_at,
-          CONCAT('Mining Engine: ', m.name) as description
-        FROM purchases p
-        JOIN mining_engines m ON p.engine_id = m.id
-        WHERE p.user_id = ? AND p.created_at >= ?
-        ORDER BY p.created_at DESC
-      `, [userId, startDate]);
-      
-      transactions.push(...purchases);
-    }
-    
-      // Get earnings
-      if (!type || type === 'earning') {
-        const [earnings] = await pool.query(`
-          SELECT 
-            'earning' as type,
-            el.id,
-            el.earning_amount as amount,
-            'completed' as status,
-            'mining' as method,
-            CONCAT('ER', el.id) as transaction_id,
-            el.earning_datetime as created_at,
-            'Mining Reward' as description
-          FROM engine_logs el 
-          WHERE el.user_id = ? AND el.earning_datetime >= ?
-          ORDER BY el.earning_datetime DESC
-        `, [userId, startDate]);
-        
-        transactions.push(...earnings);
-      }
-    
-    // Sort all transactions by date
-    transactions.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+    const currency = await fx.getUserCurrency(userId);
+    const transactions = await transactionHistory.getTransactions(userId, { from: startDate, type });
     
     // Apply pagination
     const paginatedTransactions = transactions.slice(offset, offset + parseInt(limit));
@@ -259,10 +184,8 @@ const getUserTransactions = async (req, res) => {
       description: transaction.description,
       transaction_id: transaction.transaction_id,
       created_at: transaction.created_at,
-      formatted_amount: `KES ${parseFloat(transaction.amount).toLocaleString('en-KE', { 
-        minimumFractionDigits: 2, 
-        maximumFractionDigits: 2 
-      })}`,
+      currency,
+      formatted_amount: money.format(transaction.amount, currency),
       formatted_date: new Date(transaction.created_at).toLocaleDateString('en-KE', {
         year: 'numeric',
         month: 'short',
@@ -288,7 +211,89 @@ const getUserTransactions = async (req, res) => {
   }
 };
 
+// Longest range one statement can cover
+const MAX_STATEMENT_DAYS = 366;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Statement range from ?month=YYYY-MM or ?from=YYYY-MM-DD&to=YYYY-MM-DD
+ * (both days included). Defaults to the current month so far.
+ * Returns { from, to } with `to` exclusive, or { error }.
+ */
+const parseStatementRange = ({ month, from, to }) => {
+  if (month) {
+    const match = /^(\d{4})-(\d{2})$/.exec(month);
+    if (!match || Number(match[2]) < 1 || Number(match[2]) > 12) {
+      return { error: 'month must be in YYYY-MM format' };
+    }
+    const start = new Date(Number(match[1]), Number(match[2]) - 1, 1);
+    return { from: start, to: new Date(start.getFullYear(), start.getMonth() + 1, 1) };
+  }
+
+  if (from || to) {
+    if (!DATE_PATTERN.test(from || '') || !DATE_PATTERN.test(to || '')) {
+      return { error: 'from and to must both be dates in YYYY-MM-DD format' };
+    }
+    const [fromYear, fromMonth, fromDay] = from.split('-').map(Number);
+    const [toYear, toMonth, toDay] = to.split('-').map(Number);
+    const start = new Date(fromYear, fromMonth - 1, fromDay);
+    const end = new Date(toYear, toMonth - 1, toDay + 1);
+    if (isNaN(start.getTime()) || isNaN(end.getTime()) || start >= end) {
+      return { error: 'from must be on or before to' };
+    }
+    if ((end - start) / 86400000 > MAX_STATEMENT_DAYS) {
+      return { error: `A statement can cover at most ${MAX_STATEMENT_DAYS} days` };
+    }
+    return { from: start, to: end };
+  }
+
+  const now = new Date();
+  return { from: new Date(now.getFullYear(), now.getMonth(), 1), to: new Date(now.getFullYear(), now.getMonth() + 1, 1) };
+};
+
+// Account statement for a month or custom range, as PDF (default) or CSV
+const getStatement = async (req, res) => {
+  const userId = req.user.id;
+  const { format = 'pdf' } = req.query;
+
+  if (!['pdf', 'csv'].includes(format)) {
+    return res.status(400).json({ message: 'format must be pdf or csv' });
+  }
+
+  const range = parseStatementRange(req.query);
+  if (range.error) {
+    return res.status(400).json({ message: range.error });
+  }
+  if (range.from > new Date()) {
+    return res.status(400).json({ message: 'The statement period has not started yet' });
+  }
+
+  try {
+    const statement = await statementService.buildStatement(userId, range.from, range.to);
+    if (!statement) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.setHeader('Content-Disposition', `attachment; filename="${statementService.fileName(statement, format)}"`);
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      return res.send(statementService.toCsv(statement));
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    statementService.writePdf(statement, res);
+  } catch (error) {
+    console.error('Error generating statement:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+};
+
 module.exports = {
   getRecentActivities,
-  getUserTransactions
+  getUserTransactions,
+  getStatement
 };
@@ -0,0 +1,275 @@
+const pool = require('../db');
+const money = require('../utils/money');
+const ledger = require('../utils/ledger');
+const balanceHolds = require('../utils/balanceHolds');
+const transferService = require('../utils/transferService');
+const notificationService = require('../utils/notificationService');
+const { isValidKenyanPhone } = require('../utils/phoneUtils');
+
+// HTTP status for each failed check
+const checkStatus = (check) => {
+  if (check.code === 'RECIPIENT_NOT_FOUND') {
+    return 404;
+  }
+  return check.blocked ? 403 : 400;
+};
+
+/**
+ * Validate a transfer request and look up both sides.
+ * Returns { error: { status, body } } or { sender, recipient, amount, currency, limits }.
+ */
+const prepareTransfer = async (userId, body) => {
+  const { phone, referral_code, amount, note } = body;
+
+  if (!phone && !referral_code) {
+    return { error: { status: 400, body: { message: 'Recipient phone number or referral code is required' } } };
+  }
+  if (phone && !isValidKenyanPhone(phone)) {
+    return { error: { status: 400, body: { message: 'Invalid phone number format. Use 0711111111 or 0111111111 format' } } };
+  }
+  if (amount === undefined || amount === null || isNaN(Number(amount)) || Number(amount) <= 0) {
+    return { error: { status: 400, body: { message: 'Amount must be a positive number' } } };
+  }
+  if (note !== undefined && note !== null && String(note).length > 255) {
+    return { error: { status: 400, body: { message: 'Note must be at most 255 characters' } } };
+  }
+
+  const [senderRows] = await pool.query(
+    'SELECT id, full_name, currency, status, created_at FROM users WHERE id = ?',
+    [userId]
+  );
+  if (senderRows.length === 0) {
+    return { error: { status: 404, body: { message: 'User not found' } } };
+  }
+
+  const sender = senderRows[0];
+  const currency = sender.currency;
+  const limits = await transferService.getTransferLimits(currency);
+  if (!limits.enabled) {
+    return { error: { status: 403, body: { message: 'Transfers are currently unavailable' } } };
+  }
+
+  const transferAmount = money.round(amount, currency);
+  if (!(transferAmount > 0)) {
+    return { error: { status: 400, body: { message: 'Amount must be a positive number' } } };
+  }
+
+  const recipient = await transferService.findRecipient({ phone, referral_code });
+
+  return {
+    sender,
+    recipient,
+    amount: transferAmount,
+    currency,
+    note: note ? String(note).trim() : null,
+    limits
+  };
+};
+
+// Show who will receive the money before the user confirms; nothing is moved
+const previewTransfer = async (req, res) => {
+  const userId = req.user.id;
+
+  try {
+    const prepared = await prepareTransfer(userId, req.body);
+    if (prepared.error) {
+      return res.status(prepared.error.status).json(prepared.error.body);
+    }
+
+    const { sender, recipient, amount, currency, limits } = prepared;
+    const check = await transferService.checkTransfer(pool, { sender, recipient, amount, currency, limits });
+    if (check) {
+      return res.status(checkStatus(check)).json({ message: check.message, code: check.code });
+    }
+
+    const balances = await balanceHolds.getBalanceSummary(userId);
+    const recent = await transferService.getRecentTransfers(pool, userId);
+
+    res.json({
+      recipient: transferService.describeRecipient(recipient),
+      amount,
+      currency,
+      formatted_amount: money.format(amount, currency),
+      fee: 0,
+      available_balance: balances.available_balance,
+      sufficient_balance: money.compare(balances.available_balance, amount) >= 0,
+      daily_limit_remaining: money.subtract(limits.daily, recent.total),
+      transfers_remaining_today: Math.max(limits.dailyCount - recent.count, 0)
+    });
+  } catch (error) {
+    console.error('Error previewing transfer:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+const createTransfer = async (req, res) => {
+  const userId = req.user.id;
+  // Retries are answered by the idempotency middleware; the key is also
+  // stored on the transfer, where it is unique per sender
+  const idempotencyKey = req.get('Idempotency-Key') || null;
+
+  let connection;
+
+  try {
+    const prepared = await prepareTransfer(userId, req.body);
+    if (prepared.error) {
+      return res.status(prepared.error.status).json(prepared.error.body);
+    }
+
+    const { sender, recipient, amount, currency, note, limits } = prepared;
+
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+
+    // Lock both users in id order so two opposite transfers cannot deadlock
+    if (recipient) {
+      await connection.query(
+        'SELECT id FROM users WHERE id IN (?, ?) ORDER BY id FOR UPDATE',
+        [sender.id, recipient.id]
+      );
+    }
+    const balances = await balanceHolds.getBalanceSummary(userId, connection, { forUpdate: true });
+
+    const check = await transferService.checkTransfer(connection, { sender, recipient, amount, currency, limits });
+    if (check) {
+      await connection.rollback();
+      if (check.blocked) {
+        await transferService.recordBlockedTransfer({
+          senderId: sender.id,
+          recipientId: recipient.id,
+          amount,
+          currency,
+          note,
+          reason: check.code
+        });
+      }
+      return res.status(checkStatus(check)).json({ message: check.message, code: check.code });
+    }
+
+    // Funds held by pending withdrawals cannot be sent
+    if (money.compare(balances.available_balance, amount) < 0) {
+      await connection.rollback();
+      return res.status(400).json({
+        message: 'Insufficient balance',
+        available_balance: balances.available_balance,
+        held_balance: balances.held_balance
+      });
+    }
+
+    const [result] = await connection.query(`
+      INSERT INTO wallet_transfers (sender_id, recipient_id, amount, currency, note, status, idempotency_key, created_at)
+      VALUES (?, ?, ?, ?, ?, 'completed', ?, CURRENT_TIMESTAMP)
+    `, [sender.id, recipient.id, amount, currency, note, idempotencyKey]);
+
+    await ledger.recordTransfer(connection, {
+      senderId: sender.id,
+      recipientId: recipient.id,
+      transferId: result.insertId,
+      amount
+    });
+
+    await connection.commit();
+
+    const transfer = { id: result.insertId, recipient_id: recipient.id, amount, note };
+    await notificationService.notifyTransferReceived(transfer, transferService.describeRecipient(sender).name);
+
+    res.status(201).json({
+      message: `${money.format(amount, currency)} sent to ${transferService.describeRecipient(recipient).name}`,
+      transfer: {
+        id: result.insertId,
+        amount,
+        currency,
+        recipient: transferService.describeRecipient(recipient),
+        note
+      },
+      available_balance: money.subtract(balances.available_balance, amount)
+    });
+  } catch (error) {
+    if (connection) {
+      await connection.rollback();
+    }
+    console.error('Error creating transfer:', error);
+    if (error.code === 'ER_DUP_ENTRY' && idempotencyKey) {
+      return res.status(409).json({
+        message: 'A transfer was already sent with this Idempotency-Key',
+        code: 'IDEMPOTENCY_KEY_IN_USE'
+      });
+    }
+    res.status(500).json({ message: 'Internal server error' });
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+};
+
+// Transfers the user sent or received
+const getUserTransfers = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { page = 1, limit = 20, direction } = req.query;
+    const offset = (page - 1) * limit;
+
+    let whereClause = "WHERE wt.status = 'completed' AND (wt.sender_id = ? OR wt.recipient_id = ?)";
+    let params = [userId, userId];
+    if (direction === 'sent') {
+      whereClause = "WHERE wt.status = 'completed' AND wt.sender_id = ?";
+      params = [userId];
+    } else if (direction === 'received') {
+      whereClause = "WHERE wt.status = 'completed' AND wt.recipient_id = ?";
+      params = [userId];
+    }
+
+    const [transfers] = await pool.query(`
+      SELECT wt.id, wt.sender_id, wt.recipient_id, wt.amount, wt.currency, wt.note, wt.created_at,
+             s.full_name as sender_name, s.phone as sender_phone,
+             r.full_name as recipient_name, r.phone as recipient_phone
+      FROM wallet_transfers wt
+      JOIN users s ON wt.sender_id = s.id
+      JOIN users r ON wt.recipient_id = r.id
+      ${whereClause}
+      ORDER BY wt.created_at DESC
+      LIMIT ? OFFSET ?
+    `, [...params, parseInt(limit), parseInt(offset)]);
+
+    const [countResult] = await pool.query(
+      `SELECT COUNT(*) as total FROM wallet_transfers wt ${whereClause}`,
+      params
+    );
+    const total = countResult[0].total;
+
+    res.json({
+      transfers: transfers.map(transfer => {
+        const sent = transfer.sender_id === userId;
+        const counterparty = sent
+          ? { full_name: transfer.recipient_name, phone: transfer.recipient_phone }
+          : { full_name: transfer.sender_name, phone: transfer.sender_phone };
+        return {
+          id: transfer.id,
+          direction: sent ? 'sent' : 'received',
+          amount: parseFloat(transfer.amount),
+          currency: transfer.currency,
+          formatted_amount: money.format(transfer.amount, transfer.currency),
+          counterparty: transferService.describeRecipient(counterparty),
+          note: transfer.note,
+          created_at: transfer.created_at
+        };
+      }),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching transfers:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  previewTransfer,
+  createTransfer,
+  getUserTransfers
+};
@@ -0,0 +1,144 @@
+const pool = require('../db');
+const bcrypt = require('bcrypt');
+const twoFactorService = require('../utils/twoFactorService');
+
+// Get 2FA status for the current user
+const getTwoFactorStatus = async (req, res) => {
+  try {
+    const status = await twoFactorService.getStatus(req.user.id);
+    res.json({
+      two_factor: {
+        ...status,
+        required: req.user.role === 'admin'
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching two-factor status:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+// Start enrolment - returns the secret and otpauth URL for the authenticator app
+const setupTwoFactor = async (req, res) => {
+  const userId = req.user.id;
+
+  try {
+    if (await twoFactorService.isEnabled(userId)) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const [userRows] = await pool.query('SELECT id, phone, email FROM users WHERE id = ?', [userId]);
+    const enrollment = await twoFactorService.startEnrollment(userRows[0]);
+
+    res.json({
+      message: 'Scan the QR code with your authenticator app, then confirm with a code to enable two-factor authentication',
+      secret: enrollment.secret,
+      otpauth_url: enrollment.otpauth_url
+    });
+  } catch (error) {
+    console.error('Error starting two-factor setup:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+// Confirm enrolment with a first code; returns one-time backup codes
+const enableTwoFactor = async (req, res) => {
+  const userId = req.user.id;
+  const { code } = req.body;
+
+  if (!code) {
+    return res.status(400).json({ message: 'Authentication code is required' });
+  }
+
+  try {
+    const result = await twoFactorService.confirmEnrollment(userId, code);
+
+    if (result.locked) {
+      return res.status(429).json({ message: result.locked.message, code: result.locked.code, retry_after: result.locked.retryAfter });
+    }
+    if (result.error) {
+      return res.status(400).json({ message: result.error });
+    }
+
+    res.json({
+      message: 'Two-factor authentication enabled. Store these backup codes somewhere safe - they will not be shown again.',
+      backup_codes: result.backupCodes
+    });
+  } catch (error) {
+    console.error('Error enabling two-factor authentication:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+// Disable 2FA (not allowed for admins, where it is mandatory)
+const disableTwoFactor = async (req, res) => {
+  const userId = req.user.id;
+  const { password, code, backup_code } = req.body;
+
+  if (req.user.role === 'admin') {
+    return res.status(403).json({ message: 'Two-factor authentication is mandatory for admin accounts' });
+  }
+
+  if (!password || (!code && !backup_code)) {
+    return res.status(400).json({ message: 'Password and an authentication or backup code are required' });
+  }
+
+  try {
+    const [userRows] = await pool.query('SELECT password_hash FROM users WHERE id = ?', [userId]);
+    const passwordMatch = await bcrypt.compare(password, userRows[0].password_hash);
+    if (!passwordMatch) {
+      return res.status(401).json({ message: 'Incorrect password' });
+    }
+
+    const verification = await twoFactorService.verifySecondFactor(userId, { code, backupCode: backup_code });
+    if (verification.locked) {
+      return res.status(429).json({ message: verification.locked.message, code: verification.locked.code, retry_after: verification.locked.retryAfter });
+    }
+    if (!verification.valid) {
+      return res.status(401).json({ message: 'Invalid two-factor authentication code' });
+    }
+
+    await twoFactorService.disable(userId);
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('Error disabling two-factor authentication:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+// Replace all backup codes (requires a current TOTP code)
+const regenerateBackupCodes = async (req, res) => {
+  const userId = req.user.id;
+  const { code } = req.body;
+
+  if (!code) {
+    return res.status(400).json({ message: 'Authentication code is required' });
+  }
+
+  try {
+    const verification = await twoFactorService.verifySecondFactor(userId, { code });
+    if (verification.locked) {
+      return res.status(429).json({ message: verification.locked.message, code: verification.locked.code, retry_after: verification.locked.retryAfter });
+    }
+    if (!verification.valid) {
+      return res.status(401).json({ message: 'Invalid two-factor authentication code' });
+    }
+
+    const backupCodes = await twoFactorService.regenerateBackupCodes(userId);
+    res.json({
+      message: 'New backup codes generated. Previous codes no longer work.',
+      backup_codes: backupCodes
+    });
+  } catch (error) {
+    console.error('Error regenerating backup codes:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes
+};
@@ -1,22 +1,34 @@
 const pool = require('../db');
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const { isValidKenyanPhone, formatPhoneForDisplay } = require('../utils/phoneUtils');
-
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, { expiresIn: '30d' });
-};
+const sessionService = require('../utils/sessionService');
+const otpService = require('../utils/otpService');
+const twoFactorService = require('../utils/twoFactorService');
+const loginThrottle = require('../utils/loginThrottle');
+const emailVerification = require('../utils/emailVerification');
+const emailService = require('../utils/emailService');
+const { getPermissions } = require('../utils/permissions');
+const fx = require('../utils/fx');
+const money = require('../utils/money');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
 
 // Generate unique referral code
 const generateReferralCode = () => {
   return crypto.randomBytes(4).toString('hex').toUpperCase();
 };
 
+// Wallet currency from a request, or null if it isn't offered (no FX rate yet)
+const resolveWalletCurrency = async (currency) => {
+  const normalized = String(currency).trim().toUpperCase();
+  const available = await fx.getAvailableCurrencies();
+  return available.includes(normalized) ? normalized : null;
+};
+
 // Register new user
 const register = async (req, res) => {  
-  const { email, password, full_name, phone, referral_code } = req.body;
+  const { email, password, full_name, phone, referral_code, currency } = req.body;
 
   if (!phone || !password) {
     return res.status(400).json({ message: 'Phone number and password are required' });
@@ -33,6 +45,14 @@ const register = async (req, res) => {
     // Format phone number for consistency
     const formattedPhone = formatPhoneForDisplay(phone);
 
+    let walletCurrency = fx.BASE_CURRENCY;
+    if (currency) {
+      walletCurrency = await resolveWalletCurrency(currency);
+      if (!walletCurrency) {
+        return res.status(400).json({ message: `Currency ${currency} is not available` });
+      }
+    }
+
     // Check if user already exists by phone number
     const [existingUsers] = await pool.query('SELECT id FROM users WHERE phone = ?', [formattedPhone]);
     if (existingUsers.length > 0) {
@@ -43,10 +63,11 @@ const register = async (req, res) => {
     const saltRounds = 12;
     const password_hash = await bcrypt.hash(password, saltRounds);
 
-    // Handle referral
+    // Handle referral (codes are matched case-insensitively)
     let referred_by = null;
     if (referral_code) {
-      const [referrer] = await pool.query('SELECT id FROM users WHERE referral_code = ?', [referral_code]);
+      const code = referral_code.trim().toUpperCase();
+      const [referrer] = await pool.query('SELECT id FROM users WHERE UPPER(referral_code) = ?', [code]);
       if (referrer.length > 0) {
         referred_by = referrer[0].id;
       }
@@ -63,18 +84,48 @@ const register = async (req, res) => {
       }
     }
 
-    // Create user with email verification set to TRUE (no email verification required)
+    // Users start verified unless the email_verification_required setting is on
+    const verificationRequired = await emailVerification.isVerificationRequired();
+
     const [result] = await pool.query(
-      `INSERT INTO users (email, password_hash, full_name, phone, referral_code, referred_by, email_verified, created_at) 
-       VALUES (?, ?, ?, ?, ?, ?, TRUE, CURRENT_TIMESTAMP)`,
-      [email || null, password_hash, full_name || null, formattedPhone, userReferralCode, referred_by]
+      `INSERT INTO users (email, password_hash, full_name, phone, referral_code, referred_by, email_verified, currency, created_at) 
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+      [email || null, password_hash, full_name || null, formattedPhone, userReferralCode, referred_by, !verificationRequired, walletCurrency]
     );
 
     const userId = result.insertId;
 
+    // If referred, insert into referrals table for network tracking
+    if (referred_by) {
+      const [existingReferral] = await pool.query(
+        'SELECT id FROM referrals WHERE referrer_id = ? AND referred_id = ?',
+        [referred_by, userId]
+      );
+      if (!existingReferral.length) {
+        await pool.query(
+          'INSERT INTO referrals (referrer_id, referred_id, status, created_at) VALUES (?, ?, ?, NOW())',
+          [referred_by, userId, 'active']
+        );
+      }
+    }
+
+    let verificationEmailSent = false;
+    if (verificationRequired && email) {
+      try {
+        await emailVerification.sendVerification({ id: userId, email, full_name });
+        verificationEmailSent = true;
+      } catch (emailError) {
+        // Registration still succeeds; the user can ask for the email again
+        console.error('Failed to send verification email:', emailError);
+      }
+    }
+
     res.status(201).json({
-      message: 'Registration successful. You can now login.',
-      userId: userId
+      message: verificationEmailSent
+        ? 'Registration successful. Please check your email to verify your address.'
+        : 'Registration successful. You can now login.',
+      userId: userId,
+      email_verification_required: verificationRequired
     });
 
   } catch (error) {
@@ -83,6 +134,15 @@ const register = async (req, res) => {
   }
 };
 
+// Record a failed login and respond - with 429 if this attempt triggered a lockout
+const rejectLogin = async (res, attempt, message, extra = {}) => {
+  const lockout = await loginThrottle.recordFailedAttempt(attempt);
+  if (lockout) {
+    return res.status(429).json({ message: lockout.message, code: lockout.code, retry_after: lockout.retryAfter });
+  }
+  return res.status(401).json({ message, ...extra });
+};
+
 // Login user
 const login = async (req, res) => {
   const { phone, password } = req.body;
@@ -101,6 +161,14 @@ const login = async (req, res) => {
   try {
     // Format phone number for consistency
     const formattedPhone = formatPhoneForDisplay(phone);
+    const { ipAddress, userAgent } = sessionService.getClientInfo(req);
+    const attempt = { phone: formattedPhone, ipAddress, userAgent };
+
+    // Refuse early while the phone number or IP is locked out or throttled
+    const blocked = await loginThrottle.checkLoginAllowed(attempt);
+    if (blocked) {
+      return res.status(429).json({ message: blocked.message, code: blocked.code, retry_after: blocked.retryAfter });
+    }
 
     // Get user from database
     const [users] = await pool.query(
@@ -109,31 +177,59 @@ const login = async (req, res) => {
     );
 
     if (users.length === 0) {
-      return res.status(401).json({ message: 'Invalid phone number or password' });
+      return rejectLogin(res, { ...attempt, reason: 'unknown_phone' }, 'Invalid phone number or password');
     }
 
     const user = users[0];
+    attempt.userId = user.id;
 
     // Check password
     const passwordMatch = await bcrypt.compare(password, user.password_hash);
     if (!passwordMatch) {
-      return res.status(401).json({ message: 'Invalid phone number or password' });
+      return rejectLogin(res, { ...attempt, reason: 'invalid_password' }, 'Invalid phone number or password');
     }
 
     // Check if account is active
+    if (user.status === 'closed') {
+      return res.status(401).json({ message: 'Account is closed' });
+    }
     if (user.status !== 'active') {
       return res.status(401).json({ message: 'Account is suspended' });
     }
 
+    // Accounts with 2FA enabled need a second factor before a session is issued
+    if (await twoFactorService.isEnabled(user.id)) {
+      const { code, backupCode } = twoFactorService.getSecondFactorFromRequest(req);
+
+      if (!code && !backupCode) {
+        return res.status(401).json({
+          message: 'Two-factor authentication code required',
+          two_factor_required: true
+        });
+      }
+
+      const verification = await twoFactorService.verifySecondFactor(user.id, { code, backupCode });
+      if (verification.locked) {
+        return res.status(429).json({ message: verification.locked.message, code: verification.locked.code, retry_after: verification.locked.retryAfter });
+      }
+      if (!verification.valid) {
+        return rejectLogin(res, { ...attempt, reason: 'invalid_two_factor' }, 'Invalid two-factor authentication code', {
+          two_factor_required: true
+        });
+      }
+    }
+
+    await loginThrottle.recordSuccessfulAttempt(attempt);
+
     // Update last login
     await pool.query('UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = ?', [user.id]);
 
-    // Generate JWT token
-    const token = generateToken(user.id);
+    // Start a new session and issue access + refresh tokens
+    const tokens = await sessionService.createSession(user.id, req);
 
     res.json({
       message: 'Login successful',
-      token: token,
+      ...tokens,
       user: {
         id: user.id,
         email: user.email,
@@ -155,8 +251,8 @@ const getUserProfile = async (req, res) => {
 
   try {
     const [userRows] = await pool.query(
-      `SELECT id, email, full_name, phone, role, balance, total_earnings, referral_code, status, 
-              last_login, created_at 
+      `SELECT id, email, full_name, phone, role, admin_role, balance, held_balance, currency, total_earnings, referral_code, status, 
+              email_verified, kyc_tier, last_login, created_at 
        FROM users WHERE id = ?`,
       [userId]
     );
@@ -173,10 +269,17 @@ const getUserProfile = async (req, res) => {
         full_name: user.full_name,
         phone: user.phone,
         role: user.role,
+        admin_role: user.admin_role,
+        permissions: getPermissions(user),
         balance: user.balance,
+        held_balance: user.held_balance,
+        available_balance: money.subtract(user.balance, user.held_balance),
+        currency: user.currency,
         total_earnings: user.total_earnings,
         referral_code: user.referral_code,
         status: user.status,
+        email_verified: !!user.email_verified,
+        kyc_tier: user.kyc_tier,
         last_login: user.last_login,
         created_at: user.created_at
       }
@@ -187,8 +290,718 @@ const getUserProfile = async (req, res) => {
   }
 };
 
+// Update name and/or email
+const updateProfile = async (req, res) => {
+  const userId = req.user.id;
+  const { full_name, email } = req.body;
+
+  if (full_name === undefined && email === undefined) {
+    return res.status(400).json({ message: 'Nothing to update. Provide full_name and/or email' });
+  }
+
+  if (full_name !== undefined && (typeof full_name !== 'string' || full_name.trim().length < 2 || full_name.length > 100)) {
+    return res.status(400).json({ message: 'Full name must be between 2 and 100 characters' });
+  }
+
+  if (email !== undefined && email !== null && email !== '' && !EMAIL_PATTERN.test(email)) {
+    return res.status(400).json({ message: 'Invalid email address' });
+  }
+
+  try {
+    const updates = [];
+    const params = [];
+    let emailChanged = false;
+
+    if (full_name !== undefined) {
+      updates.push('full_name = ?');
+      params.push(full_name.trim());
+    }
+
+    if (email !== undefined) {
+      const normalizedEmail = email ? email.trim().toLowerCase() : null;
+
+      if (normalizedEmail) {
+        const [existing] = await pool.query(
+          'SELECT id FROM users WHERE LOWER(email) = ? AND id != ?',
+          [normalizedEmail, userId]
+        );
+        if (existing.length > 0) {
+          return res.status(400).json({ message: 'Email address is already in use' });
+        }
+      }
+
+      const [currentRows] = await pool.query('SELECT email FROM users WHERE id = ?', [userId]);
+      const currentEmail = currentRows[0].email ? currentRows[0].email.toLowerCase() : null;
+
+      if (normalizedEmail !== currentEmail) {
+        // A new address has to be verified again
+        emailChanged = true;
+        updates.push('email = ?', 'email_verified = FALSE');
+        params.push(normalizedEmail);
+      }
+    }
+
+    if (updates.length > 0) {
+      await pool.query(
+        `UPDATE users SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [...params, userId]
+      );
+    }
+
+    const [userRows] = await pool.query(
+      'SELECT id, email, full_name, phone, email_verified FROM users WHERE id = ?',
+      [userId]
+    );
+    const user = userRows[0];
+
+    let verificationEmailSent = false;
+    if (emailChanged) {
+      await emailVerification.invalidateTokens(userId);
+
+      if (user.email && await emailVerification.isVerificationRequired()) {
+        try {
+          await emailVerification.sendVerification(user);
+          verificationEmailSent = true;
+        } catch (emailError) {
+          console.error('Failed to send verification email:', emailError);
+        }
+      }
+    }
+
+    res.json({
+      message: verificationEmailSent
+        ? 'Profile updated successfully. Please check your email to verify your new address.'
+        : 'Profile updated successfully',
+      user: { ...user, email_verified: !!user.email_verified }
+    });
+  } catch (error) {
+    console.error('Error updating profile:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+// Verification link from the email; redirects to the frontend when FRONTEND_URL is set
+const verifyEmail = async (req, res) => {
+  const { token } = req.query;
+  const frontendUrl = process.env.FRONTEND_URL;
+
+  if (!token) {
+    return res.status(400).json({ message: 'Verification token is required' });
+  }
+
+  try {
+    const result = await emailVerification.verifyEmailToken(token);
+
+    if (!result.verified) {
+      if (frontendUrl) {
+        return res.redirect(`${frontendUrl}/email-verified?status=invalid`);
+      }
+      return res.status(400).json({ message: result.message });
+    }
+
+    if (!result.alreadyVerified) {
+      emailService.sendWelcomeEmail(result.user.email, result.user.full_name)
+        .catch(error => console.error('Failed to send welcome email:', error));
+    }
+
+    if (frontendUrl) {
+      return res.redirect(`${frontendUrl}/email-verified?status=success`);
+    }
+    res.json({ message: 'Email verified successfully' });
+  } catch (error) {
+    console.error('Error verifying email:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+// Send a new verification link to the current email address
+const resendVerification = async (req, res) => {
+  const userId = req.user.id;
+
+  try {
+    const [userRows] = await pool.query(
+      'SELECT id, email, full_name, email_verified FROM users WHERE id = ?',
+      [userId]
+    );
+    const user = userRows[0];
+
+    if (!user.email) {
+      return res.status(400).json({ message: 'Add an email address to your profile first' });
+    }
+
+    if (user.email_verified) {
+      return res.status(400).json({ message: 'Email address is already verified' });
+    }
+
+    const retryAfter = await emailVerification.getResendCooldown(userId);
+    if (retryAfter > 0) {
+      return res.status(429).json({ message: 'Please wait before requesting another email', retry_after: retryAfter });
+    }
+
+    await emailVerification.sendVerification(user);
+
+    res.json({
+      message: 'Verification email sent',
+      expires_in_hours: emailVerification.TOKEN_TTL_HOURS
+    });
+  } catch (error) {
+    console.error('Error resending verification email:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+// Change password; other devices are signed out, the current session stays
+const changePassword = async (req, res) => {
+  const userId = req.user.id;
+  const { current_password, new_password } = req.body;
+
+  if (!current_password || !new_password) {
+    return res.status(400).json({ message: 'Current password and new password are required' });
+  }
+
+  if (new_password.length < 6) {
+    return res.status(400).json({ message: 'Password must be at least 6 characters long' });
+  }
+
+  if (current_password === new_password) {
+    return res.status(400).json({ message: 'New password must be different from the current password' });
+  }
+
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const [userRows] = await connection.query(
+      'SELECT password_hash FROM users WHERE id = ? FOR UPDATE',
+      [userId]
+    );
+
+    const passwordMatch = await bcrypt.compare(current_password, userRows[0].password_hash);
+    if (!passwordMatch) {
+      await connection.rollback();
+      return res.status(401).json({ message: 'Current password is incorrect' });
+    }
+
+    const saltRounds = 12;
+    const password_hash = await bcrypt.hash(new_password, saltRounds);
+
+    await connection.query(
+      'UPDATE users SET password_hash = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [password_hash, userId]
+    );
+
+    const sessionsRevoked = await sessionService.revokeAllSessions(
+      userId, 'password_change', req.user.session_id, connection
+    );
+
+    await connection.commit();
+
+    res.json({ message: 'Password changed successfully', sessions_revoked: sessionsRevoked });
+  } catch (error) {
+    await connection.rollback();
+    console.error('Error changing password:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  } finally {
+    connection.release();
+  }
+};
+
+// Step 1 of a phone change: send a code to the new number
+const requestPhoneChange = async (req, res) => {
+  const userId = req.user.id;
+  const { new_phone, password } = req.body;
+
+  if (!new_phone || !password) {
+    return res.status(400).json({ message: 'New phone number and password are required' });
+  }
+
+  if (!isValidKenyanPhone(new_phone)) {
+    return res.status(400).json({ 
+      message: 'Invalid phone number format. Use 0711111111 or 0111111111 format' 
+    });
+  }
+
+  try {
+    const formattedPhone = formatPhoneForDisplay(new_phone);
+
+    const [userRows] = await pool.query(
+      'SELECT id, email, full_name, phone, password_hash FROM users WHERE id = ?',
+      [userId]
+    );
+    const user = userRows[0];
+
+    const passwordMatch = await bcrypt.compare(password, user.password_hash);
+    if (!passwordMatch) {
+      return res.status(401).json({ message: 'Incorrect password' });
+    }
+
+    if (formattedPhone === user.phone) {
+      return res.status(400).json({ message: 'This is already your phone number' });
+    }
+
+    const [existing] = await pool.query('SELECT id FROM users WHERE phone = ?', [formattedPhone]);
+    if (existing.length > 0) {
+      return res.status(400).json({ message: 'User already exists with this phone number' });
+    }
+
+    const { ipAddress } = sessionService.getClientInfo(req);
+    const result = await otpService.issueOtp({
+      user,
+      purpose: 'phone_change',
+      channel: 'sms',
+      destination: formattedPhone,
+      requestIp: ipAddress
+    });
+
+    if (!result.issued) {
+      return res.status(429).json({ message: result.message, retry_after: result.retryAfter });
+    }
+
+    res.json({
+      message: 'A verification code has been sent to your new phone number',
+      expires_in_minutes: otpService.OTP_TTL_MINUTES
+    });
+  } catch (error) {
+    console.error('Error requesting phone change:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+// Step 2 of a phone change: confirm the code received on the new number
+const confirmPhoneChange = async (req, res) => {
+  const userId = req.user.id;
+  const { code } = req.body;
+
+  if (!code) {
+    return res.status(400).json({ message: 'Verification code is required' });
+  }
+
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const verification = await otpService.verifyOtp({
+      userId,
+      purpose: 'phone_change',
+      code,
+      connection
+    });
+
+    if (!verification.valid) {
+      // Keep the attempt counter even though the change failed
+      await connection.commit();
+      return res.status(400).json({ message: verification.message });
+    }
+
+    const newPhone = verification.destination;
+
+    // The number may have been registered since the code was sent
+    const [existing] = await connection.query(
+      'SELECT id FROM users WHERE phone = ? AND id != ?',
+      [newPhone, userId]
+    );
+    if (existing.length > 0) {
+      await connection.commit();
+      return res.status(400).json({ message: 'User already exists with this phone number' });
+    }
+
+    await connection.query(
+      'UPDATE users SET phone = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [newPhone, userId]
+    );
+
+    await connection.commit();
+
+    res.json({ message: 'Phone number updated successfully', phone: newPhone });
+  } catch (error) {
+    await connection.rollback();
+    console.error('Error confirming phone change:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  } finally {
+    connection.release();
+  }
+};
+
+// Self-service account closure; refused while money is still in flight
+const closeAccount = async (req, res) => {
+  const userId = req.user.id;
+  const { password, reason } = req.body;
+
+  if (!password) {
+    return res.status(400).json({ message: 'Password is required to close your account' });
+  }
+
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const [userRows] = await connection.query(
+      'SELECT id, password_hash, role FROM users WHERE id = ? FOR UPDATE',
+      [userId]
+    );
+    const user = userRows[0];
+
+    if (user.role === 'admin') {
+      await connection.rollback();
+      return res.status(403).json({ message: 'Admin accounts cannot be closed from here' });
+    }
+
+    const passwordMatch = await bcrypt.compare(password, user.password_hash);
+    if (!passwordMatch) {
+      await connection.rollback();
+      return res.status(401).json({ message: 'Incorrect password' });
+    }
+
+    const [purchaseRows] = await connection.query(
+      "SELECT COUNT(*) as active_purchases FROM purchases WHERE user_id = ? AND status = 'active'",
+      [userId]
+    );
+    const [withdrawalRows] = await connection.query(
+      "SELECT COUNT(*) as pending_withdrawals FROM withdrawals WHERE user_id = ? AND status IN ('pending', 'approved')",
+      [userId]
+    );
+
+    const activePurchases = Number(purchaseRows[0].active_purchases);
+    const pendingWithdrawals = Number(withdrawalRows[0].pending_withdrawals);
+
+    if (activePurchases > 0 || pendingWithdrawals > 0) {
+      await connection.rollback();
+      return res.status(400).json({
+        message: 'Account cannot be closed while you have active mining engines or pending withdrawals',
+        active_purchases: activePurchases,
+        pending_withdrawals: pendingWithdrawals
+      });
+    }
+
+    await connection.query(`
+      UPDATE users 
+      SET status = 'closed', closed_at = CURRENT_TIMESTAMP, closure_reason = ?, updated_at = CURRENT_TIMESTAMP 
+      WHERE id = ?
+    `, [reason ? String(reason).substring(0, 255) : null, userId]);
+
+    await sessionService.revokeAllSessions(userId, 'account_closed', null, connection);
+
+    await connection.commit();
+
+    res.json({ message: 'Your account has been closed' });
+  } catch (error) {
+    await connection.rollback();
+    console.error('Error closing account:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  } finally {
+    connection.release();
+  }
+};
+
+// Change wallet currency; only allowed before any money has moved, so existing
+// records never have to be converted
+const updateCurrency = async (req, res) => {
+  const userId = req.user.id;
+  const { currency } = req.body;
+
+  if (!currency) {
+    return res.status(400).json({ message: 'Currency is required' });
+  }
+
+  const connection = await pool.getConnection();
+
+  try {
+    const walletCurrency = await resolveWalletCurrency(currency);
+    if (!walletCurrency) {
+      return res.status(400).json({ message: `Currency ${currency} is not available` });
+    }
+
+    await connection.beginTransaction();
+
+    const [userRows] = await connection.query(
+      'SELECT balance, currency FROM users WHERE id = ? FOR UPDATE',
+      [userId]
+    );
+    if (userRows[0].currency === walletCurrency) {
+      await connection.rollback();
+      return res.json({ message: `Wallet currency is already ${walletCurrency}`, currency: walletCurrency });
+    }
+
+    const [activityRows] = await connection.query(`
+      SELECT
+        (SELECT COUNT(*) FROM deposits WHERE user_id = ?) as deposits,
+        (SELECT COUNT(*) FROM purchases WHERE user_id = ?) as purchases,
+        (SELECT COUNT(*) FROM withdrawals WHERE user_id = ?) as withdrawals
+    `, [userId, userId, userId]);
+    const activity = activityRows[0];
+    const hasActivity = Number(activity.deposits) + Number(activity.purchases) + Number(activity.withdrawals) > 0;
+
+    if (parseFloat(userRows[0].balance) !== 0 || hasActivity) {
+      await connection.rollback();
+      return res.status(400).json({ message: 'Wallet currency can only be changed before your first deposit' });
+    }
+
+    await connection.query(
+      'UPDATE users SET currency = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [walletCurrency, userId]
+    );
+
+    await connection.commit();
+
+    res.json({ message: `Wallet currency changed to ${walletCurrency}`, currency: walletCurrency });
+  } catch (error) {
+    await connection.rollback();
+    console.error('Error changing wallet currency:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  } finally {
+    connection.release();
+  }
+};
+
+// Exchange a refresh token for a new access/refresh token pair
+const refreshToken = async (req, res) => {
+  const { refresh_token } = req.body;
+
+  if (!refresh_token) {
+    return res.status(400).json({ message: 'Refresh token is required' });
+  }
+
+  try {
+    const result = await sessionService.rotateSession(refresh_token, req);
+
+    if (result.error) {
+      return res.status(401).json({ message: result.error });
+    }
+
+    res.json({
+      message: 'Token refreshed successfully',
+      ...result.tokens
+    });
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+// Logout the current session, or every session with all_devices
+const logout = async (req, res) => {
+  const userId = req.user.id;
+  const { all_devices = false } = req.body;
+
+  try {
+    if (all_devices) {
+      const revoked = await sessionService.revokeAllSessions(userId, 'logout_all');
+      return res.json({ message: 'Logged out from all devices', sessions_revoked: revoked });
+    }
+
+    await sessionService.revokeSession(userId, req.user.session_id, 'logout');
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+// List active sessions (signed-in devices) for the current user
+const getSessions = async (req, res) => {
+  const userId = req.user.id;
+
+  try {
+    const sessions = await sessionService.listSessions(userId);
+
+    res.json({
+      sessions: sessions.map(session => ({
+        ...session,
+        is_current: session.id === req.user.session_id
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching sessions:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+// Revoke a single session (sign out a device)
+const revokeSession = async (req, res) => {
+  const userId = req.user.id;
+  const { sessionId } = req.params;
+
+  try {
+    const revoked = await sessionService.revokeSession(userId, sessionId, 'revoked_by_user');
+
+    if (!revoked) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    res.json({ message: 'Session revoked successfully' });
+  } catch (error) {
+    console.error('Error revoking session:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+// Revoke every session except the current one
+const revokeOtherSessions = async (req, res) => {
+  const userId = req.user.id;
+
+  try {
+    const revoked = await sessionService.revokeAllSessions(userId, 'revoked_by_user', req.user.session_id);
+    res.json({ message: 'Other sessions revoked successfully', sessions_revoked: revoked });
+  } catch (error) {
+    console.error('Error revoking sessions:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+// Request a password reset code (sent by SMS, or email if the account has one)
+const forgotPassword = async (req, res) => {
+  const { phone, channel = 'sms' } = req.body;
+
+  if (!phone) {
+    return res.status(400).json({ message: 'Phone number is required' });
+  }
+
+  if (!isValidKenyanPhone(phone)) {
+    return res.status(400).json({ 
+      message: 'Invalid phone number format. Use 0711111111 or 0111111111 format' 
+    });
+  }
+
+  if (!['sms', 'email'].includes(channel)) {
+    return res.status(400).json({ message: 'Channel must be sms or email' });
+  }
+
+  // Same response whether or not the account exists, to avoid leaking registered numbers
+  const genericResponse = {
+    message: 'If an account exists for this phone number, a reset code has been sent.',
+    expires_in_minutes: otpService.OTP_TTL_MINUTES
+  };
+
+  try {
+    const formattedPhone = formatPhoneForDisplay(phone);
+
+    const [users] = await pool.query(
+      'SELECT id, email, full_name, phone, status FROM users WHERE phone = ?',
+      [formattedPhone]
+    );
+
+    // Including email resets for accounts without an email, so the reply can't confirm the number
+    if (users.length === 0 || users[0].status !== 'active' || (channel === 'email' && !users[0].email)) {
+      return res.json(genericResponse);
+    }
+
+    const user = users[0];
+
+    const { ipAddress } = sessionService.getClientInfo(req);
+    const result = await otpService.issueOtp({
+      user,
+      purpose: 'password_reset',
+      channel,
+      destination: channel === 'email' ? user.email : user.phone,
+      requestIp: ipAddress
+    });
+
+    if (!result.issued) {
+      return res.status(429).json({ message: result.message, retry_after: result.retryAfter });
+    }
+
+    res.json(genericResponse);
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+// Reset password with a code from forgotPassword; signs out every device
+const resetPassword = async (req, res) => {
+  const { phone, code, new_password } = req.body;
+
+  if (!phone || !code || !new_password) {
+    return res.status(400).json({ message: 'Phone number, code and new password are required' });
+  }
+
+  if (!isValidKenyanPhone(phone)) {
+    return res.status(400).json({ 
+      message: 'Invalid phone number format. Use 0711111111 or 0111111111 format' 
+    });
+  }
+
+  if (new_password.length < 6) {
+    return res.status(400).json({ message: 'Password must be at least 6 characters long' });
+  }
+
+  const connection = await pool.getConnection();
+
+  try {
+    const formattedPhone = formatPhoneForDisplay(phone);
+
+    await connection.beginTransaction();
+
+    const [users] = await connection.query(
+      'SELECT id, status FROM users WHERE phone = ?',
+      [formattedPhone]
+    );
+
+    if (users.length === 0 || users[0].status !== 'active') {
+      await connection.rollback();
+      return res.status(400).json({ message: 'Invalid or expired code' });
+    }
+
+    const userId = users[0].id;
+    const verification = await otpService.verifyOtp({
+      userId,
+      purpose: 'password_reset',
+      code,
+      connection
+    });
+
+    if (!verification.valid) {
+      // Keep the attempt counter even though the reset failed
+      await connection.commit();
+      return res.status(400).json({ message: verification.message });
+    }
+
+    const saltRounds = 12;
+    const password_hash = await bcrypt.hash(new_password, saltRounds);
+
+    await connection.query(
+      'UPDATE users SET password_hash = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [password_hash, userId]
+    );
+
+    // Anyone holding an old session must log in again with the new password
+    const sessionsRevoked = await sessionService.revokeAllSessions(userId, 'password_reset', null, connection);
+
+    await connection.commit();
+
+    res.json({
+      message: 'Password reset successful. Please log in with your new password.',
+      sessions_revoked: sessionsRevoked
+    });
+  } catch (error) {
+    await connection.rollback();
+    console.error('Reset password error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  } finally {
+    connection.release();
+  }
+};
+
 module.exports = {
   register,
   login,
-  getUserProfile
+  getUserProfile,
+  updateProfile,
+  verifyEmail,
+  resendVerification,
+  changePassword,
+  requestPhoneChange,
+  confirmPhoneChange,
+  closeAccount,
+  updateCurrency,
+  refreshToken,
+  logout,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  forgotPassword,
+  resetPassword
 };
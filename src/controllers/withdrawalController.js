@@ -1,36 +1,20 @@
 const pool = require('../db');
-const mpesaController = require('../controllers/mpesaController');
+const paymentProviders = require('../utils/paymentProviders');
+const paymentCallbacks = require('../utils/paymentCallbacks');
 const { formatPhoneForMpesa, formatPhoneForDisplay, isValidKenyanPhone } = require('../utils/phoneUtils');
-const emailService = require('../utils/emailService');
-
-// Helper function to get system setting
-const getSystemSetting = async (settingKey) => {
-  try {
-    const [rows] = await pool.query('CALL sp_get_setting(?)', [settingKey]);
-    if (rows[0] && rows[0][0]) {
-      const { setting_value, data_type } = rows[0][0];
-      
-      switch (data_type) {
-        case 'number':
-          return parseFloat(setting_value);
-        case 'boolean':
-          return setting_value.toLowerCase() === 'true';
-        case 'json':
-          return JSON.parse(setting_value);
-        default:
-          return setting_value;
-      }
-    }
-    return null;
-  } catch (error) {
-    console.error(`Error getting setting ${settingKey}:`, error);
-    return null;
-  }
-};
+const notificationService = require('../utils/notificationService');
+const balanceHolds = require('../utils/balanceHolds');
+const money = require('../utils/money');
+const fx = require('../utils/fx');
+const { getSystemSetting } = require('../utils/systemSettings');
+const kycService = require('../utils/kycService');
 
 const requestWithdrawal = async (req, res) => {
   const userId = req.user.id;
   const { amount, account_details } = req.body;
+  // Retries are answered by the idempotency middleware; the key is also
+  // stored on the withdrawal, where it is unique per user
+  const idempotencyKey = req.get('Idempotency-Key') || null;
   
   if (!amount) {
     return res.status(400).json({ message: 'Amount is required' });
@@ -39,55 +23,28 @@ const requestWithdrawal = async (req, res) => {
     return res.status(400).json({ message: 'Valid account details are required' });
   }
   
+  let connection;
+  
   try {
-    // Get system settings for validation - use settings from database or the hardcoded values
-    const minWithdrawal = await getSystemSetting('min_withdrawal_amount') || 50; // Min withdrawal: 50 KES
-    const maxWithdrawal = await getSystemSetting('max_withdrawal_amount') || 100000; // Max withdrawal: 100,000 KES
-    const dailyLimit = await getSystemSetting('daily_withdrawal_limit') || 100000; // Daily limit same as max withdrawal
-    const maxCapital = await getSystemSetting('max_capital_investment') || 5000000; // Max capital: 5,000,000 KES
-    const minDeposit = await getSystemSetting('min_deposit_amount') || 5; // Min deposit: 5 KES
-    
-    // Validate withdrawal amount
-    if (amount < minWithdrawal) {
-      return res.status(400).json({ 
-        message: `Minimum withdrawal amount is KES ${minWithdrawal}` 
-      });
-    }
-    
-    if (amount > maxWithdrawal) {
-      return res.status(400).json({ 
-        message: `Maximum withdrawal amount is KES ${maxWithdrawal}` 
-      });
-    }
+    const currency = await fx.getUserCurrency(userId);
+    const withdrawalAmount = isNaN(Number(amount)) ? NaN : money.round(amount, currency);
 
-    // Check user balance
-    const [balanceRows] = await pool.query('SELECT balance FROM users WHERE id = ?', [userId]);
-    if (balanceRows.length === 0) {
-      return res.status(404).json({ message: 'User not found' });
-    }
-    
-    const userBalance = parseFloat(balanceRows[0].balance);
-    console.log(`User balance before withdrawal request: ${userBalance}`);
+    // Get system settings for validation - use settings from database or the hardcoded values.
+    // Settings are in the base currency and converted to the user's wallet currency.
+    const minWithdrawal = await fx.fromBase(await getSystemSetting('min_withdrawal_amount') || 50, currency); // Min withdrawal: 50 KES
+    const maxWithdrawal = await fx.fromBase(await getSystemSetting('max_withdrawal_amount') || 100000, currency); // Max withdrawal: 100,000 KES
+    const dailyLimit = await fx.fromBase(await getSystemSetting('daily_withdrawal_limit') || 100000, currency); // Daily limit same as max withdrawal
     
-    if (userBalance < amount) {
+    // Validate withdrawal amount
+    if (!(withdrawalAmount > 0) || money.compare(withdrawalAmount, minWithdrawal) < 0) {
       return res.status(400).json({ 
-        message: 'Insufficient balance',
-        available_balance: userBalance
+        message: `Minimum withdrawal amount is ${money.format(minWithdrawal, currency)}` 
       });
     }
-
-    // Check daily withdrawal limit
-    const [dailyWithdrawals] = await pool.query(`
-      SELECT COALESCE(SUM(amount), 0) as daily_total 
-      FROM withdrawals 
-      WHERE user_id = ? AND DATE(created_at) = CURDATE() 
-      AND status IN ('pending', 'approved', 'completed')
-    `, [userId]);
     
-    const todaysWithdrawals = parseFloat(dailyWithdrawals[0].daily_total);
-    if (todaysWithdrawals + amount > dailyLimit) {
+    if (money.compare(withdrawalAmount, maxWithdrawal) > 0) {
       return res.status(400).json({ 
-        message: `Daily withdrawal limit of KES ${dailyLimit} exceeded. Today's total: KES ${todaysWithdrawals}` 
+        message: `Maximum withdrawal amount is ${money.format(maxWithdrawal, currency)}` 
       });
     }
 
@@ -105,6 +62,10 @@ const requestWithdrawal = async (req, res) => {
       }
       // Format phone number for consistency
       account_details.phone = formatPhoneForDisplay(account_details.phone);
+      // M-Pesa pays whole shillings; a fractional amount would be debited but not paid
+      if (currency === fx.BASE_CURRENCY && !Number.isInteger(Number(withdrawalAmount))) {
+        return res.status(400).json({ message: `M-Pesa withdrawals must be a whole number of ${fx.BASE_CURRENCY}` });
+      }
     }
     if (accountType === 'bank' && (!account_details.account_number || !account_details.bank_name)) {
       return res.status(400).json({ message: 'Account number and bank name are required for bank withdrawals' });
@@ -113,18 +74,73 @@ const requestWithdrawal = async (req, res) => {
     const accountDetailsJson = JSON.stringify(account_details);
     const method = accountType;
     
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+    
+    // Lock the user row: concurrent requests for the same user queue here, so
+    // the balance and daily total below cannot change until we commit
+    const balances = await balanceHolds.getBalanceSummary(userId, connection, { forUpdate: true });
+    if (!balances) {
+      await connection.rollback();
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    // Funds held by other pending withdrawals are not available
+    if (money.compare(balances.available_balance, withdrawalAmount) < 0) {
+      await connection.rollback();
+      return res.status(400).json({ 
+        message: 'Insufficient balance',
+        available_balance: balances.available_balance,
+        held_balance: balances.held_balance
+      });
+    }
+
+    // Check daily withdrawal limit
+    const [dailyWithdrawals] = await connection.query(`
+      SELECT COALESCE(SUM(amount), 0) as daily_total 
+      FROM withdrawals 
+      WHERE user_id = ? AND DATE(created_at) = CURDATE() 
+      AND status IN ('pending', 'approved', 'completed')
+    `, [userId]);
+    
+    const todaysWithdrawals = money.round(dailyWithdrawals[0].daily_total, currency);
+    if (money.compare(money.sum([todaysWithdrawals, withdrawalAmount]), dailyLimit) > 0) {
+      await connection.rollback();
+      return res.status(400).json({ 
+        message: `Daily withdrawal limit of ${money.format(dailyLimit, currency)} exceeded. Today's total: ${money.format(todaysWithdrawals, currency)}` 
+      });
+    }
+
+    // Lower limits apply until the user has completed identity verification
+    const kycLimit = await kycService.checkWithdrawalLimits(userId, withdrawalAmount, todaysWithdrawals, currency, connection);
+    if (kycLimit) {
+      await connection.rollback();
+      return res.status(403).json({
+        message: kycLimit.message,
+        code: 'KYC_LIMIT_EXCEEDED',
+        kyc_tier: kycLimit.kycTier,
+        limit: kycLimit.limit
+      });
+    }
+    
     // Call stored procedure to create withdrawal request
-    const [rows] = await pool.query('CALL sp_withdraw(?, ?, ?, ?)', [
+    const [rows] = await connection.query('CALL sp_withdraw(?, ?, ?, ?)', [
       userId,
-      amount,
+      withdrawalAmount,
       method,
       accountDetailsJson
     ]);
     
     const withdrawal = rows[0][0];
     
-    // Deduct amount from user balance immediately (will be restored if rejected)
-    await pool.query('UPDATE users SET balance = balance - ? WHERE id = ?', [amount, userId]);
+    if (idempotencyKey) {
+      await connection.query('UPDATE withdrawals SET idempotency_key = ? WHERE id = ?', [idempotencyKey, withdrawal.id]);
+    }
+    
+    // Reserve the amount; the balance is only debited when the withdrawal is paid out
+    await balanceHolds.holdWithdrawal(connection, { userId, withdrawalId: withdrawal.id, amount: withdrawalAmount });
+    
+    await connection.commit();
     
     res.status(201).json({ 
       message: 'Withdrawal request submitted successfully. Awaiting admin approval.',
@@ -137,14 +153,27 @@ const requestWithdrawal = async (req, res) => {
       }
     });
   } catch (error) {
+    if (connection) {
+      await connection.rollback();
+    }
     console.error('Error requesting withdrawal:', error);
     
     // Handle specific database errors
     if (error.sqlState === '45000') {
       return res.status(400).json({ message: error.sqlMessage });
     }
+    if (error.code === 'ER_DUP_ENTRY' && idempotencyKey) {
+      return res.status(409).json({
+        message: 'A withdrawal was already submitted with this Idempotency-Key',
+        code: 'IDEMPOTENCY_KEY_IN_USE'
+      });
+    }
     
     res.status(500).json({ message: 'Internal server error' });
+  } finally {
+    if (connection) {
+      connection.release();
+    }
   }
 };
 
@@ -208,32 +237,51 @@ const approveWithdrawal = async (req, res) => {
     return res.status(400).json({ message: 'Valid withdrawal ID is required' });
   }
   
+  const connection = await pool.getConnection();
+  let updatedWithdrawal;
+
   try {
     console.log('Approving withdrawal with ID:', withdrawalId);
 
-    // Get withdrawal details first
-    const [withdrawalCheck] = await pool.query('SELECT * FROM withdrawals WHERE id = ?', [withdrawalId]);
+    // The row lock keeps a concurrent rejection from releasing the hold while this approves
+    await connection.beginTransaction();
+
+    const [withdrawalCheck] = await connection.query('SELECT * FROM withdrawals WHERE id = ? FOR UPDATE', [withdrawalId]);
     if (withdrawalCheck.length === 0) {
+      await connection.rollback();
       return res.status(404).json({ message: 'Withdrawal not found' });
     }
 
-    const withdrawal = withdrawalCheck[0];
-
-    if (withdrawal.status !== 'pending') {
+    if (withdrawalCheck[0].status !== 'pending') {
+      await connection.rollback();
       return res.status(400).json({ message: 'Only pending withdrawals can be approved' });
     }
 
-    // Update withdrawal status to approved
-    await pool.query(`
+    const [result] = await connection.query(`
       UPDATE withdrawals 
       SET status = 'approved', admin_notes = ?, approved_by = ?, approved_at = CURRENT_TIMESTAMP 
-      WHERE id = ?
+      WHERE id = ? AND status = 'pending'
     `, [admin_notes || 'Approved by admin', adminId, withdrawalId]);
 
-    // Fetch updated withdrawal
-    const [updatedRows] = await pool.query('SELECT * FROM withdrawals WHERE id = ?', [withdrawalId]);
-    const updatedWithdrawal = updatedRows[0];
+    if (result.affectedRows === 0) {
+      await connection.rollback();
+      return res.status(400).json({ message: 'Only pending withdrawals can be approved' });
+    }
+
+    const [updatedRows] = await connection.query('SELECT * FROM withdrawals WHERE id = ?', [withdrawalId]);
+    updatedWithdrawal = updatedRows[0];
 
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    console.error('Error approving withdrawal:', error);
+    return res.status(500).json({ message: 'Internal server error' });
+  } finally {
+    connection.release();
+  }
+
+  // The payout only starts once the approval is committed
+  try {
     let response = {
       message: 'Withdrawal approved successfully',
       withdrawal: {
@@ -244,8 +292,11 @@ const approveWithdrawal = async (req, res) => {
       }
     };
 
-    // If auto_process is enabled and method is M-Pesa, initiate payment
-    if (auto_process && updatedWithdrawal.method === 'mpesa') {
+    // Payouts are sent in the base currency, so only base-currency wallets are paid automatically
+    const walletCurrency = await fx.getUserCurrency(updatedWithdrawal.user_id);
+    if (auto_process && updatedWithdrawal.method === 'mpesa' && walletCurrency !== fx.BASE_CURRENCY) {
+      response.warning = `Automatic M-Pesa payout is only available for ${fx.BASE_CURRENCY} wallets; this withdrawal is in ${walletCurrency} and must be paid manually`;
+    } else if (auto_process && updatedWithdrawal.method === 'mpesa') {
       try {
         // Extract phone number from account_details
         let phoneNumber;
@@ -258,55 +309,37 @@ const approveWithdrawal = async (req, res) => {
         }
 
         if (phoneNumber) {
-          // Create mock request/response for B2C payment
-          const mockB2CRequest = {
-            body: {
-              phone: phoneNumber,
-              amount: updatedWithdrawal.amount
-            }
-          };
-
-          let b2cResponse = null;
-
-          const mockB2CResponse = {
-            json: (data) => { b2cResponse = data; },
-            status: (code) => ({
-              json: (data) => { b2cResponse = { statusCode: code, ...data }; }
-            })
-          };
-
-          // Call B2C payment
-          await mpesaController.b2cPayment(mockB2CRequest, mockB2CResponse);
+          const payout = await paymentProviders.initiatePayout({
+            phone: phoneNumber,
+            amount: updatedWithdrawal.amount,
+            reference: paymentProviders.payoutReference(updatedWithdrawal.id),
+            description: 'User Withdrawal'
+          });
+
+          // The provider reference is how the payout result is matched back to this withdrawal
+          await pool.query(
+            'UPDATE withdrawals SET provider = ?, provider_reference = ? WHERE id = ?',
+            [payout.provider, payout.reference, updatedWithdrawal.id]
+          );
 
           response.b2cStatus = 'initiated';
-          response.b2cResponse = b2cResponse;
+          response.b2cResponse = payout.raw;
+          response.provider = payout.provider;
           response.message += ' and M-Pesa payment initiated';
         } else {
           response.warning = 'Phone number not found in account details';
         }
       } catch (b2cError) {
-        console.error('B2C Payment failed:', b2cError);
+        console.error('B2C Payment failed:', b2cError.response?.data || b2cError);
         response.b2cStatus = 'failed';
         response.b2cError = b2cError.message;
         response.message += ' but M-Pesa payment failed';
       }
     }
 
-    // Send email notification
-    try {
-      // Get user email and full_name
-      const [userRows] = await pool.query('SELECT email, full_name FROM users WHERE id = ?', [updatedWithdrawal.user_id]);
-      if (userRows.length > 0) {
-        const { email, full_name } = userRows[0];
-        // Send approval email
-        await emailService.sendWithdrawalStatusEmail(email, full_name, {
-          ...updatedWithdrawal,
-          status: 'approved'
-        });
-      }
-    } catch (emailError) {
-      console.error('Error sending approval email:', emailError);
-      // Don't fail the request if email sending fails
+    // Notify the user (don't fail the request if the email can't be sent)
+    const notification = await notificationService.notifyWithdrawalStatus(updatedWithdrawal, 'approved');
+    if (notification.emailFailed) {
       response.emailSent = false;
     }
 
@@ -327,42 +360,44 @@ const rejectWithdrawal = async (req, res) => {
     return res.status(400).json({ message: 'Valid withdrawal ID is required' });
   }
   
+  const connection = await pool.getConnection();
+  
   try {
     console.log('Rejecting withdrawal with ID:', withdrawalId);
     
-    // Get withdrawal details
-    const [withdrawalRows] = await pool.query(`
-      SELECT w.*, u.balance 
-      FROM withdrawals w 
-      JOIN users u ON w.user_id = u.id 
-      WHERE w.id = ?
-    `, [withdrawalId]);
+    await connection.beginTransaction();
+    
+    // Get withdrawal details; the lock keeps a concurrent approval from racing the rejection
+    const [withdrawalRows] = await connection.query('SELECT * FROM withdrawals WHERE id = ? FOR UPDATE', [withdrawalId]);
     
     if (withdrawalRows.length === 0) {
+      await connection.rollback();
       return res.status(404).json({ message: 'Withdrawal not found' });
     }
     
     const withdrawal = withdrawalRows[0];
     
     if (withdrawal.status !== 'pending') {
+      await connection.rollback();
       return res.status(400).json({ message: 'Only pending withdrawals can be rejected' });
     }
     
-    // Restore user balance
-    await pool.query('UPDATE users SET balance = balance + ? WHERE id = ?', [
-      withdrawal.amount, 
-      withdrawal.user_id
-    ]);
+    // Release the held amount back to the available balance
+    await balanceHolds.releaseWithdrawal(connection, {
+      withdrawal,
+      reason: `Withdrawal #${withdrawal.id} rejected`,
+      createdBy: adminId
+    });
     
     // Update withdrawal status
-    await pool.query(`
+    await connection.query(`
       UPDATE withdrawals 
       SET status = 'rejected', admin_notes = ?, approved_by = ?, approved_at = CURRENT_TIMESTAMP 
       WHERE id = ?
     `, [admin_notes || 'Rejected by admin', adminId, withdrawalId]);
     
     // Log admin action
-    await pool.query(`
+    await connection.query(`
       INSERT INTO admin_logs (admin_id, action, target_type, target_id, details, created_at)
       VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
     `, [
@@ -377,94 +412,57 @@ const rejectWithdrawal = async (req, res) => {
       })
     ]);
     
-    // Get the updated user balance
-    const [updatedBalanceRows] = await pool.query('SELECT balance, email, full_name FROM users WHERE id = ?', [withdrawal.user_id]);
-    const updatedBalance = updatedBalanceRows[0]?.balance || withdrawal.balance + withdrawal.amount;
-    
-    // Send rejection email notification
-    try {
-      if (updatedBalanceRows.length > 0) {
-        const { email, full_name } = updatedBalanceRows[0];
-        // Send rejection email
-        await emailService.sendWithdrawalStatusEmail(email, full_name, {
-          ...withdrawal,
-          status: 'rejected',
-          admin_notes: admin_notes || 'Request rejected by administrator'
-        });
-      }
-    } catch (emailError) {
-      console.error('Error sending rejection email:', emailError);
-      // Don't fail the request if email sending fails
-    }
+    await connection.commit();
+    
+    const balances = await balanceHolds.getBalanceSummary(withdrawal.user_id);
+    
+    // Notify the user of the rejection
+    await notificationService.notifyWithdrawalStatus(withdrawal, 'rejected', admin_notes || 'Request rejected by administrator');
     
     res.json({ 
       message: 'Withdrawal rejected and amount restored to user balance',
       amount_restored: withdrawal.amount,
       user_id: withdrawal.user_id,
-      user_balance: updatedBalance
+      user_balance: balances.balance,
+      available_balance: balances.available_balance
     });
   } catch (error) {
+    await connection.rollback();
     console.error('Error rejecting withdrawal:', error);
     res.status(500).json({ message: 'Internal server error' });
+  } finally {
+    connection.release();
   }
 };
 
 const mpesaWithdrawalCallback = async (req, res) => {
-  const callbackData = req.body;
-  
-  // Handle B2C callback (different from STK callback)
-  if (callbackData.Result) {
-    // This is a B2C result callback
-    const result = callbackData.Result;
-    const status = result.ResultCode === 0 ? 'completed' : 'failed';
-    const transactionId = result.TransactionID;
-    const conversationId = result.ConversationID;
-    
-    try {
-      // Update withdrawal status based on B2C result
-      console.log('B2C Callback received:', {
-        status,
-        transactionId,
-        conversationId,
-        resultDesc: result.ResultDesc
-      });
-      
-      // For now, we'll update based on phone and amount from result parameters
-      let phone = null;
-      let amount = null;
-      
-      if (result.ResultParameters && result.ResultParameters.ResultParameter) {
-        result.ResultParameters.ResultParameter.forEach(param => {
-          if (param.Key === 'ReceiverPartyPublicName') {
-            phone = param.Value;
-          } else if (param.Key === 'TransactionAmount') {
-            amount = param.Value;
-          }
-        });
-      }
-      
-      if (phone && amount) {
-        await pool.query(`
-          UPDATE withdrawals 
-          SET status = ?, transaction_id = ?, completed_at = CURRENT_TIMESTAMP 
-          WHERE JSON_EXTRACT(account_details, '$.phone') = ? 
-          AND amount = ? 
-          AND status = 'approved'
-          ORDER BY approved_at DESC 
-          LIMIT 1
-        `, [status, transactionId, phone, amount]);
-      }
-      
-      res.status(200).json({ message: 'B2C callback processed' });
-    } catch (error) {
-      console.error('Error processing B2C callback:', error);
-      res.status(500).json({ message: 'Internal server error' });
-    }
-  } else if (callbackData.Body && callbackData.Body.stkCallback) {
-    // This is an STK callback (shouldn't happen for withdrawals, but just in case)
-    res.status(200).json({ message: 'STK Callback processed' });
-  } else {
-    res.status(400).json({ message: 'Invalid callback format' });
+  const event = paymentProviders.parseCallback('daraja', req.body);
+
+  if (!event) {
+    return res.status(400).json({ message: 'Invalid callback format' });
+  }
+  if (event.kind !== 'payout') {
+    // An STK callback (shouldn't happen for withdrawals, but just in case)
+    await paymentCallbacks.recordOutcome(req, { status: 'ignored', outcome: 'Not a B2C result callback' });
+    return res.status(200).json({ message: 'STK Callback processed' });
+  }
+
+  try {
+    console.log('B2C Callback received:', {
+      status: event.status,
+      reference: event.reference,
+      receipt: event.receipt,
+      resultDesc: event.description
+    });
+
+    const outcome = await paymentCallbacks.processEvent(event);
+    await paymentCallbacks.recordOutcome(req, outcome);
+
+    res.status(200).json({ message: 'B2C callback processed' });
+  } catch (error) {
+    console.error('Error processing B2C callback:', error);
+    await paymentCallbacks.recordOutcome(req, { status: 'failed', outcome: 'Error processing B2C callback', error: error.message });
+    res.status(500).json({ message: 'Internal server error' });
   }
 };
 
@@ -472,34 +470,44 @@ const deleteWithdrawal = async (req, res) => {
   const adminId = req.user.id;
   const { withdrawalId } = req.params;
   
+  const connection = await pool.getConnection();
+  
   try {
+    await connection.beginTransaction();
+    
     // Get withdrawal details first
-    const [withdrawalRows] = await pool.query(`
-      SELECT w.*, u.balance 
-      FROM withdrawals w 
-      JOIN users u ON w.user_id = u.id 
-      WHERE w.id = ?
-    `, [withdrawalId]);
+    const [withdrawalRows] = await connection.query('SELECT * FROM withdrawals WHERE id = ? FOR UPDATE', [withdrawalId]);
     
     if (withdrawalRows.length === 0) {
+      await connection.rollback();
       return res.status(404).json({ message: 'Withdrawal not found' });
     }
     
     const withdrawal = withdrawalRows[0];
+
+    // A payout may already be in flight; its result callback needs the record
+    if (withdrawal.status === 'approved') {
+      await connection.rollback();
+      return res.status(400).json({
+        message: 'An approved withdrawal cannot be deleted. Reject it through the status update instead.'
+      });
+    }
+
+    const reason = `Withdrawal #${withdrawal.id} cancelled`;
     
-    // If withdrawal is pending, restore the amount to user's balance
+    // If withdrawal is pending, return the amount to the user's available balance
     if (withdrawal.status === 'pending') {
-      await pool.query('UPDATE users SET balance = balance + ? WHERE id = ?', [
-        withdrawal.amount, 
-        withdrawal.user_id
-      ]);
+      await balanceHolds.releaseWithdrawal(connection, { withdrawal, reason, createdBy: adminId });
+    } else if (withdrawal.status !== 'completed') {
+      // An unpaid withdrawal must not leave funds reserved once its record is gone
+      await balanceHolds.releaseHold(connection, { type: 'withdrawal', id: withdrawal.id }, reason);
     }
     
     // Delete the withdrawal record
-    await pool.query('DELETE FROM withdrawals WHERE id = ?', [withdrawalId]);
+    await connection.query('DELETE FROM withdrawals WHERE id = ?', [withdrawalId]);
     
     // Log admin action
-    await pool.query(`
+    await connection.query(`
       INSERT INTO admin_logs (admin_id, action, target_type, target_id, details, created_at)
       VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
     `, [
@@ -515,25 +523,15 @@ const deleteWithdrawal = async (req, res) => {
       })
     ]);
     
-    // Get user details and send notification if the withdrawal was pending
+    await connection.commit();
+    
+    // Notify the user if a pending request was cancelled
     if (withdrawal.status === 'pending') {
-      try {
-        const [userRows] = await pool.query('SELECT email, full_name FROM users WHERE id = ?', [withdrawal.user_id]);
-        
-        if (userRows.length > 0) {
-          const { email, full_name } = userRows[0];
-          
-          // Send cancellation email (using the rejection template)
-          await emailService.sendWithdrawalStatusEmail(email, full_name, {
-            ...withdrawal,
-            status: 'rejected', // Use rejected template
-            admin_notes: 'This withdrawal request was canceled by an administrator.'
-          });
-        }
-      } catch (emailError) {
-        console.error('Error sending deletion notification email:', emailError);
-        // Don't fail the request if email sending fails
-      }
+      await notificationService.notifyWithdrawalStatus(
+        withdrawal,
+        'cancelled',
+        'This withdrawal request was canceled by an administrator.'
+      );
     }
     
     res.json({ 
@@ -541,8 +539,11 @@ const deleteWithdrawal = async (req, res) => {
       amount_restored: withdrawal.status === 'pending' ? withdrawal.amount : 0
     });
   } catch (error) {
+    await connection.rollback();
     console.error('Error deleting withdrawal:', error);
     res.status(500).json({ message: 'Internal server error' });
+  } finally {
+    connection.release();
   }
 };
 
@@ -551,19 +552,25 @@ const markWithdrawalCompleted = async (req, res) => {
   const { withdrawalId } = req.params;
   const { admin_notes } = req.body;
   
+  const connection = await pool.getConnection();
+  
   try {
+    await connection.beginTransaction();
+    
     // Get withdrawal details first
-    const [withdrawalCheck] = await pool.query('SELECT * FROM withdrawals WHERE id = ?', [withdrawalId]);
+    const [withdrawalCheck] = await connection.query('SELECT * FROM withdrawals WHERE id = ? FOR UPDATE', [withdrawalId]);
     if (withdrawalCheck.length === 0) {
+      await connection.rollback();
       return res.status(404).json({ message: 'Withdrawal not found' });
     }
     
     if (withdrawalCheck[0].status !== 'approved') {
+      await connection.rollback();
       return res.status(400).json({ message: 'Only approved withdrawals can be marked as completed' });
     }
     
     // Update withdrawal status to completed (use completed_at)
-    await pool.query(`
+    await connection.query(`
       UPDATE withdrawals 
       SET status = 'completed', 
           admin_notes = CONCAT(IFNULL(admin_notes, ''), '\n', ?),
@@ -575,7 +582,7 @@ const markWithdrawalCompleted = async (req, res) => {
     ]);
     
     // Log admin action
-    await pool.query(`
+    await connection.query(`
       INSERT INTO admin_logs (admin_id, action, target_type, target_id, details, created_at)
       VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
     `, [
@@ -586,40 +593,25 @@ const markWithdrawalCompleted = async (req, res) => {
       JSON.stringify({ admin_notes })
     ]);
     
-    // Get user details and send completion email
-    try {
-      const [userRows] = await pool.query(`
-        SELECT u.email, u.full_name, w.amount, w.method, w.created_at, w.completed_at, w.account_details
-        FROM withdrawals w
-        JOIN users u ON w.user_id = u.id
-        WHERE w.id = ?
-      `, [withdrawalId]);
-      
-      if (userRows.length > 0) {
-        const { email, full_name, amount, method, created_at, completed_at, account_details } = userRows[0];
-        
-        // Send completion email (no transaction_id)
-        await emailService.sendWithdrawalStatusEmail(email, full_name, {
-          amount,
-          method,
-          created_at,
-          completed_at,
-          account_details,
-          status: 'completed'
-        });
-      }
-    } catch (emailError) {
-      console.error('Error sending completion email:', emailError);
-      // Don't fail the request if email sending fails
-    }
+    // Settle the hold: the reserved amount now leaves the balance
+    await balanceHolds.settleWithdrawal(connection, { withdrawal: withdrawalCheck[0], createdBy: adminId });
+    
+    await connection.commit();
+    
+    // Notify the user of the payout
+    const [completedRows] = await pool.query('SELECT * FROM withdrawals WHERE id = ?', [withdrawalId]);
+    await notificationService.notifyWithdrawalStatus(completedRows[0], 'completed');
     
     res.json({ 
       message: 'Withdrawal marked as completed successfully',
       withdrawal_id: withdrawalId
     });
   } catch (error) {
+    await connection.rollback();
     console.error('Error marking withdrawal as completed:', error);
     res.status(500).json({ message: 'Internal server error' });
+  } finally {
+    connection.release();
   }
 };
 
@@ -1,4 +1,5 @@
 const pool = require('./db');
+const ledger = require('./utils/ledger');
 
 console.log('=== MinersHub Pro Testing and Migration Script ===\n');
 
@@ -126,10 +127,14 @@ async function migrateExistingPurchases() {
           // Only create earnings that should have already occurred
           if (earningTime <= currentTime) {
             try {
-              await pool.query(
-                'CALL sp_log_earning(?, ?, ?)',
-                [purchase.id, earningAmount, earningTime]
-              );
+              await ledger.withTransaction(pool, async (connection) => {
+                await connection.query(
+                  'CALL sp_log_earning(?, ?, ?)',
+                  [purchase.id, earningAmount, earningTime]
+                );
+                await ledger.recordLoggedEarning(connection, purchase.id, earningTime);
+                await ledger.recordNewReferralCommissions(connection, purchase.user_id);
+              });
               periodsCreated++;
             } catch (error) {
               if (error.code !== 'ER_DUP_ENTRY') {
@@ -1,4 +1,5 @@
 const pool = require('./db');
+const ledger = require('./utils/ledger');
 
 console.log('=== Fix Matured Engines and Process Missing Earnings ===\n');
 
@@ -162,10 +163,14 @@ async function processAllMissingEarnings(maturedPurchases) {
 
             if (existing.length === 0) {
               // Create the missing earning
-              await pool.query(
-                'CALL sp_log_earning(?, ?, ?)',
-                [purchase.purchase_id, earningAmount, earningTime]
-              );
+              await ledger.withTransaction(pool, async (connection) => {
+                await connection.query(
+                  'CALL sp_log_earning(?, ?, ?)',
+                  [purchase.purchase_id, earningAmount, earningTime]
+                );
+                await ledger.recordLoggedEarning(connection, purchase.purchase_id, earningTime);
+                await ledger.recordNewReferralCommissions(connection, purchase.user_id);
+              });
               
               periodsCreated++;
               purchaseEarningsAdded += earningAmount;
@@ -1,4 +1,5 @@
 const pool = require('../db');
+const { hasPermission } = require('../utils/permissions');
 
 const verifyAdminRole = async (req, res, next) => {
   try {
@@ -24,4 +25,23 @@ const verifyAdminRole = async (req, res, next) => {
   }
 };
 
-module.exports = { verifyAdminRole };
+/**
+ * Route guard for a single admin permission (see utils/permissions.js).
+ * Runs after verifyToken, which loads role and admin_role onto req.user.
+ */
+const requirePermission = (permission) => (req, res, next) => {
+  if (!req.user || req.user.role !== 'admin') {
+    return res.status(403).json({ message: 'Admin access required' });
+  }
+
+  if (!hasPermission(req.user, permission)) {
+    return res.status(403).json({
+      message: 'You do not have permission to perform this action',
+      required_permission: permission
+    });
+  }
+
+  next();
+};
+
+module.exports = { verifyAdminRole, requirePermission };
@@ -1,5 +1,8 @@
 const jwt = require('jsonwebtoken');
 const pool = require('../db');
+const { isSessionActive } = require('../utils/sessionService');
+const { isReadOnlyRequest, logImpersonatedRequest } = require('../utils/impersonation');
+const { hasPermission, PERMISSIONS } = require('../utils/permissions');
 
 const verifyToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
@@ -10,10 +13,18 @@ const verifyToken = async (req, res, next) => {
 
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Impersonation tokens carry the admin's session, not the target user's
+    const impersonatorId = decoded.impersonatedBy || null;
+
+    // Tokens are bound to a login session; revoked or legacy session-less tokens are rejected
+    if (!decoded.sid || !(await isSessionActive(decoded.sid, impersonatorId || decoded.userId))) {
+      return res.status(401).json({ message: 'Session expired or revoked' });
+    }
     
     // Get user from database (removed email_verified from query)
     const [userRows] = await pool.query(
-      'SELECT id, email, full_name, role, status FROM users WHERE id = ?',
+      'SELECT id, email, full_name, role, admin_role, status FROM users WHERE id = ?',
       [decoded.userId]
     );
 
@@ -34,11 +45,42 @@ const verifyToken = async (req, res, next) => {
       email: user.email,
       full_name: user.full_name,
       role: user.role,
-      status: user.status
+      admin_role: user.admin_role,
+      status: user.status,
+      session_id: decoded.sid
     };
+
+    if (impersonatorId) {
+      const [adminRows] = await pool.query(
+        'SELECT id, role, admin_role, status FROM users WHERE id = ?',
+        [impersonatorId]
+      );
+
+      if (adminRows.length === 0 || adminRows[0].status !== 'active' ||
+          !hasPermission(adminRows[0], PERMISSIONS.USERS_IMPERSONATE)) {
+        return res.status(401).json({ message: 'Impersonation is no longer permitted' });
+      }
+
+      // "View as user" is strictly read-only; every request is audited
+      if (!isReadOnlyRequest(req)) {
+        await logImpersonatedRequest(req, impersonatorId, user.id, true);
+        return res.status(403).json({
+          message: 'Impersonation sessions are read-only',
+          code: 'IMPERSONATION_READ_ONLY'
+        });
+      }
+
+      await logImpersonatedRequest(req, impersonatorId, user.id);
+      req.user.impersonated_by = impersonatorId;
+    }
     
     next();
   } catch (error) {
+    // Let clients know they should use their refresh token
+    if (error.name === 'TokenExpiredError') {
+      return res.status(401).json({ message: 'Token expired', code: 'TOKEN_EXPIRED' });
+    }
+
     console.error('Token verification failed:', error);
     return res.status(403).json({ message: 'Failed to authenticate token' });
   }
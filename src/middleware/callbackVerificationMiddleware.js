@@ -0,0 +1,87 @@
+const crypto = require('crypto');
+const { getSystemSetting } = require('../utils/systemSettings');
+const { clientIp } = require('../utils/clientIp');
+const { recordOutcome } = require('../utils/paymentCallbacks');
+
+// Addresses Safaricom sends Daraja callbacks from; MPESA_CALLBACK_IPS (comma separated) overrides
+const SAFARICOM_CALLBACK_IPS = [
+  '196.201.214.200',
+  '196.201.214.206',
+  '196.201.213.114',
+  '196.201.214.207',
+  '196.201.214.208',
+  '196.201.213.44',
+  '196.201.212.127',
+  '196.201.212.138',
+  '196.201.212.129',
+  '196.201.212.136',
+  '196.201.212.74',
+  '196.201.212.69'
+];
+
+// Providers whose callbacks can be checked against a source address allow-list
+const IP_VERIFIED_PROVIDERS = ['daraja'];
+
+const allowedIps = () => {
+  if (process.env.MPESA_CALLBACK_IPS) {
+    return process.env.MPESA_CALLBACK_IPS.split(',').map(ip => ip.trim()).filter(Boolean);
+  }
+  return SAFARICOM_CALLBACK_IPS;
+};
+
+const tokensMatch = (provided, expected) => {
+  const a = Buffer.from(String(provided || ''));
+  const b = Buffer.from(String(expected));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+const reject = async (req, res, provider, reason) => {
+  console.warn(`Rejected ${provider} callback to ${req.originalUrl.split('?')[0]} from ${clientIp(req)}: ${reason}`);
+  await recordOutcome(req, { status: 'rejected', outcome: reason });
+  return res.status(403).json({ message: 'Callback rejected' });
+};
+
+/**
+ * Only let genuine provider callbacks through:
+ * - the secret PAYMENT_CALLBACK_TOKEN, as the last path segment
+ *   (`/callback/:callbackToken`) or `?token=`, when it is configured;
+ *   without it, callbacks from providers other than Daraja are refused
+ * - for Daraja, a source address on the Safaricom allow-list (setting
+ *   mpesa_callback_ip_check)
+ * @param {string} [provider] - defaults to req.params.provider
+ */
+const verifyProviderCallback = (provider) => async (req, res, next) => {
+  const providerName = provider || req.params.provider;
+
+  try {
+    const expectedToken = process.env.PAYMENT_CALLBACK_TOKEN;
+    if (expectedToken && !tokensMatch(req.params.callbackToken || req.query.token, expectedToken)) {
+      return reject(req, res, providerName, 'missing or invalid callback token');
+    }
+    // Without a token, only a provider we can check by source address is trusted
+    if (!expectedToken && !IP_VERIFIED_PROVIDERS.includes(providerName)) {
+      return reject(req, res, providerName, 'PAYMENT_CALLBACK_TOKEN is not set and this provider cannot be verified by address');
+    }
+
+    if (providerName === 'daraja') {
+      const ipCheck = await getSystemSetting('mpesa_callback_ip_check');
+      if (ipCheck !== false && !allowedIps().includes(clientIp(req))) {
+        return reject(req, res, providerName, 'source address not on the Safaricom allow-list');
+      }
+    }
+
+    next();
+  } catch (error) {
+    console.error('Error verifying payment callback:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+if (!process.env.PAYMENT_CALLBACK_TOKEN) {
+  console.warn('PAYMENT_CALLBACK_TOKEN is not set; only Daraja callbacks (checked by source address) will be accepted');
+}
+
+module.exports = {
+  SAFARICOM_CALLBACK_IPS,
+  verifyProviderCallback
+};
@@ -1,8 +1,33 @@
-// EMAIL VERIFICATION DISABLED - This middleware is no longer used
-// Users are automatically verified upon registration
-const checkEmailVerification = (req, res, next) => {
-  // Skip email verification - all users are considered verified
-  next();
+const pool = require('../db');
+const { isVerificationRequired } = require('../utils/emailVerification');
+
+// Blocks the request until the user's email is verified, but only while
+// the email_verification_required setting is switched on
+const checkEmailVerification = async (req, res, next) => {
+  try {
+    if (!(await isVerificationRequired())) {
+      return next();
+    }
+
+    const [userRows] = await pool.query(
+      'SELECT email, email_verified FROM users WHERE id = ?',
+      [req.user.id]
+    );
+
+    if (userRows.length === 0 || !userRows[0].email_verified) {
+      return res.status(403).json({
+        message: userRows.length > 0 && !userRows[0].email
+          ? 'Add an email address to your profile and verify it before continuing'
+          : 'Please verify your email address before continuing',
+        code: 'EMAIL_NOT_VERIFIED'
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Error checking email verification:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
 };
 
 module.exports = { checkEmailVerification };
@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+const pool = require('../db');
+
+// Keys are client-generated (typically a UUID) and scoped per user
+const IDEMPOTENCY_KEY_PATTERN = /^[A-Za-z0-9_:-]{8,128}$/;
+
+// How long a key and its stored response are kept
+const IDEMPOTENCY_KEY_TTL_HOURS = 24;
+
+// A key still 'processing' after this long belongs to a request that died and
+// is claimed again. Withdrawals, transfers and purchases also store the key in
+// a column unique per user, so a request that was only slow cannot run twice;
+// a repeated deposit only sends another STK prompt for the customer to accept.
+const IDEMPOTENCY_PROCESSING_TIMEOUT_MINUTES = 5;
+
+// Step-up codes change on every attempt, so they are not part of the request
+const SECOND_FACTOR_FIELDS = ['totp_code', 'backup_code'];
+
+// Same key order regardless of how the client serialised the body
+const canonicalize = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(canonicalize);
+  }
+  if (value && typeof value === 'object') {
+    return Object.keys(value).sort().reduce((result, key) => {
+      result[key] = canonicalize(value[key]);
+      return result;
+    }, {});
+  }
+  return value;
+};
+
+const fingerprintRequest = (req) => {
+  const body = { ...(req.body || {}) };
+  for (const field of SECOND_FACTOR_FIELDS) {
+    delete body[field];
+  }
+
+  return crypto.createHash('sha256')
+    .update(`${req.method} ${req.baseUrl}${req.path}\n${JSON.stringify(canonicalize(body))}`)
+    .digest('hex');
+};
+
+/**
+ * Claim the key for this request. Returns the existing row if the key is
+ * already taken; an expired key, or one stuck in 'processing', is released
+ * and claimed again.
+ */
+const claimKey = async (userId, key, req, requestHash) => {
+  const [result] = await pool.query(`
+    INSERT IGNORE INTO idempotency_keys (user_id, idempotency_key, method, path, request_hash, status, created_at)
+    VALUES (?, ?, ?, ?, ?, 'processing', CURRENT_TIMESTAMP)
+  `, [userId, key, req.method, `${req.baseUrl}${req.path}`, requestHash]);
+
+  if (result.affectedRows > 0) {
+    return { claimed: true, id: result.insertId };
+  }
+
+  const [rows] = await pool.query(`
+    SELECT *,
+      created_at < DATE_SUB(NOW(), INTERVAL ? HOUR) as expired,
+      status = 'processing' AND created_at < DATE_SUB(NOW(), INTERVAL ? MINUTE) as stalled
+    FROM idempotency_keys WHERE user_id = ? AND idempotency_key = ?
+  `, [IDEMPOTENCY_KEY_TTL_HOURS, IDEMPOTENCY_PROCESSING_TIMEOUT_MINUTES, userId, key]);
+
+  if (rows.length === 0 || rows[0].expired || rows[0].stalled) {
+    await pool.query('DELETE FROM idempotency_keys WHERE user_id = ? AND idempotency_key = ?', [userId, key]);
+    return claimKey(userId, key, req, requestHash);
+  }
+
+  return { claimed: false, existing: rows[0] };
+};
+
+const storeResponse = async (id, statusCode, body) => {
+  try {
+    // Only successes are stored: a rejected request (bad 2FA code, server
+    // error) changed nothing, so the client can fix it and retry
+    if (statusCode >= 400) {
+      await pool.query('DELETE FROM idempotency_keys WHERE id = ?', [id]);
+      return;
+    }
+
+    await pool.query(`
+      UPDATE idempotency_keys
+      SET status = 'completed', response_status = ?, response_body = ?, completed_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [statusCode, JSON.stringify(body), id]);
+  } catch (error) {
+    console.error('Error storing idempotent response:', error);
+  }
+};
+
+const releaseKey = async (id) => {
+  try {
+    await pool.query("DELETE FROM idempotency_keys WHERE id = ? AND status = 'processing'", [id]);
+  } catch (error) {
+    console.error('Error releasing idempotency key:', error);
+  }
+};
+
+/**
+ * Makes a money-moving endpoint safe to retry. When the request carries an
+ * Idempotency-Key header:
+ *  - the first request runs normally and its response is stored if it succeeded
+ *  - a repeat with the same body gets the stored response back
+ *  - a repeat with a different body (or endpoint) is rejected with 422
+ *  - a repeat while the first is still running gets 409
+ * Requests without the header are passed through unchanged. Put it before
+ * requireTwoFactor, so a retry is answered without spending another code.
+ */
+const idempotency = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key) {
+    return next();
+  }
+
+  if (!IDEMPOTENCY_KEY_PATTERN.test(key)) {
+    return res.status(400).json({ message: 'Idempotency-Key must be 8-128 letters, digits, "-", "_" or ":"' });
+  }
+
+  const userId = req.user.id;
+  const requestHash = fingerprintRequest(req);
+
+  try {
+    const claim = await claimKey(userId, key, req, requestHash);
+
+    if (!claim.claimed) {
+      const { existing } = claim;
+
+      if (existing.request_hash !== requestHash) {
+        return res.status(422).json({
+          message: 'Idempotency-Key was already used with a different request',
+          code: 'IDEMPOTENCY_KEY_MISMATCH'
+        });
+      }
+
+      if (existing.status === 'processing') {
+        return res.status(409).json({
+          message: 'A request with this Idempotency-Key is still being processed',
+          code: 'IDEMPOTENCY_KEY_IN_PROGRESS'
+        });
+      }
+
+      const body = typeof existing.response_body === 'string'
+        ? JSON.parse(existing.response_body)
+        : existing.response_body;
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.response_status).json(body);
+    }
+
+    // Store the response before sending it, so a retry that arrives as soon
+    // as the client has it is replayed rather than told it is in progress.
+    // This happens even if the client has already disconnected.
+    let stored = false;
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      stored = true;
+      storeResponse(claim.id, res.statusCode, body).then(() => originalJson(body));
+      return res;
+    };
+
+    // Anything that ends without a JSON response leaves nothing to replay
+    res.on('finish', () => {
+      if (!stored) {
+        releaseKey(claim.id);
+      }
+    });
+
+    next();
+  } catch (error) {
+    console.error('Error checking idempotency key:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  idempotency,
+  IDEMPOTENCY_KEY_PATTERN,
+  IDEMPOTENCY_KEY_TTL_HOURS,
+  IDEMPOTENCY_PROCESSING_TIMEOUT_MINUTES
+};
@@ -0,0 +1,40 @@
+const multer = require('multer');
+const { DOCUMENT_TYPES, ALLOWED_MIME_TYPES } = require('../utils/kycService');
+
+const MAX_FILE_SIZE_MB = 5;
+
+// Files are kept in memory and handed to the document storage by the controller
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_FILE_SIZE_MB * 1024 * 1024,
+    files: DOCUMENT_TYPES.length
+  },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_MIME_TYPES[file.mimetype]) {
+      return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+    }
+    cb(null, true);
+  }
+}).fields(DOCUMENT_TYPES.map(name => ({ name, maxCount: 1 })));
+
+// Parse KYC document uploads, turning upload errors into 400 responses
+const handleKycUpload = (req, res, next) => {
+  upload(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+
+    if (error instanceof multer.MulterError) {
+      const message = error.code === 'LIMIT_FILE_SIZE'
+        ? `Each document must be smaller than ${MAX_FILE_SIZE_MB}MB`
+        : `Unexpected or unsupported file${error.field ? ` "${error.field}"` : ''}. Upload JPEG, PNG or PDF files as: ${DOCUMENT_TYPES.join(', ')}`;
+      return res.status(400).json({ message });
+    }
+
+    console.error('Error processing KYC upload:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  });
+};
+
+module.exports = { handleKycUpload };
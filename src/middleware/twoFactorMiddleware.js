@@ -0,0 +1,48 @@
+const twoFactorService = require('../utils/twoFactorService');
+
+// Step-up check for sensitive actions (withdrawals, balance adjustments, settings).
+// Users with 2FA enabled must send a current code with the request;
+// admins must have 2FA enabled at all before they can perform these actions.
+const requireTwoFactor = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const enabled = await twoFactorService.isEnabled(userId);
+
+    if (!enabled) {
+      if (req.user.role === 'admin') {
+        return res.status(403).json({
+          message: 'Two-factor authentication must be enabled on admin accounts before performing this action',
+          code: 'TWO_FACTOR_ENROLLMENT_REQUIRED'
+        });
+      }
+      return next();
+    }
+
+    const { code, backupCode } = twoFactorService.getSecondFactorFromRequest(req);
+    if (!code && !backupCode) {
+      return res.status(401).json({
+        message: 'Two-factor authentication code required',
+        code: 'TWO_FACTOR_REQUIRED'
+      });
+    }
+
+    const result = await twoFactorService.verifySecondFactor(userId, { code, backupCode });
+    if (result.locked) {
+      return res.status(429).json({ message: result.locked.message, code: result.locked.code, retry_after: result.locked.retryAfter });
+    }
+    if (!result.valid) {
+      return res.status(401).json({
+        message: 'Invalid two-factor authentication code',
+        code: 'TWO_FACTOR_INVALID'
+      });
+    }
+
+    req.user.two_factor_method = result.method;
+    next();
+  } catch (error) {
+    console.error('Error verifying two-factor code:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+module.exports = { requireTwoFactor };
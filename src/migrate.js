@@ -0,0 +1,71 @@
+const fs = require('fs');
+const path = require('path');
+const pool = require('./db');
+
+console.log('=== MinersHub Pro Schema Migrations ===\n');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+/**
+ * Load migration modules in filename order (001_..., 002_..., ...)
+ */
+function loadMigrations() {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => /^\d+_.+\.js$/.test(file))
+    .sort()
+    .map(file => ({
+      name: file.replace(/\.js$/, ''),
+      ...require(path.join(MIGRATIONS_DIR, file))
+    }));
+}
+
+/**
+ * Apply every migration that has not been recorded in schema_migrations yet.
+ * Each migration runs its statements in order; DDL in MySQL auto-commits,
+ * so statements are written to be safe to re-run (IF NOT EXISTS etc).
+ */
+async function runMigrations() {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      name VARCHAR(100) PRIMARY KEY,
+      applied_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  const [appliedRows] = await pool.query('SELECT name FROM schema_migrations');
+  const applied = new Set(appliedRows.map(row => row.name));
+  const pending = loadMigrations().filter(migration => !applied.has(migration.name));
+
+  if (pending.length === 0) {
+    console.log('✅ Database schema is up to date\n');
+    return { applied: 0 };
+  }
+
+  for (const migration of pending) {
+    console.log(`🔧 Applying ${migration.name}: ${migration.description}`);
+
+    for (const statement of migration.statements) {
+      await pool.query(statement);
+    }
+
+    await pool.query('INSERT INTO schema_migrations (name) VALUES (?)', [migration.name]);
+    console.log(`   ✅ ${migration.name} applied`);
+  }
+
+  console.log(`\n🎉 Applied ${pending.length} migration(s)\n`);
+  return { applied: pending.length };
+}
+
+// Run migrations if this script is executed directly
+if (require.main === module) {
+  runMigrations()
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('❌ Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  runMigrations
+};
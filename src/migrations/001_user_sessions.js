@@ -0,0 +1,36 @@
+/**
+ * Login sessions backing short-lived access tokens and rotating refresh tokens.
+ * One row per signed-in device; refresh tokens are only ever stored as SHA-256 hashes.
+ */
+const statements = [
+  `CREATE TABLE IF NOT EXISTS user_sessions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    refresh_token_hash CHAR(64) NOT NULL,
+    user_agent VARCHAR(255) NULL,
+    ip_address VARCHAR(45) NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TIMESTAMP NULL,
+    expires_at DATETIME NOT NULL,
+    revoked_at DATETIME NULL,
+    revoked_reason VARCHAR(50) NULL,
+    UNIQUE KEY uq_user_sessions_refresh_hash (refresh_token_hash),
+    KEY idx_user_sessions_user (user_id, revoked_at),
+    CONSTRAINT fk_user_sessions_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+  )`,
+
+  // Refresh tokens that were already exchanged; seeing one again means it leaked
+  `CREATE TABLE IF NOT EXISTS user_session_rotations (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    session_id INT NOT NULL,
+    refresh_token_hash CHAR(64) NOT NULL,
+    rotated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_user_session_rotations_hash (refresh_token_hash),
+    CONSTRAINT fk_user_session_rotations_session FOREIGN KEY (session_id) REFERENCES user_sessions(id) ON DELETE CASCADE
+  )`
+];
+
+module.exports = {
+  description: 'Create user_sessions and user_session_rotations tables',
+  statements
+};
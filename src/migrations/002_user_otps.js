@@ -0,0 +1,27 @@
+/**
+ * One-time codes for account recovery and re-verification flows.
+ * Codes are stored as HMAC hashes; `purpose` separates password resets from other uses.
+ */
+const statements = [
+  `CREATE TABLE IF NOT EXISTS user_otps (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    purpose VARCHAR(32) NOT NULL,
+    code_hash CHAR(64) NOT NULL,
+    channel VARCHAR(16) NOT NULL,
+    destination VARCHAR(255) NULL,
+    attempts INT NOT NULL DEFAULT 0,
+    request_ip VARCHAR(45) NULL,
+    expires_at DATETIME NOT NULL,
+    used_at DATETIME NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    KEY idx_user_otps_user_purpose (user_id, purpose, created_at),
+    KEY idx_user_otps_ip (request_ip, created_at),
+    CONSTRAINT fk_user_otps_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+  )`
+];
+
+module.exports = {
+  description: 'Create user_otps table for password reset codes',
+  statements
+};
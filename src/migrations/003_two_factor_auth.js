@@ -0,0 +1,31 @@
+/**
+ * TOTP (RFC 6238) two-factor authentication.
+ * Secrets are stored encrypted; backup codes are stored as hashes and burn on use.
+ */
+const statements = [
+  `CREATE TABLE IF NOT EXISTS user_two_factor (
+    user_id INT PRIMARY KEY,
+    secret_encrypted VARCHAR(255) NOT NULL,
+    enabled BOOLEAN NOT NULL DEFAULT FALSE,
+    confirmed_at DATETIME NULL,
+    last_used_step BIGINT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NULL DEFAULT NULL ON UPDATE CURRENT_TIMESTAMP,
+    CONSTRAINT fk_user_two_factor_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS user_backup_codes (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    code_hash CHAR(64) NOT NULL,
+    used_at DATETIME NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    KEY idx_user_backup_codes_user (user_id, used_at),
+    CONSTRAINT fk_user_backup_codes_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+  )`
+];
+
+module.exports = {
+  description: 'Create user_two_factor and user_backup_codes tables',
+  statements
+};
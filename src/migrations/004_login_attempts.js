@@ -0,0 +1,36 @@
+/**
+ * Login audit trail and lockouts for brute-force protection.
+ * Every password attempt is recorded in login_attempts; login_lockouts holds
+ * temporary locks keyed by phone number or IP address.
+ */
+const statements = [
+  `CREATE TABLE IF NOT EXISTS login_attempts (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    phone VARCHAR(20) NOT NULL,
+    user_id INT NULL,
+    ip_address VARCHAR(45) NULL,
+    user_agent VARCHAR(255) NULL,
+    success BOOLEAN NOT NULL DEFAULT FALSE,
+    failure_reason VARCHAR(32) NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    KEY idx_login_attempts_phone (phone, created_at),
+    KEY idx_login_attempts_ip (ip_address, created_at),
+    KEY idx_login_attempts_user (user_id, created_at)
+  )`,
+  `CREATE TABLE IF NOT EXISTS login_lockouts (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    scope ENUM('phone', 'ip') NOT NULL,
+    lock_key VARCHAR(45) NOT NULL,
+    failed_attempts INT NOT NULL DEFAULT 0,
+    locked_until DATETIME NOT NULL,
+    cleared_at DATETIME NULL,
+    cleared_by INT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    KEY idx_login_lockouts_key (scope, lock_key, locked_until)
+  )`
+];
+
+module.exports = {
+  description: 'Create login_attempts and login_lockouts tables',
+  statements
+};
@@ -0,0 +1,15 @@
+/**
+ * Self-service account closure: adds a 'closed' user status and when/why it happened.
+ */
+const statements = [
+  `ALTER TABLE users
+    MODIFY COLUMN status ENUM('active', 'suspended', 'pending', 'closed') NOT NULL DEFAULT 'active'`,
+  `ALTER TABLE users
+    ADD COLUMN closed_at DATETIME NULL AFTER status,
+    ADD COLUMN closure_reason VARCHAR(255) NULL AFTER closed_at`
+];
+
+module.exports = {
+  description: 'Add closed status and closure details to users',
+  statements
+};
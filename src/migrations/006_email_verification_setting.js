@@ -0,0 +1,14 @@
+/**
+ * Toggle for the email verification flow. Off by default so existing
+ * deployments keep auto-verifying until an admin switches it on.
+ */
+const statements = [
+  `INSERT IGNORE INTO system_settings (setting_key, setting_value, data_type, category, description, created_at, updated_at)
+   VALUES ('email_verification_required', 'false', 'boolean', 'security',
+           'Require users to verify their email address before withdrawing', NOW(), NOW())`
+];
+
+module.exports = {
+  description: 'Add email_verification_required system setting',
+  statements
+};
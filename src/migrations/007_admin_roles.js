@@ -0,0 +1,15 @@
+/**
+ * Named admin roles. users.role stays 'admin' for every staff account;
+ * admin_role says which permissions that admin has (see utils/permissions.js).
+ * Existing admins keep full access as super admins.
+ */
+const statements = [
+  `ALTER TABLE users
+    ADD COLUMN admin_role VARCHAR(32) NULL AFTER role`,
+  `UPDATE users SET admin_role = 'super_admin' WHERE role = 'admin' AND admin_role IS NULL`
+];
+
+module.exports = {
+  description: 'Add admin_role to users and make existing admins super admins',
+  statements
+};
@@ -0,0 +1,52 @@
+/**
+ * KYC (identity verification). users.kyc_tier is the verified level:
+ * 0 = unverified, 1 = ID document checked, 2 = ID + selfie checked.
+ * Withdrawal limits per tier live in the kyc_withdrawal_limits setting.
+ */
+const statements = [
+  `ALTER TABLE users
+    ADD COLUMN kyc_tier TINYINT NOT NULL DEFAULT 0 AFTER email_verified,
+    ADD COLUMN kyc_verified_at DATETIME NULL AFTER kyc_tier`,
+  `CREATE TABLE IF NOT EXISTS kyc_submissions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    requested_tier TINYINT NOT NULL,
+    id_number VARCHAR(32) NOT NULL,
+    full_name VARCHAR(255) NOT NULL,
+    date_of_birth DATE NULL,
+    status ENUM('pending', 'approved', 'rejected') NOT NULL DEFAULT 'pending',
+    approved_tier TINYINT NULL,
+    rejection_reason VARCHAR(255) NULL,
+    reviewed_by INT NULL,
+    reviewed_at DATETIME NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    KEY idx_kyc_submissions_user (user_id, created_at),
+    KEY idx_kyc_submissions_status (status, created_at),
+    KEY idx_kyc_submissions_id_number (id_number),
+    CONSTRAINT fk_kyc_submissions_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+  )`,
+  `CREATE TABLE IF NOT EXISTS kyc_documents (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    submission_id INT NOT NULL,
+    user_id INT NOT NULL,
+    document_type VARCHAR(32) NOT NULL,
+    storage_key VARCHAR(255) NOT NULL,
+    original_name VARCHAR(255) NULL,
+    mime_type VARCHAR(100) NOT NULL,
+    size_bytes INT NOT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    KEY idx_kyc_documents_submission (submission_id),
+    CONSTRAINT fk_kyc_documents_submission FOREIGN KEY (submission_id) REFERENCES kyc_submissions(id) ON DELETE CASCADE
+  )`,
+  `INSERT IGNORE INTO system_settings (setting_key, setting_value, data_type, category, description, created_at, updated_at)
+   VALUES ('kyc_withdrawal_limits',
+           '{"0":{"per_transaction":5000,"daily":10000},"1":{"per_transaction":50000,"daily":100000},"2":{"per_transaction":null,"daily":null}}',
+           'json', 'security',
+           'Withdrawal limits in KES per KYC tier (null = no extra limit beyond the global ones)', NOW(), NOW())`
+];
+
+module.exports = {
+  description: 'Create KYC tables, users.kyc_tier and kyc_withdrawal_limits setting',
+  statements
+};
@@ -0,0 +1,37 @@
+/**
+ * In-app notification inbox and per-user email preferences.
+ * (source_type, source_id) identifies the event a notification came from,
+ * so the same deposit / commission / withdrawal update is never announced twice.
+ */
+const statements = [
+  `CREATE TABLE IF NOT EXISTS notifications (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    type VARCHAR(32) NOT NULL,
+    title VARCHAR(150) NOT NULL,
+    message VARCHAR(500) NOT NULL,
+    data JSON NULL,
+    source_type VARCHAR(32) NULL,
+    source_id VARCHAR(64) NULL,
+    read_at DATETIME NULL,
+    emailed_at DATETIME NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    KEY idx_notifications_user (user_id, created_at),
+    KEY idx_notifications_unread (user_id, read_at),
+    UNIQUE KEY uq_notifications_source (user_id, type, source_type, source_id),
+    CONSTRAINT fk_notifications_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+  )`,
+  `CREATE TABLE IF NOT EXISTS notification_preferences (
+    user_id INT NOT NULL,
+    type VARCHAR(32) NOT NULL,
+    email_enabled BOOLEAN NOT NULL,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    PRIMARY KEY (user_id, type),
+    CONSTRAINT fk_notification_preferences_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+  )`
+];
+
+module.exports = {
+  description: 'Create notifications and notification_preferences tables',
+  statements
+};
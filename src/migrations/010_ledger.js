@@ -0,0 +1,54 @@
+/**
+ * Double-entry ledger. Every balance change is one ledger_entries row with two
+ * or more ledger_postings that sum to zero; a user's balance is the sum of the
+ * postings on their wallet account. (entry_type, reference_type, reference_id)
+ * is unique so the same deposit / earning / withdrawal is never posted twice.
+ */
+const statements = [
+  `CREATE TABLE IF NOT EXISTS ledger_accounts (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    code VARCHAR(64) NOT NULL,
+    name VARCHAR(150) NOT NULL,
+    account_type ENUM('user_wallet', 'system') NOT NULL,
+    user_id INT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_ledger_accounts_code (code),
+    UNIQUE KEY uq_ledger_accounts_user (user_id),
+    CONSTRAINT fk_ledger_accounts_user FOREIGN KEY (user_id) REFERENCES users(id)
+  )`,
+  `CREATE TABLE IF NOT EXISTS ledger_entries (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    entry_type VARCHAR(32) NOT NULL,
+    reference_type VARCHAR(32) NULL,
+    reference_id VARCHAR(64) NULL,
+    description VARCHAR(255) NULL,
+    created_by INT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_ledger_entries_reference (entry_type, reference_type, reference_id),
+    KEY idx_ledger_entries_created (created_at)
+  )`,
+  `CREATE TABLE IF NOT EXISTS ledger_postings (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    entry_id BIGINT NOT NULL,
+    account_id INT NOT NULL,
+    amount DECIMAL(20,8) NOT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    KEY idx_ledger_postings_entry (entry_id),
+    KEY idx_ledger_postings_account (account_id, created_at),
+    CONSTRAINT fk_ledger_postings_entry FOREIGN KEY (entry_id) REFERENCES ledger_entries(id),
+    CONSTRAINT fk_ledger_postings_account FOREIGN KEY (account_id) REFERENCES ledger_accounts(id)
+  )`,
+  `INSERT IGNORE INTO ledger_accounts (code, name, account_type) VALUES
+    ('system:mpesa_clearing', 'M-Pesa clearing', 'system'),
+    ('system:engine_sales', 'Mining engine sales', 'system'),
+    ('system:mining_earnings', 'Mining earnings paid', 'system'),
+    ('system:referral_commissions', 'Referral commissions paid', 'system'),
+    ('system:withdrawals_pending', 'Withdrawals awaiting payout', 'system'),
+    ('system:adjustments', 'Manual balance adjustments', 'system'),
+    ('system:opening_balances', 'Balances before the ledger was introduced', 'system')`
+];
+
+module.exports = {
+  description: 'Create ledger_accounts, ledger_entries and ledger_postings tables',
+  statements
+};
@@ -0,0 +1,45 @@
+/**
+ * Nightly balance reconciliation. Each run recomputes every user's expected
+ * balance from source records; users whose balance disagrees get one open
+ * balance_discrepancies row that later runs keep up to date until an admin
+ * corrects or dismisses it.
+ */
+const statements = [
+  `CREATE TABLE IF NOT EXISTS reconciliation_runs (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    status ENUM('running', 'completed', 'failed') NOT NULL DEFAULT 'running',
+    triggered_by INT NULL,
+    users_checked INT NOT NULL DEFAULT 0,
+    discrepancies_found INT NOT NULL DEFAULT 0,
+    total_difference DECIMAL(20,8) NOT NULL DEFAULT 0,
+    error_message VARCHAR(500) NULL,
+    started_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    completed_at DATETIME NULL,
+    KEY idx_reconciliation_runs_started (started_at)
+  )`,
+  `CREATE TABLE IF NOT EXISTS balance_discrepancies (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    first_run_id INT NOT NULL,
+    last_run_id INT NOT NULL,
+    expected_balance DECIMAL(20,8) NOT NULL,
+    actual_balance DECIMAL(20,8) NOT NULL,
+    ledger_balance DECIMAL(20,8) NOT NULL,
+    difference DECIMAL(20,8) NOT NULL,
+    breakdown JSON NOT NULL,
+    status ENUM('open', 'corrected', 'dismissed', 'resolved') NOT NULL DEFAULT 'open',
+    resolved_by INT NULL,
+    resolved_at DATETIME NULL,
+    resolution_note VARCHAR(500) NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    KEY idx_balance_discrepancies_status (status, created_at),
+    KEY idx_balance_discrepancies_user (user_id, status),
+    CONSTRAINT fk_balance_discrepancies_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+  )`
+];
+
+module.exports = {
+  description: 'Create reconciliation_runs and balance_discrepancies tables',
+  statements
+};
@@ -0,0 +1,14 @@
+/**
+ * Client-supplied Idempotency-Key on withdrawal requests. Unique per user, so
+ * a retried request can never create a second withdrawal.
+ */
+const statements = [
+  `ALTER TABLE withdrawals
+    ADD COLUMN idempotency_key VARCHAR(128) NULL,
+    ADD UNIQUE KEY uq_withdrawals_idempotency (user_id, idempotency_key)`
+];
+
+module.exports = {
+  description: 'Add idempotency_key to withdrawals',
+  statements
+};
@@ -0,0 +1,27 @@
+/**
+ * Stored responses for requests sent with an Idempotency-Key header, so a
+ * client retry gets the original response instead of repeating the action.
+ */
+const statements = [
+  `CREATE TABLE IF NOT EXISTS idempotency_keys (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    idempotency_key VARCHAR(128) NOT NULL,
+    method VARCHAR(10) NOT NULL,
+    path VARCHAR(255) NOT NULL,
+    request_hash CHAR(64) NOT NULL,
+    status ENUM('processing', 'completed') NOT NULL DEFAULT 'processing',
+    response_status SMALLINT NULL,
+    response_body JSON NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    completed_at DATETIME NULL,
+    UNIQUE KEY uq_idempotency_keys_user_key (user_id, idempotency_key),
+    KEY idx_idempotency_keys_created (created_at),
+    CONSTRAINT fk_idempotency_keys_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+  )`
+];
+
+module.exports = {
+  description: 'Create idempotency_keys table',
+  statements
+};
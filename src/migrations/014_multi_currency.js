@@ -0,0 +1,21 @@
+/**
+ * Per-user wallet currency. Engine prices and system settings (withdrawal
+ * limits, minimum deposit) stay in the base currency (KES); fx_rates holds how
+ * many units of each wallet currency one KES buys, maintained by admins.
+ */
+const statements = [
+  `ALTER TABLE users
+    ADD COLUMN currency CHAR(3) NOT NULL DEFAULT 'KES'`,
+  `CREATE TABLE IF NOT EXISTS fx_rates (
+    currency CHAR(3) PRIMARY KEY,
+    rate DECIMAL(20,8) NOT NULL,
+    updated_by INT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+  )`
+];
+
+module.exports = {
+  description: 'Add users.currency and the fx_rates table',
+  statements
+};
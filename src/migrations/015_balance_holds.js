@@ -0,0 +1,31 @@
+/**
+ * Balance holds. A withdrawal request reserves funds instead of deducting
+ * them: users.balance keeps the full amount, users.held_balance caches the sum
+ * of active holds, and available = balance - held_balance. Completing the
+ * withdrawal settles the hold (the balance is debited then), rejecting or
+ * cancelling it releases the hold.
+ */
+const statements = [
+  `ALTER TABLE users
+    ADD COLUMN held_balance DECIMAL(20,8) NOT NULL DEFAULT 0`,
+  `CREATE TABLE IF NOT EXISTS balance_holds (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    amount DECIMAL(20,8) NOT NULL,
+    reference_type VARCHAR(32) NOT NULL,
+    reference_id VARCHAR(64) NOT NULL,
+    description VARCHAR(255) NULL,
+    status ENUM('held', 'settled', 'released') NOT NULL DEFAULT 'held',
+    resolution_note VARCHAR(255) NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    resolved_at DATETIME NULL,
+    UNIQUE KEY uq_balance_holds_reference (reference_type, reference_id),
+    KEY idx_balance_holds_user (user_id, status),
+    CONSTRAINT fk_balance_holds_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+  )`
+];
+
+module.exports = {
+  description: 'Add users.held_balance and the balance_holds table',
+  statements
+};
@@ -0,0 +1,38 @@
+/**
+ * Wallet-to-wallet transfers between users. Completed transfers move balance
+ * through the ledger; attempts stopped by the fraud checks are kept as
+ * 'blocked' rows so they can be reviewed. Limits are in the base currency.
+ */
+const statements = [
+  `CREATE TABLE IF NOT EXISTS wallet_transfers (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    sender_id INT NOT NULL,
+    recipient_id INT NOT NULL,
+    amount DECIMAL(20,8) NOT NULL,
+    currency CHAR(3) NOT NULL,
+    note VARCHAR(255) NULL,
+    status ENUM('completed', 'blocked') NOT NULL DEFAULT 'completed',
+    block_reason VARCHAR(255) NULL,
+    idempotency_key VARCHAR(128) NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_wallet_transfers_idempotency (sender_id, idempotency_key),
+    KEY idx_wallet_transfers_sender (sender_id, created_at),
+    KEY idx_wallet_transfers_recipient (recipient_id, created_at),
+    CONSTRAINT fk_wallet_transfers_sender FOREIGN KEY (sender_id) REFERENCES users(id) ON DELETE CASCADE,
+    CONSTRAINT fk_wallet_transfers_recipient FOREIGN KEY (recipient_id) REFERENCES users(id) ON DELETE CASCADE
+  )`,
+  `INSERT IGNORE INTO system_settings (setting_key, setting_value, data_type, category, description, created_at, updated_at)
+   VALUES
+     ('transfers_enabled', 'true', 'boolean', 'transfers', 'Allow users to send balance to other users', NOW(), NOW()),
+     ('min_transfer_amount', '10', 'number', 'transfers', 'Minimum transfer amount in KES', NOW(), NOW()),
+     ('max_transfer_amount', '50000', 'number', 'transfers', 'Maximum single transfer amount in KES', NOW(), NOW()),
+     ('daily_transfer_limit', '100000', 'number', 'transfers', 'Total a user can send per day in KES', NOW(), NOW()),
+     ('daily_transfer_count', '10', 'number', 'transfers', 'Number of transfers a user can send per day', NOW(), NOW()),
+     ('transfer_max_recipients_per_day', '5', 'number', 'transfers', 'Different recipients a user can send to per day', NOW(), NOW()),
+     ('transfer_min_account_age_hours', '24', 'number', 'transfers', 'Hours after registration before a user can send transfers', NOW(), NOW())`
+];
+
+module.exports = {
+  description: 'Create wallet_transfers and the transfer limit settings',
+  statements
+};
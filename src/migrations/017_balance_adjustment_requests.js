@@ -0,0 +1,36 @@
+/**
+ * Maker-checker for manual balance adjustments. Every adjustment is a
+ * balance_adjustment_requests row; amounts above the approval threshold wait
+ * as 'pending' until a second admin approves them. Applying one still writes
+ * the 'balance_adjustment' admin log that the ledger entry references.
+ */
+const statements = [
+  `CREATE TABLE IF NOT EXISTS balance_adjustment_requests (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    amount DECIMAL(20,8) NOT NULL,
+    currency CHAR(3) NOT NULL,
+    reason_code VARCHAR(32) NOT NULL,
+    reason VARCHAR(500) NOT NULL,
+    reference VARCHAR(255) NULL,
+    status ENUM('pending', 'applied', 'rejected') NOT NULL DEFAULT 'pending',
+    requested_by INT NOT NULL,
+    reviewed_by INT NULL,
+    reviewed_at DATETIME NULL,
+    review_note VARCHAR(500) NULL,
+    admin_log_id INT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    KEY idx_balance_adjustment_requests_user (user_id, created_at),
+    KEY idx_balance_adjustment_requests_status (status, created_at),
+    CONSTRAINT fk_balance_adjustment_requests_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+  )`,
+  `INSERT IGNORE INTO system_settings (setting_key, setting_value, data_type, category, description, created_at, updated_at)
+   VALUES ('balance_adjustment_approval_threshold', '10000', 'number', 'security',
+           'Manual balance adjustments above this amount in KES need a second admin to approve them', NOW(), NOW())`
+];
+
+module.exports = {
+  description: 'Create balance_adjustment_requests and the approval threshold setting',
+  statements
+};
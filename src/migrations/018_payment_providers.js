@@ -0,0 +1,21 @@
+/**
+ * Record which payment provider handled each deposit and withdrawal, and the
+ * provider's reference for payouts so their callbacks can be matched. The
+ * provider used for new collections/payouts is chosen in system_settings.
+ */
+const statements = [
+  'ALTER TABLE deposits ADD COLUMN provider VARCHAR(32) NULL AFTER method',
+  'ALTER TABLE withdrawals ADD COLUMN provider VARCHAR(32) NULL AFTER method',
+  'ALTER TABLE withdrawals ADD COLUMN provider_reference VARCHAR(100) NULL AFTER provider',
+  'CREATE INDEX idx_withdrawals_provider_reference ON withdrawals (provider_reference)',
+  `INSERT IGNORE INTO system_settings (setting_key, setting_value, data_type, category, description, created_at, updated_at)
+   VALUES
+     ('deposit_payment_provider', 'daraja', 'string', 'payments', 'Provider used for deposit collections (daraja or payhero)', NOW(), NOW()),
+     ('withdrawal_payment_provider', 'daraja', 'string', 'payments', 'Provider used for withdrawal payouts (daraja or payhero)', NOW(), NOW()),
+     ('payment_provider_failover', 'false', 'boolean', 'payments', 'Try the other configured provider when the selected one fails', NOW(), NOW())`
+];
+
+module.exports = {
+  description: 'Add payment provider columns to deposits and withdrawals and the provider settings',
+  statements
+};
@@ -0,0 +1,19 @@
+/**
+ * Track status queries for pending deposits whose provider callback never
+ * arrived, so the requery job can work through them oldest-check first.
+ */
+const statements = [
+  'ALTER TABLE deposits ADD COLUMN status_checked_at TIMESTAMP NULL',
+  'ALTER TABLE deposits ADD COLUMN status_check_count INT NOT NULL DEFAULT 0',
+  'ALTER TABLE deposits ADD COLUMN status_check_result VARCHAR(255) NULL',
+  'CREATE INDEX idx_deposits_status_created ON deposits (status, created_at)',
+  `INSERT IGNORE INTO system_settings (setting_key, setting_value, data_type, category, description, created_at, updated_at)
+   VALUES
+     ('deposit_requery_after_minutes', '5', 'number', 'payments', 'Minutes a deposit can stay pending before its status is queried with the provider', NOW(), NOW()),
+     ('deposit_requery_batch_size', '50', 'number', 'payments', 'Pending deposits queried per run of the requery job', NOW(), NOW())`
+];
+
+module.exports = {
+  description: 'Add deposit status check tracking and the requery settings',
+  statements
+};
@@ -0,0 +1,20 @@
+/**
+ * What was actually charged for each deposit, so callbacks can be
+ * cross-checked against it, and the provider receipt, unique so the same
+ * payment can never complete two deposits.
+ */
+const statements = [
+  'ALTER TABLE deposits ADD COLUMN charge_amount DECIMAL(20,2) NULL',
+  'ALTER TABLE deposits ADD COLUMN charge_phone VARCHAR(20) NULL',
+  'ALTER TABLE deposits ADD COLUMN provider_receipt VARCHAR(64) NULL',
+  'ALTER TABLE deposits ADD COLUMN review_reason VARCHAR(255) NULL',
+  'CREATE UNIQUE INDEX uq_deposits_provider_receipt ON deposits (provider_receipt)',
+  `INSERT IGNORE INTO system_settings (setting_key, setting_value, data_type, category, description, created_at, updated_at)
+   VALUES
+     ('mpesa_callback_ip_check', 'true', 'boolean', 'security', 'Only accept M-Pesa callbacks from Safaricom addresses', NOW(), NOW())`
+];
+
+module.exports = {
+  description: 'Add deposit charge details and provider receipts for callback verification',
+  statements
+};
@@ -0,0 +1,41 @@
+/**
+ * Every inbound payment callback, stored verbatim with its headers and the
+ * outcome of processing it, linked to the deposit or withdrawal it settled.
+ * Stored callbacks can be replayed by an admin.
+ */
+const statements = [
+  `CREATE TABLE IF NOT EXISTS payment_callbacks (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    provider VARCHAR(32) NOT NULL,
+    endpoint VARCHAR(255) NOT NULL,
+    source_ip VARCHAR(45) NULL,
+    headers JSON NULL,
+    raw_body MEDIUMTEXT NULL,
+    kind VARCHAR(16) NULL,
+    reference VARCHAR(100) NULL,
+    status ENUM('received', 'processed', 'ignored', 'rejected', 'failed') NOT NULL DEFAULT 'received',
+    outcome VARCHAR(255) NULL,
+    error TEXT NULL,
+    deposit_id INT NULL,
+    withdrawal_id INT NULL,
+    replayable TINYINT(1) NOT NULL DEFAULT 1,
+    replay_count INT NOT NULL DEFAULT 0,
+    last_replayed_at TIMESTAMP NULL,
+    last_replayed_by INT NULL,
+    received_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    processed_at TIMESTAMP NULL,
+    KEY idx_payment_callbacks_received (received_at),
+    KEY idx_payment_callbacks_provider_status (provider, status),
+    KEY idx_payment_callbacks_reference (reference),
+    KEY idx_payment_callbacks_deposit (deposit_id),
+    KEY idx_payment_callbacks_withdrawal (withdrawal_id)
+  )`,
+  `INSERT IGNORE INTO system_settings (setting_key, setting_value, data_type, category, description, created_at, updated_at)
+   VALUES
+     ('payment_callback_retention_days', '180', 'number', 'payments', 'Days stored payment callbacks are kept before cleanup', NOW(), NOW())`
+];
+
+module.exports = {
+  description: 'Create payment_callbacks for callback audit and replay',
+  statements
+};
@@ -0,0 +1,25 @@
+/**
+ * Currency of each ledger posting. Every posting in an entry is in the wallet
+ * currency of the user it belongs to, so system accounts hold amounts in
+ * several currencies and are only summed per currency.
+ */
+const statements = [
+  `ALTER TABLE ledger_postings
+    ADD COLUMN currency CHAR(3) NOT NULL DEFAULT 'KES' AFTER amount`,
+  `UPDATE ledger_postings lp
+    JOIN (
+      SELECT up.entry_id, MAX(u.currency) as currency
+      FROM ledger_postings up
+      JOIN ledger_accounts la ON up.account_id = la.id
+      JOIN users u ON la.user_id = u.id
+      GROUP BY up.entry_id
+    ) entry_currency ON entry_currency.entry_id = lp.entry_id
+    SET lp.currency = entry_currency.currency`,
+  `ALTER TABLE ledger_postings
+    ADD KEY idx_ledger_postings_account_currency (account_id, currency)`
+];
+
+module.exports = {
+  description: 'Add ledger_postings.currency',
+  statements
+};
@@ -0,0 +1,22 @@
+/**
+ * Brute-force protection for second factors. Every TOTP / backup code check
+ * is recorded in two_factor_attempts; too many failures lock the user out of
+ * 2FA through a 'two_factor' lockout in login_lockouts, keyed by user id.
+ */
+const statements = [
+  `CREATE TABLE IF NOT EXISTS two_factor_attempts (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    success BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    KEY idx_two_factor_attempts_user (user_id, created_at),
+    CONSTRAINT fk_two_factor_attempts_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+  )`,
+  `ALTER TABLE login_lockouts
+    MODIFY COLUMN scope ENUM('phone', 'ip', 'two_factor') NOT NULL`
+];
+
+module.exports = {
+  description: 'Create two_factor_attempts and add two_factor lockouts',
+  statements
+};
@@ -0,0 +1,14 @@
+/**
+ * Client-supplied Idempotency-Key on purchases. Unique per user, so a retry
+ * that reclaims a stalled key can never buy the engine a second time.
+ */
+const statements = [
+  `ALTER TABLE purchases
+    ADD COLUMN idempotency_key VARCHAR(128) NULL,
+    ADD UNIQUE KEY uq_purchases_idempotency (user_id, idempotency_key)`
+];
+
+module.exports = {
+  description: 'Add idempotency_key to purchases',
+  statements
+};
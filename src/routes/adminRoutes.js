@@ -1,42 +1,90 @@
 const express = require('express');
 const router = express.Router();
 const adminController = require('../controllers/adminController');
+const kycController = require('../controllers/kycController');
+const reconciliationController = require('../controllers/reconciliationController');
+const fxController = require('../controllers/fxController');
+const balanceAdjustmentController = require('../controllers/balanceAdjustmentController');
+const paymentCallbackController = require('../controllers/paymentCallbackController');
+const { requireTwoFactor } = require('../middleware/twoFactorMiddleware');
+const { requirePermission } = require('../middleware/adminMiddleware');
+const { PERMISSIONS } = require('../utils/permissions');
 
 // Note: Auth and admin middleware are already applied in app.js
-// No need to reapply them here
+// No need to reapply them here; each route only adds the permission it needs
 
 // === SYSTEM MANAGEMENT ===
-router.get('/stats', adminController.getAdminStats);
-router.get('/settings', adminController.getSystemSettings);
-router.put('/settings', adminController.updateSystemSetting);
+router.get('/stats', requirePermission(PERMISSIONS.DASHBOARD_VIEW), adminController.getAdminStats);
+router.get('/settings', requirePermission(PERMISSIONS.SETTINGS_VIEW), adminController.getSystemSettings);
+router.put('/settings', requirePermission(PERMISSIONS.SETTINGS_MANAGE), requireTwoFactor, adminController.updateSystemSetting);
 
 // === USER MANAGEMENT ===
-router.get('/users', adminController.getAllUsers);
-router.get('/users/:userId', adminController.getUserDetails);
-router.put('/users/:userId/status', adminController.updateUserStatus);
-router.put('/users/:userId/balance', adminController.adjustUserBalance);
+router.get('/users', requirePermission(PERMISSIONS.USERS_VIEW), adminController.getAllUsers);
+router.get('/users/:userId', requirePermission(PERMISSIONS.USERS_VIEW), adminController.getUserDetails);
+router.put('/users/:userId/status', requirePermission(PERMISSIONS.USERS_MANAGE), adminController.updateUserStatus);
+router.post('/users/:userId/unlock', requirePermission(PERMISSIONS.USERS_MANAGE), adminController.unlockUserLogin);
+router.post('/users/:userId/impersonate', requirePermission(PERMISSIONS.USERS_IMPERSONATE), adminController.impersonateUser);
+router.get('/users/:userId/ledger', requirePermission(PERMISSIONS.USERS_VIEW), adminController.getUserLedger);
+router.put('/users/:userId/balance', requirePermission(PERMISSIONS.USERS_BALANCE), requireTwoFactor, balanceAdjustmentController.adjustUserBalance);
+router.get('/users/:userId/balance-adjustments', requirePermission(PERMISSIONS.USERS_VIEW), balanceAdjustmentController.getUserBalanceAdjustments);
+
+// === BALANCE ADJUSTMENT APPROVALS ===
+// Adjustments above the approval threshold need a second admin (never the requester)
+router.get('/balance-adjustments', requirePermission(PERMISSIONS.USERS_BALANCE), balanceAdjustmentController.getBalanceAdjustments);
+router.post('/balance-adjustments/:requestId/approve', requirePermission(PERMISSIONS.USERS_BALANCE_APPROVE), requireTwoFactor, balanceAdjustmentController.approveBalanceAdjustment);
+router.post('/balance-adjustments/:requestId/reject', requirePermission(PERMISSIONS.USERS_BALANCE_APPROVE), balanceAdjustmentController.rejectBalanceAdjustment);
+
+// === ROLE MANAGEMENT ===
+router.get('/roles', requirePermission(PERMISSIONS.ROLES_MANAGE), adminController.getAdminRoles);
+router.get('/admins', requirePermission(PERMISSIONS.ROLES_MANAGE), adminController.getAdminUsers);
+router.put('/users/:userId/role', requirePermission(PERMISSIONS.ROLES_MANAGE), requireTwoFactor, adminController.updateUserAdminRole);
+
+// === KYC REVIEW ===
+router.get('/kyc', requirePermission(PERMISSIONS.KYC_VIEW), kycController.getKycSubmissions);
+router.get('/kyc/documents/:documentId', requirePermission(PERMISSIONS.KYC_VIEW), kycController.getKycDocument);
+router.get('/kyc/:submissionId', requirePermission(PERMISSIONS.KYC_VIEW), kycController.getKycSubmission);
+router.post('/kyc/:submissionId/approve', requirePermission(PERMISSIONS.KYC_MANAGE), kycController.approveKycSubmission);
+router.post('/kyc/:submissionId/reject', requirePermission(PERMISSIONS.KYC_MANAGE), kycController.rejectKycSubmission);
+
+// === BALANCE RECONCILIATION ===
+router.get('/reconciliation', requirePermission(PERMISSIONS.RECONCILIATION_VIEW), reconciliationController.getDiscrepancies);
+router.get('/reconciliation/runs', requirePermission(PERMISSIONS.RECONCILIATION_VIEW), reconciliationController.getReconciliationRuns);
+router.post('/reconciliation/run', requirePermission(PERMISSIONS.RECONCILIATION_MANAGE), reconciliationController.runReconciliation);
+router.get('/reconciliation/:discrepancyId', requirePermission(PERMISSIONS.RECONCILIATION_VIEW), reconciliationController.getDiscrepancy);
+router.post('/reconciliation/:discrepancyId/correct', requirePermission(PERMISSIONS.RECONCILIATION_MANAGE), requireTwoFactor, reconciliationController.correctDiscrepancy);
+router.post('/reconciliation/:discrepancyId/dismiss', requirePermission(PERMISSIONS.RECONCILIATION_MANAGE), reconciliationController.dismissDiscrepancy);
+
+// === EXCHANGE RATES ===
+router.get('/fx-rates', requirePermission(PERMISSIONS.FX_RATES_VIEW), fxController.getFxRates);
+router.put('/fx-rates/:currency', requirePermission(PERMISSIONS.FX_RATES_MANAGE), requireTwoFactor, fxController.setFxRate);
 
 // === DEPOSIT MANAGEMENT ===
-router.get('/deposits', adminController.getAllDeposits);
-router.put('/deposits/:depositId/status', adminController.updateDepositStatus);
-router.delete('/deposits/:depositId', adminController.deleteDeposit);
+router.get('/deposits', requirePermission(PERMISSIONS.DEPOSITS_VIEW), adminController.getAllDeposits);
+router.put('/deposits/:depositId/status', requirePermission(PERMISSIONS.DEPOSITS_MANAGE), adminController.updateDepositStatus);
+router.post('/deposits/:depositId/requery', requirePermission(PERMISSIONS.DEPOSITS_MANAGE), adminController.requeryDeposit);
+router.delete('/deposits/:depositId', requirePermission(PERMISSIONS.DEPOSITS_MANAGE), adminController.deleteDeposit);
+
+// === PAYMENT CALLBACKS ===
+router.get('/callbacks', requirePermission(PERMISSIONS.CALLBACKS_VIEW), paymentCallbackController.getCallbacks);
+router.get('/callbacks/:callbackId', requirePermission(PERMISSIONS.CALLBACKS_VIEW), paymentCallbackController.getCallback);
+router.post('/callbacks/:callbackId/replay', requirePermission(PERMISSIONS.CALLBACKS_REPLAY), requireTwoFactor, paymentCallbackController.replayCallback);
 
 // === WITHDRAWAL MANAGEMENT ===
-router.get('/withdrawals', adminController.getAllWithdrawals);
-router.put('/withdrawals/:withdrawalId/status', adminController.updateWithdrawalStatus);
-router.post('/withdrawals/:withdrawalId/process', adminController.processWithdrawal);
+router.get('/withdrawals', requirePermission(PERMISSIONS.WITHDRAWALS_VIEW), adminController.getAllWithdrawals);
+router.put('/withdrawals/:withdrawalId/status', requirePermission(PERMISSIONS.WITHDRAWALS_MANAGE), adminController.updateWithdrawalStatus);
+router.post('/withdrawals/:withdrawalId/process', requirePermission(PERMISSIONS.WITHDRAWALS_MANAGE), adminController.processWithdrawal);
 
 // === MINING ENGINE MANAGEMENT ===
-router.get('/mining-engines', adminController.getAllMiningEngines);
-router.post('/mining-engines', adminController.createMiningEngine);
-router.put('/mining-engines/:engineId', adminController.updateMiningEngine);
-router.delete('/mining-engines/:engineId', adminController.deleteMiningEngine);
+router.get('/mining-engines', requirePermission(PERMISSIONS.ENGINES_VIEW), adminController.getAllMiningEngines);
+router.post('/mining-engines', requirePermission(PERMISSIONS.ENGINES_MANAGE), adminController.createMiningEngine);
+router.put('/mining-engines/:engineId', requirePermission(PERMISSIONS.ENGINES_MANAGE), adminController.updateMiningEngine);
+router.delete('/mining-engines/:engineId', requirePermission(PERMISSIONS.ENGINES_MANAGE), adminController.deleteMiningEngine);
 
 // === REFERRAL MANAGEMENT ===
-router.get('/referrals/stats', adminController.getReferralStats);
+router.get('/referrals/stats', requirePermission(PERMISSIONS.REFERRALS_VIEW), adminController.getReferralStats);
 
 // === ADMIN LOGS ===
-router.get('/logs', adminController.getAdminLogs);
-router.get('/activities', adminController.getAdminActivities);
+router.get('/logs', requirePermission(PERMISSIONS.LOGS_VIEW), adminController.getAdminLogs);
+router.get('/activities', requirePermission(PERMISSIONS.LOGS_VIEW), adminController.getAdminActivities);
 
 module.exports = router;
@@ -1,9 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const depositController = require('../controllers/depositController');
+const { idempotency } = require('../middleware/idempotencyMiddleware');
 
-// User initiates deposit (STK Push) - requires authentication
-router.post('/initiate', depositController.initiateDeposit);
+// User initiates deposit (STK Push) - requires authentication; a retried
+// request with the same Idempotency-Key does not send a second prompt
+router.post('/initiate', idempotency, depositController.initiateDeposit);
 
 // Remove the callback route from here since it's now in mpesaRoutes
 // The callback needs to be public (no auth required)
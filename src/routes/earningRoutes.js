@@ -2,14 +2,8 @@ const express = require('express');
 const router = express.Router();
 const earningController = require('../controllers/earningController');
 const authMiddleware = require('../middleware/authMiddleware');
-
-// Middleware to check admin role
-const requireAdmin = (req, res, next) => {
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({ message: 'Admin access required' });
-  }
-  next();
-};
+const { requirePermission } = require('../middleware/adminMiddleware');
+const { PERMISSIONS } = require('../utils/permissions');
 
 // === USER ROUTES (Protected) ===
 // Get user's earnings with pagination and filtering
@@ -22,26 +16,26 @@ router.get('/summary', authMiddleware.verifyToken, earningController.getEarnings
 
 // --- Earnings Management ---
 // Manually log an earning (for testing or corrections)
-router.post('/log', authMiddleware.verifyToken, requireAdmin, earningController.logEarning);
+router.post('/log', authMiddleware.verifyToken, requirePermission(PERMISSIONS.EARNINGS_MANAGE), earningController.logEarning);
 
 // Trigger manual earning processing for a specific purchase
-router.post('/trigger/:purchase_id', authMiddleware.verifyToken, requireAdmin, earningController.triggerEarningProcess);
+router.post('/trigger/:purchase_id', authMiddleware.verifyToken, requirePermission(PERMISSIONS.EARNINGS_MANAGE), earningController.triggerEarningProcess);
 
 // Get earnings statistics for admin dashboard
-router.get('/admin/stats', authMiddleware.verifyToken, requireAdmin, earningController.getEarningsStats);
+router.get('/admin/stats', authMiddleware.verifyToken, requirePermission(PERMISSIONS.EARNINGS_VIEW), earningController.getEarningsStats);
 
 // Get all earnings for admin (with pagination and filtering)
-router.get('/admin/earnings', authMiddleware.verifyToken, requireAdmin, earningController.getAllEarnings);
+router.get('/admin/earnings', authMiddleware.verifyToken, requirePermission(PERMISSIONS.EARNINGS_VIEW), earningController.getAllEarnings);
 
 // --- DEBUGGING & MONITORING ROUTES ---
 // Debug specific purchase earnings
-router.get('/debug/purchase/:purchase_id', authMiddleware.verifyToken, requireAdmin, earningController.debugPurchaseEarnings);
+router.get('/debug/purchase/:purchase_id', authMiddleware.verifyToken, requirePermission(PERMISSIONS.EARNINGS_VIEW), earningController.debugPurchaseEarnings);
 
 // System health check for earnings processing
-router.get('/debug/health', authMiddleware.verifyToken, requireAdmin, earningController.systemHealthCheck);
+router.get('/debug/health', authMiddleware.verifyToken, requirePermission(PERMISSIONS.EARNINGS_VIEW), earningController.systemHealthCheck);
 
 // Test earnings processing for a specific interval type
-router.post('/debug/test-processing', authMiddleware.verifyToken, requireAdmin, async (req, res) => {
+router.post('/debug/test-processing', authMiddleware.verifyToken, requirePermission(PERMISSIONS.EARNINGS_MANAGE), async (req, res) => {
   try {
     const { interval_type, purchase_id } = req.body; // 'hourly', 'daily', or specific purchase_id
     const { processMiningEarnings, triggerManualEarning } = require('../utils/miningEarningsProcessor');
@@ -76,7 +70,7 @@ router.post('/debug/test-processing', authMiddleware.verifyToken, requireAdmin,
 });
 
 // Simulate earnings for testing (creates test earnings without affecting balances)
-router.post('/debug/simulate', authMiddleware.verifyToken, requireAdmin, async (req, res) => {
+router.post('/debug/simulate', authMiddleware.verifyToken, requirePermission(PERMISSIONS.EARNINGS_VIEW), async (req, res) => {
   try {
     const { purchase_id, periods = 1, interval_type = 'hourly' } = req.body;
     
@@ -144,7 +138,7 @@ router.post('/debug/simulate', authMiddleware.verifyToken, requireAdmin, async (
 });
 
 // Get processing queue status
-router.get('/debug/queue-status', authMiddleware.verifyToken, requireAdmin, async (req, res) => {
+router.get('/debug/queue-status', authMiddleware.verifyToken, requirePermission(PERMISSIONS.EARNINGS_VIEW), async (req, res) => {
   try {
     const pool = require('../db');
     
@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const kycController = require('../controllers/kycController');
+const { handleKycUpload } = require('../middleware/kycUploadMiddleware');
+
+// Note: verifyToken is applied in app.js
+
+// Current verification tier, limits and latest submission
+router.get('/', kycController.getKycStatus);
+
+// Submit ID details and documents (multipart/form-data)
+router.post('/', handleKycUpload, kycController.submitKyc);
+
+module.exports = router;
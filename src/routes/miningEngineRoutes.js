@@ -2,14 +2,8 @@ const express = require('express');
 const router = express.Router();
 const miningEngineController = require('../controllers/miningEngineController');
 const authMiddleware = require('../middleware/authMiddleware');
-
-// Middleware to check admin role
-const requireAdmin = (req, res, next) => {
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({ message: 'Admin access required' });
-  }
-  next();
-};
+const { requirePermission } = require('../middleware/adminMiddleware');
+const { PERMISSIONS } = require('../utils/permissions');
 
 // === PUBLIC ROUTES ===
 // List all active mining engines (public access for users to view available engines)
@@ -22,20 +16,20 @@ router.get('/:engineId', miningEngineController.getMiningEngineById);
 
 // --- Engine Management ---
 // Create new mining engine
-router.post('/', authMiddleware.verifyToken, requireAdmin, miningEngineController.addMiningEngine);
+router.post('/', authMiddleware.verifyToken, requirePermission(PERMISSIONS.ENGINES_MANAGE), miningEngineController.addMiningEngine);
 
 // Update mining engine
-router.put('/:engineId', authMiddleware.verifyToken, requireAdmin, miningEngineController.updateMiningEngine);
+router.put('/:engineId', authMiddleware.verifyToken, requirePermission(PERMISSIONS.ENGINES_MANAGE), miningEngineController.updateMiningEngine);
 
 // Delete mining engine (with safety checks)
-router.delete('/:engineId', authMiddleware.verifyToken, requireAdmin, miningEngineController.deleteMiningEngine);
+router.delete('/:engineId', authMiddleware.verifyToken, requirePermission(PERMISSIONS.ENGINES_MANAGE), miningEngineController.deleteMiningEngine);
 
 // --- Testing & Debugging Routes ---
 // Test mining engine configuration before creating
-router.post('/test/config', authMiddleware.verifyToken, requireAdmin, miningEngineController.testMiningEngineConfig);
+router.post('/test/config', authMiddleware.verifyToken, requirePermission(PERMISSIONS.ENGINES_VIEW), miningEngineController.testMiningEngineConfig);
 
 // Simulate earnings for an engine (without creating actual records)
-router.post('/:engineId/simulate', authMiddleware.verifyToken, requireAdmin, async (req, res) => {
+router.post('/:engineId/simulate', authMiddleware.verifyToken, requirePermission(PERMISSIONS.ENGINES_VIEW), async (req, res) => {
   try {
     const { engineId } = req.params;
     const { 
@@ -134,7 +128,7 @@ router.post('/:engineId/simulate', authMiddleware.verifyToken, requireAdmin, asy
 });
 
 // Get engine performance analytics
-router.get('/:engineId/analytics', authMiddleware.verifyToken, requireAdmin, async (req, res) => {
+router.get('/:engineId/analytics', authMiddleware.verifyToken, requirePermission(PERMISSIONS.ENGINES_VIEW), async (req, res) => {
   try {
     const { engineId } = req.params;
     const { period = '30d' } = req.query;
@@ -237,7 +231,7 @@ router.get('/:engineId/analytics', authMiddleware.verifyToken, requireAdmin, asy
 });
 
 // Batch operations for engines
-router.post('/batch/operations', authMiddleware.verifyToken, requireAdmin, async (req, res) => {
+router.post('/batch/operations', authMiddleware.verifyToken, requirePermission(PERMISSIONS.ENGINES_MANAGE), async (req, res) => {
   try {
     const { operation, engine_ids, parameters = {} } = req.body;
 
@@ -329,7 +323,7 @@ router.post('/batch/operations', authMiddleware.verifyToken, requireAdmin, async
 });
 
 // Engine comparison tool
-router.post('/compare', authMiddleware.verifyToken, requireAdmin, async (req, res) => {
+router.post('/compare', authMiddleware.verifyToken, requirePermission(PERMISSIONS.ENGINES_VIEW), async (req, res) => {
   try {
     const { engine_ids, investment_amount = 1000, comparison_period = 30 } = req.body;
 
@@ -422,7 +416,7 @@ router.post('/compare', authMiddleware.verifyToken, requireAdmin, async (req, re
 });
 
 // Engine health check - verify configuration integrity
-router.get('/:engineId/health', authMiddleware.verifyToken, requireAdmin, async (req, res) => {
+router.get('/:engineId/health', authMiddleware.verifyToken, requirePermission(PERMISSIONS.ENGINES_VIEW), async (req, res) => {
   try {
     const { engineId } = req.params;
     const pool = require('../db');
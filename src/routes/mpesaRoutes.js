@@ -2,23 +2,26 @@ const express = require('express');
 const router = express.Router();
 const mpesaController = require('../controllers/mpesaController');
 const depositController = require('../controllers/depositController'); // Add this import
-const authMiddleware = require('../middleware/authMiddleware');
+const withdrawalController = require('../controllers/withdrawalController');
+const { verifyProviderCallback } = require('../middleware/callbackVerificationMiddleware');
+const { storeCallback } = require('../utils/paymentCallbacks');
 
-// STK Push request (user payment) - requires auth
-router.post('/stk', authMiddleware.verifyToken, mpesaController.requestSTKPush);
+// Callbacks are stored for audit, then checked for the Safaricom source address
+// and, when configured, the secret token appended to the callback URL
+const darajaCallback = [storeCallback('daraja'), verifyProviderCallback('daraja')];
 
-// M-Pesa callbacks - NO AUTHENTICATION REQUIRED
-router.post('/callback', mpesaController.mpesaCallback);
-router.post('/stk-callback', mpesaController.stkCallback);
+// M-Pesa callbacks - no user authentication, verified as coming from Safaricom
+router.post('/callback/:callbackToken?', darajaCallback, mpesaController.mpesaCallback);
+router.post('/stk-callback/:callbackToken?', darajaCallback, mpesaController.stkCallback);
 
 // ADD THIS - Deposit callback (public route)
-router.post('/deposit-callback', depositController.mpesaDepositCallback);
+router.post('/deposit-callback/:callbackToken?', darajaCallback, depositController.mpesaDepositCallback);
 
-// B2C payment request (admin payout) - requires auth
-router.post('/b2c/payout', authMiddleware.verifyToken, mpesaController.b2cPayment);
+// Withdrawal (B2C) confirmation callback - public like the deposit callback
+router.post('/withdrawal-callback/:callbackToken?', darajaCallback, withdrawalController.mpesaWithdrawalCallback);
 
-// B2C callbacks - NO AUTHENTICATION REQUIRED
-router.post('/b2c/result', mpesaController.b2cResultCallback);
-router.post('/b2c/timeout', mpesaController.b2cTimeoutCallback);
+// B2C callbacks - no user authentication, verified as coming from Safaricom
+router.post('/b2c/result/:callbackToken?', darajaCallback, mpesaController.b2cResultCallback);
+router.post('/b2c/timeout/:callbackToken?', storeCallback('daraja', { replayable: false }), verifyProviderCallback('daraja'), mpesaController.b2cTimeoutCallback);
 
 module.exports = router;
\ No newline at end of file
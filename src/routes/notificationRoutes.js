@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const notificationController = require('../controllers/notificationController');
+
+// Note: verifyToken is applied in app.js
+
+router.get('/', notificationController.getNotifications);
+router.get('/unread-count', notificationController.getUnreadCount);
+router.put('/read-all', notificationController.markAllAsRead);
+router.put('/:notificationId/read', notificationController.markAsRead);
+
+// Which notification types are also sent by email
+router.get('/preferences', notificationController.getPreferences);
+router.put('/preferences', notificationController.updatePreferences);
+
+module.exports = router;
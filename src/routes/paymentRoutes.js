@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const paymentController = require('../controllers/paymentController');
+const { verifyProviderCallback } = require('../middleware/callbackVerificationMiddleware');
+const { storeCallback } = require('../utils/paymentCallbacks');
+
+// Provider callbacks - no user authentication, verified by callbackVerificationMiddleware
+// e.g. /api/payments/payhero/callback/<PAYMENT_CALLBACK_TOKEN>
+router.post('/:provider/callback/:callbackToken?', storeCallback(), verifyProviderCallback(), paymentController.providerCallback);
+
+module.exports = router;
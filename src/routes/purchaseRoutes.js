@@ -2,19 +2,15 @@ const express = require('express');
 const router = express.Router();
 const purchaseController = require('../controllers/purchaseController');
 const authMiddleware = require('../middleware/authMiddleware');
-
-// Middleware to check admin role
-const requireAdmin = (req, res, next) => {
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({ message: 'Admin access required' });
-  }
-  next();
-};
+const { requirePermission } = require('../middleware/adminMiddleware');
+const { PERMISSIONS } = require('../utils/permissions');
+const { idempotency } = require('../middleware/idempotencyMiddleware');
+const money = require('../utils/money');
 
 // === USER ROUTES (Protected) ===
 
-// User purchases a mining engine with enhanced timing logic
-router.post('/', authMiddleware.verifyToken, purchaseController.purchaseEngine);
+// User purchases a mining engine with enhanced timing logic (safe to retry with an Idempotency-Key)
+router.post('/', authMiddleware.verifyToken, idempotency, purchaseController.purchaseEngine);
 
 // User views their purchases with pagination and filtering
 router.get('/', authMiddleware.verifyToken, purchaseController.getUserPurchases);
@@ -25,7 +21,7 @@ router.get('/:purchaseId', authMiddleware.verifyToken, purchaseController.getPur
 // === ADMIN ROUTES (Protected + Admin Only) ===
 
 // Get all purchases for admin with advanced filtering
-router.get('/admin/all', authMiddleware.verifyToken, requireAdmin, async (req, res) => {
+router.get('/admin/all', authMiddleware.verifyToken, requirePermission(PERMISSIONS.PURCHASES_VIEW), async (req, res) => {
   try {
     const { 
       page = 1, 
@@ -169,7 +165,7 @@ router.get('/admin/all', authMiddleware.verifyToken, requireAdmin, async (req, r
 });
 
 // Get purchase statistics for admin dashboard
-router.get('/admin/stats', authMiddleware.verifyToken, requireAdmin, async (req, res) => {
+router.get('/admin/stats', authMiddleware.verifyToken, requirePermission(PERMISSIONS.PURCHASES_VIEW), async (req, res) => {
   try {
     const { period = '30d' } = req.query;
     
@@ -247,7 +243,7 @@ router.get('/admin/stats', authMiddleware.verifyToken, requireAdmin, async (req,
 });
 
 // Manually trigger earnings for a specific purchase (admin only)
-router.post('/admin/:purchaseId/trigger-earnings', authMiddleware.verifyToken, requireAdmin, async (req, res) => {
+router.post('/admin/:purchaseId/trigger-earnings', authMiddleware.verifyToken, requirePermission(PERMISSIONS.EARNINGS_MANAGE), async (req, res) => {
   try {
     const { purchaseId } = req.params;
     const { triggerManualEarning } = require('../utils/miningEarningsProcessor');
@@ -279,7 +275,7 @@ router.post('/admin/:purchaseId/trigger-earnings', authMiddleware.verifyToken, r
 });
 
 // Update purchase status (admin only)
-router.patch('/admin/:purchaseId/status', authMiddleware.verifyToken, requireAdmin, async (req, res) => {
+router.patch('/admin/:purchaseId/status', authMiddleware.verifyToken, requirePermission(PERMISSIONS.PURCHASES_MANAGE), async (req, res) => {
   try {
     const { purchaseId } = req.params;
     const { status, reason } = req.body;
@@ -353,7 +349,7 @@ router.get('/:purchaseId/earnings', authMiddleware.verifyToken, async (req, res)
     // Verify purchase belongs to user (or admin)
     const pool = require('../db');
     const [purchaseCheck] = await pool.query(
-      'SELECT user_id FROM purchases WHERE id = ?',
+      'SELECT p.user_id, u.currency FROM purchases p JOIN users u ON p.user_id = u.id WHERE p.id = ?',
       [purchaseId]
     );
     
@@ -389,7 +385,7 @@ router.get('/:purchaseId/earnings', authMiddleware.verifyToken, async (req, res)
     res.json({
       earnings: earnings.map(earning => ({
         ...earning,
-        formatted_amount: `KES ${parseFloat(earning.earning_amount).toFixed(2)}`,
+        formatted_amount: money.format(earning.earning_amount, purchaseCheck[0].currency),
         formatted_datetime: new Date(earning.earning_datetime).toLocaleString()
       })),
       pagination: {
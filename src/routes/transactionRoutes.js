@@ -5,6 +5,9 @@ const transactionController = require('../controllers/transactionController');
 // Get user transactions with filtering
 router.get('/', transactionController.getUserTransactions);
 
+// Download an account statement (?month=YYYY-MM or ?from=&to=, format=pdf|csv)
+router.get('/statement', transactionController.getStatement);
+
 // Get recent transaction activities for dashboard live feed
 router.get('/recent', transactionController.getRecentActivities);
 
@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const transferController = require('../controllers/transferController');
+const { requireTwoFactor } = require('../middleware/twoFactorMiddleware');
+const { checkEmailVerification } = require('../middleware/emailVerificationMiddleware');
+const { idempotency } = require('../middleware/idempotencyMiddleware');
+
+// Transfers the user sent or received
+router.get('/', transferController.getUserTransfers);
+
+// Recipient and limits check before the user confirms
+router.post('/preview', transferController.previewTransfer);
+
+// Send balance to another user (same checks as a withdrawal)
+router.post('/', checkEmailVerification, idempotency, requireTwoFactor, transferController.createTransfer);
+
+module.exports = router;
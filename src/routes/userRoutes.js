@@ -1,13 +1,44 @@
 const express = require('express');
 const router = express.Router();
 const userController = require('../controllers/userController');
+const twoFactorController = require('../controllers/twoFactorController');
+const fxController = require('../controllers/fxController');
 const authMiddleware = require('../middleware/authMiddleware');
 
 // Public routes
 router.post('/register', userController.register);
 router.post('/login', userController.login);
+router.post('/refresh', userController.refreshToken);
+router.get('/verify-email', userController.verifyEmail);
+router.get('/currencies', fxController.getCurrencies);
+
+// Password recovery
+router.post('/password/forgot', userController.forgotPassword);
+router.post('/password/reset', userController.resetPassword);
 
 // Protected routes
 router.get('/profile', authMiddleware.verifyToken, userController.getUserProfile);
+router.post('/logout', authMiddleware.verifyToken, userController.logout);
+
+// Account management
+router.put('/profile', authMiddleware.verifyToken, userController.updateProfile);
+router.post('/resend-verification', authMiddleware.verifyToken, userController.resendVerification);
+router.put('/password', authMiddleware.verifyToken, userController.changePassword);
+router.post('/phone/change', authMiddleware.verifyToken, userController.requestPhoneChange);
+router.post('/phone/confirm', authMiddleware.verifyToken, userController.confirmPhoneChange);
+router.post('/close', authMiddleware.verifyToken, userController.closeAccount);
+router.put('/currency', authMiddleware.verifyToken, userController.updateCurrency);
+
+// Session (device) management
+router.get('/sessions', authMiddleware.verifyToken, userController.getSessions);
+router.delete('/sessions', authMiddleware.verifyToken, userController.revokeOtherSessions);
+router.delete('/sessions/:sessionId', authMiddleware.verifyToken, userController.revokeSession);
+
+// Two-factor authentication (TOTP)
+router.get('/2fa', authMiddleware.verifyToken, twoFactorController.getTwoFactorStatus);
+router.post('/2fa/setup', authMiddleware.verifyToken, twoFactorController.setupTwoFactor);
+router.post('/2fa/enable', authMiddleware.verifyToken, twoFactorController.enableTwoFactor);
+router.post('/2fa/disable', authMiddleware.verifyToken, twoFactorController.disableTwoFactor);
+router.post('/2fa/backup-codes', authMiddleware.verifyToken, twoFactorController.regenerateBackupCodes);
 
 module.exports = router;
@@ -2,36 +2,33 @@ const express = require('express');
 const router = express.Router();
 const withdrawalController = require('../controllers/withdrawalController');
 const authMiddleware = require('../middleware/authMiddleware');
-
-// Middleware to check admin role
-const requireAdmin = (req, res, next) => {
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({ message: 'Admin access required' });
-  }
-  next();
-};
+const { requirePermission } = require('../middleware/adminMiddleware');
+const { PERMISSIONS } = require('../utils/permissions');
+const { requireTwoFactor } = require('../middleware/twoFactorMiddleware');
+const { checkEmailVerification } = require('../middleware/emailVerificationMiddleware');
+const { idempotency } = require('../middleware/idempotencyMiddleware');
 
 // User routes
-// User requests withdrawal (email verification removed)
-router.post('/request', authMiddleware.verifyToken, withdrawalController.requestWithdrawal);
+// User requests withdrawal (verified email when the setting is on, 2FA step-up when enrolled)
+router.post('/request', authMiddleware.verifyToken, checkEmailVerification, idempotency, requireTwoFactor, withdrawalController.requestWithdrawal);
 
 // User views their withdrawals
 router.get('/', authMiddleware.verifyToken, withdrawalController.getUserWithdrawals);
 
 // Admin routes
 // Admin approves withdrawal
-router.post('/approve/:withdrawalId', authMiddleware.verifyToken, requireAdmin, withdrawalController.approveWithdrawal);
+router.post('/approve/:withdrawalId', authMiddleware.verifyToken, requirePermission(PERMISSIONS.WITHDRAWALS_MANAGE), withdrawalController.approveWithdrawal);
 
 // Admin rejects withdrawal
-router.post('/reject/:withdrawalId', authMiddleware.verifyToken, requireAdmin, withdrawalController.rejectWithdrawal);
+router.post('/reject/:withdrawalId', authMiddleware.verifyToken, requirePermission(PERMISSIONS.WITHDRAWALS_MANAGE), withdrawalController.rejectWithdrawal);
 
 // Admin deletes withdrawal
-router.delete('/:withdrawalId', authMiddleware.verifyToken, requireAdmin, withdrawalController.deleteWithdrawal);
+router.delete('/:withdrawalId', authMiddleware.verifyToken, requirePermission(PERMISSIONS.WITHDRAWALS_MANAGE), withdrawalController.deleteWithdrawal);
 
 // Admin marks withdrawal as completed
-router.post('/complete/:withdrawalId', authMiddleware.verifyToken, requireAdmin, withdrawalController.markWithdrawalCompleted);
+router.post('/complete/:withdrawalId', authMiddleware.verifyToken, requirePermission(PERMISSIONS.WITHDRAWALS_MANAGE), withdrawalController.markWithdrawalCompleted);
 
-// M-Pesa callback URL for withdrawal confirmation (no auth required for callbacks)
-router.post('/mpesa-callback', withdrawalController.mpesaWithdrawalCallback);
+// The M-Pesa withdrawal callback is in mpesaRoutes (/api/mpesa/withdrawal-callback):
+// this router sits behind user authentication and Safaricom sends no token
 
 module.exports = router;
@@ -0,0 +1,92 @@
+const money = require('./money');
+const fx = require('./fx');
+const ledger = require('./ledger');
+const balanceHolds = require('./balanceHolds');
+const { getSystemSetting } = require('./systemSettings');
+
+/**
+ * Manual balance adjustments with maker-checker approval. An adjustment whose
+ * amount (in the base currency) is above balance_adjustment_approval_threshold
+ * is stored as pending and only applied once a different admin approves it.
+ */
+
+const REASON_CODES = {
+  deposit_not_credited: 'Deposit not credited',
+  withdrawal_refund: 'Failed withdrawal refund',
+  earnings_correction: 'Mining earnings correction',
+  referral_correction: 'Referral commission correction',
+  duplicate_credit: 'Duplicate credit reversal',
+  fraud_reversal: 'Fraud reversal',
+  promotion: 'Promotional credit',
+  other: 'Other'
+};
+
+const isValidReasonCode = (reasonCode) => {
+  return Object.prototype.hasOwnProperty.call(REASON_CODES, reasonCode);
+};
+
+/**
+ * Whether an adjustment of `amount` (signed, wallet currency) needs a second admin
+ */
+const requiresApproval = async (amount, currency) => {
+  const threshold = await getSystemSetting('balance_adjustment_approval_threshold');
+  const limit = threshold === null ? 10000 : threshold;
+  const baseAmount = await fx.toBase(Math.abs(amount), currency);
+  return money.compare(baseAmount, limit) > 0;
+};
+
+/**
+ * Apply an adjustment request: admin log, ledger entry and balance change.
+ * `connection` must be in a transaction; the request row should be locked.
+ * Returns null, or { message } if a debit would take the user's available
+ * balance below zero.
+ */
+const applyAdjustment = async (connection, request, appliedBy) => {
+  const amount = money.fromPrecise(money.toPrecise(request.amount));
+
+  if (amount < 0) {
+    const balances = await balanceHolds.getBalanceSummary(request.user_id, connection, { forUpdate: true });
+    if (money.compare(balances.available_balance, -amount) < 0) {
+      return {
+        message: `Deducting ${money.format(-amount, request.currency)} would leave the user's available balance below zero (available: ${money.format(balances.available_balance, request.currency)})`
+      };
+    }
+  }
+
+  // The log row is the ledger reference for the adjustment
+  const [logResult] = await connection.query(`
+    INSERT INTO admin_logs (admin_id, action, target_type, target_id, details, created_at)
+    VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+  `, [appliedBy, 'balance_adjustment', 'user', request.user_id, JSON.stringify({
+    amount,
+    currency: request.currency,
+    reason: request.reason,
+    reason_code: request.reason_code,
+    reference: request.reference,
+    request_id: request.id,
+    requested_by: request.requested_by
+  })]);
+
+  await ledger.recordAdjustment(connection, {
+    userId: request.user_id,
+    amount,
+    adminId: appliedBy,
+    adminLogId: logResult.insertId,
+    reason: `${REASON_CODES[request.reason_code] || request.reason_code}: ${request.reason}`
+  });
+
+  await connection.query(`
+    UPDATE balance_adjustment_requests
+    SET status = 'applied', admin_log_id = ?, reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `, [logResult.insertId, request.requested_by === appliedBy ? null : appliedBy, request.id]);
+
+  return null;
+};
+
+module.exports = {
+  REASON_CODES,
+  isValidReasonCode,
+  requiresApproval,
+  applyAdjustment
+};
@@ -0,0 +1,165 @@
+const pool = require('../db');
+const money = require('./money');
+const ledger = require('./ledger');
+
+/**
+ * Balance holds (reservations).
+ *
+ * users.balance is what the user owns; users.held_balance is the part reserved
+ * by active holds. Only the available part (balance - held_balance) can be
+ * withdrawn or spent. A hold ends either settled (the money leaves and the
+ * balance is debited through the ledger) or released (nothing moves).
+ *
+ * Callers placing a hold must have locked the user row (SELECT ... FOR UPDATE)
+ * and checked the available balance in the same transaction.
+ */
+
+/**
+ * Balance, held and available figures for a user
+ * @param {number} userId
+ * @param {Object} [db] - pool or connection
+ * @param {{ forUpdate?: boolean }} [options] - lock the user row
+ * @returns {Promise<{ balance: number, held_balance: number, available_balance: number }|null>}
+ */
+const getBalanceSummary = async (userId, db = pool, { forUpdate = false } = {}) => {
+  const [rows] = await db.query(
+    `SELECT balance, held_balance FROM users WHERE id = ?${forUpdate ? ' FOR UPDATE' : ''}`,
+    [userId]
+  );
+  if (rows.length === 0) {
+    return null;
+  }
+
+  return {
+    balance: money.fromPrecise(money.toPrecise(rows[0].balance)),
+    held_balance: money.fromPrecise(money.toPrecise(rows[0].held_balance)),
+    available_balance: money.subtract(rows[0].balance, rows[0].held_balance)
+  };
+};
+
+/**
+ * @returns {Promise<number>} hold id
+ */
+const placeHold = async (connection, { userId, amount, reference, description = null }) => {
+  const [result] = await connection.query(`
+    INSERT INTO balance_holds (user_id, amount, reference_type, reference_id, description, status, created_at)
+    VALUES (?, ?, ?, ?, ?, 'held', CURRENT_TIMESTAMP)
+  `, [userId, amount, reference.type, String(reference.id), description]);
+
+  await connection.query(
+    'UPDATE users SET held_balance = held_balance + ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [amount, userId]
+  );
+
+  return result.insertId;
+};
+
+const getHold = async (db, reference, { forUpdate = false } = {}) => {
+  const [rows] = await db.query(
+    `SELECT * FROM balance_holds WHERE reference_type = ? AND reference_id = ?${forUpdate ? ' FOR UPDATE' : ''}`,
+    [reference.type, String(reference.id)]
+  );
+  return rows[0] || null;
+};
+
+/**
+ * End an active hold. Returns the hold, or null if there was no active one.
+ */
+const resolveHold = async (connection, reference, status, note) => {
+  const hold = await getHold(connection, reference, { forUpdate: true });
+  if (!hold || hold.status !== 'held') {
+    return null;
+  }
+
+  await connection.query(`
+    UPDATE balance_holds SET status = ?, resolution_note = ?, resolved_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `, [status, note, hold.id]);
+
+  await connection.query(
+    'UPDATE users SET held_balance = held_balance - ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [hold.amount, hold.user_id]
+  );
+
+  return hold;
+};
+
+const releaseHold = (connection, reference, note = null) => resolveHold(connection, reference, 'released', note);
+
+const settleHold = (connection, reference, note = null) => resolveHold(connection, reference, 'settled', note);
+
+// === Withdrawals ===
+
+const withdrawalReference = (withdrawal) => ({ type: 'withdrawal', id: withdrawal.id });
+
+/**
+ * Reserve the funds for a new withdrawal request
+ */
+const holdWithdrawal = (connection, { userId, withdrawalId, amount }) => {
+  return placeHold(connection, {
+    userId,
+    amount,
+    reference: { type: 'withdrawal', id: withdrawalId },
+    description: `Withdrawal request #${withdrawalId}`
+  });
+};
+
+/**
+ * A withdrawal was paid out: settle its hold and debit the balance.
+ * Withdrawals from before holds were debited at request time, so they only
+ * get the payout entry.
+ */
+const settleWithdrawal = (db, { withdrawal, createdBy = null }) => {
+  return ledger.withTransaction(db, async (connection) => {
+    const amount = parseFloat(withdrawal.amount);
+    const hold = await getHold(connection, withdrawalReference(withdrawal), { forUpdate: true });
+
+    if (hold && hold.status === 'released') {
+      throw new Error(`Withdrawal #${withdrawal.id} was already released and cannot be paid out`);
+    }
+
+    if (hold) {
+      const settled = await settleHold(connection, withdrawalReference(withdrawal), `Withdrawal #${withdrawal.id} paid out`);
+      if (settled) {
+        await ledger.recordWithdrawal(connection, { userId: withdrawal.user_id, withdrawalId: withdrawal.id, amount });
+      }
+    }
+
+    await ledger.recordWithdrawalPayout(connection, { userId: withdrawal.user_id, withdrawalId: withdrawal.id, amount, createdBy });
+  });
+};
+
+/**
+ * A withdrawal was rejected or cancelled: release its hold, or for a withdrawal
+ * from before holds, return the amount debited at request time
+ * @returns {Promise<boolean>} whether any funds were returned to the available balance
+ */
+const releaseWithdrawal = (db, { withdrawal, reason, createdBy = null }) => {
+  return ledger.withTransaction(db, async (connection) => {
+    const hold = await getHold(connection, withdrawalReference(withdrawal), { forUpdate: true });
+
+    if (hold) {
+      return !!(await releaseHold(connection, withdrawalReference(withdrawal), reason));
+    }
+
+    const entryId = await ledger.recordWithdrawalReversal(connection, {
+      userId: withdrawal.user_id,
+      withdrawalId: withdrawal.id,
+      amount: parseFloat(withdrawal.amount),
+      reason,
+      createdBy
+    });
+    return !!entryId;
+  });
+};
+
+module.exports = {
+  getBalanceSummary,
+  placeHold,
+  getHold,
+  releaseHold,
+  settleHold,
+  holdWithdrawal,
+  settleWithdrawal,
+  releaseWithdrawal
+};
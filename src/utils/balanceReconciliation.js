@@ -0,0 +1,318 @@
+const pool = require('../db');
+const ledger = require('./ledger');
+const money = require('./money');
+
+/**
+ * Balance reconciliation.
+ *
+ * For every user three figures are compared:
+ *  - expected: rebuilt from source records (completed deposits, purchases,
+ *    engine_logs earnings, paid referral commissions, withdrawals (those with
+ *    a balance hold only once it is settled), wallet transfers, admin balance
+ *    adjustments and the opening balance booked by the ledger backfill)
+ *  - actual: the cached users.balance
+ *  - ledger: the sum of the user's ledger postings
+ *
+ * A correction posts the difference between actual and expected as a ledger
+ * adjustment (after a ledger-only adjustment if the ledger disagrees with the
+ * cached balance), so all three match again.
+ */
+
+// Differences smaller than this are rounding noise
+const TOLERANCE = 0.01;
+
+const round = (value) => money.fromPrecise(money.toPrecise(value));
+
+const withinTolerance = (a, b) => money.compare(Math.abs(money.subtract(a, b)), TOLERANCE) < 0;
+
+/**
+ * Expected, actual and ledger balance per user
+ * @param {Object} db - pool or connection
+ * @param {number} [userId] - limit to one user
+ */
+const computeBalances = async (db, userId = null) => {
+  const [rows] = await db.query(`
+    SELECT
+      u.id as user_id,
+      u.balance as actual_balance,
+      COALESCE(d.total, 0) as deposits,
+      COALESCE(p.total, 0) as purchases,
+      COALESCE(e.total, 0) as earnings,
+      COALESCE(c.total, 0) as referral_commissions,
+      COALESCE(w.total, 0) as withdrawals,
+      COALESCE(ti.total, 0) as transfers_in,
+      COALESCE(tout.total, 0) as transfers_out,
+      COALESCE(a.total, 0) as adjustments,
+      COALESCE(o.total, 0) as opening_balance,
+      COALESCE(l.total, 0) as ledger_balance
+    FROM users u
+    LEFT JOIN (
+      SELECT user_id, SUM(amount) as total FROM deposits WHERE status = 'completed' GROUP BY user_id
+    ) d ON d.user_id = u.id
+    LEFT JOIN (
+      SELECT user_id, SUM(amount_invested) as total FROM purchases GROUP BY user_id
+    ) p ON p.user_id = u.id
+    LEFT JOIN (
+      SELECT user_id, SUM(earning_amount) as total FROM engine_logs GROUP BY user_id
+    ) e ON e.user_id = u.id
+    LEFT JOIN (
+      SELECT r.referrer_id as user_id, SUM(rc.commission_amount) as total
+      FROM referral_commissions rc
+      JOIN referrals r ON rc.referral_id = r.id
+      WHERE rc.status = 'paid'
+      GROUP BY r.referrer_id
+    ) c ON c.user_id = u.id
+    LEFT JOIN (
+      SELECT w.user_id, SUM(w.amount) as total FROM withdrawals w
+      LEFT JOIN balance_holds bh ON bh.reference_type = 'withdrawal' AND bh.reference_id = w.id
+      WHERE w.status NOT IN ('rejected', 'cancelled')
+        AND (bh.id IS NULL OR bh.status = 'settled')
+      GROUP BY w.user_id
+    ) w ON w.user_id = u.id
+    LEFT JOIN (
+      SELECT recipient_id as user_id, SUM(amount) as total FROM wallet_transfers
+      WHERE status = 'completed' GROUP BY recipient_id
+    ) ti ON ti.user_id = u.id
+    LEFT JOIN (
+      SELECT sender_id as user_id, SUM(amount) as total FROM wallet_transfers
+      WHERE status = 'completed' GROUP BY sender_id
+    ) tout ON tout.user_id = u.id
+    LEFT JOIN (
+      SELECT target_id as user_id,
+             SUM(CAST(JSON_UNQUOTE(JSON_EXTRACT(details, '$.amount')) AS DECIMAL(20,8))) as total
+      FROM admin_logs
+      WHERE action = 'balance_adjustment' AND target_type = 'user'
+      GROUP BY target_id
+    ) a ON a.user_id = u.id
+    LEFT JOIN (
+      SELECT la.user_id, SUM(lp.amount) as total
+      FROM ledger_entries le
+      JOIN ledger_postings lp ON lp.entry_id = le.id
+      JOIN ledger_accounts la ON lp.account_id = la.id
+      WHERE le.entry_type = 'opening_balance' AND la.user_id IS NOT NULL
+      GROUP BY la.user_id
+    ) o ON o.user_id = u.id
+    LEFT JOIN (
+      SELECT la.user_id, SUM(lp.amount) as total
+      FROM ledger_postings lp
+      JOIN ledger_accounts la ON lp.account_id = la.id
+      WHERE la.user_id IS NOT NULL
+      GROUP BY la.user_id
+    ) l ON l.user_id = u.id
+    ${userId ? 'WHERE u.id = ?' : ''}
+    ORDER BY u.id
+  `, userId ? [userId] : []);
+
+  return rows.map(row => {
+    const breakdown = {
+      deposits: round(row.deposits),
+      purchases: money.subtract(0, row.purchases),
+      earnings: round(row.earnings),
+      referral_commissions: round(row.referral_commissions),
+      withdrawals: money.subtract(0, row.withdrawals),
+      transfers: money.subtract(row.transfers_in, row.transfers_out),
+      adjustments: round(row.adjustments),
+      opening_balance: round(row.opening_balance)
+    };
+    const expected = money.sum(Object.values(breakdown));
+    const actual = round(row.actual_balance);
+    const ledgerBalance = round(row.ledger_balance);
+
+    return {
+      user_id: row.user_id,
+      expected_balance: expected,
+      actual_balance: actual,
+      ledger_balance: ledgerBalance,
+      difference: money.subtract(actual, expected),
+      breakdown,
+      in_balance: withinTolerance(actual, expected) && withinTolerance(actual, ledgerBalance)
+    };
+  });
+};
+
+/**
+ * Reconcile every user and record mismatches
+ * @param {number} [triggeredBy] - admin who started the run (null for the nightly job)
+ */
+const runReconciliation = async (triggeredBy = null) => {
+  const [runResult] = await pool.query(
+    'INSERT INTO reconciliation_runs (status, triggered_by, started_at) VALUES (?, ?, CURRENT_TIMESTAMP)',
+    ['running', triggeredBy]
+  );
+  const runId = runResult.insertId;
+
+  try {
+    // Credits from stored procedures must be in the ledger before comparing
+    await ledger.syncStoredProcedureCredits();
+
+    const balances = await computeBalances(pool);
+    const [openRows] = await pool.query("SELECT id, user_id FROM balance_discrepancies WHERE status = 'open'");
+    const openByUser = new Map(openRows.map(row => [row.user_id, row.id]));
+
+    let discrepanciesFound = 0;
+    let totalDifference = 0;
+
+    for (const balance of balances) {
+      const openId = openByUser.get(balance.user_id);
+
+      if (balance.in_balance) {
+        if (openId) {
+          await pool.query(`
+            UPDATE balance_discrepancies
+            SET status = 'resolved', last_run_id = ?, resolved_at = CURRENT_TIMESTAMP,
+                resolution_note = 'Balance matched on a later reconciliation run'
+            WHERE id = ?
+          `, [runId, openId]);
+        }
+        continue;
+      }
+
+      discrepanciesFound++;
+      totalDifference = money.sum([totalDifference, Math.abs(balance.difference)]);
+
+      const values = [
+        runId,
+        balance.expected_balance,
+        balance.actual_balance,
+        balance.ledger_balance,
+        balance.difference,
+        JSON.stringify(balance.breakdown)
+      ];
+
+      if (openId) {
+        await pool.query(`
+          UPDATE balance_discrepancies
+          SET last_run_id = ?, expected_balance = ?, actual_balance = ?, ledger_balance = ?,
+              difference = ?, breakdown = ?
+          WHERE id = ?
+        `, [...values, openId]);
+      } else {
+        await pool.query(`
+          INSERT INTO balance_discrepancies
+            (first_run_id, last_run_id, expected_balance, actual_balance, ledger_balance, difference, breakdown, user_id, created_at)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+        `, [runId, ...values, balance.user_id]);
+      }
+    }
+
+    const summary = {
+      run_id: runId,
+      users_checked: balances.length,
+      discrepancies_found: discrepanciesFound,
+      total_difference: totalDifference
+    };
+
+    await pool.query(`
+      UPDATE reconciliation_runs
+      SET status = 'completed', users_checked = ?, discrepancies_found = ?, total_difference = ?,
+          completed_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [summary.users_checked, summary.discrepancies_found, summary.total_difference, runId]);
+
+    return summary;
+  } catch (error) {
+    await pool.query(`
+      UPDATE reconciliation_runs SET status = 'failed', error_message = ?, completed_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [String(error.message).slice(0, 500), runId]);
+    throw error;
+  }
+};
+
+/**
+ * Bring a user's balance to the expected figure and close the discrepancy.
+ * Figures are recomputed under a row lock, so the correction uses the
+ * current state rather than what the last run saw, and it is posted to the
+ * ledger as the difference rather than written over the balance.
+ *
+ * @returns {Promise<{ found: boolean, open?: boolean, before?: Object, correction?: number }>}
+ */
+const correctDiscrepancy = async (discrepancyId, adminId, note) => {
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const [rows] = await connection.query(
+      'SELECT * FROM balance_discrepancies WHERE id = ? FOR UPDATE',
+      [discrepancyId]
+    );
+    if (rows.length === 0) {
+      await connection.rollback();
+      return { found: false };
+    }
+
+    const discrepancy = rows[0];
+    if (discrepancy.status !== 'open') {
+      await connection.rollback();
+      return { found: true, open: false };
+    }
+
+    await connection.query('SELECT id FROM users WHERE id = ? FOR UPDATE', [discrepancy.user_id]);
+    const [current] = await computeBalances(connection, discrepancy.user_id);
+    const correction = money.subtract(current.expected_balance, current.actual_balance);
+
+    // The cached balance drifted without a ledger entry; bring the ledger up to it first
+    const ledgerCorrection = money.subtract(current.actual_balance, current.ledger_balance);
+    if (ledgerCorrection !== 0) {
+      await ledger.postUserEntry(connection, {
+        userId: discrepancy.user_id,
+        amount: ledgerCorrection,
+        account: ledger.SYSTEM_ACCOUNTS.ADJUSTMENTS,
+        entryType: ledger.ENTRY_TYPES.ADJUSTMENT,
+        reference: { type: 'balance_discrepancy_sync', id: discrepancy.id },
+        description: `Reconciliation ledger sync for discrepancy #${discrepancy.id}`,
+        createdBy: adminId,
+        applyToBalance: false
+      });
+    }
+
+    // Then move balance and ledger to the expected figure by the difference,
+    // so a credit posted since the figures were read is kept
+    if (correction !== 0) {
+      await ledger.postUserEntry(connection, {
+        userId: discrepancy.user_id,
+        amount: correction,
+        account: ledger.SYSTEM_ACCOUNTS.ADJUSTMENTS,
+        entryType: ledger.ENTRY_TYPES.ADJUSTMENT,
+        reference: { type: 'balance_discrepancy', id: discrepancy.id },
+        description: `Reconciliation correction for discrepancy #${discrepancy.id}`,
+        createdBy: adminId
+      });
+    }
+
+    await connection.query(`
+      UPDATE balance_discrepancies
+      SET status = 'corrected', resolved_by = ?, resolved_at = CURRENT_TIMESTAMP, resolution_note = ?
+      WHERE id = ?
+    `, [adminId, note || null, discrepancy.id]);
+
+    await connection.query(`
+      INSERT INTO admin_logs (admin_id, action, target_type, target_id, details, created_at)
+      VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+    `, [adminId, 'reconciliation_correction', 'user', discrepancy.user_id, JSON.stringify({
+      discrepancy_id: discrepancy.id,
+      balance_before: current.actual_balance,
+      balance_after: current.expected_balance,
+      ledger_before: current.ledger_balance,
+      correction,
+      ledger_correction: ledgerCorrection,
+      note
+    })]);
+
+    await connection.commit();
+    return { found: true, open: true, before: current, correction };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+module.exports = {
+  TOLERANCE,
+  computeBalances,
+  runReconciliation,
+  correctDiscrepancy
+};
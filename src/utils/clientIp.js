@@ -0,0 +1,19 @@
+/**
+ * The address a request came from. Behind a reverse proxy (BEHIND_PROXY=true)
+ * that is the last X-Forwarded-For entry, the one the proxy added; earlier
+ * entries are client-supplied and can be forged. IPv4-mapped IPv6 addresses
+ * (::ffff:1.2.3.4) are returned as plain IPv4.
+ * @param {Object} req - Express request
+ * @returns {string} empty when the address is unknown
+ */
+const clientIp = (req) => {
+  const forwardedFor = req.headers['x-forwarded-for'];
+  const ip = process.env.BEHIND_PROXY === 'true' && forwardedFor
+    ? forwardedFor.split(',').pop().trim()
+    : req.socket.remoteAddress;
+  return (ip || '').replace(/^::ffff:/, '');
+};
+
+module.exports = {
+  clientIp
+};
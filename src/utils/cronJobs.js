@@ -1,12 +1,19 @@
 const cron = require('node-cron');
 const { processMiningEarnings } = require('./miningEarningsProcessor');
+const ledger = require('./ledger');
+const balanceReconciliation = require('./balanceReconciliation');
+const depositResolver = require('./depositResolver');
+const { getSystemSetting } = require('./systemSettings');
+const { IDEMPOTENCY_KEY_TTL_HOURS } = require('../middleware/idempotencyMiddleware');
 
 console.log('=== Corrected Cron Scheduler for Exact Timing ===');
 
 // Job status tracking
 const jobStatus = {
   earnings: { running: false, lastRun: null, lastResult: null, errors: 0 },
-  maintenance: { running: false, lastRun: null, lastResult: null, errors: 0 }
+  maintenance: { running: false, lastRun: null, lastResult: null, errors: 0 },
+  reconciliation: { running: false, lastRun: null, lastResult: null, errors: 0 },
+  depositRequery: { running: false, lastRun: null, lastResult: null, errors: 0 }
 };
 
 // Enhanced logging
@@ -219,6 +226,11 @@ const scheduleDailyMaintenance = () => {
       const stuckEarningsResult = await checkForStuckEarnings();
       maintenanceResults.stuckEarnings = stuckEarningsResult;
       
+      // 7. Record stored procedure credits the ledger has not seen yet
+      log.info('MAINTENANCE: Syncing ledger...');
+      const ledgerSyncResult = await ledger.syncStoredProcedureCredits();
+      maintenanceResults.ledgerSync = ledgerSyncResult;
+      
       jobStatus.maintenance.lastResult = {
         success: true,
         results: maintenanceResults,
@@ -265,45 +277,122 @@ const scheduleDailyMaintenance = () => {
   return task;
 };
 
+/**
+ * NIGHTLY BALANCE RECONCILIATION
+ * Runs every day at 03:00, after maintenance has synced the ledger, and
+ * records users whose balance does not match their history
+ */
+const scheduleNightlyReconciliation = () => {
+  const task = cron.schedule('0 3 * * *', async () => {
+    const startTime = new Date();
+    log.info('=== BALANCE RECONCILIATION STARTED ===');
+    
+    if (jobStatus.reconciliation.running) {
+      log.warn('Balance reconciliation already running, skipping this execution');
+      return;
+    }
+
+    jobStatus.reconciliation.running = true;
+    jobStatus.reconciliation.lastRun = startTime;
+    
+    try {
+      const result = await balanceReconciliation.runReconciliation();
+      
+      jobStatus.reconciliation.lastResult = {
+        success: true,
+        ...result,
+        duration: Date.now() - startTime.getTime(),
+        timestamp: startTime.toISOString()
+      };
+      jobStatus.reconciliation.errors = 0;
+      
+      log.info('RECONCILIATION: Completed', result);
+      
+      if (result.discrepancies_found > 0) {
+        await sendAdminAlert('Balance discrepancies found', {
+          run_id: result.run_id,
+          discrepancies_found: result.discrepancies_found,
+          total_difference: result.total_difference,
+          timestamp: startTime.toISOString()
+        });
+      }
+    } catch (error) {
+      jobStatus.reconciliation.errors++;
+      jobStatus.reconciliation.lastResult = {
+        success: false,
+        error: error.message,
+        duration: Date.now() - startTime.getTime(),
+        timestamp: startTime.toISOString()
+      };
+      
+      log.error('RECONCILIATION: Failed', error);
+      
+      await sendAdminAlert('Balance reconciliation failed', {
+        error: error.message,
+        timestamp: startTime.toISOString()
+      });
+    } finally {
+      jobStatus.reconciliation.running = false;
+      log.info('=== BALANCE RECONCILIATION ENDED ===', {
+        duration: `${Date.now() - startTime.getTime()}ms`
+      });
+    }
+  }, {
+    scheduled: true,
+    timezone: "Africa/Nairobi"
+  });
+
+  log.info('✅ Balance reconciliation scheduled (03:00 daily)');
+  return task;
+};
+
 /**
  * Update purchases that have reached their end date
  */
 async function updateCompletedPurchases() {
   try {
     const pool = require('../db');
+    const notificationService = require('./notificationService');
     
-    // Update purchases that have reached their end date
-    const [result] = await pool.query(`
-      UPDATE purchases 
-      SET status = 'completed', updated_at = CURRENT_TIMESTAMP
-      WHERE status = 'active' AND end_date <= NOW()
+    // Find purchases that have reached their end date
+    const [duePurchases] = await pool.query(`
+      SELECT 
+        p.id, p.user_id, p.amount_invested, p.total_earned,
+        me.name as engine_name, me.earning_interval,
+        u.email as user_email, u.full_name,
+        p.created_at as purchase_time,
+        p.end_date
+      FROM purchases p
+      JOIN mining_engines me ON p.engine_id = me.id
+      JOIN users u ON p.user_id = u.id
+      WHERE p.status = 'active' AND p.end_date <= NOW()
     `);
     
-    // Get details of newly completed purchases
-    if (result.affectedRows > 0) {
-      const [completedPurchases] = await pool.query(`
-        SELECT 
-          p.id, p.user_id, p.amount_invested, p.total_earned,
-          me.name as engine_name, me.earning_interval,
-          u.email as user_email, u.full_name,
-          p.created_at as purchase_time,
-          p.end_date
-        FROM purchases p
-        JOIN mining_engines me ON p.engine_id = me.id
-        JOIN users u ON p.user_id = u.id
-        WHERE p.status = 'completed' 
-          AND p.updated_at >= DATE_SUB(NOW(), INTERVAL 1 HOUR)
-        LIMIT 20
-      `);
+    // Complete each one individually so only purchases this run actually
+    // completed (not ones finished by the earnings processor) are announced
+    const completedPurchases = [];
+    for (const purchase of duePurchases) {
+      const [result] = await pool.query(`
+        UPDATE purchases 
+        SET status = 'completed', updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND status = 'active'
+      `, [purchase.id]);
       
+      if (result.affectedRows > 0) {
+        completedPurchases.push(purchase);
+        await notificationService.notifyPurchaseMatured(purchase);
+      }
+    }
+    
+    if (completedPurchases.length > 0) {
       log.info('Purchase completion update completed', {
-        purchasesCompleted: result.affectedRows,
+        purchasesCompleted: completedPurchases.length,
         sampleCompleted: completedPurchases.slice(0, 5)
       });
       
       return {
-        purchases_completed: result.affectedRows,
-        sample_completed: completedPurchases
+        purchases_completed: completedPurchases.length,
+        sample_completed: completedPurchases.slice(0, 20)
       };
     }
     
@@ -430,13 +519,64 @@ async function performSystemCleanup() {
       WHERE processed_at < DATE_SUB(NOW(), INTERVAL 30 DAY)
     `);
     
+    // Clean up stored payment callbacks past their retention period
+    const callbackRetentionDays = (await getSystemSetting('payment_callback_retention_days')) || 180;
+    const [paymentCallbacksResult] = await pool.query(`
+      DELETE FROM payment_callbacks 
+      WHERE received_at < DATE_SUB(NOW(), INTERVAL ? DAY)
+    `, [parseInt(callbackRetentionDays)]);
+    
+    // Clean up expired or revoked login sessions
+    const [sessionsResult] = await pool.query(`
+      DELETE FROM user_sessions 
+      WHERE (revoked_at IS NOT NULL AND revoked_at < DATE_SUB(NOW(), INTERVAL 30 DAY))
+         OR expires_at < DATE_SUB(NOW(), INTERVAL 30 DAY)
+    `);
+    
+    // Clean up old one-time codes
+    const [otpsResult] = await pool.query(`
+      DELETE FROM user_otps 
+      WHERE created_at < DATE_SUB(NOW(), INTERVAL 7 DAY)
+    `);
+    
+    // Clean up the login audit trail and expired lockouts
+    const [loginAttemptsResult] = await pool.query(`
+      DELETE FROM login_attempts 
+      WHERE created_at < DATE_SUB(NOW(), INTERVAL 90 DAY)
+    `);
+    
+    await pool.query(`
+      DELETE FROM login_lockouts 
+      WHERE locked_until < DATE_SUB(NOW(), INTERVAL 30 DAY)
+    `);
+    
+    // Clean up expired idempotency keys
+    await pool.query(`
+      DELETE FROM idempotency_keys 
+      WHERE created_at < DATE_SUB(NOW(), INTERVAL ? HOUR)
+    `, [IDEMPOTENCY_KEY_TTL_HOURS]);
+    
+    // Clean up read notifications (keep last 180 days)
+    const [notificationsResult] = await pool.query(`
+      DELETE FROM notifications 
+      WHERE read_at IS NOT NULL AND created_at < DATE_SUB(NOW(), INTERVAL 180 DAY)
+    `);
+    
     const result = {
       engine_logs_cleaned: logsResult.affectedRows,
       admin_logs_cleaned: adminLogsResult.affectedRows,
       tokens_cleaned: tokensResult.affectedRows,
       callbacks_cleaned: callbacksResult.affectedRows,
+      payment_callbacks_cleaned: paymentCallbacksResult.affectedRows,
+      sessions_cleaned: sessionsResult.affectedRows,
+      otps_cleaned: otpsResult.affectedRows,
+      login_attempts_cleaned: loginAttemptsResult.affectedRows,
+      notifications_cleaned: notificationsResult.affectedRows,
       total_cleaned: logsResult.affectedRows + adminLogsResult.affectedRows + 
-                    tokensResult.affectedRows + callbacksResult.affectedRows
+                    tokensResult.affectedRows + callbacksResult.affectedRows +
+                    paymentCallbacksResult.affectedRows +
+                    sessionsResult.affectedRows + otpsResult.affectedRows +
+                    loginAttemptsResult.affectedRows + notificationsResult.affectedRows
     };
     
     log.info('System cleanup completed', result);
@@ -639,6 +779,67 @@ const triggerManualProcessing = async (options = {}) => {
   }
 };
 
+/**
+ * STUCK DEPOSIT RESOLUTION
+ * Every 5 minutes, queries the provider for deposits whose callback never
+ * arrived and settles them the same way the callback would have
+ */
+const scheduleStuckDepositResolution = () => {
+  const task = cron.schedule('*/5 * * * *', async () => {
+    const startTime = new Date();
+
+    if (jobStatus.depositRequery.running) {
+      log.warn('Deposit requery already running, skipping this execution');
+      return;
+    }
+
+    jobStatus.depositRequery.running = true;
+    jobStatus.depositRequery.lastRun = startTime;
+
+    try {
+      const result = await depositResolver.resolveStuckDeposits();
+
+      jobStatus.depositRequery.lastResult = {
+        success: true,
+        ...result,
+        duration: Date.now() - startTime.getTime(),
+        timestamp: startTime.toISOString()
+      };
+      jobStatus.depositRequery.errors = 0;
+
+      if (result.checked > 0) {
+        log.info('DEPOSIT REQUERY: Completed', result);
+      }
+    } catch (error) {
+      jobStatus.depositRequery.errors++;
+      jobStatus.depositRequery.lastResult = {
+        success: false,
+        error: error.message,
+        duration: Date.now() - startTime.getTime(),
+        timestamp: startTime.toISOString()
+      };
+
+      log.error('DEPOSIT REQUERY: Failed', error);
+
+      if (jobStatus.depositRequery.errors >= 5) {
+        await sendAdminAlert('Stuck deposit requery failing repeatedly', {
+          errorCount: jobStatus.depositRequery.errors,
+          lastError: error.message,
+          timestamp: startTime.toISOString()
+        });
+      }
+    } finally {
+      jobStatus.depositRequery.running = false;
+    }
+  }, {
+    scheduled: true,
+    timezone: "Africa/Nairobi"
+  });
+
+  log.info('✅ Stuck deposit requery scheduled (every 5 minutes)');
+  return task;
+};
+
 /**
  * Get comprehensive job status
  */
@@ -652,7 +853,9 @@ const getJobStatus = () => {
     scheduled_jobs: {
       frequent_earnings: 'Every 5 minutes',
       intensive_earnings: 'Every minute (6 AM - 11 PM)',
-      maintenance: 'Daily at 02:00'
+      maintenance: 'Daily at 02:00',
+      reconciliation: 'Daily at 03:00',
+      deposit_requery: 'Every 5 minutes'
     }
   };
 };
@@ -666,7 +869,9 @@ const startCronJobs = () => {
   const jobs = {
     frequent: scheduleFrequentEarningsProcessing(),
     intensive: scheduleIntensiveEarningsProcessing(),
-    maintenance: scheduleDailyMaintenance()
+    maintenance: scheduleDailyMaintenance(),
+    reconciliation: scheduleNightlyReconciliation(),
+    depositRequery: scheduleStuckDepositResolution()
   };
   
   // Health check every 30 minutes
@@ -717,6 +922,8 @@ const startCronJobs = () => {
       frequent_earnings: '*/5 * * * * (every 5 minutes)',
       intensive_earnings: '* 6-23 * * * (every minute 6 AM - 11 PM)',
       maintenance: '0 2 * * * (02:00 daily)',
+      reconciliation: '0 3 * * * (03:00 daily)',
+      deposit_requery: '*/5 * * * * (every 5 minutes)',
       health_check: '*/30 * * * * (every 30 minutes)'
     }
   });
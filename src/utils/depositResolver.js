@@ -0,0 +1,237 @@
+const pool = require('../db');
+const ledger = require('./ledger');
+const money = require('./money');
+const fx = require('./fx');
+const notificationService = require('./notificationService');
+const paymentProviders = require('./paymentProviders');
+const { getSystemSetting } = require('./systemSettings');
+
+/**
+ * Settles pending deposits from a provider result, whether the result came
+ * from a callback or from querying the provider when the callback never
+ * arrived. Both paths go through resolveDeposit, so a deposit is credited
+ * once whichever arrives first, and only if the callback matches what was
+ * charged.
+ */
+
+// Digits only; a local 07... number becomes 2547...
+const normalisePhone = (phone) => {
+  const digits = String(phone || '').replace(/[^\d*]/g, '');
+  return digits.startsWith('0') ? `254${digits.slice(1)}` : digits;
+};
+
+// Safaricom masks callback phone numbers (e.g. 254708***430), so compare the visible ends
+const phonesMatch = (expected, actual) => {
+  const expectedDigits = normalisePhone(expected);
+  const actualDigits = normalisePhone(actual);
+  if (!actualDigits.includes('*')) {
+    return expectedDigits === actualDigits;
+  }
+  const prefix = actualDigits.slice(0, actualDigits.indexOf('*'));
+  const suffix = actualDigits.slice(actualDigits.lastIndexOf('*') + 1);
+  return expectedDigits.startsWith(prefix) && expectedDigits.endsWith(suffix);
+};
+
+/**
+ * Why a successful callback does not match what was charged, or null if it does.
+ * Deposits from before charge details were stored are checked against their amount.
+ */
+const checkCallbackDetails = (deposit, event) => {
+  if (event.amount === null || event.amount === undefined) {
+    return 'Callback did not include the amount paid';
+  }
+
+  const expectedAmount = Math.ceil(Number(deposit.charge_amount !== null ? deposit.charge_amount : deposit.amount));
+  if (Number(event.amount) !== expectedAmount) {
+    return `Callback amount ${event.amount} does not match the ${expectedAmount} charged`;
+  }
+
+  if (deposit.charge_phone && event.phone && !phonesMatch(deposit.charge_phone, event.phone)) {
+    return `Callback phone ${event.phone} does not match the charged phone`;
+  }
+
+  return null;
+};
+
+/**
+ * Apply a normalised collection event (see utils/paymentProviders) to its
+ * deposit.
+ *
+ * The deposit row is locked, so a replayed callback (or a callback racing
+ * the requery job) finds it already settled and changes nothing. A receipt
+ * can only complete one deposit, and only through the provider the deposit
+ * was started with.
+ *
+ * @param {Object} event
+ * @param {Object} [options]
+ * @param {boolean} [options.verify=true] - cross-check amount and phone; off
+ *   for results we fetched from the provider ourselves
+ * @returns {Promise<{ deposit_id: number, status: string, applied: boolean, note: string|null }|null>}
+ *   status is the deposit's status afterwards; null if no deposit matches
+ */
+const resolveDeposit = async (event, { verify = true } = {}) => {
+  const connection = await pool.getConnection();
+  let deposit;
+
+  try {
+    await connection.beginTransaction();
+
+    const [depositRows] = await connection.query(
+      'SELECT * FROM deposits WHERE transaction_id = ? LIMIT 1 FOR UPDATE',
+      [event.reference]
+    );
+    if (depositRows.length === 0) {
+      await connection.rollback();
+      console.warn(`No deposit found for ${event.provider} reference ${event.reference}`);
+      return null;
+    }
+
+    deposit = depositRows[0];
+
+    // A reference only counts for the provider the deposit was started with
+    const depositProvider = deposit.provider || paymentProviders.DEFAULT_PROVIDER;
+    if (event.provider !== depositProvider) {
+      await connection.rollback();
+      console.warn(`Ignored ${event.provider} result for deposit #${deposit.id}, which was started with ${depositProvider}`);
+      return { deposit_id: deposit.id, status: deposit.status, applied: false, note: `deposit was started with ${depositProvider}` };
+    }
+
+    if (event.status === 'pending' || deposit.status !== 'pending') {
+      await connection.rollback();
+      const note = deposit.status !== 'pending' ? `deposit is already ${deposit.status}` : null;
+      return { deposit_id: deposit.id, status: deposit.status, applied: false, note };
+    }
+
+    if (event.status === 'completed') {
+      let problem = verify ? checkCallbackDetails(deposit, event) : null;
+
+      if (!problem && event.receipt) {
+        const [receiptRows] = await connection.query(
+          'SELECT id FROM deposits WHERE provider_receipt = ? AND id <> ?',
+          [event.receipt, deposit.id]
+        );
+        if (receiptRows.length > 0) {
+          problem = `Receipt ${event.receipt} was already used for deposit #${receiptRows[0].id}`;
+        }
+      }
+
+      // Leave the deposit pending for an admin to look at rather than crediting it
+      if (problem) {
+        await connection.query('UPDATE deposits SET review_reason = ? WHERE id = ?', [problem.slice(0, 255), deposit.id]);
+        await connection.commit();
+        console.warn(`Deposit #${deposit.id} not credited: ${problem}`);
+        return { deposit_id: deposit.id, status: deposit.status, applied: false, note: problem };
+      }
+
+      if (event.receipt) {
+        await connection.query('UPDATE deposits SET provider_receipt = ? WHERE id = ?', [event.receipt, deposit.id]);
+      }
+    }
+
+    // sp_update_deposit_status credits the balance when the deposit completes
+    await connection.query('CALL sp_update_deposit_status(?, ?)', [event.reference, event.status]);
+
+    if (event.status === 'completed') {
+      await ledger.recordDeposit(connection, deposit);
+    }
+
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  if (event.status === 'completed') {
+    const charged = event.amount ? money.format(event.amount, fx.BASE_CURRENCY) : 'n/a';
+    console.log(`Deposit ${event.reference} completed. Charged: ${charged}, Receipt: ${event.receipt || 'n/a'}`);
+    await notificationService.notifyDepositCompleted(deposit);
+  } else {
+    console.log(`Deposit ${event.reference} marked as failed: ${event.description}`);
+  }
+
+  return { deposit_id: deposit.id, status: event.status, applied: true, note: null };
+};
+
+/**
+ * Query the provider for one pending deposit and resolve it if the provider
+ * has a final result
+ * @param {Object} deposit - deposits row
+ * @returns {Promise<{ status: string, description: string }>} status is the deposit's status afterwards
+ */
+const requeryDeposit = async (deposit) => {
+  if (deposit.status !== 'pending') {
+    return { status: deposit.status, description: `Deposit is already ${deposit.status}` };
+  }
+  if (!deposit.transaction_id) {
+    return { status: deposit.status, description: 'Deposit has no provider reference to query' };
+  }
+  if (deposit.review_reason) {
+    return { status: deposit.status, description: `Deposit is held for review: ${deposit.review_reason}` };
+  }
+
+  const provider = deposit.provider || paymentProviders.DEFAULT_PROVIDER;
+  let result;
+  try {
+    result = await paymentProviders.queryStatus(provider, { kind: 'collection', reference: deposit.transaction_id });
+  } catch (error) {
+    result = { status: 'pending', description: `Query failed: ${error.response?.data?.errorMessage || error.message}` };
+  }
+
+  await pool.query(`
+    UPDATE deposits
+    SET status_checked_at = CURRENT_TIMESTAMP, status_check_count = status_check_count + 1, status_check_result = ?
+    WHERE id = ?
+  `, [String(result.description || result.status).slice(0, 255), deposit.id]);
+
+  const resolved = await resolveDeposit({
+    provider,
+    kind: 'collection',
+    reference: deposit.transaction_id,
+    status: result.status,
+    amount: null,
+    receipt: null,
+    description: result.description
+  }, { verify: false });
+
+  return { status: resolved ? resolved.status : deposit.status, description: result.description };
+};
+
+/**
+ * Query every deposit that has been pending longer than
+ * deposit_requery_after_minutes, least recently checked first. Deposits
+ * held for review are left for an admin.
+ * @returns {Promise<{ checked: number, completed: number, failed: number, pending: number }>}
+ */
+const resolveStuckDeposits = async () => {
+  const afterMinutes = (await getSystemSetting('deposit_requery_after_minutes')) || 5;
+  const batchSize = (await getSystemSetting('deposit_requery_batch_size')) || 50;
+
+  const [deposits] = await pool.query(`
+    SELECT * FROM deposits
+    WHERE status = 'pending' AND review_reason IS NULL
+      AND created_at < DATE_SUB(NOW(), INTERVAL ? MINUTE)
+    ORDER BY status_checked_at IS NOT NULL, status_checked_at ASC, created_at ASC
+    LIMIT ?
+  `, [parseInt(afterMinutes), parseInt(batchSize)]);
+
+  const summary = { checked: 0, completed: 0, failed: 0, pending: 0 };
+  for (const deposit of deposits) {
+    const { status } = await requeryDeposit(deposit);
+    summary.checked += 1;
+    if (status === 'completed' || status === 'failed') {
+      summary[status] += 1;
+    } else {
+      summary.pending += 1;
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  resolveDeposit,
+  requeryDeposit,
+  resolveStuckDeposits
+};
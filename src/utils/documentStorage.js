@@ -0,0 +1,80 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Storage for uploaded documents (KYC identity documents for now).
+ *
+ * A driver is any object with:
+ *   save(buffer, { folder, extension }) -> storage key
+ *   read(key)                           -> Buffer
+ *   remove(key)                         -> void
+ *
+ * Only the local disk driver exists today (DOCUMENT_STORAGE_PATH, defaults to
+ * uploads/documents). Set DOCUMENT_STORAGE_DRIVER or call registerDriver() to
+ * plug in something else, e.g. an S3 bucket, without touching the callers.
+ */
+
+// Keys are generated here, so anything else is rejected to rule out path traversal
+const KEY_PATTERN = /^[a-z0-9_-]+\/[a-f0-9]{32}\.[a-z0-9]{1,5}$/;
+
+const createLocalDriver = (baseDir) => {
+  const resolveKey = (key) => {
+    if (!KEY_PATTERN.test(key)) {
+      throw new Error('Invalid storage key');
+    }
+    return path.join(baseDir, key);
+  };
+
+  return {
+    save: async (buffer, { folder, extension }) => {
+      const key = `${folder}/${crypto.randomBytes(16).toString('hex')}.${extension}`;
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer, { mode: 0o600 });
+      return key;
+    },
+
+    read: async (key) => {
+      return fs.promises.readFile(resolveKey(key));
+    },
+
+    remove: async (key) => {
+      try {
+        await fs.promises.unlink(resolveKey(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+    }
+  };
+};
+
+const drivers = {};
+
+const registerDriver = (name, driver) => {
+  if (!driver || ['save', 'read', 'remove'].some(method => typeof driver[method] !== 'function')) {
+    throw new Error(`Storage driver "${name}" must implement save(), read() and remove()`);
+  }
+  drivers[name] = driver;
+};
+
+registerDriver('local', createLocalDriver(
+  process.env.DOCUMENT_STORAGE_PATH || path.join(process.cwd(), 'uploads', 'documents')
+));
+
+const getStorage = () => {
+  const name = process.env.DOCUMENT_STORAGE_DRIVER || 'local';
+  const driver = drivers[name];
+  if (!driver) {
+    throw new Error(`Unknown document storage driver "${name}"`);
+  }
+  return driver;
+};
+
+module.exports = {
+  getStorage,
+  registerDriver,
+  createLocalDriver
+};
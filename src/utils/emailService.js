@@ -4,6 +4,7 @@
 
 require('dotenv').config();
 const nodemailer = require('nodemailer');
+const money = require('./money');
 
 // Create email transporter using environment variables
 const createTransporter = async () => {
@@ -213,19 +214,19 @@ const sendWithdrawalStatusEmail = async (email, name, withdrawalDetails) => {
     let subject = '';
     let content = '';
     
-    // Format amount with 2 decimal places
-    const formattedAmount = parseFloat(withdrawalDetails.amount).toFixed(2);
+    // Format amount in the wallet currency, e.g. "KES 1,500.00"
+    const formattedAmount = money.format(withdrawalDetails.amount, withdrawalDetails.currency || money.DEFAULT_CURRENCY);
     
     switch(withdrawalDetails.status) {
       case 'approved':
         subject = 'Your CryptoMinePro Withdrawal Has Been Approved';
         content = `
           <h2>Hello ${name || 'User'},</h2>
-          <p>Your withdrawal request for KES ${formattedAmount} has been approved and is being processed.</p>
+          <p>Your withdrawal request for ${formattedAmount} has been approved and is being processed.</p>
           <p>You will receive your funds shortly. You will be notified once the transaction is complete.</p>
           <p>Withdrawal Details:</p>
           <ul>
-            <li>Amount: KES ${formattedAmount}</li>
+            <li>Amount: ${formattedAmount}</li>
             <li>Method: ${withdrawalDetails.method || 'Bank Transfer/M-Pesa'}</li>
             <li>Request Date: ${new Date(withdrawalDetails.created_at).toLocaleString()}</li>
             <li>Approval Date: ${new Date(withdrawalDetails.approved_at || Date.now()).toLocaleString()}</li>
@@ -237,11 +238,11 @@ const sendWithdrawalStatusEmail = async (email, name, withdrawalDetails) => {
         subject = 'Your CryptoMinePro Withdrawal Has Been Rejected';
         content = `
           <h2>Hello ${name || 'User'},</h2>
-          <p>We regret to inform you that your withdrawal request for KES ${formattedAmount} has been rejected.</p>
+          <p>We regret to inform you that your withdrawal request for ${formattedAmount} has been rejected.</p>
           <p>The requested amount has been returned to your CryptoMinePro account balance.</p>
           <p>Withdrawal Details:</p>
           <ul>
-            <li>Amount: KES ${formattedAmount}</li>
+            <li>Amount: ${formattedAmount}</li>
             <li>Method: ${withdrawalDetails.method || 'Bank Transfer/M-Pesa'}</li>
             <li>Request Date: ${new Date(withdrawalDetails.created_at).toLocaleString()}</li>
             <li>Rejection Date: ${new Date().toLocaleString()}</li>
@@ -255,11 +256,11 @@ const sendWithdrawalStatusEmail = async (email, name, withdrawalDetails) => {
         subject = 'Your CryptoMinePro Withdrawal Has Been Completed';
         content = `
           <h2>Hello ${name || 'User'},</h2>
-          <p>Good news! Your withdrawal for KES ${formattedAmount} has been successfully completed.</p>
+          <p>Good news! Your withdrawal for ${formattedAmount} has been successfully completed.</p>
           <p>The funds should now be available in your account.</p>
           <p>Withdrawal Details:</p>
           <ul>
-            <li>Amount: KES ${formattedAmount}</li>
+            <li>Amount: ${formattedAmount}</li>
             <li>Method: ${withdrawalDetails.method || 'Bank Transfer/M-Pesa'}</li>
             <li>Request Date: ${new Date(withdrawalDetails.created_at).toLocaleString()}</li>
             <li>Completion Date: ${new Date(withdrawalDetails.processed_at || Date.now()).toLocaleString()}</li>
@@ -273,11 +274,11 @@ const sendWithdrawalStatusEmail = async (email, name, withdrawalDetails) => {
         subject = 'Update on Your CryptoMinePro Withdrawal';
         content = `
           <h2>Hello ${name || 'User'},</h2>
-          <p>There has been an update to your withdrawal request for KES ${formattedAmount}.</p>
+          <p>There has been an update to your withdrawal request for ${formattedAmount}.</p>
           <p>Current status: ${withdrawalDetails.status || 'Under review'}</p>
           <p>Withdrawal Details:</p>
           <ul>
-            <li>Amount: KES ${formattedAmount}</li>
+            <li>Amount: ${formattedAmount}</li>
             <li>Method: ${withdrawalDetails.method || 'Bank Transfer/M-Pesa'}</li>
             <li>Request Date: ${new Date(withdrawalDetails.created_at).toLocaleString()}</li>
           </ul>
@@ -336,9 +337,136 @@ const sendWithdrawalStatusEmail = async (email, name, withdrawalDetails) => {
   }
 };
 
+// Send one-time code (password reset etc)
+const sendOtpEmail = async (email, name, otpDetails) => {
+  try {
+    if (!email) {
+      throw new Error('Missing required parameter: email');
+    }
+
+    const transporter = await createTransporter();
+    const fromAddress = process.env.EMAIL_FROM_ADDRESS || 'noreply@cryptominepro.com';
+    const fromName = process.env.EMAIL_FROM_NAME || 'CryptoMinePro';
+    const subject = `Your CryptoMinePro ${otpDetails.purpose} code`;
+
+    const mailOptions = {
+      from: `"${fromName}" <${fromAddress}>`,
+      to: email,
+      subject,
+      html: `
+        <!DOCTYPE html>
+        <html>
+          <head>
+            <meta charset="utf-8">
+            <meta name="viewport" content="width=device-width, initial-scale=1.0">
+            <title>${subject}</title>
+            <style>
+              body { font-family: Arial, sans-serif; line-height: 1.6; margin: 0; padding: 20px; background-color: #f4f4f4; }
+              .container { max-width: 600px; margin: 0 auto; background: white; border-radius: 10px; overflow: hidden; box-shadow: 0 0 10px rgba(0,0,0,.1); }
+              .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 20px; text-align: center; }
+              .content { padding: 30px; }
+              .code { font-size: 32px; letter-spacing: 8px; font-weight: bold; text-align: center; color: #667eea; margin: 20px 0; }
+              .footer { background: #f8f9fa; padding: 20px; text-align: center; color: #666; font-size: 12px; }
+            </style>
+          </head>
+          <body>
+            <div class="container">
+              <div class="header">
+                <h1>CryptoMinePro Security Code</h1>
+              </div>
+              <div class="content">
+                <h2>Hello ${name || 'User'},</h2>
+                <p>Use the code below to complete your ${otpDetails.purpose}:</p>
+                <div class="code">${otpDetails.code}</div>
+                <p><strong>This code will expire in ${otpDetails.expiresInMinutes} minutes.</strong></p>
+                <p>If you did not request this code, please ignore this email and consider changing your password.</p>
+              </div>
+              <div class="footer">
+                <p>© ${new Date().getFullYear()} CryptoMinePro. All rights reserved.</p>
+                <p>This is an automated email, please do not reply.</p>
+              </div>
+            </div>
+          </body>
+        </html>
+      `
+    };
+
+    const result = await transporter.sendMail(mailOptions);
+    console.log('OTP email sent successfully:', result.messageId);
+    return result;
+  } catch (error) {
+    console.error('Error sending OTP email:', error);
+    throw error;
+  }
+};
+
+// Generic notification email (title + message) used by the notification service
+const sendNotificationEmail = async (email, name, notification) => {
+  try {
+    if (!email) {
+      throw new Error('Missing required parameter: email');
+    }
+
+    const transporter = await createTransporter();
+    const fromAddress = process.env.EMAIL_FROM_ADDRESS || 'noreply@cryptominepro.com';
+    const fromName = process.env.EMAIL_FROM_NAME || 'CryptoMinePro';
+    const frontendUrl = process.env.FRONTEND_URL;
+
+    const mailOptions = {
+      from: `"${fromName}" <${fromAddress}>`,
+      to: email,
+      subject: `CryptoMinePro: ${notification.title}`,
+      html: `
+        <!DOCTYPE html>
+        <html>
+          <head>
+            <meta charset="utf-8">
+            <meta name="viewport" content="width=device-width, initial-scale=1.0">
+            <title>${notification.title}</title>
+            <style>
+              body { font-family: Arial, sans-serif; line-height: 1.6; margin: 0; padding: 20px; background-color: #f4f4f4; }
+              .container { max-width: 600px; margin: 0 auto; background: white; border-radius: 10px; overflow: hidden; box-shadow: 0 0 10px rgba(0,0,0,.1); }
+              .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 20px; text-align: center; }
+              .content { padding: 30px; }
+              .button { display: inline-block; background: #667eea; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+              .footer { background: #f8f9fa; padding: 20px; text-align: center; color: #666; font-size: 12px; }
+            </style>
+          </head>
+          <body>
+            <div class="container">
+              <div class="header">
+                <h1>${notification.title}</h1>
+              </div>
+              <div class="content">
+                <h2>Hello ${name || 'User'},</h2>
+                <p>${notification.message}</p>
+                ${frontendUrl ? `<div style="text-align: center;"><a href="${frontendUrl}/dashboard" class="button">Open Dashboard</a></div>` : ''}
+                <p style="color: #666; font-size: 13px;">You can choose which notifications you receive by email in your account settings.</p>
+              </div>
+              <div class="footer">
+                <p>© ${new Date().getFullYear()} CryptoMinePro. All rights reserved.</p>
+                <p>This is an automated email, please do not reply.</p>
+              </div>
+            </div>
+          </body>
+        </html>
+      `
+    };
+
+    const result = await transporter.sendMail(mailOptions);
+    console.log('Notification email sent successfully:', result.messageId);
+    return result;
+  } catch (error) {
+    console.error('Error sending notification email:', error);
+    throw error;
+  }
+};
+
 module.exports = {
   sendVerificationEmail,
   sendWelcomeEmail,
   sendWithdrawalStatusEmail,
+  sendOtpEmail,
+  sendNotificationEmail,
   testEmailConfiguration
 };
@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const pool = require('../db');
+const emailService = require('./emailService');
+const { getSystemSetting } = require('./systemSettings');
+
+const TOKEN_TTL_HOURS = 24;
+const RESEND_COOLDOWN_SECONDS = 60;
+
+// Only a hash of the token is stored, the plain token lives in the email link
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Whether email verification is switched on (system setting email_verification_required)
+ */
+const isVerificationRequired = async () => {
+  return (await getSystemSetting('email_verification_required')) === true;
+};
+
+/**
+ * Seconds until another verification email may be sent, or 0
+ */
+const getResendCooldown = async (userId) => {
+  const [rows] = await pool.query(`
+    SELECT TIMESTAMPDIFF(SECOND, MAX(created_at), NOW()) as seconds_since_last
+    FROM email_verification_tokens
+    WHERE user_id = ?
+  `, [userId]);
+
+  const secondsSinceLast = rows[0].seconds_since_last;
+  if (secondsSinceLast === null || Number(secondsSinceLast) >= RESEND_COOLDOWN_SECONDS) {
+    return 0;
+  }
+  return RESEND_COOLDOWN_SECONDS - Number(secondsSinceLast);
+};
+
+/**
+ * Issue a fresh token for the user's current email and send the verification email.
+ * Earlier unused tokens are invalidated so only the latest link works.
+ */
+const sendVerification = async (user) => {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await pool.query(
+    'UPDATE email_verification_tokens SET used = 1 WHERE user_id = ? AND used = 0',
+    [user.id]
+  );
+
+  await pool.query(`
+    INSERT INTO email_verification_tokens (user_id, token, expires_at, used, created_at)
+    VALUES (?, ?, DATE_ADD(NOW(), INTERVAL ? HOUR), 0, CURRENT_TIMESTAMP)
+  `, [user.id, hashToken(token), TOKEN_TTL_HOURS]);
+
+  await emailService.sendVerificationEmail(user.email, user.full_name, token);
+};
+
+/**
+ * Consume a token from a verification link and mark the email as verified.
+ * Returns { verified, user } or { verified: false, message }.
+ */
+const verifyEmailToken = async (token) => {
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const [rows] = await connection.query(`
+      SELECT t.id, t.user_id, u.email, u.full_name, u.email_verified
+      FROM email_verification_tokens t
+      JOIN users u ON t.user_id = u.id
+      WHERE t.token = ? AND t.used = 0 AND t.expires_at > NOW()
+      FOR UPDATE
+    `, [hashToken(String(token))]);
+
+    if (rows.length === 0) {
+      await connection.rollback();
+      return { verified: false, message: 'Invalid or expired verification link' };
+    }
+
+    const record = rows[0];
+
+    await connection.query('UPDATE email_verification_tokens SET used = 1 WHERE id = ?', [record.id]);
+    await connection.query(
+      'UPDATE users SET email_verified = TRUE, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [record.user_id]
+    );
+
+    await connection.commit();
+
+    return {
+      verified: true,
+      alreadyVerified: !!record.email_verified,
+      user: { id: record.user_id, email: record.email, full_name: record.full_name }
+    };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+/**
+ * Invalidate outstanding links, e.g. after the user changes their email address
+ */
+const invalidateTokens = async (userId) => {
+  await pool.query(
+    'UPDATE email_verification_tokens SET used = 1 WHERE user_id = ? AND used = 0',
+    [userId]
+  );
+};
+
+module.exports = {
+  isVerificationRequired,
+  getResendCooldown,
+  sendVerification,
+  verifyEmailToken,
+  invalidateTokens,
+  TOKEN_TTL_HOURS
+};
@@ -0,0 +1,75 @@
+const pool = require('../db');
+const money = require('./money');
+
+/**
+ * Currency conversion between the base currency (engine prices, system
+ * settings, M-Pesa) and user wallet currencies.
+ *
+ * fx_rates.rate is the number of wallet-currency units one base unit buys,
+ * e.g. UGX 28.5 means KES 1 = UGX 28.50. The base currency has no row.
+ */
+
+const BASE_CURRENCY = money.DEFAULT_CURRENCY;
+
+/**
+ * @param {string} currency
+ * @param {Object} [db] - pool or connection
+ * @returns {Promise<number|null>} units of `currency` per base unit, or null if no rate is set
+ */
+const getRate = async (currency, db = pool) => {
+  if (currency === BASE_CURRENCY) {
+    return 1;
+  }
+
+  const [rows] = await db.query('SELECT rate FROM fx_rates WHERE currency = ?', [currency]);
+  return rows.length > 0 ? money.fromPrecise(money.toPrecise(rows[0].rate)) : null;
+};
+
+// Rates are never deleted, so a user's wallet currency always has one
+const requireRate = async (currency, db) => {
+  const rate = await getRate(currency, db);
+  if (rate === null) {
+    throw new Error(`No exchange rate configured for ${currency}`);
+  }
+  return rate;
+};
+
+/**
+ * Base-currency amount in `currency`, rounded to that currency's minor unit
+ */
+const fromBase = async (amount, currency, db = pool) => {
+  const rate = await requireRate(currency, db);
+  return money.round(money.multiply(amount, rate), currency);
+};
+
+/**
+ * `currency` amount in the base currency, rounded to its minor unit
+ */
+const toBase = async (amount, currency, db = pool) => {
+  const rate = await requireRate(currency, db);
+  return money.round(money.divide(amount, rate), BASE_CURRENCY);
+};
+
+const getUserCurrency = async (userId, db = pool) => {
+  const [rows] = await db.query('SELECT currency FROM users WHERE id = ?', [userId]);
+  return rows.length > 0 && rows[0].currency ? rows[0].currency : BASE_CURRENCY;
+};
+
+/**
+ * Wallet currencies users can pick: the base currency plus every supported
+ * currency that has a rate
+ */
+const getAvailableCurrencies = async () => {
+  const [rows] = await pool.query('SELECT currency FROM fx_rates ORDER BY currency');
+  const withRates = rows.map(row => row.currency).filter(money.isSupportedCurrency);
+  return [BASE_CURRENCY, ...withRates.filter(currency => currency !== BASE_CURRENCY)];
+};
+
+module.exports = {
+  BASE_CURRENCY,
+  getRate,
+  fromBase,
+  toBase,
+  getUserCurrency,
+  getAvailableCurrencies
+};
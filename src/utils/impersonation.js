@@ -0,0 +1,47 @@
+const jwt = require('jsonwebtoken');
+const pool = require('../db');
+
+// "View as user" tokens: short-lived, read-only, and tied to the admin's own
+// login session, so signing the admin out also ends the impersonation.
+const IMPERSONATION_TOKEN_TTL = process.env.IMPERSONATION_TOKEN_TTL || '15m';
+
+const READ_ONLY_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Mint an impersonation token for `targetUserId` on behalf of an admin session
+ * @returns {{ token: string, expires_at: string }}
+ */
+const createImpersonationToken = (adminId, adminSessionId, targetUserId) => {
+  const token = jwt.sign(
+    { userId: targetUserId, sid: adminSessionId, impersonatedBy: adminId },
+    process.env.JWT_SECRET,
+    { expiresIn: IMPERSONATION_TOKEN_TTL }
+  );
+  const { exp } = jwt.decode(token);
+
+  return { token, expires_at: new Date(exp * 1000).toISOString() };
+};
+
+const isReadOnlyRequest = (req) => {
+  return READ_ONLY_METHODS.includes(req.method);
+};
+
+/**
+ * Record one request made with an impersonation token (blocked or not) in admin_logs
+ */
+const logImpersonatedRequest = async (req, adminId, targetUserId, blocked = false) => {
+  await pool.query(`
+    INSERT INTO admin_logs (admin_id, action, target_type, target_id, details, created_at)
+    VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+  `, [adminId, blocked ? 'impersonation_write_blocked' : 'impersonated_request', 'user', targetUserId, JSON.stringify({
+    method: req.method,
+    path: req.originalUrl
+  })]);
+};
+
+module.exports = {
+  createImpersonationToken,
+  isReadOnlyRequest,
+  logImpersonatedRequest,
+  IMPERSONATION_TOKEN_TTL
+};
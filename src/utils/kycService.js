@@ -0,0 +1,93 @@
+const pool = require('../db');
+const { getSystemSetting } = require('./systemSettings');
+const money = require('./money');
+const fx = require('./fx');
+
+// KYC tiers and the documents each one needs
+const KYC_TIERS = {
+  1: { name: 'Basic', required_documents: ['id_front', 'id_back'] },
+  2: { name: 'Full', required_documents: ['id_front', 'id_back', 'selfie'] }
+};
+
+const DOCUMENT_TYPES = ['id_front', 'id_back', 'selfie', 'proof_of_address'];
+
+const ALLOWED_MIME_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'application/pdf': 'pdf'
+};
+
+// Used when the kyc_withdrawal_limits setting is missing or unreadable
+const DEFAULT_WITHDRAWAL_LIMITS = {
+  0: { per_transaction: 5000, daily: 10000 },
+  1: { per_transaction: 50000, daily: 100000 },
+  2: { per_transaction: null, daily: null }
+};
+
+/**
+ * Withdrawal limits for a KYC tier. A null limit means only the global
+ * min/max/daily withdrawal settings apply.
+ * @param {number} tier
+ * @returns {Promise<{ per_transaction: number|null, daily: number|null }>}
+ */
+const getTierLimits = async (tier) => {
+  const configured = await getSystemSetting('kyc_withdrawal_limits');
+  const limits = (configured && typeof configured === 'object') ? configured : DEFAULT_WITHDRAWAL_LIMITS;
+  const tierLimits = limits[tier] || limits[String(tier)] || DEFAULT_WITHDRAWAL_LIMITS[tier] || DEFAULT_WITHDRAWAL_LIMITS[0];
+
+  return {
+    per_transaction: tierLimits.per_transaction ?? null,
+    daily: tierLimits.daily ?? null
+  };
+};
+
+const getUserTier = async (userId, connection = pool) => {
+  const [rows] = await connection.query('SELECT kyc_tier FROM users WHERE id = ?', [userId]);
+  return rows.length > 0 ? Number(rows[0].kyc_tier) : 0;
+};
+
+/**
+ * Check a withdrawal against the user's KYC tier limits. Limits are set in the
+ * base currency; amounts and the returned limit are in `currency`.
+ * Pass the withdrawal's connection so the tier is read under its user row lock.
+ * Returns null if allowed, otherwise { message, kycTier, limit }.
+ */
+const checkWithdrawalLimits = async (userId, amount, todaysTotal, currency = fx.BASE_CURRENCY, connection = pool) => {
+  const tier = await getUserTier(userId, connection);
+  const limits = await getTierLimits(tier);
+  const nextTier = tier < 2 ? tier + 1 : null;
+  const upgradeHint = nextTier ? ` Complete identity verification (${KYC_TIERS[nextTier].name} KYC) to raise your limit.` : '';
+
+  if (limits.per_transaction !== null) {
+    const perTransaction = await fx.fromBase(limits.per_transaction, currency);
+    if (money.compare(amount, perTransaction) > 0) {
+      return {
+        message: `Withdrawals above ${money.format(perTransaction, currency)} are not allowed at your verification level.${upgradeHint}`,
+        kycTier: tier,
+        limit: perTransaction
+      };
+    }
+  }
+
+  if (limits.daily !== null) {
+    const daily = await fx.fromBase(limits.daily, currency);
+    if (money.compare(money.sum([todaysTotal, amount]), daily) > 0) {
+      return {
+        message: `Your daily withdrawal limit of ${money.format(daily, currency)} would be exceeded. Today's total: ${money.format(todaysTotal, currency)}.${upgradeHint}`,
+        kycTier: tier,
+        limit: daily
+      };
+    }
+  }
+
+  return null;
+};
+
+module.exports = {
+  KYC_TIERS,
+  DOCUMENT_TYPES,
+  ALLOWED_MIME_TYPES,
+  getTierLimits,
+  getUserTier,
+  checkWithdrawalLimits
+};
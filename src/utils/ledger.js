@@ -0,0 +1,522 @@
+const pool = require('../db');
+const money = require('./money');
+const fx = require('./fx');
+
+/**
+ * Double-entry ledger behind users.balance.
+ *
+ * Every balance change is posted as an entry whose postings sum to zero: the
+ * user's wallet account on one side, a system account on the other. Positive
+ * amounts increase an account. users.balance is kept as a cached figure and
+ * must always equal the sum of the postings on the user's wallet account.
+ *
+ * Every posting is in the wallet currency of the user the entry belongs to,
+ * so system accounts are only summed per currency.
+ *
+ * Helpers that move money inside this codebase (purchases, withdrawals,
+ * transfers, adjustments) also update users.balance. Credits made by stored procedures
+ * (deposits, earnings, referral commissions) are only recorded, since the
+ * procedure has already changed the balance.
+ */
+
+const SYSTEM_ACCOUNTS = {
+  MPESA_CLEARING: 'system:mpesa_clearing',
+  ENGINE_SALES: 'system:engine_sales',
+  MINING_EARNINGS: 'system:mining_earnings',
+  REFERRAL_COMMISSIONS: 'system:referral_commissions',
+  WITHDRAWALS_PENDING: 'system:withdrawals_pending',
+  ADJUSTMENTS: 'system:adjustments',
+  OPENING_BALANCES: 'system:opening_balances'
+};
+
+const ENTRY_TYPES = {
+  DEPOSIT: 'deposit',
+  PURCHASE: 'purchase',
+  EARNING: 'earning',
+  REFERRAL_COMMISSION: 'referral_commission',
+  WITHDRAWAL: 'withdrawal',
+  WITHDRAWAL_REVERSAL: 'withdrawal_reversal',
+  WITHDRAWAL_PAYOUT: 'withdrawal_payout',
+  ADJUSTMENT: 'adjustment',
+  TRANSFER: 'transfer',
+  OPENING_BALANCE: 'opening_balance'
+};
+
+const userAccountCode = (userId) => `user:${userId}:wallet`;
+
+/**
+ * Run `fn` inside a transaction. A connection that is already in a transaction
+ * is used as is; the pool gets a dedicated connection for the duration.
+ */
+const withTransaction = async (db, fn) => {
+  if (db !== pool) {
+    return fn(db);
+  }
+
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+    const result = await fn(connection);
+    await connection.commit();
+    return result;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+const getSystemAccountId = async (db, code) => {
+  const [rows] = await db.query('SELECT id FROM ledger_accounts WHERE code = ?', [code]);
+  if (rows.length === 0) {
+    throw new Error(`Ledger account ${code} does not exist`);
+  }
+  return rows[0].id;
+};
+
+/**
+ * Wallet account for a user, created on first use
+ */
+const getUserAccountId = async (db, userId) => {
+  await db.query(`
+    INSERT IGNORE INTO ledger_accounts (code, name, account_type, user_id)
+    VALUES (?, ?, 'user_wallet', ?)
+  `, [userAccountCode(userId), `Wallet of user ${userId}`, userId]);
+
+  const [rows] = await db.query('SELECT id FROM ledger_accounts WHERE user_id = ?', [userId]);
+  return rows[0].id;
+};
+
+/**
+ * The one currency an entry's postings are in: that of its wallets, which
+ * must agree
+ */
+const entryCurrency = async (db, postings, currencyUserId) => {
+  const userIds = postings.filter(posting => posting.userId).map(posting => posting.userId);
+  if (currencyUserId) {
+    userIds.push(currencyUserId);
+  }
+  if (userIds.length === 0) {
+    return fx.BASE_CURRENCY;
+  }
+
+  const currencies = new Set();
+  for (const userId of new Set(userIds)) {
+    currencies.add(await fx.getUserCurrency(userId, db));
+  }
+  if (currencies.size > 1) {
+    throw new Error(`Ledger entry mixes currencies: ${[...currencies].join(', ')}`);
+  }
+  return [...currencies][0];
+};
+
+/**
+ * Post one balanced entry.
+ *
+ * @param {Object} db - pool or a connection inside a transaction
+ * @param {Object} entry
+ * @param {string} entry.entryType - one of ENTRY_TYPES
+ * @param {{ type: string, id: (number|string) }} [entry.reference] - source record; posting it twice is a no-op
+ * @param {Array<{ userId?: number, account?: string, amount: number }>} entry.postings
+ * @param {number} [entry.currencyUserId] - whose wallet currency the entry is in, for entries
+ *   with no wallet posting; defaults to the first wallet posting's user
+ * @param {boolean} [entry.applyToBalance=true] - also update users.balance for wallet postings
+ * @returns {Promise<number|null>} entry id, or null if this reference was already posted
+ */
+const postEntry = async (db, { entryType, reference = null, description = null, createdBy = null, postings, currencyUserId = null, applyToBalance = true }) => {
+  if (!postings || postings.length < 2) {
+    throw new Error('A ledger entry needs at least two postings');
+  }
+
+  // Postings are stored with 8 decimal places; the sum must be exactly zero
+  const total = money.sum(postings.map(posting => posting.amount));
+  if (total !== 0) {
+    throw new Error(`Ledger entry ${entryType} is unbalanced by ${total}`);
+  }
+
+  return withTransaction(db, async (connection) => {
+    const currency = await entryCurrency(connection, postings, currencyUserId);
+
+    const [entryResult] = await connection.query(`
+      INSERT IGNORE INTO ledger_entries (entry_type, reference_type, reference_id, description, created_by, created_at)
+      VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+    `, [
+      entryType,
+      reference ? reference.type : null,
+      reference ? String(reference.id) : null,
+      description,
+      createdBy
+    ]);
+
+    if (entryResult.affectedRows === 0) {
+      return null;
+    }
+
+    for (const posting of postings) {
+      const accountId = posting.userId
+        ? await getUserAccountId(connection, posting.userId)
+        : await getSystemAccountId(connection, posting.account);
+
+      await connection.query(
+        'INSERT INTO ledger_postings (entry_id, account_id, amount, currency, created_at) VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)',
+        [entryResult.insertId, accountId, posting.amount, currency]
+      );
+
+      if (posting.userId && applyToBalance) {
+        await connection.query(
+          'UPDATE users SET balance = balance + ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+          [posting.amount, posting.userId]
+        );
+      }
+    }
+
+    return entryResult.insertId;
+  });
+};
+
+/**
+ * Two-sided entry between a user's wallet and a system account.
+ * A positive amount credits the user.
+ */
+const postUserEntry = (db, { userId, amount, account, ...entry }) => {
+  return postEntry(db, {
+    ...entry,
+    postings: [
+      { userId, amount },
+      { account, amount: -amount }
+    ]
+  });
+};
+
+// === Balance changes made here ===
+
+const recordPurchase = (db, { userId, purchaseId, amount, applyToBalance = true }) => {
+  return postUserEntry(db, {
+    userId,
+    amount: -amount,
+    account: SYSTEM_ACCOUNTS.ENGINE_SALES,
+    entryType: ENTRY_TYPES.PURCHASE,
+    reference: { type: 'purchase', id: purchaseId },
+    description: `Mining engine purchase #${purchaseId}`,
+    applyToBalance
+  });
+};
+
+const recordWithdrawal = (db, { userId, withdrawalId, amount, applyToBalance = true }) => {
+  return postUserEntry(db, {
+    userId,
+    amount: -amount,
+    account: SYSTEM_ACCOUNTS.WITHDRAWALS_PENDING,
+    entryType: ENTRY_TYPES.WITHDRAWAL,
+    reference: { type: 'withdrawal', id: withdrawalId },
+    description: `Withdrawal request #${withdrawalId}`,
+    applyToBalance
+  });
+};
+
+/**
+ * Return a rejected or cancelled withdrawal to the user's balance
+ */
+const recordWithdrawalReversal = (db, { userId, withdrawalId, amount, reason = null, createdBy = null, applyToBalance = true }) => {
+  return postUserEntry(db, {
+    userId,
+    amount,
+    account: SYSTEM_ACCOUNTS.WITHDRAWALS_PENDING,
+    entryType: ENTRY_TYPES.WITHDRAWAL_REVERSAL,
+    reference: { type: 'withdrawal', id: withdrawalId },
+    description: reason || `Withdrawal #${withdrawalId} returned to balance`,
+    createdBy,
+    applyToBalance
+  });
+};
+
+/**
+ * Money for a withdrawal has left the platform; moves the pending funds out.
+ * The user's side is the recordWithdrawal entry, posted at request time for
+ * withdrawals that predate balance holds and when the hold settles otherwise.
+ */
+const recordWithdrawalPayout = (db, { userId, withdrawalId, amount, createdBy = null }) => {
+  return postEntry(db, {
+    entryType: ENTRY_TYPES.WITHDRAWAL_PAYOUT,
+    reference: { type: 'withdrawal', id: withdrawalId },
+    description: `Withdrawal #${withdrawalId} paid out`,
+    createdBy,
+    currencyUserId: userId,
+    postings: [
+      { account: SYSTEM_ACCOUNTS.WITHDRAWALS_PENDING, amount: -amount },
+      { account: SYSTEM_ACCOUNTS.MPESA_CLEARING, amount }
+    ]
+  });
+};
+
+/**
+ * Move balance from one user's wallet to another's (both in the same currency)
+ */
+const recordTransfer = (db, { senderId, recipientId, transferId, amount }) => {
+  return postEntry(db, {
+    entryType: ENTRY_TYPES.TRANSFER,
+    reference: { type: 'wallet_transfer', id: transferId },
+    description: `Wallet transfer #${transferId}`,
+    createdBy: senderId,
+    postings: [
+      { userId: senderId, amount: -amount },
+      { userId: recipientId, amount }
+    ]
+  });
+};
+
+const recordAdjustment = (db, { userId, amount, adminId, adminLogId, reason = null, applyToBalance = true }) => {
+  return postUserEntry(db, {
+    userId,
+    amount,
+    account: SYSTEM_ACCOUNTS.ADJUSTMENTS,
+    entryType: ENTRY_TYPES.ADJUSTMENT,
+    reference: { type: 'admin_log', id: adminLogId },
+    description: reason || 'Manual balance adjustment',
+    createdBy: adminId,
+    applyToBalance
+  });
+};
+
+// === Credits already applied by stored procedures ===
+
+const recordDeposit = (db, deposit) => {
+  return postUserEntry(db, {
+    userId: deposit.user_id,
+    amount: parseFloat(deposit.amount),
+    account: SYSTEM_ACCOUNTS.MPESA_CLEARING,
+    entryType: ENTRY_TYPES.DEPOSIT,
+    reference: { type: 'deposit', id: deposit.id },
+    description: `Deposit #${deposit.id}`,
+    applyToBalance: false
+  });
+};
+
+const recordEarning = (db, engineLog) => {
+  return postUserEntry(db, {
+    userId: engineLog.user_id,
+    amount: parseFloat(engineLog.earning_amount),
+    account: SYSTEM_ACCOUNTS.MINING_EARNINGS,
+    entryType: ENTRY_TYPES.EARNING,
+    reference: { type: 'engine_log', id: engineLog.id },
+    description: `Mining earnings for purchase #${engineLog.purchase_id}`,
+    applyToBalance: false
+  });
+};
+
+/**
+ * The procedures compute a commission in the referred user's wallet currency
+ * and credit that figure to the referrer unconverted. Convert it into the
+ * referrer's currency and correct the commission and the credit to match.
+ * @param {{ id: number, commission_amount: string|number, referrer_id: number, referred_id: number }} commission
+ */
+const recordReferralCommission = (db, commission) => {
+  return withTransaction(db, async (connection) => {
+    const credited = parseFloat(commission.commission_amount);
+    const referredCurrency = await fx.getUserCurrency(commission.referred_id, connection);
+    const referrerCurrency = await fx.getUserCurrency(commission.referrer_id, connection);
+    const amount = referredCurrency === referrerCurrency
+      ? credited
+      : await fx.fromBase(await fx.toBase(credited, referredCurrency, connection), referrerCurrency, connection);
+
+    const entryId = await postUserEntry(connection, {
+      userId: commission.referrer_id,
+      amount,
+      account: SYSTEM_ACCOUNTS.REFERRAL_COMMISSIONS,
+      entryType: ENTRY_TYPES.REFERRAL_COMMISSION,
+      reference: { type: 'referral_commission', id: commission.id },
+      description: `Referral commission #${commission.id}`,
+      applyToBalance: false
+    });
+
+    // Only the first recording converts, so the correction is never applied twice
+    if (entryId && amount !== credited) {
+      await connection.query('UPDATE referral_commissions SET commission_amount = ? WHERE id = ?', [amount, commission.id]);
+      await connection.query(
+        'UPDATE users SET balance = balance + ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [money.subtract(amount, credited), commission.referrer_id]
+      );
+    }
+
+    return entryId;
+  });
+};
+
+/**
+ * Record the earning a sp_log_earning call just wrote
+ */
+const recordLoggedEarning = async (db, purchaseId, earningDatetime) => {
+  const [rows] = await db.query(
+    'SELECT id, user_id, purchase_id, earning_amount FROM engine_logs WHERE purchase_id = ? AND earning_datetime = ?',
+    [purchaseId, earningDatetime]
+  );
+  if (rows.length === 0) {
+    return null;
+  }
+  return recordEarning(db, rows[0]);
+};
+
+/**
+ * Record the paid referral commissions the procedures wrote for a referred
+ * user's purchase or earnings; call it in the same transaction
+ * @returns {Promise<number>} how many were recorded
+ */
+const recordNewReferralCommissions = async (db, referredId) => {
+  const [commissions] = await db.query(`
+    SELECT rc.id, rc.commission_amount, r.referrer_id, r.referred_id
+    FROM referral_commissions rc
+    JOIN referrals r ON rc.referral_id = r.id
+    LEFT JOIN ledger_entries le
+      ON le.entry_type = 'referral_commission' AND le.reference_type = 'referral_commission' AND le.reference_id = rc.id
+    WHERE r.referred_id = ? AND rc.status = 'paid' AND le.id IS NULL
+    ORDER BY rc.id
+    FOR UPDATE
+  `, [referredId]);
+
+  for (const commission of commissions) {
+    await recordReferralCommission(db, commission);
+  }
+  return commissions.length;
+};
+
+/**
+ * Repair sweep: record completed deposits, earnings and paid referral
+ * commissions that a stored procedure applied but the ledger has not seen.
+ * They are normally recorded in the same transaction as the procedure call,
+ * so every repair is logged. Deposits an admin marked completed without the
+ * procedure were never credited and are left alone. Never throws.
+ * @returns {Promise<{ deposits: number, earnings: number, commissions: number }|null>}
+ */
+const syncStoredProcedureCredits = async (limit = 1000) => {
+  try {
+    const [deposits] = await pool.query(`
+      SELECT d.id, d.user_id, d.amount
+      FROM deposits d
+      LEFT JOIN ledger_entries le
+        ON le.entry_type = 'deposit' AND le.reference_type = 'deposit' AND le.reference_id = d.id
+      WHERE d.status = 'completed' AND d.processed_by IS NULL AND le.id IS NULL
+      ORDER BY d.id
+      LIMIT ?
+    `, [limit]);
+
+    const [earnings] = await pool.query(`
+      SELECT el.id, el.user_id, el.purchase_id, el.earning_amount
+      FROM engine_logs el
+      LEFT JOIN ledger_entries le
+        ON le.entry_type = 'earning' AND le.reference_type = 'engine_log' AND le.reference_id = el.id
+      WHERE le.id IS NULL
+      ORDER BY el.id
+      LIMIT ?
+    `, [limit]);
+
+    const [commissions] = await pool.query(`
+      SELECT rc.id, rc.commission_amount, r.referrer_id, r.referred_id
+      FROM referral_commissions rc
+      JOIN referrals r ON rc.referral_id = r.id
+      LEFT JOIN ledger_entries le
+        ON le.entry_type = 'referral_commission' AND le.reference_type = 'referral_commission' AND le.reference_id = rc.id
+      WHERE rc.status = 'paid' AND le.id IS NULL
+      ORDER BY rc.id
+      LIMIT ?
+    `, [limit]);
+
+    for (const deposit of deposits) {
+      console.warn(`Ledger repair: recording deposit #${deposit.id} for user ${deposit.user_id}`);
+      await recordDeposit(pool, deposit);
+    }
+    for (const earning of earnings) {
+      console.warn(`Ledger repair: recording earning #${earning.id} for user ${earning.user_id}`);
+      await recordEarning(pool, earning);
+    }
+    for (const commission of commissions) {
+      console.warn(`Ledger repair: recording referral commission #${commission.id} for user ${commission.referrer_id}`);
+      await recordReferralCommission(pool, commission);
+    }
+
+    return { deposits: deposits.length, earnings: earnings.length, commissions: commissions.length };
+  } catch (error) {
+    console.error('Error syncing stored procedure credits to the ledger:', error);
+    return null;
+  }
+};
+
+// === Reading ===
+
+/**
+ * Compare the cached users.balance with the ledger
+ * @returns {Promise<{ cached_balance: number, ledger_balance: number, difference: number, in_balance: boolean }>}
+ */
+const verifyUserBalance = async (userId) => {
+  const [rows] = await pool.query(`
+    SELECT u.balance as cached_balance, COALESCE(SUM(lp.amount), 0) as ledger_balance
+    FROM users u
+    LEFT JOIN ledger_accounts la ON la.user_id = u.id
+    LEFT JOIN ledger_postings lp ON lp.account_id = la.id
+    WHERE u.id = ?
+    GROUP BY u.id, u.balance
+  `, [userId]);
+
+  if (rows.length === 0) {
+    return null;
+  }
+
+  const cached = parseFloat(rows[0].cached_balance);
+  const ledgerBalance = parseFloat(rows[0].ledger_balance);
+  const difference = money.subtract(cached, ledgerBalance);
+
+  return {
+    cached_balance: cached,
+    ledger_balance: ledgerBalance,
+    difference,
+    in_balance: difference === 0
+  };
+};
+
+/**
+ * A user's wallet postings, newest first, with a running balance
+ */
+const getUserLedger = async (userId, { limit = 50, offset = 0 } = {}) => {
+  const [postings] = await pool.query(`
+    SELECT lp.id, lp.amount, le.id as entry_id, le.entry_type, le.reference_type, le.reference_id,
+           le.description, le.created_by, le.created_at,
+           SUM(lp.amount) OVER (ORDER BY lp.id) as running_balance
+    FROM ledger_postings lp
+    JOIN ledger_accounts la ON lp.account_id = la.id
+    JOIN ledger_entries le ON lp.entry_id = le.id
+    WHERE la.user_id = ?
+    ORDER BY lp.id DESC
+    LIMIT ? OFFSET ?
+  `, [userId, parseInt(limit), parseInt(offset)]);
+
+  const [countRows] = await pool.query(`
+    SELECT COUNT(*) as total
+    FROM ledger_postings lp
+    JOIN ledger_accounts la ON lp.account_id = la.id
+    WHERE la.user_id = ?
+  `, [userId]);
+
+  return { postings, total: countRows[0].total };
+};
+
+module.exports = {
+  SYSTEM_ACCOUNTS,
+  ENTRY_TYPES,
+  withTransaction,
+  postEntry,
+  postUserEntry,
+  recordPurchase,
+  recordWithdrawal,
+  recordWithdrawalReversal,
+  recordWithdrawalPayout,
+  recordTransfer,
+  recordAdjustment,
+  recordDeposit,
+  recordEarning,
+  recordReferralCommission,
+  recordLoggedEarning,
+  recordNewReferralCommissions,
+  syncStoredProcedureCredits,
+  verifyUserBalance,
+  getUserLedger
+};
@@ -0,0 +1,272 @@
+const pool = require('../db');
+
+// Brute-force policy
+const FAILURE_WINDOW_MINUTES = 15;
+const DELAY_AFTER_FAILURES = 3;
+const MAX_DELAY_SECONDS = 30;
+const MAX_FAILED_ATTEMPTS = 5;
+const MAX_FAILED_ATTEMPTS_PER_IP = 20;
+const LOCKOUT_MINUTES = 15;
+const MAX_LOCKOUT_MINUTES = 24 * 60;
+const IP_LOCKOUT_MINUTES = 30;
+// Second factors: 5 wrong codes lock 2FA for the user, whatever the network
+const MAX_FAILED_TWO_FACTOR_ATTEMPTS = 5;
+
+/**
+ * Count failed attempts for a phone number or IP in the current window.
+ * The counter starts again after each lockout (and, for phone numbers,
+ * after a successful login), so an expired lockout does not re-trigger
+ * on the very next mistake.
+ */
+const getRecentFailures = async (scope, key) => {
+  const column = scope === 'phone' ? 'phone' : 'ip_address';
+  const successReset = scope === 'phone'
+    ? `COALESCE((SELECT MAX(created_at) FROM login_attempts WHERE phone = ? AND success = TRUE), '1970-01-01')`
+    : `'1970-01-01'`;
+  const params = scope === 'phone' ? [key, scope, key, FAILURE_WINDOW_MINUTES, key] : [scope, key, FAILURE_WINDOW_MINUTES, key];
+
+  const [rows] = await pool.query(`
+    SELECT COUNT(*) as failures,
+           TIMESTAMPDIFF(SECOND, MAX(created_at), NOW()) as seconds_since_last
+    FROM login_attempts
+    WHERE created_at > GREATEST(
+            ${successReset},
+            COALESCE((SELECT MAX(created_at) FROM login_lockouts WHERE scope = ? AND lock_key = ?), '1970-01-01'),
+            DATE_SUB(NOW(), INTERVAL ? MINUTE)
+          )
+      AND success = FALSE
+      AND ${column} = ?
+  `, params);
+
+  return {
+    failures: Number(rows[0].failures),
+    secondsSinceLast: rows[0].seconds_since_last === null ? null : Number(rows[0].seconds_since_last)
+  };
+};
+
+const getActiveLockout = async (scope, key) => {
+  const [rows] = await pool.query(`
+    SELECT id, scope, locked_until, TIMESTAMPDIFF(SECOND, NOW(), locked_until) as seconds_remaining
+    FROM login_lockouts
+    WHERE scope = ? AND lock_key = ? AND cleared_at IS NULL AND locked_until > NOW()
+    ORDER BY locked_until DESC
+    LIMIT 1
+  `, [scope, key]);
+  return rows[0] || null;
+};
+
+// Repeat offenders get longer locks: 15 min, 30 min, 1 h ... up to a day
+const createLockout = async (scope, key, failedAttempts) => {
+  let minutes = IP_LOCKOUT_MINUTES;
+
+  if (scope !== 'ip') {
+    const [rows] = await pool.query(`
+      SELECT COUNT(*) as recent_lockouts
+      FROM login_lockouts
+      WHERE scope = ? AND lock_key = ? AND created_at >= DATE_SUB(NOW(), INTERVAL 24 HOUR)
+    `, [scope, key]);
+    minutes = Math.min(LOCKOUT_MINUTES * 2 ** Number(rows[0].recent_lockouts), MAX_LOCKOUT_MINUTES);
+  }
+
+  await pool.query(`
+    INSERT INTO login_lockouts (scope, lock_key, failed_attempts, locked_until, created_at)
+    VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE), CURRENT_TIMESTAMP)
+  `, [scope, key, failedAttempts, minutes]);
+
+  return minutes * 60;
+};
+
+const LOCKED_MESSAGES = {
+  phone: 'Too many failed login attempts. This account is temporarily locked.',
+  ip: 'Too many failed login attempts from this network. Please try again later.',
+  two_factor: 'Too many invalid two-factor authentication codes. Please try again later.'
+};
+
+const lockedResponse = (scope, retryAfter) => ({
+  code: scope === 'two_factor' ? 'TWO_FACTOR_LOCKED' : 'LOGIN_LOCKED',
+  message: LOCKED_MESSAGES[scope],
+  retryAfter
+});
+
+/**
+ * Check whether a login attempt may go ahead.
+ * Returns null if allowed, otherwise { code, message, retryAfter }.
+ */
+const checkLoginAllowed = async ({ phone, ipAddress }) => {
+  const checks = [['phone', phone]];
+  if (ipAddress) {
+    checks.push(['ip', ipAddress]);
+  }
+
+  for (const [scope, key] of checks) {
+    const lockout = await getActiveLockout(scope, key);
+    if (lockout) {
+      return lockedResponse(scope, Math.max(Number(lockout.seconds_remaining), 1));
+    }
+  }
+
+  // Progressive delay: 2s, 4s, 8s ... between guesses once the failures pile up
+  const { failures, secondsSinceLast } = await getRecentFailures('phone', phone);
+  if (failures >= DELAY_AFTER_FAILURES && secondsSinceLast !== null) {
+    const delay = Math.min(2 ** (failures - DELAY_AFTER_FAILURES + 1), MAX_DELAY_SECONDS);
+    if (secondsSinceLast < delay) {
+      return {
+        code: 'LOGIN_THROTTLED',
+        message: 'Too many failed login attempts. Please wait before trying again.',
+        retryAfter: delay - secondsSinceLast
+      };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Record a failed attempt and lock the phone number / IP once the limits are hit.
+ * Returns the lockout ({ code, message, retryAfter }) if this attempt triggered one, otherwise null.
+ */
+const recordFailedAttempt = async ({ phone, userId = null, ipAddress, userAgent, reason }) => {
+  await pool.query(`
+    INSERT INTO login_attempts (phone, user_id, ip_address, user_agent, success, failure_reason, created_at)
+    VALUES (?, ?, ?, ?, FALSE, ?, CURRENT_TIMESTAMP)
+  `, [phone, userId, ipAddress, userAgent, reason]);
+
+  const phoneFailures = await getRecentFailures('phone', phone);
+  if (phoneFailures.failures >= MAX_FAILED_ATTEMPTS) {
+    const retryAfter = await createLockout('phone', phone, phoneFailures.failures);
+    return lockedResponse('phone', retryAfter);
+  }
+
+  if (ipAddress) {
+    const ipFailures = await getRecentFailures('ip', ipAddress);
+    if (ipFailures.failures >= MAX_FAILED_ATTEMPTS_PER_IP) {
+      const retryAfter = await createLockout('ip', ipAddress, ipFailures.failures);
+      return lockedResponse('ip', retryAfter);
+    }
+  }
+
+  return null;
+};
+
+const recordSuccessfulAttempt = async ({ phone, userId, ipAddress, userAgent }) => {
+  await pool.query(`
+    INSERT INTO login_attempts (phone, user_id, ip_address, user_agent, success, created_at)
+    VALUES (?, ?, ?, ?, TRUE, CURRENT_TIMESTAMP)
+  `, [phone, userId, ipAddress, userAgent]);
+};
+
+/**
+ * Check whether a user may try a second factor (TOTP or backup code).
+ * Returns null if allowed, otherwise { code, message, retryAfter }.
+ */
+const checkSecondFactorAllowed = async (userId) => {
+  const lockout = await getActiveLockout('two_factor', String(userId));
+  return lockout ? lockedResponse('two_factor', Math.max(Number(lockout.seconds_remaining), 1)) : null;
+};
+
+// Failures since the last good code or lockout, within the window
+const getRecentSecondFactorFailures = async (userId) => {
+  const [rows] = await pool.query(`
+    SELECT COUNT(*) as failures
+    FROM two_factor_attempts
+    WHERE created_at > GREATEST(
+            COALESCE((SELECT MAX(created_at) FROM two_factor_attempts WHERE user_id = ? AND success = TRUE), '1970-01-01'),
+            COALESCE((SELECT MAX(created_at) FROM login_lockouts WHERE scope = 'two_factor' AND lock_key = ?), '1970-01-01'),
+            DATE_SUB(NOW(), INTERVAL ? MINUTE)
+          )
+      AND success = FALSE
+      AND user_id = ?
+  `, [userId, String(userId), FAILURE_WINDOW_MINUTES, userId]);
+  return Number(rows[0].failures);
+};
+
+/**
+ * Record a wrong second factor and lock 2FA for the user once the limit is hit.
+ * Returns the lockout ({ code, message, retryAfter }) if this attempt triggered one, otherwise null.
+ */
+const recordSecondFactorFailure = async (userId) => {
+  await pool.query(
+    'INSERT INTO two_factor_attempts (user_id, success, created_at) VALUES (?, FALSE, CURRENT_TIMESTAMP)',
+    [userId]
+  );
+
+  const failures = await getRecentSecondFactorFailures(userId);
+  if (failures >= MAX_FAILED_TWO_FACTOR_ATTEMPTS) {
+    const retryAfter = await createLockout('two_factor', String(userId), failures);
+    return lockedResponse('two_factor', retryAfter);
+  }
+  return null;
+};
+
+const recordSecondFactorSuccess = async (userId) => {
+  await pool.query(
+    'INSERT INTO two_factor_attempts (user_id, success, created_at) VALUES (?, TRUE, CURRENT_TIMESTAMP)',
+    [userId]
+  );
+};
+
+/**
+ * Clear any active lockout on a phone number (admin unlock).
+ * Returns the number of lockouts cleared.
+ */
+const unlockPhone = async (phone, adminId) => {
+  const [result] = await pool.query(`
+    UPDATE login_lockouts
+    SET cleared_at = CURRENT_TIMESTAMP, cleared_by = ?
+    WHERE scope = 'phone' AND lock_key = ? AND cleared_at IS NULL AND locked_until > NOW()
+  `, [adminId, phone]);
+  return result.affectedRows;
+};
+
+// Clear an active two-factor lockout (admin unlock)
+const unlockSecondFactor = async (userId, adminId) => {
+  const [result] = await pool.query(`
+    UPDATE login_lockouts
+    SET cleared_at = CURRENT_TIMESTAMP, cleared_by = ?
+    WHERE scope = 'two_factor' AND lock_key = ? AND cleared_at IS NULL AND locked_until > NOW()
+  `, [adminId, String(userId)]);
+  return result.affectedRows;
+};
+
+/**
+ * Lockout state and recent failed logins for the admin user view
+ */
+const getLoginSecurity = async (userId, phone) => {
+  const lockout = await getActiveLockout('phone', phone);
+  const twoFactorLockout = await getActiveLockout('two_factor', String(userId));
+
+  const [failedLogins] = await pool.query(`
+    SELECT id, ip_address, user_agent, failure_reason, created_at
+    FROM login_attempts
+    WHERE (user_id = ? OR phone = ?) AND success = FALSE
+    ORDER BY created_at DESC
+    LIMIT 20
+  `, [userId, phone]);
+
+  const [countRows] = await pool.query(`
+    SELECT COUNT(*) as failed_last_24h
+    FROM login_attempts
+    WHERE (user_id = ? OR phone = ?) AND success = FALSE AND created_at >= DATE_SUB(NOW(), INTERVAL 24 HOUR)
+  `, [userId, phone]);
+
+  return {
+    locked: !!lockout,
+    locked_until: lockout ? lockout.locked_until : null,
+    two_factor_locked: !!twoFactorLockout,
+    two_factor_locked_until: twoFactorLockout ? twoFactorLockout.locked_until : null,
+    failed_last_24h: Number(countRows[0].failed_last_24h),
+    failed_logins: failedLogins
+  };
+};
+
+module.exports = {
+  checkLoginAllowed,
+  recordFailedAttempt,
+  recordSuccessfulAttempt,
+  checkSecondFactorAllowed,
+  recordSecondFactorFailure,
+  recordSecondFactorSuccess,
+  unlockPhone,
+  unlockSecondFactor,
+  getLoginSecurity
+};
@@ -1,4 +1,8 @@
 const pool = require('../db');
+const notificationService = require('./notificationService');
+const ledger = require('./ledger');
+const money = require('./money');
+const fx = require('./fx');
 
 console.log('=== Corrected Mining Earnings Processor with Exact Timing ===');
 
@@ -64,9 +68,11 @@ async function processMiningEarnings(intervalType = null) {
         e.daily_earning_rate,
         e.duration_days,
         e.duration_hours,
-        e.is_active as engine_active
+        e.is_active as engine_active,
+        u.currency
       FROM purchases p
       JOIN mining_engines e ON p.engine_id = e.id
+      JOIN users u ON p.user_id = u.id
       WHERE p.status = 'active' 
         AND e.is_active = TRUE
         AND p.end_date > NOW()
@@ -112,11 +118,11 @@ async function processMiningEarnings(intervalType = null) {
         if (result.periodsProcessed > 0) {
           totalProcessed++;
           totalPeriodsProcessed += result.periodsProcessed;
-          totalEarningsAdded += result.totalEarning;
+          totalEarningsAdded = money.sum([totalEarningsAdded, result.totalEarning]);
           
           log.info(`Purchase #${purchase.id} processed successfully`, {
             periodsProcessed: result.periodsProcessed,
-            totalEarning: result.totalEarning.toFixed(8),
+            totalEarning: result.totalEarning,
             engineName: purchase.engine_name,
             nextMaturityTime: result.nextMaturityTime
           });
@@ -147,11 +153,14 @@ async function processMiningEarnings(intervalType = null) {
     }
 
     await connection.commit();
+
+    // Notify only after commit so users never hear about earnings that were rolled back
+    await notifyProcessingResults(`${intervalType || 'all'}:${now.toISOString()}`, purchases, processingResults);
     
     const summary = {
       processed: totalProcessed,
       totalPeriods: totalPeriodsProcessed,
-      totalEarnings: parseFloat(totalEarningsAdded.toFixed(8)),
+      totalEarnings: totalEarningsAdded,
       intervalType: intervalType || 'all',
       timestamp: now.toISOString(),
       message: 'Mining earnings processed successfully'
@@ -173,6 +182,26 @@ async function processMiningEarnings(intervalType = null) {
   }
 }
 
+/**
+ * Follow-up for a committed run: send earnings, maturity and commission notifications
+ */
+async function notifyProcessingResults(batchId, purchases, processingResults) {
+  try {
+    await notificationService.notifyEarningsBatch(batchId, processingResults);
+
+    for (const result of processingResults) {
+      if (result.status === 'completed') {
+        const purchase = purchases.find(p => p.id === result.purchaseId);
+        await notificationService.notifyPurchaseMatured(purchase);
+      }
+    }
+
+    await notificationService.notifyNewReferralCommissions();
+  } catch (error) {
+    log.error('Error in earnings run follow-up', error);
+  }
+}
+
 /**
  * Process earnings for a single purchase with exact timing logic
  * This implements the correct logic: purchase time + duration = maturity time
@@ -260,6 +289,7 @@ async function processPurchaseEarnings(connection, purchase, currentTime) {
           'CALL sp_log_earning(?, ?, ?)',
           [purchaseId, earning.amount, earning.datetime]
         );
+        await ledger.recordLoggedEarning(connection, purchaseId, earning.datetime);
       } catch (logError) {
         if (logError.code === 'ER_DUP_ENTRY') {
           log.debug(`Duplicate earning entry for purchase ${purchaseId} at ${earning.datetime}`);
@@ -268,11 +298,14 @@ async function processPurchaseEarnings(connection, purchase, currentTime) {
         }
       }
     }
+
+    // Commissions the database paid on these earnings
+    await ledger.recordNewReferralCommissions(connection, userId);
   }
 
   log.debug(`Purchase #${purchaseId} processing completed`, {
     periodsProcessed,
-    totalEarning: totalEarning.toFixed(8),
+    totalEarning,
     earningInterval,
     nextMaturityTime: nextMaturityTime ? nextMaturityTime.toISOString() : null
   });
@@ -290,9 +323,9 @@ async function processPurchaseEarnings(connection, purchase, currentTime) {
  * Example: Purchase at 4:00 PM → mature at 5:00 PM, 6:00 PM, 7:00 PM, etc.
  */
 async function processHourlyEarningsExact(connection, purchase, purchaseDateTime, currentTime, endDateTime) {
-  const { id: purchaseId, daily_earning: dailyEarning, duration_hours: durationHours } = purchase;
+  const { id: purchaseId, daily_earning: dailyEarning, duration_hours: durationHours, currency } = purchase;
   // Use dailyEarning directly as hourly earning per period (no division)
-  const hourlyEarning = parseFloat(dailyEarning.toFixed(8));
+  const hourlyEarning = money.fromPrecise(money.toPrecise(dailyEarning));
   
   let periodsProcessed = 0;
   let totalEarning = 0;
@@ -322,15 +355,17 @@ async function processHourlyEarningsExact(connection, purchase, purchaseDateTime
       );
 
       if (existingLog.length === 0) {
+        // Paid in cents; the period number keeps the lifetime total exact
+        const amount = money.periodAmount(hourlyEarning, period, currency);
         earnings.push({
-          amount: hourlyEarning,
+          amount,
           datetime: new Date(maturityTime)
         });
         
         periodsProcessed++;
-        totalEarning += hourlyEarning;
+        totalEarning = money.sum([totalEarning, amount]);
         
-        log.debug(`Hourly earning scheduled: ${maturityTime.toISOString()} = ${hourlyEarning.toFixed(8)}`);
+        log.debug(`Hourly earning scheduled: ${maturityTime.toISOString()} = ${amount}`);
       } else {
         log.debug(`Hourly earning already exists: ${maturityTime.toISOString()}`);
       }
@@ -345,7 +380,7 @@ async function processHourlyEarningsExact(connection, purchase, purchaseDateTime
   log.debug(`Hourly earnings processing completed for purchase ${purchaseId}`, {
     totalPeriods,
     periodsProcessed,
-    totalEarning: totalEarning.toFixed(8),
+    totalEarning,
     nextMaturityTime: nextMaturityTime ? nextMaturityTime.toISOString() : 'completed'
   });
 
@@ -357,7 +392,7 @@ async function processHourlyEarningsExact(connection, purchase, purchaseDateTime
  * Example: Purchase at 4:00 PM today → mature at 4:00 PM tomorrow, 4:00 PM day after, etc.
  */
 async function processDailyEarningsExact(connection, purchase, purchaseDateTime, currentTime, endDateTime) {
-  const { id: purchaseId, daily_earning: dailyEarning, duration_days: durationDays } = purchase;
+  const { id: purchaseId, daily_earning: dailyEarning, duration_days: durationDays, currency } = purchase;
   
   let periodsProcessed = 0;
   let totalEarning = 0;
@@ -387,15 +422,16 @@ async function processDailyEarningsExact(connection, purchase, purchaseDateTime,
       );
 
       if (existingLog.length === 0) {
+        const amount = money.periodAmount(dailyEarning, period, currency);
         earnings.push({
-          amount: parseFloat(dailyEarning),
+          amount,
           datetime: new Date(maturityTime)
         });
         
         periodsProcessed++;
-        totalEarning += parseFloat(dailyEarning);
+        totalEarning = money.sum([totalEarning, amount]);
         
-        log.debug(`Daily earning scheduled: ${maturityTime.toISOString()} = ${dailyEarning}`);
+        log.debug(`Daily earning scheduled: ${maturityTime.toISOString()} = ${amount}`);
       } else {
         log.debug(`Daily earning already exists: ${maturityTime.toISOString()}`);
       }
@@ -410,7 +446,7 @@ async function processDailyEarningsExact(connection, purchase, purchaseDateTime,
   log.debug(`Daily earnings processing completed for purchase ${purchaseId}`, {
     totalPeriods,
     periodsProcessed,
-    totalEarning: totalEarning.toFixed(2),
+    totalEarning,
     nextMaturityTime: nextMaturityTime ? nextMaturityTime.toISOString() : 'completed'
   });
 
@@ -434,9 +470,10 @@ async function triggerManualEarning(purchaseId, adminId = null) {
         p.id, p.user_id, p.daily_earning, p.start_date, p.end_date, 
         p.last_earning_date, p.status, p.created_at as purchase_time,
         e.earning_interval, e.name as engine_name, e.duration_days, e.duration_hours,
-        e.is_active as engine_active
+        e.is_active as engine_active, u.currency
       FROM purchases p
       JOIN mining_engines e ON p.engine_id = e.id
+      JOIN users u ON p.user_id = u.id
       WHERE p.id = ?
     `, [purchaseId]);
     
@@ -552,14 +589,17 @@ async function getUserEarningsSummary(userId) {
       LIMIT 5
     `, [userId]);
     
+    const currency = await fx.getUserCurrency(userId);
+
     return {
       summary: summary[0],
+      currency,
       upcoming_maturities: upcomingMaturities.map(maturity => ({
         ...maturity,
         next_maturity_time: maturity.next_maturity_time ? maturity.next_maturity_time.toISOString() : null,
         minutes_until_maturity: maturity.next_maturity_time ? 
           Math.max(0, Math.floor((new Date(maturity.next_maturity_time) - new Date()) / (1000 * 60))) : null,
-        formatted_amount: `KES ${parseFloat(maturity.next_earning_amount).toFixed(2)}`,
+        formatted_amount: money.format(maturity.next_earning_amount, currency),
         purchase_time: maturity.purchase_time.toISOString()
       }))
     };
@@ -578,9 +618,10 @@ async function getPurchaseMaturitySchedule(purchaseId) {
     const [purchases] = await pool.query(`
       SELECT 
         p.*, e.name as engine_name, e.earning_interval, 
-        e.duration_days, e.duration_hours
+        e.duration_days, e.duration_hours, u.currency
       FROM purchases p
       JOIN mining_engines e ON p.engine_id = e.id
+      JOIN users u ON p.user_id = u.id
       WHERE p.id = ?
     `, [purchaseId]);
     
@@ -601,7 +642,7 @@ async function getPurchaseMaturitySchedule(purchaseId) {
         schedule.push({
           period: hour,
           maturity_time: maturityTime.toISOString(),
-          earning_amount: parseFloat((purchase.daily_earning / 24).toFixed(8)),
+          earning_amount: money.divide(purchase.daily_earning, 24),
           status: maturityTime <= new Date() ? 'mature' : 'pending'
         });
       }
@@ -614,7 +655,7 @@ async function getPurchaseMaturitySchedule(purchaseId) {
         schedule.push({
           period: day,
           maturity_time: maturityTime.toISOString(),
-          earning_amount: parseFloat(purchase.daily_earning),
+          earning_amount: money.periodAmount(purchase.daily_earning, day, purchase.currency),
           status: maturityTime <= new Date() ? 'mature' : 'pending'
         });
       }
@@ -0,0 +1,236 @@
+/**
+ * Decimal-safe money arithmetic.
+ *
+ * Amounts are never added or multiplied as JavaScript floats. They are parsed
+ * from their decimal string form into integers and all arithmetic happens on
+ * BigInt, so 0.1 + 0.2 is exactly 0.3 and a year of hourly earnings adds up to
+ * the cent.
+ *
+ * Two precisions are used:
+ *  - minor units (cents) per currency: what users are paid and charged
+ *  - precise units (8 decimal places): rates such as purchases.daily_earning,
+ *    matching the DECIMAL(20,8) columns
+ *
+ * Rounding is half-up (away from zero) at the currency's minor unit.
+ */
+
+// ISO 4217 minor units. UGX has no minor unit; TZS is quoted in cents.
+const CURRENCIES = {
+  KES: { minorUnits: 2, rounding: 'half_up' },
+  UGX: { minorUnits: 0, rounding: 'half_up' },
+  TZS: { minorUnits: 2, rounding: 'half_up' },
+  USD: { minorUnits: 2, rounding: 'half_up' }
+};
+
+const DEFAULT_CURRENCY = 'KES';
+
+const PRECISE_DECIMALS = 8;
+
+const getCurrency = (currency = DEFAULT_CURRENCY) => {
+  const config = CURRENCIES[currency];
+  if (!config) {
+    throw new Error(`Unsupported currency ${currency}`);
+  }
+  return config;
+};
+
+const pow10 = (exponent) => 10n ** BigInt(exponent);
+
+/**
+ * Divide two BigInts, rounding half away from zero
+ */
+const divideRounded = (numerator, denominator) => {
+  const negative = (numerator < 0n) !== (denominator < 0n);
+  const n = numerator < 0n ? -numerator : numerator;
+  const d = denominator < 0n ? -denominator : denominator;
+  const quotient = (n * 2n + d) / (d * 2n);
+  return negative ? -quotient : quotient;
+};
+
+/**
+ * Parse a decimal (number, numeric string or DECIMAL column value) into an
+ * integer count of 10^-decimals units, rounding half-up
+ * @returns {bigint}
+ */
+const toScaled = (amount, decimals) => {
+  if (typeof amount === 'bigint') {
+    return amount * pow10(decimals);
+  }
+
+  // Numbers are converted through their shortest round-trip string, so 0.1
+  // is read as "0.1" and not 0.1000000000000000055...
+  const text = String(amount === null || amount === undefined ? 0 : amount).trim();
+  const match = /^([+-])?(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i.exec(text);
+  if (!match || (match[2] === '' && !match[3])) {
+    throw new Error(`Invalid amount: ${amount}`);
+  }
+
+  const [, sign, whole, fraction = '', exponent = '0'] = match;
+  const digits = BigInt(`${whole || '0'}${fraction}` || '0');
+  const shift = decimals - fraction.length + parseInt(exponent, 10);
+
+  const scaled = shift >= 0 ? digits * pow10(shift) : divideRounded(digits, pow10(-shift));
+  return sign === '-' ? -scaled : scaled;
+};
+
+const scaledToNumber = (scaled, decimals) => {
+  const negative = scaled < 0n;
+  const absolute = negative ? -scaled : scaled;
+  const whole = absolute / pow10(decimals);
+  const fraction = decimals > 0 ? `.${(absolute % pow10(decimals)).toString().padStart(decimals, '0')}` : '';
+  return Number(`${negative ? '-' : ''}${whole}${fraction}`);
+};
+
+// === Minor units ===
+
+/**
+ * Amount in the currency's minor units (e.g. 12.345 KES -> 1235 cents)
+ * @returns {number}
+ */
+const toMinor = (amount, currency = DEFAULT_CURRENCY) => {
+  return Number(toScaled(amount, getCurrency(currency).minorUnits));
+};
+
+/**
+ * Minor units back to a plain number for JSON and SQL parameters
+ */
+const fromMinor = (minor, currency = DEFAULT_CURRENCY) => {
+  return scaledToNumber(BigInt(minor), getCurrency(currency).minorUnits);
+};
+
+/**
+ * Round an amount to the currency's minor unit
+ */
+const round = (amount, currency = DEFAULT_CURRENCY) => {
+  return fromMinor(toMinor(amount, currency), currency);
+};
+
+const isSupportedCurrency = (currency) => {
+  return Object.prototype.hasOwnProperty.call(CURRENCIES, currency);
+};
+
+/**
+ * Display form, e.g. "KES 1,234.50" or "UGX 45,000"
+ */
+const format = (amount, currency = DEFAULT_CURRENCY) => {
+  const { minorUnits } = getCurrency(currency);
+  const formatted = round(amount, currency).toLocaleString('en-KE', {
+    minimumFractionDigits: minorUnits,
+    maximumFractionDigits: minorUnits
+  });
+  return `${currency} ${formatted}`;
+};
+
+// === Precise units (rates) ===
+
+/**
+ * Amount in 10^-8 units, as stored in DECIMAL(20,8) columns
+ * @returns {bigint}
+ */
+const toPrecise = (amount) => toScaled(amount, PRECISE_DECIMALS);
+
+const fromPrecise = (precise) => scaledToNumber(precise, PRECISE_DECIMALS);
+
+/**
+ * Exact sum of amounts at 8 decimal places (round the result with round()
+ * where a payable figure is needed)
+ */
+const sum = (amounts) => {
+  return fromPrecise(amounts.reduce((acc, amount) => acc + toPrecise(amount), 0n));
+};
+
+/**
+ * a - b, exact at 8 decimal places
+ */
+const subtract = (a, b) => fromPrecise(toPrecise(a) - toPrecise(b));
+
+/**
+ * -1, 0 or 1, compared exactly
+ */
+const compare = (a, b) => {
+  const difference = toPrecise(a) - toPrecise(b);
+  return difference === 0n ? 0 : (difference < 0n ? -1 : 1);
+};
+
+/**
+ * amount / divisor at 8 decimal places
+ */
+const divide = (amount, divisor) => {
+  return fromPrecise(divideRounded(toPrecise(amount) * pow10(PRECISE_DECIMALS), toPrecise(divisor)));
+};
+
+/**
+ * amount * factor at 8 decimal places (e.g. a currency conversion)
+ */
+const multiply = (amount, factor) => {
+  return fromPrecise(divideRounded(toPrecise(amount) * toPrecise(factor), pow10(PRECISE_DECIMALS)));
+};
+
+/**
+ * `ratePercent` percent of `amount`, kept at 8 decimal places
+ * (e.g. the per-period earning of a purchase)
+ */
+const percentOf = (amount, ratePercent) => {
+  const product = toPrecise(amount) * toPrecise(ratePercent);
+  return fromPrecise(divideRounded(product, 100n * pow10(PRECISE_DECIMALS)));
+};
+
+/**
+ * Total paid after `periods` periods of `perPeriod`, rounded once to the
+ * currency's minor unit
+ */
+const cumulativeTotal = (perPeriod, periods, currency = DEFAULT_CURRENCY) => {
+  const { minorUnits } = getCurrency(currency);
+  const total = toPrecise(perPeriod) * BigInt(periods);
+  return scaledToNumber(divideRounded(total, pow10(PRECISE_DECIMALS - minorUnits)), minorUnits);
+};
+
+/**
+ * Amount to pay for period `period` (1-based) of a `perPeriod` rate.
+ *
+ * A per-period rate like 0.04166667 cannot be paid in cents, and rounding
+ * each period separately drifts over a long engine lifetime. Instead each
+ * period pays the difference between the rounded cumulative totals, so the
+ * sum of periods 1..N is always cumulativeTotal(perPeriod, N).
+ */
+const periodAmount = (perPeriod, period, currency = DEFAULT_CURRENCY) => {
+  const { minorUnits } = getCurrency(currency);
+  const current = toMinor(cumulativeTotal(perPeriod, period, currency), currency);
+  const previous = toMinor(cumulativeTotal(perPeriod, period - 1, currency), currency);
+  return scaledToNumber(BigInt(current - previous), minorUnits);
+};
+
+/**
+ * `amount` as a whole number of major units, for providers that only move
+ * whole amounts (M-Pesa). Throws instead of rounding, so what is sent is
+ * always what is recorded.
+ */
+const wholeUnits = (amount) => {
+  const value = Number(amount);
+  if (!Number.isInteger(value)) {
+    throw new Error(`Amount ${amount} is not a whole number`);
+  }
+  return value;
+};
+
+module.exports = {
+  CURRENCIES,
+  DEFAULT_CURRENCY,
+  PRECISE_DECIMALS,
+  isSupportedCurrency,
+  toMinor,
+  fromMinor,
+  round,
+  format,
+  toPrecise,
+  fromPrecise,
+  sum,
+  subtract,
+  compare,
+  divide,
+  multiply,
+  percentOf,
+  cumulativeTotal,
+  periodAmount,
+  wholeUnits
+};
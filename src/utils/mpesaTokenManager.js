@@ -0,0 +1,155 @@
+const axios = require('axios');
+require('dotenv').config();
+
+/**
+ * Daraja OAuth access tokens, cached in memory until shortly before they
+ * expire. Concurrent callers share one refresh request, and Safaricom 5xx or
+ * network errors are retried with exponential backoff.
+ */
+
+// Refresh this long before the token's expires_in runs out
+const REFRESH_MARGIN_MS = 60 * 1000;
+// Used if Safaricom leaves out expires_in (tokens normally last an hour)
+const DEFAULT_EXPIRES_IN_SECONDS = 3599;
+const MAX_ATTEMPTS = 3;
+const RETRY_BASE_DELAY_MS = 500;
+// A hung request would hold every caller waiting on the shared refresh
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+const state = {
+  token: null,
+  expiresAt: null,
+  // Credentials and environment the cached token was issued for
+  cacheKey: null,
+  refreshing: null,
+  lastRefreshedAt: null,
+  refreshCount: 0,
+  lastError: null,
+  lastErrorAt: null
+};
+
+const config = () => ({
+  consumerKey: process.env.MPESA_CONSUMER_KEY,
+  consumerSecret: process.env.MPESA_CONSUMER_SECRET,
+  environment: process.env.MPESA_ENV
+});
+
+const tokenUrl = (environment) => {
+  return environment === 'production'
+    ? 'https://api.safaricom.co.ke/oauth/v1/generate?grant_type=client_credentials'
+    : 'https://sandbox.safaricom.co.ke/oauth/v1/generate?grant_type=client_credentials';
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Only server errors and failed connections are worth retrying
+const isRetryable = (error) => !error.response || error.response.status >= 500;
+
+const isFresh = (key) => {
+  return !!state.token && state.cacheKey === key && Date.now() < state.expiresAt - REFRESH_MARGIN_MS;
+};
+
+const requestToken = async ({ consumerKey, consumerSecret, environment }) => {
+  const auth = Buffer.from(`${consumerKey}:${consumerSecret}`).toString('base64');
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const response = await axios.get(tokenUrl(environment), {
+        headers: { Authorization: `Basic ${auth}` },
+        timeout: REQUEST_TIMEOUT_MS
+      });
+
+      if (!response.data || !response.data.access_token) {
+        throw new Error('Invalid access token response from M-Pesa');
+      }
+      return response.data;
+    } catch (error) {
+      if (attempt >= MAX_ATTEMPTS || !isRetryable(error)) {
+        throw error;
+      }
+      const delay = RETRY_BASE_DELAY_MS * 2 ** (attempt - 1);
+      console.warn(`M-Pesa token request failed (attempt ${attempt}/${MAX_ATTEMPTS}), retrying in ${delay}ms:`, error.response?.status || error.message);
+      await sleep(delay);
+    }
+  }
+};
+
+const refresh = async (credentials, key) => {
+  try {
+    const data = await requestToken(credentials);
+    const expiresIn = parseInt(data.expires_in, 10) || DEFAULT_EXPIRES_IN_SECONDS;
+
+    state.token = data.access_token;
+    state.expiresAt = Date.now() + expiresIn * 1000;
+    state.cacheKey = key;
+    state.lastRefreshedAt = new Date();
+    state.refreshCount += 1;
+    state.lastError = null;
+
+    return state.token;
+  } catch (error) {
+    state.lastError = error.response?.data?.errorMessage || error.message;
+    state.lastErrorAt = new Date();
+    console.error('Error getting M-Pesa access token:', error.response?.data || error.message);
+    throw new Error(`Failed to get M-Pesa access token: ${error.message}`);
+  }
+};
+
+/**
+ * A valid access token, from the cache when possible
+ * @param {Object} [options]
+ * @param {boolean} [options.forceRefresh] - skip the cache (e.g. after a 401)
+ * @returns {Promise<string>}
+ */
+const getAccessToken = async ({ forceRefresh = false } = {}) => {
+  const credentials = config();
+  if (!credentials.consumerKey || !credentials.consumerSecret) {
+    throw new Error('M-Pesa credentials not properly configured');
+  }
+
+  const key = `${credentials.environment}:${credentials.consumerKey}`;
+  if (!forceRefresh && isFresh(key)) {
+    return state.token;
+  }
+
+  // Everyone waiting on a refresh gets the same token
+  if (!state.refreshing) {
+    state.refreshing = refresh(credentials, key).finally(() => {
+      state.refreshing = null;
+    });
+  }
+  return state.refreshing;
+};
+
+// Drop the cached token, e.g. when Daraja rejects it
+const invalidate = () => {
+  state.token = null;
+  state.expiresAt = null;
+  state.cacheKey = null;
+};
+
+// Token state for /api/admin/system-status (never includes the token itself)
+const getTokenHealth = () => {
+  const { consumerKey, consumerSecret, environment } = config();
+  const now = Date.now();
+  const hasToken = !!state.token && now < state.expiresAt;
+
+  return {
+    configured: !!(consumerKey && consumerSecret),
+    environment: environment || 'sandbox',
+    status: hasToken ? 'valid' : (state.lastError ? 'error' : 'not_fetched'),
+    expires_at: state.expiresAt ? new Date(state.expiresAt).toISOString() : null,
+    expires_in_seconds: hasToken ? Math.floor((state.expiresAt - now) / 1000) : 0,
+    last_refreshed_at: state.lastRefreshedAt ? state.lastRefreshedAt.toISOString() : null,
+    refresh_count: state.refreshCount,
+    refresh_in_progress: !!state.refreshing,
+    last_error: state.lastError,
+    last_error_at: state.lastErrorAt ? state.lastErrorAt.toISOString() : null
+  };
+};
+
+module.exports = {
+  getAccessToken,
+  invalidate,
+  getTokenHealth
+};
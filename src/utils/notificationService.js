@@ -0,0 +1,252 @@
+const pool = require('../db');
+const emailService = require('./emailService');
+const money = require('./money');
+const fx = require('./fx');
+
+/**
+ * User notifications: every event lands in the in-app inbox (notifications table)
+ * and is also emailed when the user's preference for that type allows it.
+ * Notifying never throws - a failed notification must not fail the money flow
+ * that triggered it.
+ */
+
+// Notification types and whether they are emailed by default
+const NOTIFICATION_TYPES = {
+  deposit_completed: { label: 'Deposit completed', email: true },
+  purchase_matured: { label: 'Mining engine matured', email: true },
+  earnings_credited: { label: 'Earnings credited', email: false },
+  referral_commission: { label: 'Referral commission earned', email: true },
+  withdrawal_status: { label: 'Withdrawal status updates', email: true },
+  transfer_received: { label: 'Money received from another user', email: true }
+};
+
+/**
+ * Email preferences for a user, with defaults filled in for unset types
+ * @returns {Promise<Object<string, boolean>>}
+ */
+const getPreferences = async (userId) => {
+  const [rows] = await pool.query(
+    'SELECT type, email_enabled FROM notification_preferences WHERE user_id = ?',
+    [userId]
+  );
+
+  const preferences = {};
+  for (const [type, config] of Object.entries(NOTIFICATION_TYPES)) {
+    const saved = rows.find(row => row.type === type);
+    preferences[type] = saved ? !!saved.email_enabled : config.email;
+  }
+  return preferences;
+};
+
+const updatePreferences = async (userId, preferences) => {
+  for (const [type, emailEnabled] of Object.entries(preferences)) {
+    await pool.query(`
+      INSERT INTO notification_preferences (user_id, type, email_enabled, updated_at)
+      VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+      ON DUPLICATE KEY UPDATE email_enabled = VALUES(email_enabled), updated_at = CURRENT_TIMESTAMP
+    `, [userId, type, !!emailEnabled]);
+  }
+  return getPreferences(userId);
+};
+
+/**
+ * Create a notification and email it if the user wants this type by email.
+ *
+ * `source` ({ type, id }) makes the call idempotent: a second notification for the
+ * same event is ignored. `sendEmail(user)` can replace the generic email template.
+ * `message` may be a function of the user's wallet currency, for messages with amounts.
+ *
+ * @returns {Promise<{ created: boolean, emailed: boolean, emailFailed?: boolean }>}
+ */
+const notify = async ({ userId, type, title, message, data = null, source = null, sendEmail = null }) => {
+  try {
+    const text = typeof message === 'function' ? message(await fx.getUserCurrency(userId)) : message;
+
+    const [result] = await pool.query(`
+      INSERT IGNORE INTO notifications (user_id, type, title, message, data, source_type, source_id, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+    `, [
+      userId, type, title, text,
+      data ? JSON.stringify(data) : null,
+      source ? source.type : null,
+      source ? String(source.id) : null
+    ]);
+
+    if (result.affectedRows === 0) {
+      return { created: false, emailed: false };
+    }
+
+    const preferences = await getPreferences(userId);
+    if (!preferences[type]) {
+      return { created: true, emailed: false };
+    }
+
+    const [userRows] = await pool.query('SELECT email, full_name, currency FROM users WHERE id = ?', [userId]);
+    if (userRows.length === 0 || !userRows[0].email) {
+      return { created: true, emailed: false };
+    }
+
+    try {
+      if (sendEmail) {
+        await sendEmail(userRows[0]);
+      } else {
+        await emailService.sendNotificationEmail(userRows[0].email, userRows[0].full_name, { title, message: text });
+      }
+      await pool.query('UPDATE notifications SET emailed_at = CURRENT_TIMESTAMP WHERE id = ?', [result.insertId]);
+      return { created: true, emailed: true };
+    } catch (emailError) {
+      console.error(`Error emailing ${type} notification to user ${userId}:`, emailError);
+      return { created: true, emailed: false, emailFailed: true };
+    }
+  } catch (error) {
+    console.error(`Error creating ${type} notification for user ${userId}:`, error);
+    return { created: false, emailed: false };
+  }
+};
+
+// === Event helpers ===
+
+const notifyDepositCompleted = (deposit) => {
+  return notify({
+    userId: deposit.user_id,
+    type: 'deposit_completed',
+    title: 'Deposit received',
+    message: (currency) => `Your deposit of ${money.format(deposit.amount, currency)} has been credited to your balance.`,
+    data: { deposit_id: deposit.id, amount: deposit.amount },
+    source: { type: 'deposit', id: deposit.id }
+  });
+};
+
+const notifyPurchaseMatured = (purchase) => {
+  return notify({
+    userId: purchase.user_id,
+    type: 'purchase_matured',
+    title: 'Mining engine completed',
+    message: (currency) => `Your ${purchase.engine_name || 'mining engine'} has completed its term. Total earned: ${money.format(purchase.total_earned, currency)}.`,
+    data: { purchase_id: purchase.id, total_earned: purchase.total_earned },
+    source: { type: 'purchase', id: purchase.id }
+  });
+};
+
+/**
+ * One notification per user per earnings run, summing all their engines
+ * @param {string} batchId - identifies the processing run
+ * @param {Array<{ userId: number, totalEarning: number, purchaseId: number }>} results
+ */
+const notifyEarningsBatch = async (batchId, results) => {
+  const byUser = new Map();
+  for (const result of results) {
+    if (!result.totalEarning || money.compare(result.totalEarning, 0) <= 0) {
+      continue;
+    }
+    const entry = byUser.get(result.userId) || { total: 0, purchases: [] };
+    entry.total = money.sum([entry.total, result.totalEarning]);
+    entry.purchases.push(result.purchaseId);
+    byUser.set(result.userId, entry);
+  }
+
+  for (const [userId, entry] of byUser) {
+    await notify({
+      userId,
+      type: 'earnings_credited',
+      title: 'Mining earnings credited',
+      message: (currency) => `${money.format(entry.total, currency)} in mining earnings has been added to your balance.`,
+      data: { amount: entry.total, purchase_ids: entry.purchases },
+      source: { type: 'earnings_batch', id: batchId }
+    });
+  }
+
+  return byUser.size;
+};
+
+/**
+ * Referral commissions are written by stored procedures, so pick up any
+ * recent ones that have not been announced yet.
+ */
+const notifyNewReferralCommissions = async () => {
+  try {
+    const [commissions] = await pool.query(`
+      SELECT rc.id, rc.commission_amount, r.referrer_id, u.full_name as referred_name
+      FROM referral_commissions rc
+      JOIN referrals r ON rc.referral_id = r.id
+      JOIN users u ON r.referred_id = u.id
+      LEFT JOIN notifications n
+        ON n.user_id = r.referrer_id AND n.type = 'referral_commission'
+        AND n.source_type = 'referral_commission' AND n.source_id = rc.id
+      WHERE rc.created_at >= DATE_SUB(NOW(), INTERVAL 1 DAY)
+        AND n.id IS NULL
+      LIMIT 500
+    `);
+
+    for (const commission of commissions) {
+      await notify({
+        userId: commission.referrer_id,
+        type: 'referral_commission',
+        title: 'Referral commission earned',
+        message: (currency) => `You earned ${money.format(commission.commission_amount, currency)} commission from ${commission.referred_name || 'your referral'}.`,
+        data: { commission_id: commission.id, amount: commission.commission_amount },
+        source: { type: 'referral_commission', id: commission.id }
+      });
+    }
+
+    return commissions.length;
+  } catch (error) {
+    console.error('Error notifying referral commissions:', error);
+    return 0;
+  }
+};
+
+const WITHDRAWAL_STATUS_MESSAGES = {
+  approved: (amount) => `Your withdrawal of ${amount} has been approved and is being processed.`,
+  rejected: (amount, notes) => `Your withdrawal of ${amount} was not approved and the amount has been returned to your balance.${notes ? ` Reason: ${notes}` : ''}`,
+  completed: (amount) => `Your withdrawal of ${amount} has been paid out.`,
+  failed: (amount) => `Your withdrawal of ${amount} could not be paid out. Our team will follow up.`,
+  cancelled: (amount) => `Your withdrawal request of ${amount} was cancelled and the amount has been returned to your balance.`
+};
+
+/**
+ * Withdrawal status change; the email uses the existing withdrawal template
+ * (which has no cancelled variant, so cancellations use the rejected one)
+ */
+const notifyWithdrawalStatus = (withdrawal, status, adminNotes = null) => {
+  const buildMessage = WITHDRAWAL_STATUS_MESSAGES[status] || ((amount) => `Your withdrawal of ${amount} is now ${status}.`);
+
+  return notify({
+    userId: withdrawal.user_id,
+    type: 'withdrawal_status',
+    title: `Withdrawal ${status}`,
+    message: (currency) => buildMessage(money.format(withdrawal.amount, currency), adminNotes),
+    data: { withdrawal_id: withdrawal.id, amount: withdrawal.amount, status },
+    source: { type: `withdrawal_${status}`, id: withdrawal.id },
+    sendEmail: (user) => emailService.sendWithdrawalStatusEmail(user.email, user.full_name, {
+      ...withdrawal,
+      currency: user.currency,
+      status: status === 'cancelled' ? 'rejected' : status,
+      admin_notes: adminNotes || withdrawal.admin_notes
+    })
+  });
+};
+
+const notifyTransferReceived = (transfer, senderName) => {
+  return notify({
+    userId: transfer.recipient_id,
+    type: 'transfer_received',
+    title: 'Money received',
+    message: (currency) => `${senderName} sent you ${money.format(transfer.amount, currency)}.${transfer.note ? ` Note: ${transfer.note}` : ''}`,
+    data: { transfer_id: transfer.id, amount: transfer.amount },
+    source: { type: 'wallet_transfer', id: transfer.id }
+  });
+};
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  getPreferences,
+  updatePreferences,
+  notify,
+  notifyDepositCompleted,
+  notifyPurchaseMatured,
+  notifyEarningsBatch,
+  notifyNewReferralCommissions,
+  notifyWithdrawalStatus,
+  notifyTransferReceived
+};
@@ -0,0 +1,95 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Pluggable delivery for one-time codes.
+ *
+ * A sender is any object with `send({ channel, to, code, purpose, expiresInMinutes })`.
+ * There is no SMS gateway wired up yet, so SMS codes go to the console (default)
+ * or to a file that support staff can read. Set OTP_SMS_SENDER / OTP_EMAIL_SENDER
+ * to pick a sender, or call registerSender() to plug in a real gateway.
+ */
+
+const PURPOSE_LABELS = {
+  password_reset: 'password reset',
+  phone_change: 'phone number change'
+};
+
+const buildMessage = ({ code, purpose, expiresInMinutes }) => {
+  const label = PURPOSE_LABELS[purpose] || 'verification';
+  return `Your MinersHub Pro ${label} code is ${code}. It expires in ${expiresInMinutes} minutes. Do not share it with anyone.`;
+};
+
+// Development stand-in: print the message to the server log
+const consoleSender = {
+  send: async ({ channel, to, code, purpose, expiresInMinutes }) => {
+    console.log(`[OTP-${channel.toUpperCase()}] To: ${to} - ${buildMessage({ code, purpose, expiresInMinutes })}`);
+    return { delivered: true, sender: 'console' };
+  }
+};
+
+// Stand-in that appends messages to a file (OTP_FILE_PATH, defaults to logs/otp-messages.log)
+const fileSender = {
+  send: async ({ channel, to, code, purpose, expiresInMinutes }) => {
+    const filePath = process.env.OTP_FILE_PATH || path.join(process.cwd(), 'logs', 'otp-messages.log');
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    const line = JSON.stringify({
+      timestamp: new Date().toISOString(),
+      channel,
+      to,
+      purpose,
+      message: buildMessage({ code, purpose, expiresInMinutes })
+    });
+    await fs.promises.appendFile(filePath, line + '\n');
+    return { delivered: true, sender: 'file' };
+  }
+};
+
+const emailSender = {
+  send: async ({ to, code, purpose, expiresInMinutes, name }) => {
+    // Required lazily so the email transport is only configured when actually used
+    const emailService = require('./emailService');
+    await emailService.sendOtpEmail(to, name, {
+      code,
+      purpose: PURPOSE_LABELS[purpose] || 'verification',
+      expiresInMinutes
+    });
+    return { delivered: true, sender: 'email' };
+  }
+};
+
+const senders = {
+  console: consoleSender,
+  file: fileSender,
+  email: emailSender
+};
+
+const registerSender = (name, sender) => {
+  if (!sender || typeof sender.send !== 'function') {
+    throw new Error(`OTP sender "${name}" must implement send()`);
+  }
+  senders[name] = sender;
+};
+
+const getSenderForChannel = (channel) => {
+  const name = channel === 'email'
+    ? (process.env.OTP_EMAIL_SENDER || 'email')
+    : (process.env.OTP_SMS_SENDER || 'console');
+
+  const sender = senders[name];
+  if (!sender) {
+    throw new Error(`Unknown OTP sender "${name}" for channel ${channel}`);
+  }
+  return sender;
+};
+
+const sendOtp = async (message) => {
+  const sender = getSenderForChannel(message.channel);
+  return sender.send(message);
+};
+
+module.exports = {
+  sendOtp,
+  registerSender,
+  buildMessage
+};
@@ -0,0 +1,147 @@
+const crypto = require('crypto');
+const pool = require('../db');
+const { sendOtp } = require('./otpSender');
+
+// OTP policy
+const OTP_LENGTH = 6;
+const OTP_TTL_MINUTES = 10;
+const MAX_VERIFY_ATTEMPTS = 5;
+const RESEND_COOLDOWN_SECONDS = 60;
+const MAX_REQUESTS_PER_HOUR = 3;
+const MAX_REQUESTS_PER_IP_PER_HOUR = 10;
+
+const generateCode = () => {
+  return crypto.randomInt(0, 10 ** OTP_LENGTH).toString().padStart(OTP_LENGTH, '0');
+};
+
+// Codes are short, so hash with a server secret bound to the user and purpose
+const hashCode = (userId, purpose, code) => {
+  const secret = process.env.OTP_SECRET || process.env.JWT_SECRET;
+  return crypto.createHmac('sha256', secret).update(`${userId}:${purpose}:${code}`).digest('hex');
+};
+
+/**
+ * Check the per-user and per-IP request limits.
+ * Returns null when a new code may be issued, otherwise { message, retryAfter }.
+ */
+const checkRequestLimits = async (userId, purpose, requestIp) => {
+  const [userRows] = await pool.query(`
+    SELECT COUNT(*) as request_count,
+           MAX(created_at) as last_request_at
+    FROM user_otps
+    WHERE user_id = ? AND purpose = ? AND created_at >= DATE_SUB(NOW(), INTERVAL 1 HOUR)
+  `, [userId, purpose]);
+
+  const { request_count, last_request_at } = userRows[0];
+
+  if (last_request_at) {
+    const secondsSinceLast = Math.floor((Date.now() - new Date(last_request_at).getTime()) / 1000);
+    if (secondsSinceLast < RESEND_COOLDOWN_SECONDS) {
+      return {
+        message: 'Please wait before requesting another code',
+        retryAfter: RESEND_COOLDOWN_SECONDS - secondsSinceLast
+      };
+    }
+  }
+
+  if (request_count >= MAX_REQUESTS_PER_HOUR) {
+    return { message: 'Too many code requests. Please try again later.', retryAfter: 3600 };
+  }
+
+  if (requestIp) {
+    const [ipRows] = await pool.query(`
+      SELECT COUNT(*) as request_count
+      FROM user_otps
+      WHERE request_ip = ? AND created_at >= DATE_SUB(NOW(), INTERVAL 1 HOUR)
+    `, [requestIp]);
+
+    if (ipRows[0].request_count >= MAX_REQUESTS_PER_IP_PER_HOUR) {
+      return { message: 'Too many code requests. Please try again later.', retryAfter: 3600 };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Issue a new code for a user and deliver it. Any older unused code for
+ * the same purpose is invalidated so only the latest one works.
+ */
+const issueOtp = async ({ user, purpose, channel, destination, requestIp }) => {
+  const limited = await checkRequestLimits(user.id, purpose, requestIp);
+  if (limited) {
+    return { issued: false, ...limited };
+  }
+
+  const code = generateCode();
+  const expiresAt = new Date(Date.now() + OTP_TTL_MINUTES * 60 * 1000);
+
+  await pool.query(`
+    UPDATE user_otps SET used_at = CURRENT_TIMESTAMP
+    WHERE user_id = ? AND purpose = ? AND used_at IS NULL
+  `, [user.id, purpose]);
+
+  await pool.query(`
+    INSERT INTO user_otps (user_id, purpose, code_hash, channel, destination, request_ip, expires_at, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+  `, [user.id, purpose, hashCode(user.id, purpose, code), channel, destination, requestIp || null, expiresAt]);
+
+  await sendOtp({
+    channel,
+    to: destination,
+    name: user.full_name,
+    code,
+    purpose,
+    expiresInMinutes: OTP_TTL_MINUTES
+  });
+
+  return { issued: true, expiresAt };
+};
+
+/**
+ * Verify a code and consume it. Wrong guesses count against the code,
+ * which is burned after MAX_VERIFY_ATTEMPTS failures.
+ * Pass a connection to consume the code inside the caller's transaction.
+ */
+const verifyOtp = async ({ userId, purpose, code, connection = pool }) => {
+  const [rows] = await connection.query(`
+    SELECT id, code_hash, attempts, expires_at, destination
+    FROM user_otps
+    WHERE user_id = ? AND purpose = ? AND used_at IS NULL
+    ORDER BY created_at DESC
+    LIMIT 1
+    FOR UPDATE
+  `, [userId, purpose]);
+
+  if (rows.length === 0) {
+    return { valid: false, message: 'Invalid or expired code' };
+  }
+
+  const otp = rows[0];
+
+  if (new Date(otp.expires_at) <= new Date() || otp.attempts >= MAX_VERIFY_ATTEMPTS) {
+    return { valid: false, message: 'Invalid or expired code' };
+  }
+
+  const expected = Buffer.from(otp.code_hash, 'hex');
+  const actual = Buffer.from(hashCode(userId, purpose, String(code)), 'hex');
+
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    await connection.query('UPDATE user_otps SET attempts = attempts + 1 WHERE id = ?', [otp.id]);
+    const remaining = MAX_VERIFY_ATTEMPTS - otp.attempts - 1;
+    return {
+      valid: false,
+      message: remaining > 0 ? 'Invalid or expired code' : 'Too many incorrect attempts. Please request a new code.'
+    };
+  }
+
+  await connection.query('UPDATE user_otps SET used_at = CURRENT_TIMESTAMP WHERE id = ?', [otp.id]);
+
+  return { valid: true, destination: otp.destination };
+};
+
+module.exports = {
+  issueOtp,
+  verifyOtp,
+  OTP_TTL_MINUTES
+};
@@ -0,0 +1,211 @@
+const pool = require('../db');
+const paymentProviders = require('./paymentProviders');
+const depositResolver = require('./depositResolver');
+const payoutResolver = require('./payoutResolver');
+const { clientIp } = require('./clientIp');
+
+/**
+ * Audit trail for inbound payment callbacks. storeCallback saves each one
+ * verbatim before it is verified or processed; handlers then record what
+ * processing did, and a stored callback can be processed again with
+ * replayCallback (e.g. after a bug fix).
+ */
+
+// Never stored: credentials a proxy or client may forward along with the callback
+const REDACTED_HEADERS = ['authorization', 'cookie', 'proxy-authorization'];
+
+const storedHeaders = (headers) => {
+  const result = {};
+  for (const [name, value] of Object.entries(headers || {})) {
+    result[name] = REDACTED_HEADERS.includes(name.toLowerCase()) ? '[redacted]' : value;
+  }
+  return result;
+};
+
+// The path without the secret callback token
+const storedEndpoint = (req) => {
+  const path = req.originalUrl.split('?')[0];
+  const token = req.params && req.params.callbackToken;
+  return (token ? path.replace(token, ':callbackToken') : path).slice(0, 255);
+};
+
+/**
+ * Save a callback's outcome. Never throws, so a logging failure cannot
+ * change the response sent to the provider.
+ * @param {Object} req
+ * @param {{ status: string, outcome?: string, error?: string, kind?: string, reference?: string, deposit_id?: number, withdrawal_id?: number }} outcome
+ */
+const recordOutcome = async (req, outcome) => {
+  const stored = req.paymentCallback;
+  if (!stored) {
+    return;
+  }
+  stored.outcomeRecorded = true;
+
+  try {
+    await updateOutcome(stored.id, outcome);
+  } catch (error) {
+    console.error(`Error recording outcome of payment callback #${stored.id}:`, error);
+  }
+};
+
+const updateOutcome = (callbackId, outcome) => {
+  return pool.query(`
+    UPDATE payment_callbacks
+    SET status = ?, outcome = ?, error = ?,
+        kind = COALESCE(?, kind), reference = COALESCE(?, reference),
+        deposit_id = COALESCE(?, deposit_id), withdrawal_id = COALESCE(?, withdrawal_id),
+        processed_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `, [
+    outcome.status,
+    outcome.outcome ? String(outcome.outcome).slice(0, 255) : null,
+    outcome.error || null,
+    outcome.kind || null,
+    outcome.reference ? String(outcome.reference).slice(0, 100) : null,
+    outcome.deposit_id || null,
+    outcome.withdrawal_id || null,
+    callbackId
+  ]);
+};
+
+/**
+ * Middleware that stores the callback before anything else looks at it.
+ * Handlers that don't record an outcome get one from the HTTP status.
+ * @param {string} [provider] - defaults to req.params.provider
+ * @param {Object} [options]
+ * @param {boolean} [options.replayable=true] - false for notifications that
+ *   must not be processed as results (e.g. B2C queue timeouts)
+ */
+const storeCallback = (provider, { replayable = true } = {}) => async (req, res, next) => {
+  const providerName = provider || req.params.provider;
+  if (!paymentProviders.isValidProvider(providerName)) {
+    return next();
+  }
+
+  try {
+    const [result] = await pool.query(`
+      INSERT INTO payment_callbacks (provider, endpoint, source_ip, headers, raw_body, replayable, received_at)
+      VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+    `, [
+      String(providerName).slice(0, 32),
+      storedEndpoint(req),
+      clientIp(req).slice(0, 45) || null,
+      JSON.stringify(storedHeaders(req.headers)),
+      req.rawBody !== undefined ? req.rawBody : JSON.stringify(req.body || {}),
+      replayable
+    ]);
+
+    req.paymentCallback = { id: result.insertId, outcomeRecorded: false };
+
+    res.on('finish', () => {
+      if (!req.paymentCallback.outcomeRecorded) {
+        recordOutcome(req, {
+          status: res.statusCode < 400 ? 'processed' : 'failed',
+          outcome: `Handled by ${storedEndpoint(req)} (HTTP ${res.statusCode})`
+        });
+      }
+    });
+  } catch (error) {
+    // Losing the audit copy must not lose the payment
+    console.error(`Error storing ${providerName} callback:`, error);
+  }
+
+  next();
+};
+
+/**
+ * Settle the deposit or withdrawal a normalised event belongs to
+ * @returns {Promise<Object>} outcome for recordOutcome
+ */
+const processEvent = async (event) => {
+  const base = { kind: event.kind, reference: event.reference };
+
+  if (event.kind === 'collection') {
+    const resolved = await depositResolver.resolveDeposit(event);
+    if (!resolved) {
+      return { ...base, status: 'ignored', outcome: `No deposit matches reference ${event.reference}` };
+    }
+    return {
+      ...base,
+      status: resolved.applied ? 'processed' : 'ignored',
+      outcome: resolved.applied
+        ? `Deposit #${resolved.deposit_id} ${resolved.status}`
+        : `Deposit #${resolved.deposit_id} unchanged (${resolved.status})${resolved.note ? `: ${resolved.note}` : ''}`,
+      deposit_id: resolved.deposit_id
+    };
+  }
+
+  const resolved = await payoutResolver.resolvePayout(event);
+  if (!resolved) {
+    return { ...base, status: 'ignored', outcome: `No withdrawal matches reference ${event.reference}` };
+  }
+  return {
+    ...base,
+    status: resolved.applied ? 'processed' : 'ignored',
+    outcome: resolved.applied
+      ? `Withdrawal #${resolved.withdrawal_id} ${resolved.status}`
+      : `Withdrawal #${resolved.withdrawal_id} unchanged (${resolved.status})${resolved.note ? `: ${resolved.note}` : ''}`,
+    withdrawal_id: resolved.withdrawal_id
+  };
+};
+
+/**
+ * Process a stored callback again through the current code. Callbacks that
+ * failed verification are never processed.
+ * @returns {Promise<Object|null>} the new outcome, null if the callback does
+ *   not exist, or { message } if it cannot be replayed
+ */
+const replayCallback = async (callbackId, adminId) => {
+  const [rows] = await pool.query('SELECT * FROM payment_callbacks WHERE id = ?', [callbackId]);
+  if (rows.length === 0) {
+    return null;
+  }
+
+  const callback = rows[0];
+  if (!callback.replayable) {
+    return { message: 'This callback is a notification only and cannot be replayed' };
+  }
+  if (callback.status === 'rejected') {
+    return { message: 'This callback failed verification and cannot be replayed' };
+  }
+  if (!paymentProviders.isValidProvider(callback.provider)) {
+    return { message: `Unknown payment provider: ${callback.provider}` };
+  }
+
+  let body;
+  try {
+    body = JSON.parse(callback.raw_body);
+  } catch (error) {
+    return { message: 'Stored callback body is not valid JSON' };
+  }
+
+  const event = paymentProviders.parseCallback(callback.provider, body);
+  let outcome;
+  if (!event) {
+    outcome = { status: 'ignored', outcome: 'Replay: body is not a recognised callback' };
+  } else {
+    try {
+      outcome = await processEvent(event);
+      outcome.outcome = `Replay: ${outcome.outcome}`;
+    } catch (error) {
+      outcome = { status: 'failed', outcome: 'Replay failed', error: error.message };
+    }
+  }
+
+  await updateOutcome(callback.id, outcome);
+  await pool.query(`
+    UPDATE payment_callbacks
+    SET replay_count = replay_count + 1, last_replayed_at = CURRENT_TIMESTAMP, last_replayed_by = ?
+    WHERE id = ?
+  `, [adminId, callback.id]);
+
+  return outcome;
+};
+
+module.exports = {
+  storeCallback,
+  recordOutcome,
+  processEvent,
+  replayCallback
+};
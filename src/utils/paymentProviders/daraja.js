@@ -0,0 +1,234 @@
+const axios = require('axios');
+const { formatPhoneForMpesa } = require('../phoneUtils');
+const money = require('../money');
+const tokenManager = require('../mpesaTokenManager');
+require('dotenv').config();
+
+/**
+ * Safaricom M-Pesa Daraja adapter: STK push collections, B2C payouts and
+ * their callbacks.
+ */
+
+const name = 'daraja';
+
+const REQUEST_TIMEOUT_MS = 30 * 1000;
+
+const config = () => ({
+  consumerKey: process.env.MPESA_CONSUMER_KEY,
+  consumerSecret: process.env.MPESA_CONSUMER_SECRET,
+  shortcode: process.env.MPESA_SHORTCODE,
+  passkey: process.env.MPESA_PASSKEY,
+  environment: process.env.MPESA_ENV,
+  callbackUrl: process.env.MPESA_STK_CALLBACK_URL,
+  initiatorName: process.env.MPESA_INITIATOR_NAME,
+  securityCredential: process.env.MPESA_SECURITY_CREDENTIAL,
+  b2cResultUrl: process.env.B2C_RESULT_URL,
+  b2cTimeoutUrl: process.env.B2C_TIMEOUT_URL
+});
+
+const baseUrl = () => {
+  return config().environment === 'production'
+    ? 'https://api.safaricom.co.ke'
+    : 'https://sandbox.safaricom.co.ke';
+};
+
+const isConfigured = () => {
+  const { consumerKey, consumerSecret, shortcode, passkey } = config();
+  return !!(consumerKey && consumerSecret && shortcode && passkey);
+};
+
+const post = async (path, data) => {
+  const send = (accessToken) => axios.post(`${baseUrl()}${path}`, data, {
+    headers: { Authorization: `Bearer ${accessToken}` },
+    timeout: REQUEST_TIMEOUT_MS
+  });
+
+  try {
+    const response = await send(await tokenManager.getAccessToken());
+    return response.data;
+  } catch (error) {
+    // A token revoked before its expiry: fetch a new one and try once more
+    if (error.response && error.response.status === 401) {
+      tokenManager.invalidate();
+      const response = await send(await tokenManager.getAccessToken({ forceRefresh: true }));
+      return response.data;
+    }
+    throw error;
+  }
+};
+
+const stkPassword = () => {
+  const { shortcode, passkey } = config();
+  const timestamp = new Date().toISOString().replace(/[-T:.Z]/g, '').slice(0, 14);
+  return {
+    timestamp,
+    password: Buffer.from(shortcode + passkey + timestamp).toString('base64')
+  };
+};
+
+// Till numbers (6 digits or less) take Buy Goods; the sandbox only supports Pay Bill
+const transactionType = () => {
+  const { environment, shortcode } = config();
+  if (environment === 'production' && String(shortcode).length <= 6) {
+    return 'CustomerBuyGoodsOnline';
+  }
+  return 'CustomerPayBillOnline';
+};
+
+/**
+ * STK push to the customer's phone
+ * @returns {Promise<{ reference: string, raw: Object }>} reference is the CheckoutRequestID
+ */
+const initiateCollection = async ({ phone, amount, reference, description }) => {
+  const { shortcode, callbackUrl } = config();
+  const { timestamp, password } = stkPassword();
+  const formattedPhone = formatPhoneForMpesa(phone);
+
+  const data = await post('/mpesa/stkpush/v1/processrequest', {
+    BusinessShortCode: shortcode,
+    Password: password,
+    Timestamp: timestamp,
+    TransactionType: transactionType(),
+    Amount: money.wholeUnits(amount),
+    PartyA: formattedPhone,
+    PartyB: shortcode,
+    PhoneNumber: formattedPhone,
+    CallBackURL: callbackUrl,
+    AccountReference: reference,
+    TransactionDesc: description || 'Deposit'
+  });
+
+  if (!data.CheckoutRequestID) {
+    throw new Error(data.errorMessage || data.ResponseDescription || 'No CheckoutRequestID received from M-Pesa');
+  }
+  return { reference: data.CheckoutRequestID, raw: data };
+};
+
+/**
+ * B2C payment to the customer's phone
+ * @returns {Promise<{ reference: string, raw: Object }>} reference is the ConversationID
+ */
+const initiatePayout = async ({ phone, amount, reference, description }) => {
+  const { shortcode, initiatorName, securityCredential, b2cResultUrl, b2cTimeoutUrl } = config();
+
+  const data = await post('/mpesa/b2c/v1/paymentrequest', {
+    InitiatorName: initiatorName,
+    SecurityCredential: securityCredential,
+    CommandID: 'BusinessPayment',
+    Amount: money.wholeUnits(amount),
+    PartyA: shortcode,
+    PartyB: formatPhoneForMpesa(phone),
+    Remarks: description || 'User Withdrawal',
+    QueueTimeOutURL: b2cTimeoutUrl,
+    ResultURL: b2cResultUrl,
+    Occasion: reference || 'CryptoMinePro Withdrawal'
+  });
+
+  if (!data.ConversationID) {
+    throw new Error(data.errorMessage || data.ResponseDescription || 'No ConversationID received from M-Pesa');
+  }
+  return { reference: data.ConversationID, raw: data };
+};
+
+const metadataValue = (items, key, keyField) => {
+  const item = (items || []).find(entry => entry[keyField] === key);
+  return item ? item.Value : null;
+};
+
+/**
+ * Normalise an STK or B2C callback body
+ * @returns {{ kind: string, reference: string, alternateReference?: string, status: string, amount: number|null, phone: string|null, receipt: string|null, description: string, raw: Object }|null}
+ */
+const parseCallback = (body) => {
+  if (body && body.Body && body.Body.stkCallback) {
+    const callback = body.Body.stkCallback;
+    const items = callback.CallbackMetadata && callback.CallbackMetadata.Item;
+    return {
+      kind: 'collection',
+      reference: callback.CheckoutRequestID,
+      status: Number(callback.ResultCode) === 0 ? 'completed' : 'failed',
+      amount: metadataValue(items, 'Amount', 'Name'),
+      phone: metadataValue(items, 'PhoneNumber', 'Name'),
+      receipt: metadataValue(items, 'MpesaReceiptNumber', 'Name'),
+      description: callback.ResultDesc,
+      raw: body
+    };
+  }
+
+  if (body && body.Result) {
+    const result = body.Result;
+    const parameters = result.ResultParameters && result.ResultParameters.ResultParameter;
+    // ReceiverPartyPublicName looks like "254712345678 - Jane Doe"
+    const receiver = metadataValue(parameters, 'ReceiverPartyPublicName', 'Key');
+    return {
+      kind: 'payout',
+      reference: result.ConversationID,
+      alternateReference: result.OriginatorConversationID,
+      status: Number(result.ResultCode) === 0 ? 'completed' : 'failed',
+      amount: metadataValue(parameters, 'TransactionAmount', 'Key'),
+      phone: receiver ? String(receiver).split(' - ')[0].trim() : null,
+      receipt: metadataValue(parameters, 'TransactionReceipt', 'Key') || result.TransactionID || null,
+      description: result.ResultDesc,
+      raw: body
+    };
+  }
+
+  return null;
+};
+
+// STK query error codes and result codes that mean the payment is not final yet
+const PENDING_QUERY_ERRORS = ['500.001.1001'];
+const PENDING_RESULT_CODES = ['4999'];
+
+/**
+ * Ask Daraja for the current status. B2C results only arrive through the
+ * result callback, so payouts always report pending here.
+ * @returns {Promise<{ status: string, description: string, raw: Object|null }>}
+ */
+const queryStatus = async ({ kind, reference }) => {
+  if (kind === 'payout') {
+    return { status: 'pending', description: 'M-Pesa reports B2C results only through the result callback', raw: null };
+  }
+
+  const { shortcode } = config();
+  const { timestamp, password } = stkPassword();
+
+  try {
+    const data = await post('/mpesa/stkpushquery/v1/query', {
+      BusinessShortCode: shortcode,
+      Password: password,
+      Timestamp: timestamp,
+      CheckoutRequestID: reference
+    });
+
+    if (data.ResultCode === undefined || PENDING_RESULT_CODES.includes(String(data.ResultCode))) {
+      return { status: 'pending', description: data.ResponseDescription || 'No result yet', raw: data };
+    }
+    return {
+      status: Number(data.ResultCode) === 0 ? 'completed' : 'failed',
+      description: data.ResultDesc,
+      raw: data
+    };
+  } catch (error) {
+    const data = error.response && error.response.data;
+    if (data && PENDING_QUERY_ERRORS.includes(data.errorCode)) {
+      return { status: 'pending', description: data.errorMessage, raw: data };
+    }
+    throw error;
+  }
+};
+
+// Response body Daraja expects from a callback URL
+const acknowledgement = (accepted = true) => {
+  return { ResultCode: accepted ? 0 : 1, ResultDesc: accepted ? 'Accepted' : 'Rejected' };
+};
+
+module.exports = {
+  name,
+  isConfigured,
+  initiateCollection,
+  initiatePayout,
+  parseCallback,
+  queryStatus,
+  acknowledgement
+};
@@ -0,0 +1,142 @@
+const { getSystemSetting } = require('../systemSettings');
+const daraja = require('./daraja');
+const payhero = require('./payhero');
+
+/**
+ * Payment provider registry. Every adapter implements the same interface:
+ *
+ *   initiateCollection({ phone, amount, reference, description }) -> { reference, raw }
+ *   initiatePayout({ phone, amount, reference, description })     -> { reference, raw }
+ *   parseCallback(body)                    -> normalised event or null
+ *   queryStatus({ kind, reference })       -> { status, description, raw }
+ *   acknowledgement(accepted)              -> response body for the provider
+ *
+ * Amounts are whole shillings; adapters refuse anything else rather than round.
+ *
+ * Controllers go through this module, so which provider handles deposits and
+ * withdrawals (and whether to fail over to another one) is only a matter of
+ * system_settings.
+ */
+
+const PROVIDERS = { daraja, payhero };
+
+const DEFAULT_PROVIDER = 'daraja';
+
+// Our own reference for payouts, echoed back by providers that support it
+const PAYOUT_REFERENCE_PREFIX = 'WD';
+
+const SETTING_KEYS = {
+  collection: 'deposit_payment_provider',
+  payout: 'withdrawal_payment_provider'
+};
+
+const getProvider = (name) => PROVIDERS[name] || null;
+
+const isValidProvider = (name) => Object.prototype.hasOwnProperty.call(PROVIDERS, name);
+
+/**
+ * Providers to try for an operation, in order: the selected one first, then
+ * (with failover enabled) every other configured provider. Payouts never
+ * fail over: a payout that errored may still have been sent.
+ * @param {'collection'|'payout'} kind
+ */
+const getProviderOrder = async (kind) => {
+  const selected = await getSystemSetting(SETTING_KEYS[kind]);
+  const primary = isValidProvider(selected) ? selected : DEFAULT_PROVIDER;
+
+  const failover = kind === 'collection' && await getSystemSetting('payment_provider_failover');
+  if (!failover) {
+    return [primary];
+  }
+
+  const fallbacks = Object.keys(PROVIDERS).filter(name => name !== primary && PROVIDERS[name].isConfigured());
+  return [primary, ...fallbacks];
+};
+
+// Connection errors where the request never reached the provider
+const NOT_SENT_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+
+// Only an error that shows the provider did not start the request is safe to
+// retry elsewhere; after a timeout or 5xx the customer may already be prompted
+const provedNotStarted = (error) => {
+  if (!error.isAxiosError) {
+    return true;
+  }
+  if (error.response) {
+    return error.response.status < 500;
+  }
+  return NOT_SENT_ERROR_CODES.includes(error.code);
+};
+
+const initiate = async (kind, request) => {
+  const order = await getProviderOrder(kind);
+  const method = kind === 'payout' ? 'initiatePayout' : 'initiateCollection';
+
+  for (const [index, name] of order.entries()) {
+    try {
+      const result = await PROVIDERS[name][method](request);
+      return { provider: name, reference: result.reference, raw: result.raw };
+    } catch (error) {
+      console.error(`Payment provider ${name} failed to start ${kind}:`, error.response?.data || error.message);
+      if (index === order.length - 1 || !provedNotStarted(error)) {
+        throw error;
+      }
+    }
+  }
+};
+
+/**
+ * Start a collection (STK push) with the deposit provider
+ * @returns {Promise<{ provider: string, reference: string, raw: Object }>}
+ */
+const initiateCollection = (request) => initiate('collection', request);
+
+/**
+ * Start a payout with the withdrawal provider. `request.reference` should
+ * be payoutReference(withdrawalId).
+ * @returns {Promise<{ provider: string, reference: string, raw: Object }>}
+ */
+const initiatePayout = (request) => initiate('payout', request);
+
+const payoutReference = (withdrawalId) => `${PAYOUT_REFERENCE_PREFIX}${withdrawalId}`;
+
+/**
+ * Normalise a callback body from the named provider
+ * @returns {{ provider: string, kind: string, reference: string, status: string }|null}
+ */
+const parseCallback = (providerName, body) => {
+  const provider = getProvider(providerName);
+  if (!provider) {
+    return null;
+  }
+  const event = provider.parseCallback(body, { payoutPrefix: PAYOUT_REFERENCE_PREFIX });
+  return event ? { provider: providerName, ...event } : null;
+};
+
+const queryStatus = (providerName, query) => {
+  const provider = getProvider(providerName || DEFAULT_PROVIDER);
+  if (!provider) {
+    throw new Error(`Unknown payment provider: ${providerName}`);
+  }
+  return provider.queryStatus(query);
+};
+
+const acknowledgement = (providerName, accepted = true) => {
+  const provider = getProvider(providerName) || PROVIDERS[DEFAULT_PROVIDER];
+  return provider.acknowledgement(accepted);
+};
+
+module.exports = {
+  PROVIDERS,
+  DEFAULT_PROVIDER,
+  PAYOUT_REFERENCE_PREFIX,
+  getProvider,
+  isValidProvider,
+  getProviderOrder,
+  initiateCollection,
+  initiatePayout,
+  payoutReference,
+  parseCallback,
+  queryStatus,
+  acknowledgement
+};
@@ -0,0 +1,175 @@
+const axios = require('axios');
+const { formatPhoneForDisplay } = require('../phoneUtils');
+const money = require('../money');
+require('dotenv').config();
+
+/**
+ * PayHero adapter (M-Pesa through a PayHero payment channel). PayHero echoes
+ * our external reference in its callbacks; payouts use that reference, so
+ * callbacks can be matched to withdrawals without a provider id.
+ */
+
+const name = 'payhero';
+
+const REQUEST_TIMEOUT_MS = 30 * 1000;
+
+const config = () => ({
+  baseUrl: process.env.PAYHERO_BASE_URL || 'https://backend.payhero.co.ke/api/v2',
+  username: process.env.PAYHERO_API_USERNAME,
+  password: process.env.PAYHERO_API_PASSWORD,
+  apiKey: process.env.PAYHERO_API_KEY,
+  channelId: process.env.PAYHERO_CHANNEL_ID,
+  payoutChannelId: process.env.PAYHERO_PAYOUT_CHANNEL_ID || process.env.PAYHERO_CHANNEL_ID,
+  callbackUrl: process.env.PAYHERO_CALLBACK_URL,
+  payoutCallbackUrl: process.env.PAYHERO_PAYOUT_CALLBACK_URL || process.env.PAYHERO_CALLBACK_URL
+});
+
+const isConfigured = () => {
+  const { username, password, apiKey, channelId } = config();
+  return !!(((username && password) || apiKey) && channelId);
+};
+
+// Basic auth from the API username/password; a pre-issued API key is sent as a bearer token
+const authorizationHeader = () => {
+  const { username, password, apiKey } = config();
+  if (username && password) {
+    return `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`;
+  }
+  if (apiKey) {
+    return `Bearer ${apiKey}`;
+  }
+  throw new Error('PayHero credentials not properly configured');
+};
+
+const request = async (method, path, data = null) => {
+  const response = await axios({
+    method,
+    url: `${config().baseUrl}${path}`,
+    data,
+    headers: {
+      Authorization: authorizationHeader(),
+      'Content-Type': 'application/json'
+    },
+    timeout: REQUEST_TIMEOUT_MS
+  });
+  return response.data;
+};
+
+/**
+ * STK push through PayHero
+ * @returns {Promise<{ reference: string, raw: Object }>} reference is the CheckoutRequestID
+ */
+const initiateCollection = async ({ phone, amount, reference, description }) => {
+  const { channelId, callbackUrl } = config();
+
+  const data = await request('post', '/payments', {
+    amount: money.wholeUnits(amount),
+    phone_number: formatPhoneForDisplay(phone),
+    channel_id: Number(channelId),
+    provider: 'm-pesa',
+    external_reference: reference,
+    description,
+    callback_url: callbackUrl
+  });
+
+  const providerReference = data.CheckoutRequestID || data.reference;
+  if (!providerReference) {
+    throw new Error(data.error_message || data.message || 'No reference received from PayHero');
+  }
+  return { reference: providerReference, raw: data };
+};
+
+/**
+ * Send money to the customer's M-Pesa
+ * @returns {Promise<{ reference: string, raw: Object }>} reference is our external reference
+ */
+const initiatePayout = async ({ phone, amount, reference }) => {
+  const { payoutChannelId, payoutCallbackUrl } = config();
+
+  const data = await request('post', '/withdraw', {
+    external_reference: reference,
+    amount: money.wholeUnits(amount),
+    phone_number: formatPhoneForDisplay(phone),
+    network_code: '63902', // Safaricom M-Pesa
+    callback_url: payoutCallbackUrl,
+    channel: 'mobile',
+    channel_id: Number(payoutChannelId)
+  });
+
+  if (data.status === false || data.success === false) {
+    throw new Error(data.error_message || data.message || 'PayHero rejected the payout');
+  }
+  return { reference, raw: data };
+};
+
+const FAILED_STATUSES = ['failed', 'cancelled', 'canceled', 'rejected'];
+const SUCCESS_STATUSES = ['success', 'successful'];
+
+// An explicit status wins; a ResultCode only counts when one was sent (Number(null) is 0)
+const normaliseStatus = (value, resultCode) => {
+  const status = String(value || '').toLowerCase();
+  if (FAILED_STATUSES.includes(status)) {
+    return 'failed';
+  }
+  if (SUCCESS_STATUSES.includes(status)) {
+    return 'completed';
+  }
+
+  const hasResultCode = resultCode !== undefined && resultCode !== null && resultCode !== '';
+  if (hasResultCode) {
+    return Number(resultCode) === 0 ? 'completed' : 'failed';
+  }
+  return 'pending';
+};
+
+/**
+ * Normalise a PayHero callback body. Payout references start with
+ * `payoutPrefix` (see paymentProviders.PAYOUT_REFERENCE_PREFIX).
+ */
+const parseCallback = (body, { payoutPrefix = 'WD' } = {}) => {
+  const payload = body && body.response;
+  if (!payload) {
+    return null;
+  }
+
+  const externalReference = payload.ExternalReference || payload.external_reference || null;
+  const isPayout = !!externalReference && String(externalReference).startsWith(payoutPrefix);
+
+  return {
+    kind: isPayout ? 'payout' : 'collection',
+    reference: isPayout ? externalReference : (payload.CheckoutRequestID || externalReference),
+    alternateReference: externalReference,
+    status: normaliseStatus(payload.Status, payload.ResultCode),
+    amount: payload.Amount !== undefined ? payload.Amount : null,
+    phone: payload.Phone || null,
+    receipt: payload.MpesaReceiptNumber || payload.TransactionReference || null,
+    description: payload.ResultDesc || payload.Status || '',
+    raw: body
+  };
+};
+
+/**
+ * @returns {Promise<{ status: string, description: string, raw: Object }>}
+ */
+const queryStatus = async ({ reference }) => {
+  const data = await request('get', `/transaction-status?reference=${encodeURIComponent(reference)}`);
+  return {
+    status: normaliseStatus(data.status),
+    description: data.status || '',
+    raw: data
+  };
+};
+
+const acknowledgement = (accepted = true) => {
+  return { status: accepted ? 'ok' : 'error' };
+};
+
+module.exports = {
+  name,
+  isConfigured,
+  initiateCollection,
+  initiatePayout,
+  parseCallback,
+  queryStatus,
+  acknowledgement
+};
@@ -0,0 +1,131 @@
+const pool = require('../db');
+const balanceHolds = require('./balanceHolds');
+const money = require('./money');
+const notificationService = require('./notificationService');
+const { formatPhoneForMpesa, formatPhoneForDisplay } = require('./phoneUtils');
+
+/**
+ * Settles approved withdrawals from a provider's payout result.
+ */
+
+/**
+ * Find and lock the withdrawal a payout event belongs to: by the provider
+ * reference stored when the payout was sent, or for payouts sent before
+ * references were stored, the latest approved withdrawal with the same phone
+ * and amount
+ */
+const findPayoutWithdrawal = async (connection, event) => {
+  const references = [event.reference, event.alternateReference].filter(Boolean);
+  if (references.length > 0) {
+    const [rows] = await connection.query(
+      'SELECT * FROM withdrawals WHERE provider_reference IN (?) LIMIT 1 FOR UPDATE',
+      [references]
+    );
+    if (rows.length > 0) {
+      return rows[0];
+    }
+  }
+
+  if (event.phone && event.amount) {
+    const [rows] = await connection.query(`
+      SELECT * FROM withdrawals 
+      WHERE JSON_UNQUOTE(JSON_EXTRACT(account_details, '$.phone')) IN (?, ?)
+      AND amount = ? 
+      AND status = 'approved'
+      AND provider_reference IS NULL
+      ORDER BY approved_at DESC 
+      LIMIT 1
+      FOR UPDATE
+    `, [formatPhoneForDisplay(event.phone), formatPhoneForMpesa(event.phone), event.amount]);
+    if (rows.length > 0) {
+      return rows[0];
+    }
+  }
+
+  return null;
+};
+
+// Why a final payout result cannot be applied to the withdrawal, or null
+const checkPayoutResult = async (connection, withdrawal, event) => {
+  if (withdrawal.status !== 'approved') {
+    return `withdrawal is already ${withdrawal.status}`;
+  }
+
+  // Payouts are sent for exactly the withdrawal amount (a whole number of shillings)
+  if (event.status === 'completed' && event.amount !== null && event.amount !== undefined
+    && money.compare(event.amount, withdrawal.amount) !== 0) {
+    return `amount ${event.amount} does not match ${withdrawal.amount}`;
+  }
+
+  // A replayed result with a receipt already recorded on another withdrawal
+  if (event.receipt) {
+    const [receiptRows] = await connection.query(
+      'SELECT id FROM withdrawals WHERE transaction_id = ? AND id <> ?',
+      [event.receipt, withdrawal.id]
+    );
+    if (receiptRows.length > 0) {
+      return `receipt ${event.receipt} already used by withdrawal #${receiptRows[0].id}`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Apply a normalised payout event (see utils/paymentProviders) to its
+ * withdrawal. The withdrawal row is locked and its status change and hold
+ * settlement commit together, so a result for a withdrawal that is no
+ * longer approved (e.g. a replayed callback) changes nothing.
+ * @returns {Promise<{ withdrawal_id: number, status: string, applied: boolean, note: string|null }|null>}
+ *   null if no withdrawal matches
+ */
+const resolvePayout = async (event) => {
+  const connection = await pool.getConnection();
+  let withdrawal;
+
+  try {
+    await connection.beginTransaction();
+
+    withdrawal = await findPayoutWithdrawal(connection, event);
+    if (!withdrawal) {
+      await connection.rollback();
+      console.warn(`No withdrawal found for ${event.provider} payout ${event.reference}`);
+      return null;
+    }
+
+    const problem = event.status === 'pending' ? null : await checkPayoutResult(connection, withdrawal, event);
+    if (event.status === 'pending' || problem) {
+      await connection.rollback();
+      if (problem) {
+        console.warn(`Payout result for withdrawal #${withdrawal.id} ignored: ${problem}`);
+      }
+      return { withdrawal_id: withdrawal.id, status: withdrawal.status, applied: false, note: problem };
+    }
+
+    await connection.query(`
+      UPDATE withdrawals 
+      SET status = ?, transaction_id = ?, completed_at = CURRENT_TIMESTAMP 
+      WHERE id = ?
+    `, [event.status, event.receipt, withdrawal.id]);
+
+    // A failed payout keeps its hold until an admin resolves the withdrawal
+    if (event.status === 'completed') {
+      await balanceHolds.settleWithdrawal(connection, { withdrawal });
+    }
+
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  await notificationService.notifyWithdrawalStatus(withdrawal, event.status);
+
+  return { withdrawal_id: withdrawal.id, status: event.status, applied: true, note: null };
+};
+
+module.exports = {
+  resolvePayout
+};
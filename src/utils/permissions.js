@@ -0,0 +1,126 @@
+// Admin roles and the permissions each one grants.
+//
+// Every staff account has users.role = 'admin'; users.admin_role picks one of
+// the roles below. An admin without an admin_role only gets support (read-only)
+// access, so promoting someone in the database never silently grants more.
+
+const PERMISSIONS = {
+  DASHBOARD_VIEW: 'dashboard.view',
+  USERS_VIEW: 'users.view',
+  USERS_MANAGE: 'users.manage',
+  USERS_BALANCE: 'users.balance',
+  USERS_BALANCE_APPROVE: 'users.balance_approve',
+  USERS_IMPERSONATE: 'users.impersonate',
+  DEPOSITS_VIEW: 'deposits.view',
+  DEPOSITS_MANAGE: 'deposits.manage',
+  CALLBACKS_VIEW: 'callbacks.view',
+  CALLBACKS_REPLAY: 'callbacks.replay',
+  WITHDRAWALS_VIEW: 'withdrawals.view',
+  WITHDRAWALS_MANAGE: 'withdrawals.manage',
+  ENGINES_VIEW: 'engines.view',
+  ENGINES_MANAGE: 'engines.manage',
+  PURCHASES_VIEW: 'purchases.view',
+  PURCHASES_MANAGE: 'purchases.manage',
+  EARNINGS_VIEW: 'earnings.view',
+  EARNINGS_MANAGE: 'earnings.manage',
+  REFERRALS_VIEW: 'referrals.view',
+  KYC_VIEW: 'kyc.view',
+  KYC_MANAGE: 'kyc.manage',
+  RECONCILIATION_VIEW: 'reconciliation.view',
+  RECONCILIATION_MANAGE: 'reconciliation.manage',
+  FX_RATES_VIEW: 'fx_rates.view',
+  FX_RATES_MANAGE: 'fx_rates.manage',
+  SETTINGS_VIEW: 'settings.view',
+  SETTINGS_MANAGE: 'settings.manage',
+  LOGS_VIEW: 'logs.view',
+  ROLES_MANAGE: 'roles.manage'
+};
+
+const SUPPORT_PERMISSIONS = [
+  PERMISSIONS.DASHBOARD_VIEW,
+  PERMISSIONS.USERS_VIEW,
+  PERMISSIONS.DEPOSITS_VIEW,
+  PERMISSIONS.WITHDRAWALS_VIEW,
+  PERMISSIONS.ENGINES_VIEW,
+  PERMISSIONS.PURCHASES_VIEW,
+  PERMISSIONS.EARNINGS_VIEW,
+  PERMISSIONS.REFERRALS_VIEW,
+  PERMISSIONS.KYC_VIEW
+];
+
+const ADMIN_ROLES = {
+  support: {
+    name: 'Support',
+    permissions: [
+      ...SUPPORT_PERMISSIONS,
+      PERMISSIONS.USERS_MANAGE,
+      PERMISSIONS.USERS_IMPERSONATE,
+      PERMISSIONS.KYC_MANAGE
+    ]
+  },
+  finance: {
+    name: 'Finance',
+    permissions: [
+      ...SUPPORT_PERMISSIONS,
+      PERMISSIONS.USERS_BALANCE,
+      PERMISSIONS.USERS_BALANCE_APPROVE,
+      PERMISSIONS.DEPOSITS_MANAGE,
+      PERMISSIONS.WITHDRAWALS_MANAGE,
+      PERMISSIONS.CALLBACKS_VIEW,
+      PERMISSIONS.CALLBACKS_REPLAY,
+      PERMISSIONS.RECONCILIATION_VIEW,
+      PERMISSIONS.RECONCILIATION_MANAGE,
+      PERMISSIONS.FX_RATES_VIEW,
+      PERMISSIONS.FX_RATES_MANAGE,
+      PERMISSIONS.LOGS_VIEW
+    ]
+  },
+  engine_manager: {
+    name: 'Engine manager',
+    permissions: [
+      PERMISSIONS.DASHBOARD_VIEW,
+      PERMISSIONS.ENGINES_VIEW,
+      PERMISSIONS.ENGINES_MANAGE,
+      PERMISSIONS.PURCHASES_VIEW,
+      PERMISSIONS.PURCHASES_MANAGE,
+      PERMISSIONS.EARNINGS_VIEW,
+      PERMISSIONS.EARNINGS_MANAGE
+    ]
+  },
+  super_admin: {
+    name: 'Super admin',
+    permissions: Object.values(PERMISSIONS)
+  }
+};
+
+const DEFAULT_ADMIN_ROLE = 'support';
+
+const isValidAdminRole = (adminRole) => {
+  return Object.prototype.hasOwnProperty.call(ADMIN_ROLES, adminRole);
+};
+
+/**
+ * Permissions for a user (empty for non-admins)
+ * @param {{ role: string, admin_role?: string }} user
+ * @returns {string[]}
+ */
+const getPermissions = (user) => {
+  if (!user || user.role !== 'admin') {
+    return [];
+  }
+  const adminRole = isValidAdminRole(user.admin_role) ? user.admin_role : DEFAULT_ADMIN_ROLE;
+  return ADMIN_ROLES[adminRole].permissions;
+};
+
+const hasPermission = (user, permission) => {
+  return getPermissions(user).includes(permission);
+};
+
+module.exports = {
+  PERMISSIONS,
+  ADMIN_ROLES,
+  DEFAULT_ADMIN_ROLE,
+  isValidAdminRole,
+  getPermissions,
+  hasPermission
+};
@@ -0,0 +1,211 @@
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const pool = require('../db');
+const { clientIp } = require('./clientIp');
+
+// Access tokens are short-lived; refresh tokens rotate on every use
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+const generateRefreshToken = () => {
+  return crypto.randomBytes(48).toString('hex');
+};
+
+const refreshExpiryDate = () => {
+  const expiresAt = new Date();
+  expiresAt.setDate(expiresAt.getDate() + REFRESH_TOKEN_TTL_DAYS);
+  return expiresAt;
+};
+
+// Access token carries the session id so a revoked session stops working immediately
+const generateAccessToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sid: sessionId }, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+};
+
+const getClientInfo = (req) => {
+  const ipAddress = clientIp(req);
+  const userAgent = (req.headers['user-agent'] || '').substring(0, 255);
+  return { ipAddress: ipAddress || null, userAgent: userAgent || null };
+};
+
+const buildTokenResponse = (userId, sessionId, refreshToken, expiresAt) => {
+  const accessToken = generateAccessToken(userId, sessionId);
+  const { exp } = jwt.decode(accessToken);
+
+  return {
+    token: accessToken,
+    refresh_token: refreshToken,
+    token_expires_at: new Date(exp * 1000).toISOString(),
+    refresh_token_expires_at: expiresAt.toISOString(),
+    session_id: sessionId
+  };
+};
+
+/**
+ * Create a new session for a successful login and issue its first token pair
+ */
+const createSession = async (userId, req) => {
+  const { ipAddress, userAgent } = getClientInfo(req);
+  const refreshToken = generateRefreshToken();
+  const expiresAt = refreshExpiryDate();
+
+  const [result] = await pool.query(`
+    INSERT INTO user_sessions (user_id, refresh_token_hash, user_agent, ip_address, created_at, last_used_at, expires_at)
+    VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, ?)
+  `, [userId, hashToken(refreshToken), userAgent, ipAddress, expiresAt]);
+
+  return buildTokenResponse(userId, result.insertId, refreshToken, expiresAt);
+};
+
+/**
+ * Exchange a refresh token for a new token pair.
+ * The presented refresh token is invalidated; presenting it again revokes the session.
+ */
+const rotateSession = async (refreshToken, req) => {
+  const tokenHash = hashToken(refreshToken);
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const [sessions] = await connection.query(`
+      SELECT s.id, s.user_id, s.expires_at, s.revoked_at, u.status
+      FROM user_sessions s
+      JOIN users u ON s.user_id = u.id
+      WHERE s.refresh_token_hash = ?
+      FOR UPDATE
+    `, [tokenHash]);
+
+    if (sessions.length === 0) {
+      // Could be a token that was already rotated - look it up in the rotation history
+      const [rotated] = await connection.query(
+        'SELECT session_id FROM user_session_rotations WHERE refresh_token_hash = ?',
+        [tokenHash]
+      );
+
+      if (rotated.length > 0) {
+        // Refresh token reuse: someone is replaying an old token, kill the whole session
+        await connection.query(`
+          UPDATE user_sessions
+          SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = 'refresh_token_reuse'
+          WHERE id = ? AND revoked_at IS NULL
+        `, [rotated[0].session_id]);
+        await connection.commit();
+        return { error: 'Refresh token has already been used. Please log in again.' };
+      }
+
+      await connection.rollback();
+      return { error: 'Invalid refresh token' };
+    }
+
+    const session = sessions[0];
+
+    if (session.revoked_at) {
+      await connection.rollback();
+      return { error: 'Session has been revoked. Please log in again.' };
+    }
+
+    if (new Date(session.expires_at) <= new Date()) {
+      await connection.rollback();
+      return { error: 'Session has expired. Please log in again.' };
+    }
+
+    if (session.status !== 'active') {
+      await connection.rollback();
+      return { error: 'Account is suspended' };
+    }
+
+    const { ipAddress, userAgent } = getClientInfo(req);
+    const newRefreshToken = generateRefreshToken();
+    const expiresAt = refreshExpiryDate();
+
+    await connection.query(
+      'INSERT INTO user_session_rotations (session_id, refresh_token_hash, rotated_at) VALUES (?, ?, CURRENT_TIMESTAMP)',
+      [session.id, tokenHash]
+    );
+
+    await connection.query(`
+      UPDATE user_sessions
+      SET refresh_token_hash = ?, last_used_at = CURRENT_TIMESTAMP, expires_at = ?,
+          ip_address = ?, user_agent = COALESCE(?, user_agent)
+      WHERE id = ?
+    `, [hashToken(newRefreshToken), expiresAt, ipAddress, userAgent, session.id]);
+
+    await connection.commit();
+
+    return {
+      userId: session.user_id,
+      tokens: buildTokenResponse(session.user_id, session.id, newRefreshToken, expiresAt)
+    };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+/**
+ * Check that the session referenced by an access token is still usable
+ */
+const isSessionActive = async (sessionId, userId) => {
+  const [rows] = await pool.query(`
+    SELECT id FROM user_sessions
+    WHERE id = ? AND user_id = ? AND revoked_at IS NULL AND expires_at > NOW()
+  `, [sessionId, userId]);
+  return rows.length > 0;
+};
+
+const listSessions = async (userId) => {
+  const [rows] = await pool.query(`
+    SELECT id, user_agent, ip_address, created_at, last_used_at, expires_at
+    FROM user_sessions
+    WHERE user_id = ? AND revoked_at IS NULL AND expires_at > NOW()
+    ORDER BY last_used_at DESC
+  `, [userId]);
+  return rows;
+};
+
+const revokeSession = async (userId, sessionId, reason = 'logout') => {
+  const [result] = await pool.query(`
+    UPDATE user_sessions
+    SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = ?
+    WHERE id = ? AND user_id = ? AND revoked_at IS NULL
+  `, [reason, sessionId, userId]);
+  return result.affectedRows > 0;
+};
+
+/**
+ * Revoke every session for a user, optionally keeping the current one
+ */
+const revokeAllSessions = async (userId, reason = 'logout_all', exceptSessionId = null, connection = pool) => {
+  let query = `
+    UPDATE user_sessions
+    SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = ?
+    WHERE user_id = ? AND revoked_at IS NULL
+  `;
+  const params = [reason, userId];
+
+  if (exceptSessionId) {
+    query += ' AND id <> ?';
+    params.push(exceptSessionId);
+  }
+
+  const [result] = await connection.query(query, params);
+  return result.affectedRows;
+};
+
+module.exports = {
+  createSession,
+  rotateSession,
+  isSessionActive,
+  listSessions,
+  revokeSession,
+  revokeAllSessions,
+  generateAccessToken,
+  getClientInfo
+};
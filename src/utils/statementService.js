@@ -0,0 +1,242 @@
+const PDFDocument = require('pdfkit');
+const pool = require('../db');
+const money = require('./money');
+const transactionHistory = require('./transactionHistory');
+
+/**
+ * Account statements for a date range, as CSV or PDF.
+ *
+ * Line items come from transactionHistory, the same records as the
+ * transaction history screen. Only movements that changed the balance count
+ * towards the totals. The opening balance is worked back from the current
+ * balance through every counted movement since the start of the range, so
+ * opening + movements = closing always holds on the statement.
+ */
+
+// Statement sections, in the order they are printed
+const SECTIONS = [
+  { key: 'deposits', label: 'Deposits', types: ['deposit'] },
+  { key: 'purchases', label: 'Mining engine purchases', types: ['purchase'] },
+  { key: 'earnings', label: 'Mining earnings', types: ['earning'] },
+  { key: 'commissions', label: 'Referral commissions', types: ['commission'] },
+  { key: 'withdrawals', label: 'Withdrawals', types: ['withdrawal'] },
+  { key: 'transfers', label: 'Transfers', types: ['transfer_sent', 'transfer_received'] },
+  { key: 'adjustments', label: 'Balance adjustments', types: ['adjustment'] }
+];
+
+const formatDate = (date) => {
+  const d = new Date(date);
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+};
+
+const formatDateTime = (date) => {
+  const d = new Date(date);
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${formatDate(d)} ${pad(d.getHours())}:${pad(d.getMinutes())}`;
+};
+
+/**
+ * @param {number} userId
+ * @param {Date} from - inclusive
+ * @param {Date} to - exclusive
+ * @returns {Promise<Object|null>} null if the user does not exist
+ */
+const buildStatement = async (userId, from, to) => {
+  const [userRows] = await pool.query(
+    'SELECT id, full_name, email, phone, balance, currency FROM users WHERE id = ?',
+    [userId]
+  );
+  if (userRows.length === 0) {
+    return null;
+  }
+
+  const user = userRows[0];
+  const currency = user.currency;
+
+  // Everything since the start of the range, so the opening balance can be worked back from today
+  const since = await transactionHistory.getTransactions(userId, { from });
+  const movementSince = money.sum(since.map(transactionHistory.balanceEffect));
+  const openingBalance = money.round(money.subtract(user.balance, movementSince), currency);
+
+  const inRange = since
+    .filter(transaction => new Date(transaction.created_at) < to)
+    .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+
+  const totals = {};
+  for (const section of SECTIONS) {
+    totals[section.key] = 0;
+  }
+
+  let balance = openingBalance;
+  const lines = inRange.map(transaction => {
+    const effect = transactionHistory.balanceEffect(transaction);
+    const section = SECTIONS.find(candidate => candidate.types.includes(transaction.type));
+    if (section) {
+      totals[section.key] = money.sum([totals[section.key], effect]);
+    }
+    balance = money.sum([balance, effect]);
+
+    return {
+      date: transaction.created_at,
+      reference: transaction.transaction_id,
+      type: transaction.type,
+      description: transaction.description,
+      status: transaction.status,
+      amount: money.round(transaction.amount, currency),
+      balance_effect: money.round(effect, currency),
+      running_balance: money.round(balance, currency)
+    };
+  });
+
+  for (const key of Object.keys(totals)) {
+    totals[key] = money.round(totals[key], currency);
+  }
+
+  return {
+    user: { id: user.id, full_name: user.full_name, email: user.email, phone: user.phone },
+    currency,
+    from,
+    to,
+    opening_balance: openingBalance,
+    closing_balance: money.round(money.sum([openingBalance, ...Object.values(totals)]), currency),
+    totals,
+    lines,
+    generated_at: new Date()
+  };
+};
+
+// Last day included in the statement (`to` is exclusive)
+const lastDay = (statement) => new Date(statement.to.getTime() - 1);
+
+const fileName = (statement, extension) => {
+  return `statement-${formatDate(statement.from)}-to-${formatDate(lastDay(statement))}.${extension}`;
+};
+
+// Text starting with = + - @ would run as a formula in Excel (names and notes are
+// user-supplied), so it is prefixed with '; numbers are left as they are
+const csvField = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (statement) => {
+  const rows = [
+    ['Account statement'],
+    ['Name', statement.user.full_name],
+    ['Phone', statement.user.phone],
+    ['Period', formatDate(statement.from), formatDate(lastDay(statement))],
+    ['Currency', statement.currency],
+    [],
+    ['Opening balance', statement.opening_balance],
+    ...SECTIONS.map(section => [section.label, statement.totals[section.key]]),
+    ['Closing balance', statement.closing_balance],
+    [],
+    ['Date', 'Reference', 'Type', 'Description', 'Status', 'Amount', 'Balance effect', 'Balance'],
+    ...statement.lines.map(line => [
+      formatDateTime(line.date),
+      line.reference,
+      line.type,
+      line.description,
+      line.status,
+      line.amount,
+      line.balance_effect,
+      line.running_balance
+    ])
+  ];
+
+  return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+};
+
+/**
+ * Write the statement as a PDF to a writable stream (e.g. the response)
+ */
+const writePdf = (statement, stream) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  doc.pipe(stream);
+
+  const left = doc.page.margins.left;
+  const right = doc.page.width - doc.page.margins.right;
+  const bottom = doc.page.height - doc.page.margins.bottom;
+  const format = (amount) => money.format(amount, statement.currency);
+
+  doc.fontSize(18).font('Helvetica-Bold').text('CryptoMinePro Account Statement');
+  doc.moveDown(0.5);
+  doc.fontSize(10).font('Helvetica')
+    .text(`Name: ${statement.user.full_name || ''}`)
+    .text(`Phone: ${statement.user.phone || ''}`)
+    .text(`Period: ${formatDate(statement.from)} to ${formatDate(lastDay(statement))}`)
+    .text(`Generated: ${formatDateTime(statement.generated_at)}`);
+  doc.moveDown();
+
+  // Summary
+  const summaryRow = (label, amount, bold = false) => {
+    const y = doc.y;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').text(label, left, y);
+    doc.text(format(amount), left, y, { width: right - left, align: 'right' });
+  };
+  doc.fontSize(12).font('Helvetica-Bold').text('Summary');
+  doc.moveDown(0.3).fontSize(10);
+  summaryRow('Opening balance', statement.opening_balance, true);
+  for (const section of SECTIONS) {
+    summaryRow(section.label, statement.totals[section.key]);
+  }
+  summaryRow('Closing balance', statement.closing_balance, true);
+  doc.moveDown();
+
+  // Transactions
+  const columns = [
+    { label: 'Date', width: 85 },
+    { label: 'Reference', width: 75 },
+    { label: 'Description', width: 165 },
+    { label: 'Amount', width: 85, align: 'right' },
+    { label: 'Balance', width: right - left - 410, align: 'right' }
+  ];
+  const drawRow = (values, font) => {
+    const height = Math.max(...values.map((value, index) => {
+      return doc.font(font).heightOfString(String(value), { width: columns[index].width - 5 });
+    }));
+    if (doc.y + height > bottom) {
+      doc.addPage();
+    }
+    const y = doc.y;
+    let x = left;
+    values.forEach((value, index) => {
+      doc.font(font).text(String(value), x, y, { width: columns[index].width - 5, align: columns[index].align || 'left' });
+      x += columns[index].width;
+    });
+    doc.x = left;
+    doc.y = y + height + 4;
+  };
+
+  doc.fontSize(12).font('Helvetica-Bold').text('Transactions', left);
+  doc.moveDown(0.3).fontSize(9);
+  drawRow(columns.map(column => column.label), 'Helvetica-Bold');
+
+  if (statement.lines.length === 0) {
+    doc.font('Helvetica').text('No transactions in this period.', left);
+  }
+  for (const line of statement.lines) {
+    const counted = line.balance_effect !== 0;
+    drawRow([
+      formatDateTime(line.date),
+      line.reference,
+      counted ? line.description : `${line.description} (${line.status})`,
+      counted ? format(line.balance_effect) : format(line.amount),
+      format(line.running_balance)
+    ], 'Helvetica');
+  }
+
+  doc.end();
+};
+
+module.exports = {
+  SECTIONS,
+  buildStatement,
+  fileName,
+  toCsv,
+  writePdf
+};
@@ -0,0 +1,33 @@
+const pool = require('../db');
+
+/**
+ * Read a value from system_settings (via sp_get_setting), converted according
+ * to its data_type. Returns null if the setting is missing or can't be read.
+ * @param {string} settingKey
+ * @returns {Promise<number|boolean|object|string|null>}
+ */
+const getSystemSetting = async (settingKey) => {
+  try {
+    const [rows] = await pool.query('CALL sp_get_setting(?)', [settingKey]);
+    if (rows[0] && rows[0][0]) {
+      const { setting_value, data_type } = rows[0][0];
+
+      switch (data_type) {
+        case 'number':
+          return parseFloat(setting_value);
+        case 'boolean':
+          return setting_value.toLowerCase() === 'true';
+        case 'json':
+          return JSON.parse(setting_value);
+        default:
+          return setting_value;
+      }
+    }
+    return null;
+  } catch (error) {
+    console.error(`Error getting setting ${settingKey}:`, error);
+    return null;
+  }
+};
+
+module.exports = { getSystemSetting };
@@ -0,0 +1,209 @@
+const pool = require('../db');
+const money = require('./money');
+
+/**
+ * A user's money movements from every source table, newest first. Used by the
+ * transaction history screen and by account statements, so both always show
+ * the same records.
+ */
+
+const TRANSACTION_TYPES = ['deposit', 'withdrawal', 'purchase', 'earning', 'commission', 'transfer', 'adjustment'];
+
+/**
+ * Signed effect of a transaction on the balance, or 0 if it has none
+ * (e.g. a failed deposit or a withdrawal that has not been paid out)
+ */
+const balanceEffect = (transaction) => {
+  const amount = money.fromPrecise(money.toPrecise(transaction.amount));
+
+  switch (transaction.type) {
+    case 'deposit':
+      return transaction.status === 'completed' ? amount : 0;
+    case 'withdrawal':
+      return transaction.status === 'completed' ? -amount : 0;
+    case 'purchase':
+    case 'transfer_sent':
+      return -amount;
+    case 'earning':
+    case 'transfer_received':
+    case 'adjustment':
+      return amount;
+    case 'commission':
+      return transaction.status === 'paid' ? amount : 0;
+    default:
+      return 0;
+  }
+};
+
+/**
+ * @param {number} userId
+ * @param {Object} options
+ * @param {Date} options.from - inclusive
+ * @param {Date} [options.to] - exclusive; defaults to now
+ * @param {string} [options.type] - one of TRANSACTION_TYPES; all types if omitted
+ * @returns {Promise<Array<{ type: string, id: number, amount: string, status: string, method: string, transaction_id: string, created_at: Date, description: string }>>}
+ */
+const getTransactions = async (userId, { from, to = null, type = null }) => {
+  const transactions = [];
+  const wants = (candidate) => !type || type === candidate;
+  const range = (column) => ({
+    sql: `${column} >= ?${to ? ` AND ${column} < ?` : ''}`,
+    params: to ? [from, to] : [from]
+  });
+
+  if (wants('deposit')) {
+    const dates = range('created_at');
+    const [deposits] = await pool.query(`
+      SELECT
+        'deposit' as type,
+        id,
+        amount,
+        status,
+        method,
+        COALESCE(transaction_id, CONCAT('DP', id)) as transaction_id,
+        created_at,
+        'Deposit' as description
+      FROM deposits
+      WHERE user_id = ? AND ${dates.sql}
+      ORDER BY created_at DESC
+    `, [userId, ...dates.params]);
+
+    transactions.push(...deposits);
+  }
+
+  if (wants('withdrawal')) {
+    const dates = range('created_at');
+    const [withdrawals] = await pool.query(`
+      SELECT
+        'withdrawal' as type,
+        id,
+        amount,
+        status,
+        method,
+        CONCAT('WD', id) as transaction_id,
+        created_at,
+        'Withdrawal' as description
+      FROM withdrawals
+      WHERE user_id = ? AND ${dates.sql}
+      ORDER BY created_at DESC
+    `, [userId, ...dates.params]);
+
+    transactions.push(...withdrawals);
+  }
+
+  if (wants('purchase')) {
+    const dates = range('p.created_at');
+    const [purchases] = await pool.query(`
+      SELECT
+        'purchase' as type,
+        p.id,
+        p.amount_invested as amount,
+        p.status,
+        'investment' as method,
+        CONCAT('PU', p.id) as transaction_id,
+        p.created_at,
+        CONCAT('Mining Engine: ', m.name) as description
+      FROM purchases p
+      JOIN mining_engines m ON p.engine_id = m.id
+      WHERE p.user_id = ? AND ${dates.sql}
+      ORDER BY p.created_at DESC
+    `, [userId, ...dates.params]);
+
+    transactions.push(...purchases);
+  }
+
+  if (wants('earning')) {
+    const dates = range('el.earning_datetime');
+    const [earnings] = await pool.query(`
+      SELECT
+        'earning' as type,
+        el.id,
+        el.earning_amount as amount,
+        'completed' as status,
+        'mining' as method,
+        CONCAT('ER', el.id) as transaction_id,
+        el.earning_datetime as created_at,
+        'Mining Reward' as description
+      FROM engine_logs el
+      WHERE el.user_id = ? AND ${dates.sql}
+      ORDER BY el.earning_datetime DESC
+    `, [userId, ...dates.params]);
+
+    transactions.push(...earnings);
+  }
+
+  if (wants('commission')) {
+    const dates = range('rc.created_at');
+    const [commissions] = await pool.query(`
+      SELECT
+        'commission' as type,
+        rc.id,
+        rc.commission_amount as amount,
+        rc.status,
+        'referral' as method,
+        CONCAT('RC', rc.id) as transaction_id,
+        rc.created_at,
+        CONCAT('Referral Commission: ', COALESCE(u.full_name, 'Referred user')) as description
+      FROM referral_commissions rc
+      JOIN referrals r ON rc.referral_id = r.id
+      LEFT JOIN users u ON r.referred_id = u.id
+      WHERE r.referrer_id = ? AND ${dates.sql}
+      ORDER BY rc.created_at DESC
+    `, [userId, ...dates.params]);
+
+    transactions.push(...commissions);
+  }
+
+  // Wallet transfers, sent and received
+  if (wants('transfer')) {
+    const dates = range('wt.created_at');
+    const [transfers] = await pool.query(`
+      SELECT
+        IF(wt.sender_id = ?, 'transfer_sent', 'transfer_received') as type,
+        wt.id,
+        wt.amount,
+        wt.status,
+        'wallet' as method,
+        CONCAT('TR', wt.id) as transaction_id,
+        wt.created_at,
+        IF(wt.sender_id = ?, CONCAT('Transfer to ', r.full_name), CONCAT('Transfer from ', s.full_name)) as description
+      FROM wallet_transfers wt
+      JOIN users s ON wt.sender_id = s.id
+      JOIN users r ON wt.recipient_id = r.id
+      WHERE (wt.sender_id = ? OR wt.recipient_id = ?) AND wt.status = 'completed' AND ${dates.sql}
+      ORDER BY wt.created_at DESC
+    `, [userId, userId, userId, userId, ...dates.params]);
+
+    transactions.push(...transfers);
+  }
+
+  // Manual balance adjustments made by an admin (amount is signed)
+  if (wants('adjustment')) {
+    const dates = range('created_at');
+    const [adjustments] = await pool.query(`
+      SELECT
+        'adjustment' as type,
+        id,
+        CAST(JSON_UNQUOTE(JSON_EXTRACT(details, '$.amount')) AS DECIMAL(20,8)) as amount,
+        'completed' as status,
+        'admin' as method,
+        CONCAT('AD', id) as transaction_id,
+        created_at,
+        'Balance Adjustment' as description
+      FROM admin_logs
+      WHERE action = 'balance_adjustment' AND target_type = 'user' AND target_id = ? AND ${dates.sql}
+      ORDER BY created_at DESC
+    `, [userId, ...dates.params]);
+
+    transactions.push(...adjustments);
+  }
+
+  transactions.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+  return transactions;
+};
+
+module.exports = {
+  TRANSACTION_TYPES,
+  balanceEffect,
+  getTransactions
+};
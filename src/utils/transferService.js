@@ -0,0 +1,168 @@
+const pool = require('../db');
+const money = require('./money');
+const fx = require('./fx');
+const { getSystemSetting } = require('./systemSettings');
+const { formatPhoneForDisplay } = require('./phoneUtils');
+
+/**
+ * Wallet-to-wallet transfers: recipient lookup, limits and fraud checks.
+ * Limits are system settings in the base currency and are converted to the
+ * sender's wallet currency. Both users must hold the same wallet currency.
+ */
+
+/**
+ * Find the recipient by phone number or referral code
+ * @returns {Promise<Object|null>}
+ */
+const findRecipient = async ({ phone, referral_code }, db = pool) => {
+  const [rows] = phone
+    ? await db.query(
+      'SELECT id, full_name, phone, currency, status FROM users WHERE phone = ?',
+      [formatPhoneForDisplay(phone)]
+    )
+    : await db.query(
+      'SELECT id, full_name, phone, currency, status FROM users WHERE UPPER(referral_code) = ?',
+      [String(referral_code).trim().toUpperCase()]
+    );
+  return rows[0] || null;
+};
+
+/**
+ * What the sender sees before confirming, e.g. "Jane W." and "0712***678"
+ */
+const describeRecipient = (recipient) => {
+  const names = (recipient.full_name || '').trim().split(/\s+/).filter(Boolean);
+  const phone = recipient.phone || '';
+  return {
+    name: names.length > 1 ? `${names[0]} ${names[names.length - 1].charAt(0)}.` : (names[0] || 'User'),
+    phone: phone.length >= 10 ? `${phone.slice(0, 4)}***${phone.slice(-3)}` : phone
+  };
+};
+
+const getTransferLimits = async (currency) => {
+  return {
+    enabled: (await getSystemSetting('transfers_enabled')) !== false,
+    min: await fx.fromBase(await getSystemSetting('min_transfer_amount') || 10, currency),
+    max: await fx.fromBase(await getSystemSetting('max_transfer_amount') || 50000, currency),
+    daily: await fx.fromBase(await getSystemSetting('daily_transfer_limit') || 100000, currency),
+    dailyCount: await getSystemSetting('daily_transfer_count') || 10,
+    maxRecipients: await getSystemSetting('transfer_max_recipients_per_day') || 5,
+    minAccountAgeHours: await getSystemSetting('transfer_min_account_age_hours') || 24
+  };
+};
+
+/**
+ * The sender's completed transfers over the last 24 hours
+ */
+const getRecentTransfers = async (db, senderId) => {
+  const [rows] = await db.query(`
+    SELECT recipient_id, amount FROM wallet_transfers
+    WHERE sender_id = ? AND status = 'completed' AND created_at > DATE_SUB(NOW(), INTERVAL 24 HOUR)
+  `, [senderId]);
+
+  return {
+    total: money.sum(rows.map(row => row.amount)),
+    count: rows.length,
+    recipients: new Set(rows.map(row => row.recipient_id))
+  };
+};
+
+/**
+ * Check a transfer against the limits and the fraud rules.
+ * Returns null if allowed, otherwise { message, code, blocked } where `blocked`
+ * marks a fraud rule (the attempt is recorded) rather than an ordinary limit.
+ */
+const checkTransfer = async (db, { sender, recipient, amount, currency, limits }) => {
+  if (!recipient || recipient.status !== 'active') {
+    return { message: 'Recipient not found', code: 'RECIPIENT_NOT_FOUND', blocked: false };
+  }
+  if (recipient.id === sender.id) {
+    return { message: 'You cannot send money to yourself', code: 'SELF_TRANSFER', blocked: false };
+  }
+  if (recipient.currency !== currency) {
+    return {
+      message: `Transfers are only possible between ${currency} wallets. The recipient's wallet is in ${recipient.currency}`,
+      code: 'CURRENCY_MISMATCH',
+      blocked: false
+    };
+  }
+
+  if (money.compare(amount, limits.min) < 0) {
+    return { message: `Minimum transfer amount is ${money.format(limits.min, currency)}`, code: 'BELOW_MINIMUM', blocked: false };
+  }
+  if (money.compare(amount, limits.max) > 0) {
+    return { message: `Maximum transfer amount is ${money.format(limits.max, currency)}`, code: 'ABOVE_MAXIMUM', blocked: false };
+  }
+
+  const recent = await getRecentTransfers(db, sender.id);
+  if (money.compare(money.sum([recent.total, amount]), limits.daily) > 0) {
+    return {
+      message: `Daily transfer limit of ${money.format(limits.daily, currency)} exceeded. Sent in the last 24 hours: ${money.format(recent.total, currency)}`,
+      code: 'DAILY_LIMIT',
+      blocked: false
+    };
+  }
+  if (recent.count >= limits.dailyCount) {
+    return { message: `You can send at most ${limits.dailyCount} transfers per day`, code: 'DAILY_COUNT', blocked: false };
+  }
+
+  // === Fraud rules ===
+
+  const accountAgeHours = (Date.now() - new Date(sender.created_at).getTime()) / 3600000;
+  if (accountAgeHours < limits.minAccountAgeHours) {
+    return {
+      message: `New accounts can send transfers ${limits.minAccountAgeHours} hours after registration`,
+      code: 'ACCOUNT_TOO_NEW',
+      blocked: true
+    };
+  }
+
+  // Spreading funds over many wallets is a mule pattern
+  if (!recent.recipients.has(recipient.id) && recent.recipients.size >= limits.maxRecipients) {
+    return {
+      message: `You can send to at most ${limits.maxRecipients} different people per day`,
+      code: 'TOO_MANY_RECIPIENTS',
+      blocked: true
+    };
+  }
+
+  // Money bounced straight back is how bonuses and limits get gamed
+  const [returned] = await db.query(`
+    SELECT id FROM wallet_transfers
+    WHERE sender_id = ? AND recipient_id = ? AND status = 'completed'
+      AND created_at > DATE_SUB(NOW(), INTERVAL 24 HOUR)
+    LIMIT 1
+  `, [recipient.id, sender.id]);
+  if (returned.length > 0) {
+    return {
+      message: 'You cannot send money back to someone who sent you money in the last 24 hours',
+      code: 'ROUND_TRIP',
+      blocked: true
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Keep a transfer stopped by a fraud rule for review
+ */
+const recordBlockedTransfer = async ({ senderId, recipientId, amount, currency, note, reason }) => {
+  try {
+    await pool.query(`
+      INSERT INTO wallet_transfers (sender_id, recipient_id, amount, currency, note, status, block_reason, created_at)
+      VALUES (?, ?, ?, ?, ?, 'blocked', ?, CURRENT_TIMESTAMP)
+    `, [senderId, recipientId, amount, currency, note, reason]);
+  } catch (error) {
+    console.error('Error recording blocked transfer:', error);
+  }
+};
+
+module.exports = {
+  findRecipient,
+  describeRecipient,
+  getTransferLimits,
+  getRecentTransfers,
+  checkTransfer,
+  recordBlockedTransfer
+};
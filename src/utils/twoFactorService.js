@@ -0,0 +1,281 @@
+const crypto = require('crypto');
+const pool = require('../db');
+const totp = require('./totp');
+const loginThrottle = require('./loginThrottle');
+
+const BACKUP_CODE_COUNT = 10;
+
+// TOTP secrets are encrypted at rest with AES-256-GCM
+const getEncryptionKey = () => {
+  const keySource = process.env.TOTP_ENCRYPTION_KEY || process.env.JWT_SECRET;
+  return crypto.createHash('sha256').update(keySource).digest();
+};
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+  return [iv, tag, encrypted].map(part => part.toString('base64')).join('.');
+};
+
+const decryptSecret = (payload) => {
+  const [iv, tag, encrypted] = payload.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+const hashBackupCode = (userId, code) => {
+  const normalized = String(code).replace(/[\s-]/g, '').toUpperCase();
+  return crypto.createHash('sha256').update(`${userId}:${normalized}`).digest('hex');
+};
+
+// Backup codes look like ABCD-EFGH
+const generateBackupCodes = () => {
+  return Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex').toUpperCase().substring(0, 8);
+    return `${raw.substring(0, 4)}-${raw.substring(4)}`;
+  });
+};
+
+const getTwoFactorRecord = async (userId, connection = pool) => {
+  const [rows] = await connection.query(
+    'SELECT user_id, secret_encrypted, enabled, confirmed_at, last_used_step FROM user_two_factor WHERE user_id = ?',
+    [userId]
+  );
+  return rows[0] || null;
+};
+
+const isEnabled = async (userId) => {
+  const record = await getTwoFactorRecord(userId);
+  return !!(record && record.enabled);
+};
+
+const getStatus = async (userId) => {
+  const record = await getTwoFactorRecord(userId);
+  const [backupRows] = await pool.query(
+    'SELECT COUNT(*) as remaining FROM user_backup_codes WHERE user_id = ? AND used_at IS NULL',
+    [userId]
+  );
+
+  return {
+    enabled: !!(record && record.enabled),
+    confirmed_at: record ? record.confirmed_at : null,
+    backup_codes_remaining: record && record.enabled ? backupRows[0].remaining : 0
+  };
+};
+
+/**
+ * Start (or restart) enrolment: store a fresh, not-yet-enabled secret
+ */
+const startEnrollment = async (user) => {
+  const secret = totp.generateSecret();
+
+  await pool.query(`
+    INSERT INTO user_two_factor (user_id, secret_encrypted, enabled, created_at)
+    VALUES (?, ?, FALSE, CURRENT_TIMESTAMP)
+    ON DUPLICATE KEY UPDATE secret_encrypted = VALUES(secret_encrypted), last_used_step = NULL
+  `, [user.id, encryptSecret(secret)]);
+
+  return {
+    secret,
+    otpauth_url: totp.buildOtpauthUrl(secret, user.phone || user.email || `user-${user.id}`)
+  };
+};
+
+const replaceBackupCodes = async (connection, userId) => {
+  const codes = generateBackupCodes();
+
+  await connection.query('DELETE FROM user_backup_codes WHERE user_id = ?', [userId]);
+  for (const code of codes) {
+    await connection.query(
+      'INSERT INTO user_backup_codes (user_id, code_hash, created_at) VALUES (?, ?, CURRENT_TIMESTAMP)',
+      [userId, hashBackupCode(userId, code)]
+    );
+  }
+
+  return codes;
+};
+
+/**
+ * Verify a TOTP code against the stored secret. A code (time step) can only be
+ * used once, so a code seen over someone's shoulder cannot be replayed.
+ */
+const verifyTotpForUser = async (connection, record, code) => {
+  const step = totp.verifyCode(decryptSecret(record.secret_encrypted), code);
+
+  if (step === null || (record.last_used_step !== null && step <= Number(record.last_used_step))) {
+    return false;
+  }
+
+  await connection.query('UPDATE user_two_factor SET last_used_step = ? WHERE user_id = ?', [step, record.user_id]);
+  return true;
+};
+
+/**
+ * Confirm enrolment with a first code from the authenticator app.
+ * Returns the plain backup codes - they are only shown this once.
+ * Wrong codes count towards the two-factor lockout; while locked out the
+ * result has `locked` ({ code, message, retryAfter }).
+ */
+const confirmEnrollment = async (userId, code) => {
+  const locked = await loginThrottle.checkSecondFactorAllowed(userId);
+  if (locked) {
+    return { error: locked.message, locked };
+  }
+
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const [rows] = await connection.query(
+      'SELECT user_id, secret_encrypted, enabled, last_used_step FROM user_two_factor WHERE user_id = ? FOR UPDATE',
+      [userId]
+    );
+
+    if (rows.length === 0) {
+      await connection.rollback();
+      return { error: 'Two-factor setup has not been started' };
+    }
+
+    if (rows[0].enabled) {
+      await connection.rollback();
+      return { error: 'Two-factor authentication is already enabled' };
+    }
+
+    if (!(await verifyTotpForUser(connection, rows[0], code))) {
+      await connection.rollback();
+      const lockout = await loginThrottle.recordSecondFactorFailure(userId);
+      return lockout ? { error: lockout.message, locked: lockout } : { error: 'Invalid authentication code' };
+    }
+
+    await connection.query(
+      'UPDATE user_two_factor SET enabled = TRUE, confirmed_at = CURRENT_TIMESTAMP WHERE user_id = ?',
+      [userId]
+    );
+    const backupCodes = await replaceBackupCodes(connection, userId);
+
+    await connection.commit();
+    await loginThrottle.recordSecondFactorSuccess(userId);
+    return { backupCodes };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+/**
+ * Check a second factor: either `code` (TOTP) or `backupCode`.
+ * Returns { valid, method }. Wrong codes count towards the two-factor
+ * lockout; while locked out no code is checked and the result has
+ * `locked` ({ code, message, retryAfter }).
+ */
+const verifySecondFactor = async (userId, { code, backupCode }) => {
+  const locked = await loginThrottle.checkSecondFactorAllowed(userId);
+  if (locked) {
+    return { valid: false, locked };
+  }
+
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const [rows] = await connection.query(
+      'SELECT user_id, secret_encrypted, enabled, last_used_step FROM user_two_factor WHERE user_id = ? FOR UPDATE',
+      [userId]
+    );
+
+    if (rows.length === 0 || !rows[0].enabled) {
+      await connection.rollback();
+      return { valid: false };
+    }
+
+    if (code && await verifyTotpForUser(connection, rows[0], code)) {
+      await connection.commit();
+      await loginThrottle.recordSecondFactorSuccess(userId);
+      return { valid: true, method: 'totp' };
+    }
+
+    if (backupCode) {
+      const [result] = await connection.query(`
+        UPDATE user_backup_codes SET used_at = CURRENT_TIMESTAMP
+        WHERE user_id = ? AND code_hash = ? AND used_at IS NULL
+        LIMIT 1
+      `, [userId, hashBackupCode(userId, backupCode)]);
+
+      if (result.affectedRows > 0) {
+        await connection.commit();
+        await loginThrottle.recordSecondFactorSuccess(userId);
+        return { valid: true, method: 'backup_code' };
+      }
+    }
+
+    await connection.rollback();
+    const lockout = await loginThrottle.recordSecondFactorFailure(userId);
+    return lockout ? { valid: false, locked: lockout } : { valid: false };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+const regenerateBackupCodes = async (userId) => {
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+    const codes = await replaceBackupCodes(connection, userId);
+    await connection.commit();
+    return codes;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+const disable = async (userId) => {
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+    await connection.query('DELETE FROM user_backup_codes WHERE user_id = ?', [userId]);
+    await connection.query('DELETE FROM user_two_factor WHERE user_id = ?', [userId]);
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+/**
+ * Pull a second factor out of a request: X-2FA-Code header, or totp_code / backup_code in the body
+ */
+const getSecondFactorFromRequest = (req) => {
+  const body = req.body || {};
+  return {
+    code: req.headers['x-2fa-code'] || body.totp_code || null,
+    backupCode: req.headers['x-2fa-backup-code'] || body.backup_code || null
+  };
+};
+
+module.exports = {
+  isEnabled,
+  getStatus,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateBackupCodes,
+  disable,
+  getSecondFactorFromRequest
+};
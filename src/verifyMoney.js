@@ -0,0 +1,124 @@
+const money = require('./utils/money');
+const { processHourlyEarningsExact, processDailyEarningsExact } = require('./utils/miningEarningsProcessor');
+
+console.log('=== Money Arithmetic Verification ===\n');
+
+/**
+ * Checks the money module and the earnings processor's per-period amounts
+ * against the figures the business depends on: a purchase's earnings over its
+ * full engine lifetime must add up to the cent, and amounts must round the
+ * same way everywhere. Needs no database.
+ */
+
+let failures = 0;
+
+function check(label, actual, expected) {
+  if (actual === expected) {
+    console.log(`   ✅ ${label}`);
+  } else {
+    failures++;
+    console.log(`   ❌ ${label}: expected ${expected}, got ${actual}`);
+  }
+}
+
+function verifyRounding() {
+  console.log('🔢 Rounding and parsing...');
+  check('0.1 + 0.2 is exactly 0.3', money.sum([0.1, 0.2]), 0.3);
+  check('1.005 KES rounds half-up to 1.01', money.round(1.005), 1.01);
+  check('2.675 KES rounds half-up to 2.68', money.round('2.675'), 2.68);
+  check('-12.345 KES rounds away from zero', money.toMinor(-12.345), -1235);
+  check('UGX has no minor unit', money.round(1499.5, 'UGX'), 1500);
+  check('DECIMAL string is read exactly', money.toMinor('1234.56000000'), 123456);
+  check('Exponent notation is parsed', money.round(1e-7), 0);
+  check('Formatting pads to the minor unit', money.format(1234.5), 'KES 1,234.50');
+  check('UGX formats without decimals', money.format(45000.4, 'UGX'), 'UGX 45,000');
+  check('Conversion to UGX', money.round(money.multiply(1500, '28.75'), 'UGX'), 43125);
+  check('1% of 1000 KES', money.percentOf(1000, 1), 10);
+  check('3.3333% of 1500 KES', money.percentOf(1500, 3.3333), 49.9995);
+  check('Daily 1000 KES at 2.5% over 24 hours', money.divide(25, 24), 1.04166667);
+  check('Comparison is exact', money.compare('100.00000001', 100), 1);
+  console.log('');
+}
+
+// Stands in for the database: no period has been paid yet
+const noEarningsLogged = { query: async () => [[]] };
+
+/**
+ * Run a whole engine lifetime through the earnings processor and compare the
+ * total it pays with the lifetime figure rounded once
+ */
+async function verifyLifetime(label, amount, ratePercent, interval, periods, currency) {
+  const dailyEarning = money.percentOf(amount, ratePercent);
+  const purchase = {
+    id: 0,
+    daily_earning: dailyEarning,
+    duration_hours: interval === 'hourly' ? periods : null,
+    duration_days: interval === 'daily' ? periods : null,
+    currency
+  };
+  const purchaseTime = new Date('2024-01-01T00:00:00Z');
+  // The processor steps with setHours / setDate, so the end is computed the same way
+  const endTime = new Date(purchaseTime);
+  if (interval === 'hourly') {
+    endTime.setHours(endTime.getHours() + periods);
+  } else {
+    endTime.setDate(endTime.getDate() + periods);
+  }
+  const processPeriods = interval === 'hourly' ? processHourlyEarningsExact : processDailyEarningsExact;
+  const { earnings } = await processPeriods(noEarningsLogged, purchase, purchaseTime, endTime, endTime);
+
+  const minors = earnings.map(earning => money.toMinor(earning.amount, currency));
+  const paid = money.fromMinor(minors.reduce((total, minor) => total + minor, 0), currency);
+  const expected = money.cumulativeTotal(dailyEarning, periods, currency);
+  check(`${label}: ${earnings.length} x ${dailyEarning} = ${money.format(expected, currency)}`, paid, expected);
+
+  // Every period is paid, none off from the rate by more than one minor unit
+  const rateMinor = money.toMinor(dailyEarning, currency);
+  const smallest = Math.min(...minors);
+  const largest = Math.max(...minors);
+  if (earnings.length !== periods || largest - smallest > 1 || Math.abs(largest - rateMinor) > 1) {
+    failures++;
+    console.log(`   ❌ ${label}: ${earnings.length} periods paid from ${smallest} to ${largest} minor units`);
+  }
+}
+
+async function verifyEngineLifetimes() {
+  console.log('⛏️  Full engine lifetimes...');
+  const amounts = [100, 999.99, 1234.56, 50000, 4999999.99];
+  const rates = [0.5, 1.25, 2.5, 3.3333, 7];
+
+  for (const amount of amounts) {
+    for (const rate of rates) {
+      await verifyLifetime(`Hourly day KES ${amount} @ ${rate}%`, amount, rate, 'hourly', 24, 'KES');
+      await verifyLifetime(`Hourly week KES ${amount} @ ${rate}%`, amount, rate, 'hourly', 168, 'KES');
+      await verifyLifetime(`Hourly year KES ${amount} @ ${rate}%`, amount, rate, 'hourly', 8760, 'KES');
+      await verifyLifetime(`Daily month KES ${amount} @ ${rate}%`, amount, rate, 'daily', 30, 'KES');
+      await verifyLifetime(`Daily year KES ${amount} @ ${rate}%`, amount, rate, 'daily', 365, 'KES');
+    }
+  }
+
+  await verifyLifetime('Daily year UGX 150000 @ 1.3333%', 150000, 1.3333, 'daily', 365, 'UGX');
+  await verifyLifetime('Hourly rate below one cent', 1, 0.5, 'hourly', 8760, 'KES');
+  console.log('');
+}
+
+async function verifyMoney() {
+  verifyRounding();
+  await verifyEngineLifetimes();
+
+  if (failures > 0) {
+    console.log(`💥 ${failures} check(s) failed\n`);
+    return false;
+  }
+  console.log('🎉 All money checks passed\n');
+  return true;
+}
+
+// Run the checks if this script is executed directly
+if (require.main === module) {
+  verifyMoney().then(passed => process.exit(passed ? 0 : 1));
+}
+
+module.exports = {
+  verifyMoney
+};